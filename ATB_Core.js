@@ -3,6 +3,7 @@
  * @plugindesc [ATB v3.0] Core — CT-style Active Time Battle foundation
  * @author Hyaku no Sekai
  * @orderAfter MMORPG_Core
+ * @orderAfter ATB_Sim
  *
  * @param GLOBAL_BATTLE_SPEED
  * @text Global Battle Speed
@@ -91,6 +92,10 @@
  * Core gauge system, notetag parser, battlefield position management.
  * All skills have FULL SCREEN RANGE — no range checks or greyed-out skills.
  *
+ * Gauge fill, cast time and guard math come from ATB_Sim (also used by the
+ * server), advanced once per BattleManager.update tick from a per-battle
+ * seed, so a battle can be replayed exactly from its action log.
+ *
  * == SKILL NOTETAGS ==
  *
  * <SkillMove: TYPE>
@@ -148,6 +153,8 @@
 
   const PLUGIN_NAME = "ATB_Core";
   const p = PluginManager.parameters(PLUGIN_NAME);
+  const Sim = window.ATB_Sim;
+  if (!Sim) throw new Error("ATB_Core requires ATB_Sim");
 
   // ========================================================================
   // GLOBAL CONFIG
@@ -166,10 +173,11 @@
     IDLE_WANDER_MIN:        Number(p["IDLE_WANDER_INTERVAL_MIN"] || 90),
     IDLE_WANDER_MAX:        Number(p["IDLE_WANDER_INTERVAL_MAX"] || 240),
     EDGE_PADDING:           Number(p["EDGE_PADDING"] || 40),
-    MAX_ATB_GAUGE:          10000,
+    MAX_ATB_GAUGE:          Sim.MAX_GAUGE,
     AGI_REFERENCE_VALUE:    30,
     _currentBattleWidth:    0,
     _currentBattleHeight:   0,
+    Sim,
   };
 
   window.ATB = ATB;
@@ -501,7 +509,7 @@
     this._entryY = 0;
     this._atbGauge = 0;
     this._atbCasting = false;
-    this._atbCastTimer = 0;
+    this._atbCastTicks = 0;
     this._atbCastAction = null;
     this._isGuarding = false;
     this._atbMoving = false;
@@ -534,15 +542,45 @@
    * ATB fill rate per frame. Based on AGI with equipment/state modifiers.
    */
   Game_Battler.prototype.atbFillRate = function() {
-    const agi = Math.max(1, this.agi);
-    const base = (agi / ATB.AGI_REFERENCE_VALUE) * ATB.GLOBAL_BATTLE_SPEED;
-    const equipBonus = ATB.getEquipSpeedBonus(this);
-    const stateMod   = ATB.getStateSpeedMod(this);
-    return base * (1.0 + equipBonus) * stateMod;
+    return Sim.atbFillRate({
+      agi: this.agi,
+      referenceAgi: ATB.AGI_REFERENCE_VALUE,
+      battleSpeed: ATB.GLOBAL_BATTLE_SPEED,
+      equipBonus: ATB.getEquipSpeedBonus(this),
+      stateMod: ATB.getStateSpeedMod(this)
+    });
+  };
+
+  /**
+   * Gauge units gained per tick (MZ tpbAcceleration, quantized).
+   */
+  Game_Battler.prototype.atbFillPerTick = function() {
+    return Sim.fillPerTick(this.tpbRelativeSpeed(), $gameParty.tpbReferenceTime());
+  };
+
+  // Integer gauge steps so every client (and the server replay) lands on
+  // exactly the same values. _tpbChargeTime stays the source of truth for
+  // anything that sets it directly (interrupts, peer sync).
+  Game_Battler.prototype.updateTpbChargeTime = function() {
+    if (this._tpbState !== "charging") return;
+    const gauge = Sim.fillGauge(Math.round(this._tpbChargeTime * ATB.MAX_ATB_GAUGE), this.atbFillPerTick());
+    this._tpbChargeTime = gauge / ATB.MAX_ATB_GAUGE;
+    if (gauge >= ATB.MAX_ATB_GAUGE) {
+      this._tpbChargeTime = 1;
+      this.onTpbCharged();
+    }
+  };
+
+  // Seeded start gauge instead of Math.random
+  Game_Battler.prototype.initTpbChargeTime = function(advantageous) {
+    const side = this.isActor() ? "actor" : "enemy";
+    const gauge = Sim.initialGauge(BattleManager._atbSeed || 0, side, this.index(), advantageous);
+    this._tpbState = "charging";
+    this._tpbChargeTime = this.isRestricted() ? 0 : gauge / ATB.MAX_ATB_GAUGE;
   };
 
   /**
-   * Per-frame ATB update. Called from the battle update loop.
+   * Per-tick ATB update. Called from the battle update loop.
    */
   Game_Battler.prototype.updateAtbGauge = function() {
     if (this.isDead()) return;
@@ -550,8 +588,8 @@
 
     // Casting?
     if (this._atbCasting) {
-      this._atbCastTimer -= this.atbFillRate() * (1 / 60);
-      if (this._atbCastTimer <= 0) {
+      this._atbCastTicks--;
+      if (this._atbCastTicks <= 0) {
         this._atbCasting = false;
         // Ready to execute the cast action
         if (this._atbCastAction) {
@@ -588,7 +626,7 @@
     if (castTime <= 0) return false;
 
     this._atbCasting = true;
-    this._atbCastTimer = castTime;
+    this._atbCastTicks = Sim.castTicks(castTime, this.atbFillRate());
     this._atbCastAction = action;
     this.resetAtbGauge();
     return true;
@@ -603,7 +641,7 @@
     this._atbCasting = false;
     this._atbCastAction = null;
     this._tpbState = "charging";
-    this._tpbChargeTime = ATB.INTERRUPT_GAUGE_REFUND;
+    this._tpbChargeTime = Sim.interruptGauge(ATB.INTERRUPT_GAUGE_REFUND) / ATB.MAX_ATB_GAUGE;
     this._syncAtbGaugeFromTpb();
   };
 
@@ -642,8 +680,8 @@
   const _GA_makeDamageValue = Game_Action.prototype.makeDamageValue;
   Game_Action.prototype.makeDamageValue = function(target, critical) {
     let value = _GA_makeDamageValue.call(this, target, critical);
-    if (target._isGuarding && value > 0) {
-      value = Math.floor(value * ATB.GUARD_DAMAGE_RATE);
+    if (target._isGuarding) {
+      value = Sim.guardDamage(value, ATB.GUARD_DAMAGE_RATE);
     }
     return value;
   };
@@ -670,6 +708,8 @@
   // ========================================================================
 
   BattleManager._atbActionQueue = [];
+  BattleManager._atbSeed = 0;   // Seeds ATB_Sim for this battle
+  BattleManager._atbTick = 0;   // Gauge ticks since the seed was set
 
   BattleManager.queueAtbAction = function(battler, action) {
     if (!battler || !action) return;
@@ -700,6 +740,28 @@
   // BATTLE INITIALIZATION — Set positions
   // ========================================================================
 
+  /**
+   * Restart the ATB timeline from `seed` (multiplayer: the server's btl/seed).
+   * Re-rolls every start gauge so all clients agree.
+   */
+  BattleManager.setAtbSeed = function(seed) {
+    this._atbSeed = seed >>> 0;
+    this._atbTick = 0;
+    for (const battler of this.allBattleMembers()) {
+      if (!battler || battler.isDead() || battler._atbCasting) continue;
+      battler.initTpbChargeTime(false);
+      battler._syncAtbGaugeFromTpb();
+    }
+  };
+
+  // Fresh local seed per battle; multiplayer replaces it on btl/seed
+  const _BM_setup_atb = BattleManager.setup;
+  BattleManager.setup = function(troopId, canEscape, canLose) {
+    _BM_setup_atb.call(this, troopId, canEscape, canLose);
+    this._atbSeed = Sim.randomSeed();
+    this._atbTick = 0;
+  };
+
   const _BM_startBattle = BattleManager.startBattle;
   BattleManager.startBattle = function() {
     _BM_startBattle.call(this);
@@ -791,6 +853,7 @@
   };
 
   BattleManager.updateAllAtbGauges = function() {
+    this._atbTick++;
     const members = this.allBattleMembers();
     for (const battler of members) {
       if (battler && !battler.isDead()) {
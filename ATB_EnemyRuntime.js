@@ -15,6 +15,10 @@
  *  - Escape vote handling
  *  - Enemy ATB AI + telegraph warnings
  *
+ * In multiplayer battles only the enemy host (see ATB_MultiplayerBattle)
+ * runs the decision step; everyone else applies its btl/enemy_act. Targets
+ * are fixed at decision time so all clients hit the same battlers.
+ *
  * This is a consolidation of ATB_Movement + ATB_EnemyAI.
  */
 
@@ -193,6 +197,9 @@
   // ========================================================================
 
   BattleManager._updateEnemyAI = function() {
+    const sync = ATB.MultiSync;
+    const isAuthority = !sync || sync.isEnemyAuthority();
+
     for (const enemy of $gameTroop.aliveMembers()) {
       if (!enemy) continue;
 
@@ -209,6 +216,9 @@
       // Check if gauge is full
       if (!enemy.isAtbReady()) continue;
 
+      // Peers wait for the enemy host's btl/enemy_act
+      if (!isAuthority) continue;
+
       // Pick an action
       enemy.makeActions();
       const action = enemy.currentAction();
@@ -217,25 +227,36 @@
         continue;
       }
 
-      // Check for cast time
-      if (enemy.startCasting(action)) {
-        continue; // Will execute when cast completes
-      }
+      action.fixTargets();
+      const mode = this._beginEnemyAction(enemy, action);
+      if (sync) sync.sendEnemyAction(enemy, action, mode);
+    }
+  };
 
-      // Check for telegraph
-      const skill = action.item();
-      const tags = ATB.parseNotetags(skill);
-      if (tags.telegraphDuration && tags.telegraphDuration > 0) {
+  // Carry out a decided action: start casting, start a telegraph, or execute.
+  // Also used by peers applying the enemy host's decision (targetPoint given).
+  BattleManager._beginEnemyAction = function(enemy, action, targetPoint) {
+    // Check for cast time
+    if (enemy.startCasting(action)) {
+      return "cast"; // Will execute when cast completes
+    }
+
+    // Check for telegraph
+    const skill = action.item();
+    const tags = ATB.parseNotetags(skill);
+    if (tags.telegraphDuration && tags.telegraphDuration > 0) {
+      if (!targetPoint) {
         const target = this._pickEnemyTarget(enemy, action);
-        const targetPoint = target ? { x: target._battleX, y: target._battleY } : null;
-        enemy.startTelegraph(skill, targetPoint);
-        enemy.resetAtbGauge();
-        continue;
+        targetPoint = target ? { x: target._battleX, y: target._battleY } : null;
       }
-
-      // Execute immediately
-      this._executeEnemyAction(enemy);
+      enemy.startTelegraph(skill, targetPoint);
+      enemy.resetAtbGauge();
+      return "telegraph";
     }
+
+    // Execute immediately
+    this._executeEnemyAction(enemy);
+    return "execute";
   };
 
   BattleManager._executeEnemyAction = function(enemy) {
@@ -273,6 +294,28 @@
     return alive.length > 0 ? alive[Math.floor(Math.random() * alive.length)] : null;
   };
 
+  // ========================================================================
+  // FIXED TARGETS — Resolve targets once, replay them on every client
+  // ========================================================================
+  // Stored as slot indices into the target unit. A target that died in the
+  // meantime falls back to smoothTarget, same as RPG Maker's own forOne rule.
+
+  const _GA_makeTargets_runtime = Game_Action.prototype.makeTargets;
+
+  Game_Action.prototype.fixTargets = function() {
+    const targets = _GA_makeTargets_runtime.call(this);
+    this._fixedTargets = targets.map(t => t.index()).filter(i => i >= 0);
+  };
+
+  Game_Action.prototype.makeTargets = function() {
+    if (!this._fixedTargets) return _GA_makeTargets_runtime.call(this);
+    const unit = this.isForFriend() ? this.friendsUnit() : this.opponentsUnit();
+    const targets = this._fixedTargets.map(i =>
+      this.isForDeadFriend() ? unit.members()[i] : unit.smoothTarget(i)
+    );
+    return targets.filter(t => !!t);
+  };
+
   // ========================================================================
   // TELEGRAPH SYSTEM — Visual warning before powerful attacks
   // ========================================================================
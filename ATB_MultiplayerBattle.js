@@ -25,6 +25,16 @@
  * @type boolean
  * @default true
  *
+ * @command playReplay
+ * @text Play Battle Replay
+ * @desc Fetches a recorded battle from the server and plays it back
+ *
+ * @arg channel
+ * @text Battle Channel
+ * @desc e.g. btl_1700000000000_ab12cd — empty = the last battle we fought
+ * @type string
+ * @default
+ *
  * @help
  * ============================================================================
  * ATB_MultiplayerBattle.js — Phase 5: Multiplayer Battle Sync
@@ -53,16 +63,52 @@
  *    btl/escape    — Player initiated escape
  *    btl/ready     — Player's ATB gauge filled (for verification)
  *    btl/state     — Periodic full state snapshot (HP, MP, ATB, pos)
+ *    btl/enemy_act — Enemy decision (enemy host only)
+ *    btl/damage    — HP change our action caused (server bounds-checks it)
+ *    btl/interrupt — Our cast was interrupted (gauge refund)
+ *
+ *  action/guard/state/interrupt carry `tick` (BattleManager._atbTick); state
+ *  also carries fillPerTick/castRate. The server replays these through
+ *  ATB_Sim to check the gauge was really full.
+ *
+ *  Client → Server (BROADCAST):
+ *    btl/create    — start a battle with the players who accepted our
+ *                    battle/invite; the server seats them, rolls the troop
+ *                    from the encounters of the map we are subscribed to
+ *                    and answers every member with btl/join
+ *    btl/result    — Local battle ended (informational: the server decides
+ *                    victory from its own enemy HP and persists the
+ *                    rewards, so none are rolled locally)
+ *    btl/replay    — { channel } fetch a recorded battle (answered on the
+ *                    'system' group with { success, replay, reason })
  *
  *  Server → Client (via battle channel RECV):
+ *    btl/join      — { battleId, troopId, actorIndex, players } set up the
+ *                    server's troop and join the battle channel
  *    btl/validated — Action validated and should execute
  *    btl/rejected  — Action rejected (cheat attempt or desync)
- *    btl/sync      — Authoritative state correction
+ *    btl/sync      — Authoritative state correction (actor or enemy HP)
  *    btl/peer_move — Other player's position update
  *    btl/peer_act  — Other player's validated action
- *    btl/end       — Battle ended (result from server)
+ *    btl/end       — Battle ended (result from server; carries our share of
+ *                    the server-computed rewards on victory)
  *    btl/dc        — Player disconnected
  *    btl/rc        — Player reconnected
+ *    btl/enemy_act — Enemy host's decision, applied by everyone else
+ *    btl/host      — Who decides enemy actions (sent on join and migration)
+ *    btl/seed      — Shared ATB seed; restarts the tick count for everyone
+ *
+ * Replays:
+ *  The server records every message it relays for a battle. The playReplay
+ *  command (or ATB.MultiSync.requestReplay(channel)) fetches one and runs it
+ *  through the same inbound handlers inside Scene_BattleReplay, a spectator
+ *  Scene_Battle with no input, no enemy AI, no troop events and no rewards.
+ *  The recorded players' actors (actorId, level and params from the replay
+ *  header) stand in for our own party, which is restored afterwards.
+ *    OK / click   — pause / resume
+ *    Left / Right — seek 10 seconds (jumps to state, skipping animations)
+ *    Up / Down    — playback speed (0.5x, 1x, 2x, 4x)
+ *    Cancel       — leave the replay
  *
  * Falls back gracefully to single-player when no network is available.
  */
@@ -91,6 +137,12 @@
     _localPlayerId: null,       // Our own userId
     _localActorIndex: 0,        // Which party slot we control
     _reactorsRegistered: false,
+    _awaitingRewards: false,    // In a battle whose server rewards have not arrived yet
+    _enemyHostId: null,         // userId that runs the enemy AI (server-elected)
+    _lastFillPerTick: 0,        // Last fill rate reported in btl/state
+    _seeded: false,             // btl/seed applied — ticks are meaningful to the server
+    _lastBattleChannel: null,   // Default channel for playReplay
+    _replay: null,              // Playback state while Scene_BattleReplay runs
     _disconnectedPeers: new Map() // userId -> { timestamp, aiActive }
   };
 
@@ -109,6 +161,13 @@
     }
   }
 
+  function broadcast(code, args) {
+    const c = getClient();
+    if (c && c.broadcast) {
+      c.broadcast(false, code, ...(args || []));
+    }
+  }
+
   function sendTo(targetUserId, code, args) {
     const c = getClient();
     if (c) {
@@ -135,12 +194,17 @@
 
     this._active = true;
     this._battleChannel = battleChannel;
+    this._lastBattleChannel = battleChannel;
     this._localPlayerId = getClient().userId || getClient().id;
     this._syncCounter = 0;
     this._stateCounter = 0;
     this._pendingActions = [];
     this._partyPeers.clear();
     this._disconnectedPeers.clear();
+    this._enemyHostId = null;
+    this._lastFillPerTick = 0;
+    this._seeded = false;
+    this._awaitingRewards = true;
 
     // Parse party data: [{ userId, actorIndex, username }, ...]
     if (partyData) {
@@ -228,6 +292,19 @@
       this._onPeerReconnect(args[0]);
     });
 
+    // Enemy AI authority
+    c.react('battle', 'btl/host', (from, args) => {
+      this._onEnemyHost(args[0]);
+    });
+
+    c.react('battle', 'btl/enemy_act', (from, args) => {
+      this._onEnemyAction(from, args[0]);
+    });
+
+    c.react('battle', 'btl/seed', (from, args) => {
+      this._onSeed(args[0]);
+    });
+
     // Channel join/leave notifications
     c.react('battle', '+', (from, args) => {
       console.log('[ATB_MP] Player joined battle:', from);
@@ -259,6 +336,7 @@
       position: { x: actor._battleX, y: actor._battleY },
       atbGauge: actor._atbGauge,
       tpbChargeTime: actor._tpbChargeTime,
+      tick: this._currentTick(),
       timestamp: Date.now()
     };
 
@@ -302,7 +380,18 @@
     publish('btl/guard', [{
       actorIndex: $gameParty.battleMembers().indexOf(actor),
       atbGauge: actor._atbGauge,
-      tpbChargeTime: actor._tpbChargeTime
+      tpbChargeTime: actor._tpbChargeTime,
+      tick: this._currentTick()
+    }]);
+  };
+
+  MultiSync.sendInterrupt = function(actor) {
+    if (!this._active || !this._seeded) return;
+    if (!this._isLocalActor(actor)) return;
+
+    publish('btl/interrupt', [{
+      actorIndex: $gameParty.battleMembers().indexOf(actor),
+      tick: this._currentTick()
     }]);
   };
 
@@ -315,6 +404,18 @@
     }]);
   };
 
+  MultiSync.sendEnemyAction = function(enemy, action, mode) {
+    if (!this._active || !this.isEnemyAuthority()) return;
+
+    publish('btl/enemy_act', [{
+      enemyIndex: enemy.index(),
+      skillId: action.item() ? action.item().id : 0,
+      targetIndices: action._fixedTargets || [],
+      mode: mode,
+      targetPoint: mode === 'telegraph' ? enemy._telegraphTarget : null
+    }]);
+  };
+
   MultiSync._sendFullState = function() {
     if (!this._active) return;
 
@@ -322,9 +423,17 @@
     const localActor = members[this._localActorIndex];
     if (!localActor) return;
 
+    this._lastFillPerTick = localActor.atbFillPerTick();
+
     publish('btl/state', [{
       actorIndex: this._localActorIndex,
+      tick: this._currentTick(),
+      fillPerTick: this._lastFillPerTick,
+      castRate: localActor.atbFillRate(),
+      troopId: $gameTroop._troopId,
+      actorId: localActor.actorId(),
       hp: localActor.hp,
+      mhp: localActor.mhp,
       mp: localActor.mp,
       tp: localActor.tp,
       atbGauge: localActor._atbGauge,
@@ -338,6 +447,31 @@
     }]);
   };
 
+  // ========================================================================
+  // Report HP changes from actions we own (our actor, or enemies while we
+  // are the enemy host). The server clamps implausible values and answers
+  // with btl/sync.
+  MultiSync.reportDamage = function(action, target) {
+    if (!this._active || !target) return;
+    const subject = action.subject();
+    const item = action.item();
+    if (!subject || !item) return;
+
+    const fromEnemy = subject.isEnemy();
+    if (fromEnemy ? !this.isEnemyAuthority() : !this._isLocalActor(subject)) return;
+
+    const result = target.result();
+    if (!result.hpAffected) return;
+
+    publish('btl/damage', [{
+      source: { side: fromEnemy ? 'enemy' : 'actor', index: subject.index() },
+      skillId: item.id,
+      isItem: action.isItem(),
+      target: { side: target.isEnemy() ? 'enemy' : 'actor', index: target.index() },
+      hpDamage: result.hpDamage
+    }]);
+  };
+
   // ========================================================================
   //  5. INBOUND — Handle messages from server/peers
   // ========================================================================
@@ -347,7 +481,10 @@
     const peer = this._partyPeers.get(from);
     if (!peer) return;
     peer.lastUpdate = Date.now();
+    this._applyPeerAction(data);
+  };
 
+  MultiSync._applyPeerAction = function(data) {
     const actor = $gameParty.battleMembers()[data.actorIndex];
     if (!actor) return;
 
@@ -367,6 +504,62 @@
     BattleManager.queueAtbAction(actor, action);
   };
 
+  // Solo battles always run their own enemy AI; in multiplayer only the
+  // server-elected host does, and nobody does until the host is known.
+  MultiSync.isEnemyAuthority = function() {
+    if (this._replay) return false;
+    if (!this._active) return true;
+    return !!this._enemyHostId && this._enemyHostId === this._localPlayerId;
+  };
+
+  MultiSync._onEnemyHost = function(data) {
+    if (!data) return;
+    const wasHost = this.isEnemyAuthority();
+    this._enemyHostId = data.userId || null;
+    console.log('[ATB_MP] Enemy host:', this._enemyHostId);
+
+    if (data.migrated && this._active && !wasHost && this.isEnemyAuthority()) {
+      if (SceneManager._scene && SceneManager._scene._logWindow) {
+        SceneManager._scene._logWindow.push('addText', 'You now control the enemies\' turns.');
+      }
+    }
+  };
+
+  // Everyone restarts the ATB timeline from the server's seed, so start
+  // gauges match and our ticks line up with the server's replay.
+  MultiSync._onSeed = function(data) {
+    if (!this._active || !data || typeof data.seed !== 'number') return;
+    if (this._seeded && data.seed === BattleManager._atbSeed) return;
+    BattleManager.setAtbSeed(data.seed);
+    this._seeded = true;
+    this._sendFullState();
+  };
+
+  // Ticks before btl/seed belong to our local timeline — leave them out so
+  // the server falls back to its gauge spot checks
+  MultiSync._currentTick = function() {
+    return this._seeded ? BattleManager._atbTick : undefined;
+  };
+
+  MultiSync._onEnemyAction = function(from, data) {
+    if (!this._active || !data) return;
+    if (from !== this._enemyHostId) return;
+    this._applyEnemyAction(data);
+  };
+
+  MultiSync._applyEnemyAction = function(data) {
+    const enemy = $gameTroop.members()[data.enemyIndex];
+    if (!enemy || enemy.isDead()) return;
+
+    const action = new Game_Action(enemy);
+    action.setSkill(data.skillId);
+    if (!action.item()) return;
+    action._fixedTargets = Array.isArray(data.targetIndices) ? data.targetIndices : [];
+
+    enemy._actions = [action];
+    BattleManager._beginEnemyAction(enemy, action, data.targetPoint || null);
+  };
+
   MultiSync._applyGaugeState = function(actor, data) {
     if (!actor || !data) return;
     if (typeof data.tpbChargeTime === 'number') {
@@ -393,8 +586,10 @@
     peer.lastUpdate = Date.now();
 
     const actor = $gameParty.battleMembers()[data.actorIndex];
-    if (!actor) return;
+    if (actor) this._applyPeerMove(actor, data);
+  };
 
+  MultiSync._applyPeerMove = function(actor, data) {
     // Smoothly interpolate to peer's position
     actor._atbTargetX = data.x;
     actor._atbTargetY = data.y;
@@ -428,6 +623,11 @@
 
   MultiSync._onStateSync = function(data) {
     if (!data) return;
+    // Server-tracked enemy HP
+    if (typeof data.enemyIndex === 'number') {
+      this._applyEnemySync(data);
+      return;
+    }
     // Server is sending authoritative state — apply corrections
     const actor = $gameParty.battleMembers()[data.actorIndex];
     if (!actor) return;
@@ -443,20 +643,54 @@
     if (data.dead && !actor.isDead()) actor.die();
   };
 
+  MultiSync._applyEnemySync = function(data) {
+    const enemy = $gameTroop.members()[data.enemyIndex];
+    if (!enemy || typeof data.hp !== 'number') return;
+    const wasDead = enemy.isDead();
+    enemy.setHp(data.hp);
+    if (enemy.isDead() && !wasDead) enemy.performCollapse();
+  };
+
   MultiSync._onBattleEnd = function(data) {
     if (!data) return;
     console.log('[ATB_MP] Battle ended:', data.result);
+    if (data.rewards) this._applyServerRewards(data.rewards);
     // Server says battle is over — trigger local end
-    if (data.result === 'victory') {
-      BattleManager.processVictory();
-    } else if (data.result === 'defeat') {
-      BattleManager.processDefeat();
-    } else if (data.result === 'escape') {
-      BattleManager.processEscape();
+    if ($gameParty.inBattle()) {
+      if (data.result === 'victory') {
+        BattleManager.processVictory();
+      } else if (data.result === 'defeat') {
+        BattleManager.processDefeat();
+      } else if (data.result === 'escape') {
+        BattleManager.processEscape();
+      }
     }
     this.endMultiplayerBattle();
   };
 
+  // Rewards are rolled and saved by the server; mirror our share locally
+  // so the party matches storage, and show it the way displayRewards would.
+  MultiSync._applyServerRewards = function(rewards) {
+    if (!this._awaitingRewards) return;
+    this._awaitingRewards = false;
+
+    const tables = { item: $dataItems, weapon: $dataWeapons, armor: $dataArmors };
+    if (rewards.exp > 0) {
+      for (const actor of $gameParty.allMembers()) actor.gainExp(rewards.exp);
+      $gameMessage.add(TextManager.obtainExp.format(rewards.exp, TextManager.exp));
+    }
+    if (rewards.gold > 0) {
+      $gameParty.gainGold(rewards.gold);
+      $gameMessage.add(TextManager.obtainGold.format(rewards.gold));
+    }
+    for (const drop of rewards.items || []) {
+      const item = tables[drop.dataClass] && tables[drop.dataClass][drop.itemId];
+      if (!item) continue;
+      $gameParty.gainItem(item, drop.quantity);
+      $gameMessage.add(TextManager.obtainItem.format(item.name));
+    }
+  };
+
   MultiSync._onPeerDisconnect = function(data) {
     if (!data || !data.userId) return;
     const peer = this._partyPeers.get(data.userId);
@@ -497,6 +731,10 @@
   // ========================================================================
 
   MultiSync.update = function() {
+    if (this._replay) {
+      this._updateReplay();
+      return;
+    }
     if (!this._active) return;
 
     this._syncCounter++;
@@ -511,8 +749,12 @@
       }
     }
 
-    // Full state snapshot every 5 seconds (300 frames at 60fps)
-    if (this._stateCounter >= 300) {
+    // Full state snapshot every 5 seconds (300 frames at 60fps), or right
+    // away when our fill rate changes (haste/slow) so the server's replay
+    // uses the new rate from the same tick
+    const localActor = $gameParty.battleMembers()[this._localActorIndex];
+    const fillChanged = localActor && localActor.atbFillPerTick() !== this._lastFillPerTick;
+    if (this._stateCounter >= 300 || fillChanged) {
       this._stateCounter = 0;
       this._sendFullState();
     }
@@ -571,6 +813,7 @@
   };
 
   MultiSync.isPeerActor = function(actor) {
+    if (this._replay) return true; // Spectating — nobody takes input
     if (!this._active) return false;
     const idx = $gameParty.battleMembers().indexOf(actor);
     if (idx === this._localActorIndex) return false;
@@ -596,38 +839,41 @@
   //  7. BATTLE INVITE / ACCEPT FLOW — Pre-battle P2P signaling
   // ========================================================================
 
-  MultiSync.sendBattleInvite = function(targetUserId, troopId) {
-    const channel = 'btl_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6);
+  // The server picks the seats (from the invites it relayed), the troop
+  // (from the inviter's map encounters) and the channel; both players start
+  // when its btl/join arrives.
+  MultiSync.sendBattleInvite = function(targetUserId) {
     sendTo(targetUserId, 'battle/invite', [{
       fromUserId: this._localPlayerId || (getClient() && getClient().userId),
-      fromName: $gameActors.actor(1) ? $gameActors.actor(1).name() : 'Player',
-      troopId: troopId,
-      channel: channel
+      fromName: $gameActors.actor(1) ? $gameActors.actor(1).name() : 'Player'
     }]);
-    this._pendingInviteChannel = channel;
-    this._pendingInviteTroop = troopId;
+    this._pendingInviteTarget = targetUserId;
   };
 
   MultiSync.acceptBattleInvite = function(inviteData) {
     sendTo(inviteData.fromUserId, 'battle/accept', [{
-      channel: inviteData.channel,
       userId: this._localPlayerId || (getClient() && getClient().userId),
       username: $gameActors.actor(1) ? $gameActors.actor(1).name() : 'Player'
     }]);
+    this._battlePartner = inviteData.fromUserId;
+  };
 
-    // Both players join the battle channel
-    const partyData = [
-      { userId: inviteData.fromUserId, actorIndex: 0, username: inviteData.fromName },
-      { userId: this._localPlayerId, actorIndex: 1, username: $gameActors.actor(1)?.name() || 'Player' }
-    ];
+  // Only a battle with the player we invited or accepted is joined
+  MultiSync._onBattleJoin = function(data) {
+    if (!data || !Array.isArray(data.players)) return;
+    const partner = this._battlePartner;
+    if (partner == null || !data.players.some(pd => pd.userId === partner)) {
+      broadcast('btl/leave', []);
+      return;
+    }
+    this._battlePartner = null;
 
-    // Start the troop battle
-    BattleManager.setup(inviteData.troopId, false, false);
+    BattleManager.setup(data.troopId, false, false);
     SceneManager.push(Scene_Battle);
 
     // Delayed start after scene is ready
     setTimeout(() => {
-      this.startMultiplayerBattle(inviteData.channel, partyData);
+      this.startMultiplayerBattle(data.battleId, data.players);
     }, 500);
   };
 
@@ -655,29 +901,29 @@
       if (!data) return;
       console.log('[ATB_MP] Battle invite accepted by:', data.username);
 
-      // Start the battle we invited for
-      if (this._pendingInviteChannel) {
-        const partyData = [
-          { userId: this._localPlayerId, actorIndex: 0, username: $gameActors.actor(1)?.name() || 'Player' },
-          { userId: data.userId, actorIndex: 1, username: data.username }
-        ];
-
-        BattleManager.setup(this._pendingInviteTroop, false, false);
-        SceneManager.push(Scene_Battle);
-
-        setTimeout(() => {
-          this.startMultiplayerBattle(this._pendingInviteChannel, partyData);
-        }, 500);
-
-        this._pendingInviteChannel = null;
-        this._pendingInviteTroop = null;
+      // Ask the server to start the battle we invited for
+      if (this._pendingInviteTarget != null && data.userId === this._pendingInviteTarget) {
+        broadcast('btl/create', []);
+        this._battlePartner = data.userId;
+        this._pendingInviteTarget = null;
       }
     });
 
     c.react('@', 'battle/decline', (from, args) => {
       console.log('[ATB_MP] Battle invite declined');
-      this._pendingInviteChannel = null;
-      this._pendingInviteTroop = null;
+      this._pendingInviteTarget = null;
+    });
+
+    c.react('battle', 'btl/join', (from, args) => {
+      this._onBattleJoin(args[0]);
+    });
+
+    c.react('system', 'btl/created', (from, args) => {
+      const data = args[0];
+      if (data && !data.success) {
+        console.log('[ATB_MP] Battle could not be started:', data.reason);
+        this._battlePartner = null;
+      }
     });
   };
 
@@ -700,15 +946,42 @@
     // MultiSync stays inactive
   };
 
+  // In a multiplayer battle the server owns the rewards — don't roll any here
+  const _BM_makeRewards_mp = BattleManager.makeRewards;
+  BattleManager.makeRewards = function() {
+    if (MultiSync._active) {
+      this._rewards = { gold: 0, exp: 0, items: [] };
+      return;
+    }
+    _BM_makeRewards_mp.call(this);
+  };
+
   const _BM_endBattle_mp = BattleManager.endBattle;
   BattleManager.endBattle = function(result) {
     if (MultiSync._active) {
-      publish('btl/end', [{ result: result === 0 ? 'victory' : result === 1 ? 'escape' : 'defeat' }]);
+      const outcome = result === 0 ? 'victory' : result === 1 ? 'escape' : 'defeat';
+      publish('btl/end', [{ result: outcome }]);
+      broadcast('btl/result', [{ result: outcome }]);
       MultiSync.endMultiplayerBattle();
     }
     _BM_endBattle_mp.call(this, result);
   };
 
+  const _GB_interruptCast_mp = Game_Battler.prototype.interruptCast;
+  Game_Battler.prototype.interruptCast = function() {
+    const wasCasting = this._atbCasting;
+    _GB_interruptCast_mp.call(this);
+    if (wasCasting && !this._atbCasting && MultiSync._active && this.isActor()) {
+      MultiSync.sendInterrupt(this);
+    }
+  };
+
+  const _GA_apply_mp = Game_Action.prototype.apply;
+  Game_Action.prototype.apply = function(target) {
+    _GA_apply_mp.call(this, target);
+    MultiSync.reportDamage(this, target);
+  };
+
   // Hook into action confirmation to send over network
   const _BM_confirmAtbAction_mp = BattleManager.confirmAtbAction;
   BattleManager.confirmAtbAction = function(actor) {
@@ -775,7 +1048,405 @@
   };
 
   // ========================================================================
-  //  9. INITIALIZATION
+  //  9. REPLAY PLAYBACK — Spectate a recorded battle (btl/replay)
+  // ========================================================================
+
+  const REPLAY_SPEEDS  = [0.5, 1, 2, 4];
+  const REPLAY_SEEK_MS = 10000;
+  const FRAME_MS       = 1000 / 60;
+
+  MultiSync.requestReplay = function(channel) {
+    const target = channel || this._lastBattleChannel;
+    if (!target || !getClient() || this._active || this._replay) return false;
+    broadcast('btl/replay', [{ channel: target }]);
+    return true;
+  };
+
+  MultiSync._onReplayData = function(data) {
+    if (!data) return;
+    if (!data.success || !data.replay) {
+      console.warn('[ATB_MP] Replay unavailable:', data.channel, data.reason);
+      if (!$gameParty.inBattle() && !$gameMessage.isBusy()) {
+        $gameMessage.add(data.reason === 'forbidden'
+          ? 'You may not view that battle.'
+          : 'No replay was found for that battle.');
+      }
+      return;
+    }
+    if (!$gameParty.inBattle()) this.playReplay(data.replay);
+  };
+
+  MultiSync.isReplaying = function() {
+    return !!this._replay;
+  };
+
+  // Snapshot the party, rebuild the one that fought from the replay header
+  // and stand every recorded player in as a peer so all syncs apply.
+  MultiSync.playReplay = function(replay) {
+    if (!replay || !Array.isArray(replay.events) || !$dataTroops[replay.troopId]) {
+      console.warn('[ATB_MP] Replay has no playable troop');
+      return false;
+    }
+    if (this._active || this._replay) return false;
+
+    this._replay = {
+      data: replay,
+      snapshot: JsonEx.makeDeepCopy({ party: $gameParty, actors: $gameActors }),
+      localActorIndex: this._localActorIndex,
+      initial: null,      // Battler state at battle start, for rewinding
+      clock: 0,           // ms into the recording
+      cursor: 0,          // Next event to apply
+      paused: false,
+      speed: 1,
+      finished: false
+    };
+    this._localActorIndex = -1;
+    this._buildReplayParty(replay.players);
+    this._partyPeers.clear();
+    for (const pl of replay.players || []) {
+      this._partyPeers.set(pl.userId, {
+        userId: pl.userId,
+        actorIndex: pl.actorIndex,
+        username: pl.username,
+        lastUpdate: Date.now(),
+        connected: true
+      });
+    }
+
+    BattleManager.setup(replay.troopId, false, true);
+    BattleManager.setAtbSeed(replay.seed);
+    BattleManager.saveBgmAndBgs();
+    SceneManager.push(Scene_BattleReplay);
+    console.log('[ATB_MP] Playing replay:', replay.channel, replay.events.length, 'events');
+    return true;
+  };
+
+  // Fresh actors per seat (several players may share a database actor), at
+  // the recorded level with the recorded params. Recordings without them
+  // keep our own party.
+  MultiSync._buildReplayParty = function(players) {
+    const seats = (players || [])
+      .filter(pl => $dataActors[pl.actorId] && Array.isArray(pl.params))
+      .sort((a, b) => a.actorIndex - b.actorIndex);
+    if (seats.length === 0) return;
+
+    $gameActors = new Game_Actors();
+    $gameParty = new Game_Party();
+    $gameParty._replayMembers = seats.map(pl => {
+      const actor = new Game_Actor(pl.actorId);
+      actor._level = pl.level || actor._level;
+      actor.initExp();
+      actor._replayParams = pl.params.slice(0, 8);
+      if (pl.username) actor.setName(pl.username);
+      actor.recoverAll();
+      return actor;
+    });
+  };
+
+  MultiSync.stopReplay = function() {
+    const r = this._replay;
+    if (!r) return;
+    $gameParty = r.snapshot.party;
+    $gameActors = r.snapshot.actors;
+    this._localActorIndex = r.localActorIndex;
+    this._partyPeers.clear();
+    this._replay = null;
+    BattleManager.replayBgmAndBgs();
+  };
+
+  MultiSync.replayDuration = function() {
+    const r = this._replay;
+    if (!r) return 0;
+    const events = r.data.events;
+    const last = events.length > 0 ? events[events.length - 1][0] : 0;
+    return Math.max(r.data.duration || 0, last);
+  };
+
+  // Called once the battle scene has placed everyone
+  MultiSync._captureReplayStart = function() {
+    const capture = (b) => ({
+      hp: b.hp, mp: b.mp, tp: b.tp, x: b._battleX, y: b._battleY, hidden: b.isHidden()
+    });
+    this._replay.initial = {
+      actors: $gameParty.battleMembers().map(capture),
+      enemies: $gameTroop.members().map(capture)
+    };
+  };
+
+  // One BattleManager.update = one recorded frame
+  MultiSync._updateReplay = function() {
+    const r = this._replay;
+    if (r.paused || r.finished) return;
+    r.clock += FRAME_MS;
+    this._applyReplayEvents(r.clock, false);
+    this._interpolatePeers();
+  };
+
+  // `instant` (seeking) applies positions, HP and gauges but skips actions,
+  // which would queue animations for every event passed over.
+  MultiSync._applyReplayEvents = function(until, instant) {
+    const r = this._replay;
+    const events = r.data.events;
+    while (r.cursor < events.length && events[r.cursor][0] <= until) {
+      const [, code, payload] = events[r.cursor++];
+      if (payload) this._applyReplayEvent(code, payload, instant);
+    }
+  };
+
+  MultiSync._applyReplayEvent = function(code, payload, instant) {
+    switch (code) {
+      case 'btl/peer_act':
+        if (payload.isEscape) {
+          if (!instant) this._replayLog(this._replayName(payload.actorIndex) + ' tried to escape');
+        } else if (!instant) {
+          this._applyPeerAction(payload);
+        }
+        break;
+      case 'btl/peer_move': {
+        const actor = $gameParty.battleMembers()[payload.actorIndex];
+        if (!actor) break;
+        this._applyPeerMove(actor, payload);
+        if (instant) {
+          actor._battleX = payload.x;
+          actor._battleY = payload.y;
+        }
+        break;
+      }
+      case 'btl/sync':
+        this._onStateSync(payload);
+        break;
+      case 'btl/enemy_act':
+        if (!instant) this._applyEnemyAction(payload);
+        break;
+      case 'btl/end':
+        this._replay.finished = true;
+        this._replayLog('Battle result: ' + payload.result);
+        break;
+    }
+  };
+
+  MultiSync._replayName = function(actorIndex) {
+    for (const peer of this._partyPeers.values()) {
+      if (peer.actorIndex === actorIndex && peer.username) return peer.username;
+    }
+    const actor = $gameParty.battleMembers()[actorIndex];
+    return actor ? actor.name() : 'Player';
+  };
+
+  MultiSync._replayLog = function(text) {
+    if (SceneManager._scene && SceneManager._scene._logWindow) {
+      SceneManager._scene._logWindow.push('addText', text);
+    }
+  };
+
+  MultiSync.toggleReplayPause = function() {
+    const r = this._replay;
+    if (!r) return;
+    if (r.finished) {
+      this.seekReplay(0);
+      r.paused = false;
+      return;
+    }
+    r.paused = !r.paused;
+  };
+
+  MultiSync.changeReplaySpeed = function(step) {
+    const r = this._replay;
+    if (!r) return;
+    const i = REPLAY_SPEEDS.indexOf(r.speed);
+    r.speed = REPLAY_SPEEDS[Math.max(0, Math.min(REPLAY_SPEEDS.length - 1, i + step))];
+  };
+
+  MultiSync.seekReplay = function(ms) {
+    const r = this._replay;
+    if (!r || !r.initial) return;
+    const target = Math.max(0, Math.min(ms, this.replayDuration()));
+    if (target < r.clock) this._rewindReplay();
+    r.clock = target;
+    this._applyReplayEvents(target, true);
+    r.finished = r.cursor >= r.data.events.length;
+  };
+
+  // Back to the battle's opening state: same seed, same gauges
+  MultiSync._rewindReplay = function() {
+    const r = this._replay;
+    const reset = (battler, init) => {
+      if (!battler || !init) return;
+      battler.clearActions();
+      battler.clearStates();
+      battler._hp = init.hp;
+      battler._mp = init.mp;
+      battler._tp = init.tp;
+      battler._atbCasting = false;
+      battler._atbCastAction = null;
+      battler._isGuarding = false;
+      battler._atbMoving = false;
+      battler._battleX = battler._atbTargetX = init.x;
+      battler._battleY = battler._atbTargetY = init.y;
+    };
+
+    BattleManager._atbActionQueue = [];
+    $gameParty.battleMembers().forEach((actor, i) => reset(actor, r.initial.actors[i]));
+    $gameTroop.members().forEach((enemy, i) => {
+      const init = r.initial.enemies[i];
+      reset(enemy, init);
+      if (init && init.hidden) enemy.hide();
+      else enemy.appear();
+    });
+    BattleManager.setAtbSeed(r.data.seed);
+
+    r.clock = 0;
+    r.cursor = 0;
+    r.finished = false;
+  };
+
+  // Spectator party (_buildReplayParty); gone with the restored $gameParty
+  const _GP_allMembers_mp = Game_Party.prototype.allMembers;
+  Game_Party.prototype.allMembers = function() {
+    return this._replayMembers || _GP_allMembers_mp.call(this);
+  };
+
+  const _GA_param_mp = Game_Actor.prototype.param;
+  Game_Actor.prototype.param = function(paramId) {
+    if (this._replayParams) return this._replayParams[paramId] || 0;
+    return _GA_param_mp.call(this, paramId);
+  };
+
+  // The recording decides outcomes; nothing ends, fires or pays out locally
+  const _BM_checkBattleEnd_mp = BattleManager.checkBattleEnd;
+  BattleManager.checkBattleEnd = function() {
+    if (MultiSync._replay) return false;
+    return _BM_checkBattleEnd_mp.call(this);
+  };
+
+  const _GT_setupBattleEvent_mp = Game_Troop.prototype.setupBattleEvent;
+  Game_Troop.prototype.setupBattleEvent = function() {
+    if (MultiSync._replay) return;
+    _GT_setupBattleEvent_mp.call(this);
+  };
+
+  class Window_BattleReplay extends Window_Base {
+    initialize(rect) {
+      super.initialize(rect);
+      this._text = '';
+    }
+
+    update() {
+      super.update();
+      const r = MultiSync._replay;
+      if (!r) return;
+      const state = r.finished ? 'END' : r.paused ? 'PAUSED' : 'PLAY';
+      const text = `REPLAY  ${state}  x${r.speed}  ` +
+        `${this.formatTime(r.clock)} / ${this.formatTime(MultiSync.replayDuration())}`;
+      if (text !== this._text) {
+        this._text = text;
+        this.refresh();
+      }
+    }
+
+    formatTime(ms) {
+      const sec = Math.floor(ms / 1000);
+      return Math.floor(sec / 60) + ':' + String(sec % 60).padStart(2, '0');
+    }
+
+    refresh() {
+      this.contents.clear();
+      const w = this.innerWidth;
+      this.drawText(this._text, 0, 0, w, 'left');
+      this.changeTextColor(ColorManager.systemColor());
+      this.drawText('OK: Pause  ←→: Seek  ↑↓: Speed  Esc: Exit', 0, 0, w, 'right');
+      this.resetTextColor();
+    }
+  }
+
+  // Spectator-only battle: no command windows, no autosave, and the scene
+  // clock runs at the replay speed.
+  class Scene_BattleReplay extends Scene_Battle {
+    create() {
+      super.create();
+      this._replayFrames = 0;
+      const rect = new Rectangle(0, 0, Graphics.boxWidth, this.calcWindowHeight(1, false));
+      this._replayWindow = new Window_BattleReplay(rect);
+      this.addWindow(this._replayWindow);
+    }
+
+    start() {
+      super.start();
+      MultiSync._captureReplayStart();
+    }
+
+    update() {
+      if (MultiSync._replay && this.isActive() && !this.isBusy()) this.updateReplayInput();
+      super.update();
+    }
+
+    updateReplayInput() {
+      const r = MultiSync._replay;
+      if (Input.isTriggered('cancel') || TouchInput.isCancelled()) {
+        SoundManager.playCancel();
+        this.popScene();
+      } else if (Input.isTriggered('ok') || TouchInput.isTriggered()) {
+        MultiSync.toggleReplayPause();
+      } else if (Input.isRepeated('left')) {
+        MultiSync.seekReplay(r.clock - REPLAY_SEEK_MS);
+      } else if (Input.isRepeated('right')) {
+        MultiSync.seekReplay(r.clock + REPLAY_SEEK_MS);
+      } else if (Input.isTriggered('up')) {
+        MultiSync.changeReplaySpeed(1);
+      } else if (Input.isTriggered('down')) {
+        MultiSync.changeReplaySpeed(-1);
+      }
+    }
+
+    updateBattleProcess() {
+      const r = MultiSync._replay;
+      if (!r || r.paused) return;
+      this._replayFrames += r.speed;
+      while (this._replayFrames >= 1) {
+        this._replayFrames--;
+        super.updateBattleProcess();
+      }
+    }
+
+    isTimeActive() {
+      return true;
+    }
+
+    updateAtbInput() {
+      // Spectating
+    }
+
+    changeInputWindow() {
+      this.hideSubInputWindows();
+      this.endCommandSelection();
+    }
+
+    shouldAutosave() {
+      return false;
+    }
+
+    terminate() {
+      super.terminate();
+      MultiSync.stopReplay();
+    }
+  }
+
+  window.Scene_BattleReplay = Scene_BattleReplay;
+
+  MultiSync._registerReplayListener = function() {
+    const c = getClient();
+    if (!c) return;
+    c.react('system', 'btl/replay', (from, args) => {
+      this._onReplayData(args[0]);
+    });
+  };
+
+  PluginManager.registerCommand('ATB_MultiplayerBattle', 'playReplay', args => {
+    MultiSync.requestReplay(String(args.channel || '').trim() || null);
+  });
+
+  // ========================================================================
+  //  10. INITIALIZATION
   // ========================================================================
 
   // Register invite listeners when client is ready
@@ -784,12 +1455,13 @@
     if (_SM_onSceneStart) _SM_onSceneStart.call(this);
     if (getClient() && !MultiSync._inviteListenerReady) {
       MultiSync._registerInviteListener();
+      MultiSync._registerReplayListener();
       MultiSync._inviteListenerReady = true;
     }
   };
 
   // ========================================================================
-  //  10. EXPORTS
+  //  11. EXPORTS
   // ========================================================================
 
   ATB.MultiSync = MultiSync;
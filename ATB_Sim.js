@@ -0,0 +1,246 @@
+/*:
+ * @target MZ
+ * @plugindesc [ATB v3.0] Sim — Deterministic tick-based ATB math (shared with the server)
+ * @author Hyaku no Sekai
+ *
+ * @help
+ * ============================================================================
+ * ATB_Sim v3.0 — Deterministic ATB Core
+ * ============================================================================
+ *
+ * Pure, tick-based versions of the ATB gauge, cast-time and guard math,
+ * with a seeded RNG. No RPG Maker globals are touched, so the same file is
+ * loaded as a plugin (window.ATB_Sim, used by ATB_Core) and required by the
+ * server (battle.js) to replay a battle's action log and verify gauges.
+ *
+ * A tick is one BattleManager.update — MZ runs a fixed 60 updates/second.
+ * Gauges are integers in [0, MAX_GAUGE], so replays match bit for bit.
+ *
+ * Timeline log entries ({ tick, index, type, ... }, index = actorIndex):
+ *   rate       — { fill }             gauge units per tick from now on
+ *   act        — { castTicks? }       needs a full gauge, spends it
+ *   guard      — needs a full gauge, spends it
+ *   interrupt  — only while casting; refunds INTERRUPT_REFUND
+ *
+ * Place above ATB_Core.
+ */
+
+(() => {
+  "use strict";
+
+  const Sim = {
+    TICKS_PER_SECOND:   60,
+    MAX_GAUGE:          10000,
+    INITIAL_GAUGE_MAX:  0.5,   // Battle start: up to half a gauge (MZ initTpbChargeTime)
+    INTERRUPT_REFUND:   0.5,   // Must match ATB_Core INTERRUPT_GAUGE_REFUND
+    MAX_RELATIVE_SPEED: 2.0,   // Fastest battler vs. party base speed we accept
+    REFERENCE_TIME:     240,   // $gameParty.tpbReferenceTime() in active mode
+  };
+
+  // ========================================================================
+  // SEEDED RNG — mulberry32
+  // ========================================================================
+
+  Sim.createRng = function(seed) {
+    let state = seed >>> 0;
+    return {
+      next() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      },
+      int(n) {
+        return Math.floor(this.next() * n);
+      },
+      state() {
+        return state;
+      }
+    };
+  };
+
+  /**
+   * Independent sub-seed per purpose (FNV-1a over "seed:part:part...").
+   */
+  Sim.deriveSeed = function(seed, ...parts) {
+    const str = [seed, ...parts].join(":");
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  };
+
+  Sim.randomSeed = function() {
+    return (Math.floor(Math.random() * 0x7fffffff) + 1) >>> 0;
+  };
+
+  // ========================================================================
+  // GAUGE MATH
+  // ========================================================================
+
+  /**
+   * Starting gauge for one battler. side: "actor" | "enemy".
+   */
+  Sim.initialGauge = function(seed, side, index, advantageous) {
+    if (advantageous) return Sim.MAX_GAUGE;
+    const rng = Sim.createRng(Sim.deriveSeed(seed, "init", side, index));
+    return Math.floor(rng.next() * Sim.MAX_GAUGE * Sim.INITIAL_GAUGE_MAX);
+  };
+
+  /**
+   * Gauge units gained per tick — MZ tpbAcceleration (relative speed over
+   * the reference time), quantized to a whole unit.
+   */
+  Sim.fillPerTick = function(relativeSpeed, referenceTime) {
+    const ref = referenceTime || Sim.REFERENCE_TIME;
+    return Math.max(1, Math.round(Sim.MAX_GAUGE * Math.max(0, relativeSpeed) / ref));
+  };
+
+  Sim.maxFillPerTick = function(referenceTime) {
+    return Sim.fillPerTick(Sim.MAX_RELATIVE_SPEED, referenceTime);
+  };
+
+  Sim.fillGauge = function(gauge, fill) {
+    return Math.min(Sim.MAX_GAUGE, gauge + fill);
+  };
+
+  /**
+   * ATB_Core's AGI-based speed, used for cast times.
+   */
+  Sim.atbFillRate = function(o) {
+    const agi = Math.max(1, o.agi || 0);
+    const base = (agi / o.referenceAgi) * (o.battleSpeed || 1);
+    return base * (1.0 + (o.equipBonus || 0)) * (o.stateMod === undefined ? 1 : o.stateMod);
+  };
+
+  /**
+   * Ticks a cast of `castTime` lasts at `fillRate` (the old per-frame timer
+   * decremented by fillRate / 60).
+   */
+  Sim.castTicks = function(castTime, fillRate) {
+    if (!(castTime > 0)) return 0;
+    return Math.max(1, Math.ceil(castTime * Sim.TICKS_PER_SECOND / Math.max(fillRate, 0.01)));
+  };
+
+  Sim.interruptGauge = function(refund) {
+    return Math.round(Sim.MAX_GAUGE * (refund === undefined ? Sim.INTERRUPT_REFUND : refund));
+  };
+
+  Sim.guardDamage = function(value, rate) {
+    return value > 0 ? Math.floor(value * rate) : value;
+  };
+
+  // ========================================================================
+  // TIMELINE — Replay an action log and flag impossible entries
+  // ========================================================================
+
+  /**
+   * Timeline for one battle. apply() advances the entry's battler to its tick
+   * and returns null, or a violation { reason, entry, gauge }.
+   */
+  Sim.createTimeline = function(seed) {
+    const battlers = new Map(); // index -> { gauge, tick, fill, castEnd }
+    const log = [];
+
+    const getBattler = (index) => {
+      let b = battlers.get(index);
+      if (!b) {
+        b = { gauge: Sim.initialGauge(seed, "actor", index, false), tick: 0, fill: 0, castEnd: null };
+        battlers.set(index, b);
+      }
+      return b;
+    };
+
+    const advance = (b, tick) => {
+      if (b.castEnd !== null) {
+        if (tick < b.castEnd) {
+          b.tick = tick;
+          return;
+        }
+        b.gauge = 0;
+        b.tick = b.castEnd;
+        b.castEnd = null;
+      }
+      b.gauge = Math.min(Sim.MAX_GAUGE, b.gauge + b.fill * (tick - b.tick));
+      b.tick = tick;
+    };
+
+    // One tick of slack: a client reports a rate change on the tick it
+    // notices it, after that tick's fill already used the new rate.
+    const spend = (b, entry) => {
+      if (b.castEnd !== null || b.gauge + b.fill < Sim.MAX_GAUGE) {
+        return { reason: "gauge_not_full", entry, gauge: b.gauge };
+      }
+      b.gauge = 0;
+      if (entry.castTicks > 0) b.castEnd = entry.tick + entry.castTicks;
+      return null;
+    };
+
+    const step = (b, entry) => {
+      switch (entry.type) {
+        case "rate":
+          b.fill = Math.max(0, Math.floor(entry.fill || 0));
+          return null;
+        case "act":
+        case "guard":
+          return spend(b, entry);
+        case "interrupt":
+          if (b.castEnd === null) return { reason: "not_casting", entry, gauge: b.gauge };
+          b.castEnd = null;
+          b.gauge = Sim.interruptGauge();
+          return null;
+        default:
+          return null;
+      }
+    };
+
+    return {
+      seed,
+      log,
+      apply(entry) {
+        const b = getBattler(entry.index);
+        if (!Number.isInteger(entry.tick) || entry.tick < b.tick) {
+          return { reason: "tick_regress", entry, gauge: b.gauge };
+        }
+        advance(b, entry.tick);
+
+        // Only accepted entries are logged, so Sim.replay doesn't report
+        // rejections a second time
+        const violation = step(b, entry);
+        if (!violation) log.push(entry);
+        return violation;
+      },
+      gaugeAt(index, tick) {
+        const b = getBattler(index);
+        if (tick >= b.tick) advance(b, tick);
+        return b.castEnd !== null ? 0 : b.gauge;
+      }
+    };
+  };
+
+  /**
+   * Replay a whole log from scratch. Returns every violation found.
+   */
+  Sim.replay = function(seed, log) {
+    const timeline = Sim.createTimeline(seed);
+    const violations = [];
+    for (const entry of log) {
+      const v = timeline.apply(entry);
+      if (v) violations.push(v);
+    }
+    return violations;
+  };
+
+  // ========================================================================
+  // EXPORTS
+  // ========================================================================
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = Sim;
+  } else {
+    window.ATB_Sim = Sim;
+  }
+})();
@@ -0,0 +1,884 @@
+/*:
+ * @target MZ
+ * @plugindesc v1.0.0 Auction House (server-held listings, buyout and bidding)
+ * @author Nate
+ *
+ * @command openAuction
+ * @text Open Auction House
+ * @desc Opens the auction house (browse, bid, buy, sell)
+ *
+ * @param mmoGlobalName
+ * @text MMO Global Name
+ * @type string
+ * @default client
+ * @desc Name of the global MMO client object (e.g., client, MMO, MMORPG)
+ *
+ * @help
+ * ============================================================================
+ * SERVER REQUIREMENTS
+ * ============================================================================
+ * Requires server-side routing for:
+ * - ah/post, ah/browse, ah/mine, ah/buy, ah/bid, ah/cancel (group "auction")
+ *
+ * See included server files:
+ * - auction.js
+ * - mail.js (purchases, proceeds, refunds and unsold items arrive as parcels)
+ * and handler.js routing updates.
+ * ============================================================================
+ * USAGE
+ * ============================================================================
+ * - Browse pages through every active listing; Q/W (PageUp/PageDown) flip
+ *   pages. Filter narrows by type, price range and sort order; "Same Item" on
+ *   a listing shows only that item.
+ * - Listings have a buyout price, a starting bid, or both. A bid at or above
+ *   the buyout buys the listing outright.
+ * - Sell takes the stack from your inventory right away and charges the
+ *   listing fee (5% of the buyout or starting bid, at least 1). The fee is not
+ *   refunded.
+ * - Nothing is handed over in person: whatever you win, earn, get refunded or
+ *   fail to sell arrives in your mailbox as a parcel to claim.
+ * - Key items and items tagged <Soulbound> cannot be listed.
+ * ============================================================================
+ */
+
+(() => {
+  'use strict';
+
+  const pluginName = 'MMORPG_Auction';
+  const parameters = PluginManager.parameters(pluginName);
+  const mmoGlobalName = parameters['mmoGlobalName'] || 'client';
+
+  // Mirrors auction.js
+  const AUCTION_PAGE_SIZE = 20;
+  const LISTING_FEE_RATE = 0.05;
+  const MIN_LISTING_FEE = 1;
+  const LISTING_HOURS = [12, 24, 48];
+  const AUCTION_TYPES = [null, 'item', 'weapon', 'armor'];
+  const AUCTION_SORTS = ['price', 'price_desc', 'ending', 'newest'];
+
+  // --------------------------------------------------------------------------
+  // MMO Helpers
+  // --------------------------------------------------------------------------
+  function getMMO() {
+    return window[mmoGlobalName] || null;
+  }
+
+  function safeBroadcast(command, args) {
+    const mmo = getMMO();
+    if (!mmo) return false;
+
+    try {
+      if (typeof mmo.broadcast === 'function') {
+        mmo.broadcast(false, command, ...(args || []));
+        return true;
+      }
+      if (mmo.net && typeof mmo.net.broadcast === 'function') {
+        mmo.net.broadcast(false, command, ...(args || []));
+        return true;
+      }
+    } catch (err) {
+      console.error(`[Auction] safeBroadcast failed: ${err.message}`);
+      return false;
+    }
+
+    return false;
+  }
+
+  function getReactFn() {
+    const mmo = getMMO();
+    if (!mmo) return null;
+
+    if (mmo.net?.react) {
+      return (group, event, cb) => mmo.net.react(group, event, cb);
+    } else if (mmo.unsafeReact) {
+      return (group, event, cb) => mmo.unsafeReact(Scene_Base, group, event, (scene, from, ...args) => cb([args[0]], from));
+    } else if (mmo.react) {
+      return (group, event, cb) => mmo.react(Scene_Base, group, event, (scene, from, ...args) => cb([args[0]], from));
+    }
+    return null;
+  }
+
+  function chatSystem(text) {
+    const chat = window.chat;
+    if (!chat || typeof chat.addMessage !== 'function') return;
+    chat.addMessage('[Auction]', text, 'white');
+  }
+
+  function auctionItemData(dataClass, itemId) {
+    switch (dataClass) {
+      case 'item': return $dataItems[itemId];
+      case 'weapon': return $dataWeapons[itemId];
+      case 'armor': return $dataArmors[itemId];
+      default: return null;
+    }
+  }
+
+  function auctionDataClass(item) {
+    if (DataManager.isItem(item)) return 'item';
+    if (DataManager.isWeapon(item)) return 'weapon';
+    if (DataManager.isArmor(item)) return 'armor';
+    return null;
+  }
+
+  function isListable(item) {
+    if (!item || !auctionDataClass(item)) return false;
+    if (DataManager.isItem(item) && item.itypeId === 2) return false; // key items
+    return !(item.meta && item.meta.Soulbound);
+  }
+
+  function listingFee(price) {
+    return Math.max(MIN_LISTING_FEE, Math.floor(price * LISTING_FEE_RATE));
+  }
+
+  function typeLabel(dataClass) {
+    switch (dataClass) {
+      case 'item': return 'Items';
+      case 'weapon': return 'Weapons';
+      case 'armor': return 'Armors';
+      default: return 'All';
+    }
+  }
+
+  function sortLabel(sort) {
+    switch (sort) {
+      case 'price_desc': return 'Price (high first)';
+      case 'ending': return 'Ending soon';
+      case 'newest': return 'Newest';
+      default: return 'Price (low first)';
+    }
+  }
+
+  function timeLeft(expiresAt) {
+    const mins = Math.max(0, Math.floor((Number(expiresAt) - Date.now()) / 60000));
+    if (mins >= 60) return `${Math.floor(mins / 60)}h`;
+    return `${Math.max(1, mins)}m`;
+  }
+
+  function listingName(listing) {
+    const name = auctionItemData(listing.dataClass, listing.itemId)?.name || `${listing.dataClass} #${listing.itemId}`;
+    return listing.quantity > 1 ? `${name} x${listing.quantity}` : name;
+  }
+
+  // --------------------------------------------------------------------------
+  // Auction Manager
+  // --------------------------------------------------------------------------
+  function defaultAuctionView() {
+    return {
+      mode: 'browse', // 'browse' | 'mine'
+      dataClass: null,
+      itemId: null,
+      minPrice: 0,
+      maxPrice: 0,
+      sort: 'price',
+      offset: 0,
+      limit: AUCTION_PAGE_SIZE
+    };
+  }
+
+  class AuctionManager {
+    constructor() {
+      this.view = defaultAuctionView();
+      this.page = null;  // last ah/browse/res
+      this.mine = null;  // last ah/mine/res
+      this._handlers = {};
+      this._setupNetworkHandlers();
+    }
+
+    on(event, cb) {
+      if (!this._handlers[event]) this._handlers[event] = [];
+      this._handlers[event].push(cb);
+    }
+
+    _emit(event, payload) {
+      const list = this._handlers[event];
+      if (!list) return;
+      for (const cb of list) {
+        try { cb(payload); } catch (_) {}
+      }
+    }
+
+    _setupNetworkHandlers() {
+      const reactFn = getReactFn();
+      if (!reactFn) {
+        setTimeout(() => this._setupNetworkHandlers(), 1000);
+        return;
+      }
+
+      reactFn('auction', 'ah/browse/res', (args) => this._onBrowse(args[0]));
+      reactFn('auction', 'ah/mine/res', (args) => this._onMine(args[0]));
+      reactFn('auction', 'ah/post/res', (args) => this._onAction('post', args[0]));
+      reactFn('auction', 'ah/buy/res', (args) => this._onAction('buy', args[0]));
+      reactFn('auction', 'ah/bid/res', (args) => this._onAction('bid', args[0]));
+      reactFn('auction', 'ah/cancel/res', (args) => this._onAction('cancel', args[0]));
+    }
+
+    resetView() {
+      this.view = defaultAuctionView();
+      this.page = null;
+      this.mine = null;
+    }
+
+    // Re-request whatever the auction house is showing
+    refresh(patch = null) {
+      if (patch) Object.assign(this.view, patch);
+      if (this.view.mode === 'mine') {
+        this.mine = null;
+        safeBroadcast('ah/mine', []);
+        return;
+      }
+      this.page = null;
+      const { dataClass, itemId, minPrice, maxPrice, sort, offset, limit } = this.view;
+      safeBroadcast('ah/browse', [{ dataClass, itemId, minPrice, maxPrice, sort, offset, limit }]);
+    }
+
+    // Rows for the current view, or null while they are on their way
+    listings() {
+      if (this.view.mode === 'mine') {
+        if (!this.mine) return null;
+        return [...(this.mine.listings || []), ...(this.mine.bids || [])];
+      }
+      return this.page ? (this.page.listings || []) : null;
+    }
+
+    post(spec) { return safeBroadcast('ah/post', [spec]); }
+    buy(listing) { return safeBroadcast('ah/buy', [listing.id, listing.buyout]); }
+    bid(listing, amount) { return safeBroadcast('ah/bid', [listing.id, amount]); }
+    cancel(listing) { return safeBroadcast('ah/cancel', [listing.id]); }
+
+    _applyTotals(data) {
+      if (typeof data.gold === 'number') {
+        $gameParty._gold = data.gold;
+      }
+      for (const { dataClass, itemId, owned } of data.items || []) {
+        const item = auctionItemData(dataClass, itemId);
+        if (!item || typeof owned !== 'number') continue;
+        const delta = owned - $gameParty.numItems(item);
+        if (delta) {
+          const gain = $gameParty.rawGainItem || $gameParty.gainItem;
+          gain.call($gameParty, item, delta, false);
+        }
+      }
+    }
+
+    _onBrowse(data) {
+      if (!data) return;
+      if (!data.success) {
+        chatSystem(data.error || 'Could not load listings.');
+        this.page = { listings: [], total: 0, offset: 0, limit: AUCTION_PAGE_SIZE };
+      } else {
+        this.page = data;
+      }
+      this._emit('updated');
+    }
+
+    _onMine(data) {
+      if (!data) return;
+      this.mine = data.success ? data : { listings: [], bids: [] };
+      this._emit('updated');
+    }
+
+    _onAction(action, data) {
+      if (!data) return;
+      if (!data.success) {
+        chatSystem(data.error || 'The auction house could not do that.');
+        this._emit('result', { action, data });
+        return;
+      }
+
+      this._applyTotals(data);
+      switch (action) {
+        case 'post':
+          chatSystem(`Listed ${listingName(data.listing)} (fee ${data.fee} ${TextManager.currencyUnit}).`);
+          break;
+        case 'buy':
+          chatSystem(`Bought for ${data.price} ${TextManager.currencyUnit}. Your purchase is in the mail.`);
+          break;
+        case 'bid':
+          chatSystem(data.bought
+            ? `Your bid met the buyout (${data.price} ${TextManager.currencyUnit}). Your purchase is in the mail.`
+            : `Bid placed on ${listingName(data.listing)}.`);
+          break;
+        case 'cancel':
+          chatSystem('Listing cancelled. The items are on their way back by mail.');
+          break;
+      }
+      this._emit('result', { action, data });
+      this.refresh();
+    }
+  }
+
+  const Auction = new AuctionManager();
+  window.Auction = Auction;
+
+  PluginManager.registerCommand(pluginName, 'openAuction', () => {
+    Auction.resetView();
+    SceneManager.push(Scene_AuctionHouse);
+  });
+
+  // --------------------------------------------------------------------------
+  // Window: Tabs
+  // --------------------------------------------------------------------------
+  class Window_AuctionCommand extends Window_HorzCommand {
+    maxCols() {
+      return 5;
+    }
+
+    makeCommandList() {
+      this.addCommand('Browse', 'browse');
+      this.addCommand('Filter', 'filter');
+      this.addCommand('My Auctions', 'mine');
+      this.addCommand('Sell', 'sell');
+      this.addCommand('Close', 'close');
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Window: Listings
+  // --------------------------------------------------------------------------
+  class Window_AuctionList extends Window_Selectable {
+    initialize(rect) {
+      super.initialize(rect);
+      this._data = null;
+      this.refresh();
+    }
+
+    setData(data) {
+      this._data = data;
+      this.refresh();
+    }
+
+    isLoading() {
+      return this._data === null;
+    }
+
+    maxItems() {
+      return this._data ? this._data.length : 0;
+    }
+
+    item() {
+      return this._data ? this._data[this.index()] || null : null;
+    }
+
+    isCurrentItemEnabled() {
+      return !!this.item();
+    }
+
+    refresh() {
+      super.refresh();
+      if (this.isLoading()) {
+        this.drawText('Loading...', 0, 0, this.innerWidth, 'center');
+      } else if (this.maxItems() === 0) {
+        this.drawText('No listings.', 0, 0, this.innerWidth, 'center');
+      }
+    }
+
+    drawItem(index) {
+      const listing = this._data[index];
+      if (!listing) return;
+      const rect = this.itemLineRect(index);
+      const unit = TextManager.currencyUnit;
+      const priceW = 260;
+      const timeW = 60;
+
+      const item = auctionItemData(listing.dataClass, listing.itemId);
+      if (item) {
+        this.drawIcon(item.iconIndex, rect.x, rect.y + 2);
+      }
+      const nameX = rect.x + ImageManager.iconWidth + 4;
+      const tag = listing.mine ? ' (yours)' : (listing.leading ? ' (leading)' : '');
+      this.resetTextColor();
+      this.drawText(listingName(listing) + tag, nameX, rect.y, rect.width - (nameX - rect.x) - priceW - timeW);
+
+      const parts = [];
+      if (listing.minBid != null) parts.push(`${listing.hasBids ? 'Bid' : 'Start'} ${listing.hasBids ? listing.bid : listing.startBid} ${unit}`);
+      if (listing.buyout > 0) parts.push(`Buy ${listing.buyout} ${unit}`);
+      this.drawText(parts.join('  '), rect.x + rect.width - priceW - timeW, rect.y, priceW, 'right');
+
+      this.changeTextColor(ColorManager.systemColor());
+      this.drawText(timeLeft(listing.expiresAt), rect.x + rect.width - timeW, rect.y, timeW, 'right');
+      this.resetTextColor();
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Window: Page / filter summary + gold
+  // --------------------------------------------------------------------------
+  class Window_AuctionStatus extends Window_Base {
+    initialize(rect) {
+      super.initialize(rect);
+      this.refresh();
+    }
+
+    refresh() {
+      this.contents.clear();
+      const view = Auction.view;
+      const unit = TextManager.currencyUnit;
+      let text;
+
+      if (view.mode === 'mine') {
+        const mine = Auction.mine;
+        text = mine ? `My Auctions: ${(mine.listings || []).length} listed, ${(mine.bids || []).length} leading bids` : 'My Auctions';
+      } else {
+        const page = Auction.page;
+        const pages = page ? Math.max(1, Math.ceil(page.total / view.limit)) : 1;
+        const current = Math.floor(view.offset / view.limit) + 1;
+        const filters = [typeLabel(view.dataClass)];
+        if (view.itemId) {
+          const item = auctionItemData(view.dataClass, view.itemId);
+          filters.push(item ? item.name : `#${view.itemId}`);
+        }
+        if (view.minPrice > 0) filters.push(`>= ${view.minPrice}`);
+        if (view.maxPrice > 0) filters.push(`<= ${view.maxPrice}`);
+        text = `Page ${current}/${pages} (${page ? page.total : 0})  ${filters.join(', ')}`;
+      }
+
+      const goldText = `${$gameParty.gold()} ${unit}`;
+      const goldW = this.textWidth(goldText) + 8;
+      this.drawText(text, 0, 0, this.innerWidth - goldW);
+      this.drawText(goldText, 0, 0, this.innerWidth, 'right');
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Window: Rows whose values change with Left/Right (Shift: larger steps)
+  //   field: { symbol, label, value() -> string, adjust?(dir, big), enabled?() }
+  //   OK does nothing on rows the scene set no handler for.
+  // --------------------------------------------------------------------------
+  class Window_AuctionForm extends Window_Command {
+    initialize(rect) {
+      this._fields = [];
+      super.initialize(rect);
+      this.openness = 0;
+      this.hide();
+      this.deactivate();
+    }
+
+    setFields(fields) {
+      this._fields = fields || [];
+      this.refresh();
+      this.select(0);
+    }
+
+    makeCommandList() {
+      for (const field of this._fields || []) {
+        this.addCommand(field.label, field.symbol, field.enabled ? field.enabled() : true);
+      }
+    }
+
+    currentField() {
+      return this._fields[this.index()] || null;
+    }
+
+    processOk() {
+      const field = this.currentField();
+      if (field && !this.isHandled(field.symbol)) return;
+      super.processOk();
+    }
+
+    cursorRight() {
+      this.adjust(1);
+    }
+
+    cursorLeft() {
+      this.adjust(-1);
+    }
+
+    adjust(direction) {
+      const field = this.currentField();
+      if (!field || !field.adjust) return;
+      field.adjust(direction, Input.isPressed('shift'));
+      SoundManager.playCursor();
+      this.refresh();
+    }
+
+    drawItem(index) {
+      const field = this._fields[index];
+      const rect = this.itemLineRect(index);
+      this.resetTextColor();
+      this.changePaintOpacity(this.isCommandEnabled(index));
+      const value = field.value ? field.value() : '';
+      const valueW = value ? Math.min(Math.floor(rect.width / 2), this.textWidth(value) + 48) : 0;
+      this.drawText(field.label, rect.x, rect.y, rect.width - valueW);
+      if (value) this.drawText(field.adjust ? `< ${value} >` : value, rect.x, rect.y, rect.width, 'right');
+      this.changePaintOpacity(true);
+    }
+  }
+
+  function stepGold(value, direction, big, max = $gameParty.maxGold()) {
+    const step = big ? 100 : (value >= 1000 ? 10 : 1);
+    return Math.max(0, Math.min(max, value + direction * step));
+  }
+
+  function cycle(list, current, direction) {
+    const index = list.indexOf(current);
+    return list[(index + direction + list.length) % list.length];
+  }
+
+  // --------------------------------------------------------------------------
+  // Scene: Auction House
+  // --------------------------------------------------------------------------
+  class Scene_AuctionHouse extends Scene_MenuBase {
+    create() {
+      super.create();
+
+      const margin = 12;
+      const cmdH = this.calcWindowHeight(1, true);
+      const statusH = this.calcWindowHeight(1, false);
+      const fullW = Graphics.boxWidth - margin * 2;
+      const listY = margin * 3 + cmdH + statusH;
+
+      this._cmdWindow = new Window_AuctionCommand(new Rectangle(margin, margin, fullW, cmdH));
+      this._cmdWindow.setHandler('browse', () => this.switchMode('browse'));
+      this._cmdWindow.setHandler('filter', this.openFilter.bind(this));
+      this._cmdWindow.setHandler('mine', () => this.switchMode('mine'));
+      this._cmdWindow.setHandler('sell', this.onSell.bind(this));
+      this._cmdWindow.setHandler('close', this.popScene.bind(this));
+      this._cmdWindow.setHandler('cancel', this.popScene.bind(this));
+      this.addWindow(this._cmdWindow);
+
+      this._statusWindow = new Window_AuctionStatus(new Rectangle(margin, margin * 2 + cmdH, fullW, statusH));
+      this.addWindow(this._statusWindow);
+
+      this._listWindow = new Window_AuctionList(new Rectangle(margin, listY, fullW, Graphics.boxHeight - listY - margin));
+      this._listWindow.setHandler('ok', this.onListOk.bind(this));
+      this._listWindow.setHandler('cancel', this.onListCancel.bind(this));
+      this._listWindow.setHandler('pageup', () => this.changePage(-1));
+      this._listWindow.setHandler('pagedown', () => this.changePage(1));
+      this._listWindow.deactivate();
+      this.addWindow(this._listWindow);
+
+      const popW = Math.min(480, fullW);
+      const popH = this.calcWindowHeight(6, true);
+      const popRect = new Rectangle(Math.floor((Graphics.boxWidth - popW) / 2), Math.floor((Graphics.boxHeight - popH) / 2), popW, popH);
+      this._popupWindow = new Window_AuctionForm(popRect);
+      this._popupWindow.setHandler('cancel', this.closePopup.bind(this));
+      this.addWindow(this._popupWindow);
+
+      Auction.on('updated', () => {
+        if (SceneManager._scene !== this) return;
+        this._listWindow.setData(Auction.listings());
+        const max = this._listWindow.maxItems();
+        if (this._listWindow.active) this._listWindow.select(max > 0 ? Math.min(Math.max(this._listWindow.index(), 0), max - 1) : -1);
+        this._statusWindow.refresh();
+        if (this._enterOnLoad && !this._listWindow.isLoading()) {
+          this._enterOnLoad = false;
+          if (this._cmdWindow.active && max > 0) this.activateList();
+        }
+      });
+
+      Auction.on('result', () => {
+        if (SceneManager._scene !== this) return;
+        this._statusWindow.refresh();
+      });
+
+      this._cmdWindow.selectSymbol(Auction.view.mode === 'mine' ? 'mine' : 'browse');
+      this._cmdWindow.activate();
+    }
+
+    start() {
+      super.start();
+      this._listWindow.setData(null);
+      Auction.refresh();
+    }
+
+    // ---------------- Tabs / paging ----------------
+
+    switchMode(mode) {
+      if (Auction.view.mode !== mode) {
+        Auction.refresh({ mode, offset: 0 });
+        this._listWindow.setData(null);
+        this._statusWindow.refresh();
+      }
+      if (this._listWindow.isLoading()) {
+        // Entered as soon as the listings arrive
+        this._enterOnLoad = true;
+        this._cmdWindow.activate();
+        return;
+      }
+      if (this._listWindow.maxItems() === 0) {
+        this._cmdWindow.activate();
+        return;
+      }
+      this.activateList();
+    }
+
+    activateList() {
+      this._cmdWindow.deactivate();
+      this._listWindow.activate();
+      if (this._listWindow.index() < 0) this._listWindow.select(0);
+    }
+
+    onListCancel() {
+      this._listWindow.deselect();
+      this._cmdWindow.activate();
+    }
+
+    changePage(direction) {
+      const view = Auction.view;
+      if (view.mode !== 'browse' || !Auction.page) {
+        this._listWindow.activate();
+        return;
+      }
+      const offset = view.offset + direction * view.limit;
+      if (offset < 0 || offset >= Auction.page.total) {
+        SoundManager.playBuzzer();
+        this._listWindow.activate();
+        return;
+      }
+      Auction.refresh({ offset });
+      this._listWindow.setData(null);
+      this._listWindow.select(0);
+      this._listWindow.activate();
+      this._statusWindow.refresh();
+    }
+
+    // ---------------- Popup ----------------
+
+    openPopup(fields, returnTo) {
+      this._popupReturn = returnTo;
+      this._popupWindow.setFields(fields);
+      this._cmdWindow.deactivate();
+      this._listWindow.deactivate();
+      this._popupWindow.show();
+      this._popupWindow.open();
+      this._popupWindow.activate();
+    }
+
+    closePopup() {
+      this._popupWindow.deactivate();
+      this._popupWindow.close();
+      for (const field of this._popupWindow._fields) {
+        if (this._popupWindow.isHandled(field.symbol)) this._popupWindow.setHandler(field.symbol, null);
+      }
+      if (this._popupReturn === 'list' && this._listWindow.maxItems() > 0) this._listWindow.activate();
+      else this._cmdWindow.activate();
+    }
+
+    setPopupHandlers(handlers) {
+      for (const [symbol, fn] of Object.entries(handlers)) {
+        this._popupWindow.setHandler(symbol, fn);
+      }
+    }
+
+    // ---------------- Filter ----------------
+
+    openFilter() {
+      const draft = { ...Auction.view };
+      this.setPopupHandlers({
+        apply: () => {
+          const { dataClass, itemId, minPrice, maxPrice, sort } = draft;
+          this.closePopup();
+          this.applyFilter({ dataClass, itemId, minPrice, maxPrice, sort });
+        },
+        clear: () => {
+          this.closePopup();
+          const { dataClass, itemId, minPrice, maxPrice, sort } = defaultAuctionView();
+          this.applyFilter({ dataClass, itemId, minPrice, maxPrice, sort });
+        }
+      });
+      this.openPopup([
+        {
+          symbol: 'type', label: 'Type', value: () => typeLabel(draft.dataClass),
+          adjust: (dir) => {
+            draft.dataClass = cycle(AUCTION_TYPES, draft.dataClass, dir);
+            draft.itemId = null;
+          }
+        },
+        { symbol: 'minPrice', label: 'Min Price', value: () => draft.minPrice ? String(draft.minPrice) : 'Any', adjust: (dir, big) => { draft.minPrice = stepGold(draft.minPrice, dir, big); } },
+        { symbol: 'maxPrice', label: 'Max Price', value: () => draft.maxPrice ? String(draft.maxPrice) : 'Any', adjust: (dir, big) => { draft.maxPrice = stepGold(draft.maxPrice, dir, big); } },
+        { symbol: 'sort', label: 'Sort', value: () => sortLabel(draft.sort), adjust: (dir) => { draft.sort = cycle(AUCTION_SORTS, draft.sort, dir); } },
+        { symbol: 'apply', label: 'Apply' },
+        { symbol: 'clear', label: 'Clear Filters' }
+      ], 'cmd');
+    }
+
+    applyFilter(filter) {
+      Auction.refresh({ ...filter, mode: 'browse', offset: 0 });
+      this._cmdWindow.selectSymbol('browse');
+      this._listWindow.setData(null);
+      this._statusWindow.refresh();
+      this._enterOnLoad = true;
+    }
+
+    // ---------------- Listing actions ----------------
+
+    onListOk() {
+      const listing = this._listWindow.item();
+      if (!listing) {
+        this._listWindow.activate();
+        return;
+      }
+
+      const unit = TextManager.currencyUnit;
+      const canAfford = (gold) => $gameParty.gold() >= gold;
+      this.setPopupHandlers({
+        buy: () => {
+          this.closePopup();
+          Auction.buy(listing);
+        },
+        bid: () => this.openBid(listing),
+        same: () => {
+          this.closePopup();
+          this.applyFilter({ dataClass: listing.dataClass, itemId: listing.itemId });
+        },
+        cancelListing: () => {
+          this.closePopup();
+          Auction.cancel(listing);
+        },
+        close: this.closePopup.bind(this)
+      });
+      this.openPopup([
+        { symbol: 'buy', label: 'Buy Now', value: () => listing.buyout > 0 ? `${listing.buyout} ${unit}` : '', enabled: () => listing.buyout > 0 && !listing.mine && canAfford(listing.buyout) },
+        { symbol: 'bid', label: 'Place Bid', value: () => listing.minBid != null ? `from ${listing.minBid} ${unit}` : '', enabled: () => listing.minBid != null && !listing.mine },
+        { symbol: 'same', label: 'Same Item' },
+        { symbol: 'cancelListing', label: 'Cancel Listing', enabled: () => listing.mine && !listing.hasBids },
+        { symbol: 'close', label: 'Close' }
+      ], 'list');
+    }
+
+    openBid(listing) {
+      const unit = TextManager.currencyUnit;
+      const cap = listing.buyout > 0 ? listing.buyout : $gameParty.maxGold();
+      const draft = { amount: Math.min(listing.minBid, cap) };
+      this.closePopup();
+      this.setPopupHandlers({
+        confirm: () => {
+          this.closePopup();
+          Auction.bid(listing, draft.amount);
+        },
+        back: this.closePopup.bind(this)
+      });
+      this.openPopup([
+        { symbol: 'item', label: listingName(listing) },
+        {
+          symbol: 'amount', label: 'Your Bid', value: () => `${draft.amount} ${unit}`,
+          adjust: (dir, big) => { draft.amount = Math.max(listing.minBid, stepGold(draft.amount, dir, big, cap)); }
+        },
+        { symbol: 'confirm', label: 'Confirm Bid', enabled: () => $gameParty.gold() >= draft.amount },
+        { symbol: 'back', label: 'Back' }
+      ], 'list');
+      this._popupWindow.select(1);
+    }
+
+    onSell() {
+      SceneManager.push(Scene_AuctionSell);
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Window: Inventory stacks that can be listed
+  // --------------------------------------------------------------------------
+  class Window_AuctionSellItems extends Window_ItemList {
+    includes(item) {
+      return isListable(item);
+    }
+
+    isEnabled(item) {
+      return isListable(item);
+    }
+
+    maxCols() {
+      return 1;
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Scene: Post a listing
+  // --------------------------------------------------------------------------
+  class Scene_AuctionSell extends Scene_MenuBase {
+    create() {
+      super.create();
+
+      const margin = 12;
+      const helpH = this.calcWindowHeight(2, false);
+      const fullW = Graphics.boxWidth - margin * 2;
+
+      this._helpWindow = new Window_Help(new Rectangle(margin, margin, fullW, helpH));
+      this._helpWindow.setText('Choose a stack to list. Left/Right change values (Shift: x100 gold).\nThe listing fee is not refunded; unsold items come back by mail.');
+      this.addWindow(this._helpWindow);
+
+      const listY = margin * 2 + helpH;
+      const listRect = new Rectangle(margin, listY, fullW, Graphics.boxHeight - listY - margin);
+      this._itemWindow = new Window_AuctionSellItems(listRect);
+      this._itemWindow.setCategory('all');
+      this._itemWindow.setHandler('ok', this.onItemOk.bind(this));
+      this._itemWindow.setHandler('cancel', this.popScene.bind(this));
+      this._itemWindow.refresh();
+      this._itemWindow.select(0);
+      this._itemWindow.activate();
+      this.addWindow(this._itemWindow);
+
+      const formW = Math.min(480, fullW);
+      const formH = this.calcWindowHeight(7, true);
+      this._formWindow = new Window_AuctionForm(new Rectangle(Math.floor((Graphics.boxWidth - formW) / 2), Math.floor((Graphics.boxHeight - formH) / 2), formW, formH));
+      this._formWindow.setHandler('post', this.onPost.bind(this));
+      this._formWindow.setHandler('back', this.closeForm.bind(this));
+      this._formWindow.setHandler('cancel', this.closeForm.bind(this));
+      this.addWindow(this._formWindow);
+
+      Auction.on('result', ({ action, data }) => {
+        if (SceneManager._scene !== this || action !== 'post') return;
+        this._itemWindow.refresh();
+        if (data.success) this.closeForm();
+        else this._formWindow.activate();
+      });
+    }
+
+    onItemOk() {
+      const item = this._itemWindow.item();
+      if (!item) {
+        this._itemWindow.activate();
+        return;
+      }
+
+      const unit = TextManager.currencyUnit;
+      const owned = $gameParty.numItems(item);
+      const base = Math.max(1, item.price || 1);
+      const draft = this._draft = { item, quantity: 1, buyout: base, startBid: 0, hours: 24 };
+      const price = () => draft.buyout || draft.startBid;
+
+      this._formWindow.setFields([
+        { symbol: 'quantity', label: 'Quantity', value: () => `${draft.quantity} / ${owned}`, adjust: (dir, big) => { draft.quantity = Math.max(1, Math.min(owned, draft.quantity + dir * (big ? 10 : 1))); } },
+        { symbol: 'buyout', label: 'Buyout', value: () => draft.buyout ? `${draft.buyout} ${unit}` : 'None', adjust: (dir, big) => { draft.buyout = stepGold(draft.buyout, dir, big); } },
+        { symbol: 'startBid', label: 'Starting Bid', value: () => draft.startBid ? `${draft.startBid} ${unit}` : 'No bidding', adjust: (dir, big) => { draft.startBid = stepGold(draft.startBid, dir, big); } },
+        { symbol: 'hours', label: 'Duration', value: () => `${draft.hours}h`, adjust: (dir) => { draft.hours = cycle(LISTING_HOURS, draft.hours, dir); } },
+        { symbol: 'fee', label: 'Listing Fee', value: () => price() > 0 ? `${listingFee(price())} ${unit}` : '-', enabled: () => false },
+        {
+          symbol: 'post', label: `Post ${item.name}`,
+          enabled: () => price() > 0 && !(draft.buyout > 0 && draft.startBid >= draft.buyout) && $gameParty.gold() >= listingFee(price())
+        },
+        { symbol: 'back', label: 'Back' }
+      ]);
+      this._itemWindow.deactivate();
+      this._formWindow.show();
+      this._formWindow.open();
+      this._formWindow.activate();
+    }
+
+    onPost() {
+      const draft = this._draft;
+      if (!draft) return;
+      const dataClass = auctionDataClass(draft.item);
+      Auction.post({
+        dataClass,
+        itemId: draft.item.id,
+        quantity: draft.quantity,
+        buyout: draft.buyout,
+        startBid: draft.startBid,
+        hours: draft.hours
+      });
+      // Reactivated by the ah/post/res result
+      this._formWindow.deactivate();
+    }
+
+    closeForm() {
+      this._draft = null;
+      this._formWindow.deactivate();
+      this._formWindow.close();
+      this._itemWindow.refresh();
+      this._itemWindow.activate();
+    }
+  }
+
+  window.Scene_AuctionHouse = Scene_AuctionHouse;
+})();
@@ -20,6 +20,18 @@
  * @text Open Guild Roster
  * @desc Opens the guild roster/member list (must be in a guild)
  *
+ * @command openBank
+ * @text Open Guild Bank
+ * @desc Opens the guild bank (must be in a guild)
+ *
+ * @command openRanks
+ * @text Open Rank Editor
+ * @desc Opens the guild rank editor (guild leader only)
+ *
+ * @command openDiplomacy
+ * @text Open Guild Diplomacy
+ * @desc Opens alliances and rivalries (must be in a guild)
+ *
  * @command openInvites
  * @text Open Guild Invites
  * @desc Opens the guild invitation inbox to view/accept/decline pending invites
@@ -76,6 +88,9 @@
  * Open Guild Menu   - Opens guild management (requires being in guild)
  * Open Guild Roster - Opens member list (requires being in guild)
  * Open Guild Invites- Opens invitation inbox
+ * Open Guild Bank   - Opens the guild bank
+ * Open Rank Editor  - Opens the rank editor (leader only)
+ * Open Diplomacy    - Opens alliances and rivalries
  * Leave Guild       - Leave current guild
  * Disband Guild     - Disband guild (leader only)
  * Send Guild Chat   - Send message to guild chat
@@ -87,6 +102,9 @@
  * Guild.openMenu()                    - Open management menu
  * Guild.openRoster()                  - Open roster
  * Guild.openInvites()                 - Open invitation inbox
+ * Guild.openBank()                    - Open guild bank
+ * Guild.openRanks()                   - Open rank editor (leader only)
+ * Guild.openDiplomacy()               - Open alliances and rivalries
  * Guild.create(name, tag)             - Create a new guild
  * Guild.invite(userId, username)      - Invite a player
  * Guild.acceptInvite(guildId)         - Accept pending invite
@@ -103,11 +121,30 @@
  * Guild.chat(message)                 - Send guild chat message
  * Guild.refresh()                     - Refresh guild info from server
  * Guild.getRoster()                   - Request roster update
+ * Guild.bankView()                    - Request bank contents
+ * Guild.bankDeposit(dataClass, id, n) - Deposit (dataClass 'gold' takes only n)
+ * Guild.bankWithdraw(dataClass, id, n)- Withdraw (daily limit per rank)
+ * Guild.bankLog(offset)               - Request bank transaction log
+ * Guild.rankList()                    - Request ranks + editable flags
+ * Guild.rankCreate(name)              - Add a rank at the bottom
+ * Guild.rankRename(rankId, name)      - Rename a rank
+ * Guild.rankMove(rankId, 'up'|'down') - Reorder a rank
+ * Guild.rankDelete(rankId, fallback)  - Delete a rank (members move to fallback)
+ * Guild.rankSetPermissions(rankId, changes) - e.g. { kick: true, bankWithdrawLimit: 500 }
+ * Guild.allianceInfo()                - Request alliance, proposals and rivals
+ * Guild.allianceProposal(nameOrTag)   - Propose an alliance to another guild
+ * Guild.allianceAccept(guildId)       - Accept an alliance proposal
+ * Guild.allianceDecline(guildId)      - Decline an alliance proposal
+ * Guild.allianceLeave()               - Take your guild out of its alliance
+ * Guild.allianceChat(message)         - Send alliance chat message
+ * Guild.rivalDeclare(nameOrTag)       - Declare rivalry on another guild
+ * Guild.rivalEnd(guildId)             - End a rivalry your guild declared
  * * ============================================================================
  * CHAT COMMANDS (type in chat input)
  * ============================================================================
  * * Use these prefixes in your chat input. Works with \ or / :
  * * \g message  OR  /g message   - Send to guild chat
+ * \a message  OR  /a message   - Send to alliance chat
  * \p message  OR  /p message   - Send to party chat
  * \w message  OR  /w message   - Send to nearby players (area whisper)
  * * INTEGRATION: Call Guild.parseAndRouteChat(input) from your chat input
@@ -125,6 +162,9 @@
  * Guild.roster           - Array of guild members
  * Guild.myRank           - Current player's rank object
  * Guild.pendingInvite    - Pending invite info (or null)
+ * Guild.bank             - Last bank view (gold, items, limits, log)
+ * Guild.leaderboard      - Contribution leaderboards from the last roster
+ * Guild.diplomacy        - { alliance, proposals, rivals, canManage }
  * * ============================================================================
  * EVENTS
  * ============================================================================
@@ -144,6 +184,12 @@
  * 'leadershipChanged'   - Leadership was transferred
  * 'inviteReceived'      - Received a guild invite
  * 'chat'                - Guild chat message received
+ * 'bankUpdated'         - Bank contents changed or were fetched
+ * 'bankLog'             - Bank transaction log page received
+ * 'levelUp'             - Guild reached a new level
+ * 'ranksUpdated'        - Rank list changed
+ * 'allianceChat'        - Alliance chat message received
+ * 'diplomacyUpdated'    - Alliance, proposals or rivals changed
  * 'error'               - Error occurred
  * * @param confirmDisband
  * @text Confirm Disband
@@ -179,6 +225,29 @@
     chat.addMessage('[Guild]', text, CHAT_GUILD_COLOR);
   }
 
+  const CHAT_ALLIANCE_COLOR = 'lime';
+  function chatAllianceAddMessage(text) {
+    const chat = window.chat;
+    if (!chat || typeof chat.addMessage !== 'function') return;
+    chat.addMessage('[Alliance]', text, CHAT_ALLIANCE_COLOR);
+  }
+
+  function bankItemData(dataClass, itemId) {
+    switch (dataClass) {
+      case 'item': return $dataItems[itemId];
+      case 'weapon': return $dataWeapons[itemId];
+      case 'armor': return $dataArmors[itemId];
+      default: return null;
+    }
+  }
+
+  function bankDataClass(item) {
+    if (DataManager.isItem(item)) return 'item';
+    if (DataManager.isWeapon(item)) return 'weapon';
+    if (DataManager.isArmor(item)) return 'armor';
+    return null;
+  }
+
   const pluginName = 'MMORPG_Guild';
   const parameters = PluginManager.parameters(pluginName);
   const confirmDisband = parameters['confirmDisband'] !== 'false';
@@ -300,6 +369,10 @@
       this._roster = [];
       this._pendingInvite = null;
       this._invites = [];
+      this._bank = null;
+      this._leaderboard = null;
+      this._rankMeta = null;
+      this._diplomacy = null;
       this._handlers = {};
       this._pendingCallbacks = new Map();
       this._callbackId = 0;
@@ -362,6 +435,27 @@
       return this._invites && this._invites.length > 0;
     }
 
+    get bank() {
+      return this._bank;
+    }
+
+    get leaderboard() {
+      return this._leaderboard;
+    }
+
+    get ranks() {
+      return [...(this._data?.ranks || [])].sort((a, b) => a.priority - b.priority);
+    }
+
+    // { flags, limits, maxRanks, canEdit } from the last rank list
+    get rankMeta() {
+      return this._rankMeta;
+    }
+
+    get diplomacy() {
+      return this._diplomacy;
+    }
+
     // ========== EVENT SYSTEM ==========
 
     on(event, callback) {
@@ -463,6 +557,7 @@
       reactFn('guild', 'guild/motd_updated', (args) => this._onMotdUpdated(args[0]));
       reactFn('guild', 'guild/leadership_transferred', (args) => this._onLeadershipTransferred(args[0]));
       reactFn('guild', 'guild/disbanded', (args) => this._onGuildDisbanded(args[0]));
+      reactFn('guild', 'guild/level_up', (args) => this._onLevelUp(args[0]));
       reactFn('guild', 'guild/invite', (args) => this._onInviteReceived(args[0]));
       reactFn('guild', 'guild/invite_declined', (args) => this._onInviteDeclined(args[0]));
       reactFn('guild', 'guild/invite_accepted', (args) => this._onInviteAccepted(args[0]));
@@ -470,6 +565,34 @@
       reactFn('guild', 'g/online', (args) => this._onMemberOnline(args[0]));
       reactFn('guild', 'g/offline', (args) => this._onMemberOffline(args[0]));
 
+      // Bank
+      reactFn('guild', 'g/bank/view/res', (args) => this._onBankViewResponse(args[0]));
+      reactFn('guild', 'g/bank/deposit/res', (args) => this._onBankMoveResponse('deposit', args[0]));
+      reactFn('guild', 'g/bank/withdraw/res', (args) => this._onBankMoveResponse('withdraw', args[0]));
+      reactFn('guild', 'g/bank/log/res', (args) => this._onBankLogResponse(args[0]));
+      reactFn('guild', 'g/bank/updated', (args) => this._onBankUpdated(args[0]));
+
+      // Ranks
+      reactFn('guild', 'g/rank/list/res', (args) => this._onRankListResponse(args[0]));
+      for (const action of ['create', 'rename', 'move', 'delete', 'permissions']) {
+        reactFn('guild', `g/rank/${action}/res`, (args) => this._onRankEditResponse(args[0]));
+      }
+      reactFn('guild', 'guild/ranks_updated', (args) => this._onRanksUpdated(args[0]));
+
+      // Alliances & rivalries
+      reactFn('guild', 'g/ally/info/res', (args) => this._onDiplomacyResponse(args[0]));
+      for (const command of ['ally/propose', 'ally/accept', 'ally/decline', 'ally/leave', 'ally/chat', 'rival/declare', 'rival/end']) {
+        reactFn('guild', `g/${command}/res`, (args) => this._onDiplomacyEditResponse(command, args[0]));
+      }
+      reactFn('guild', 'guild/ally_proposed', (args) => this._onAllyProposed(args[0]));
+      reactFn('guild', 'guild/ally_declined', (args) => this._onAllyDeclined(args[0]));
+      reactFn('guild', 'guild/rival_declared', (args) => this._onRivalDeclared(args[0]));
+      reactFn('guild', 'guild/rival_ended', (args) => this._onRivalEnded(args[0]));
+      reactFn('alliance', 'a/chat', (args) => this._onAllianceChat(args[0]));
+      reactFn('alliance', 'alliance/joined', (args) => this._onAllianceJoined(args[0]));
+      reactFn('alliance', 'alliance/left', (args) => this._onAllianceLeft(args[0]));
+      reactFn('alliance', 'alliance/dissolved', (args) => this._onAllianceDissolved(args[0]));
+
       console.log('MMORPG_Guild: Network handlers registered');
     }
 
@@ -664,6 +787,16 @@
       return true;
     }
 
+    allianceChat(message) {
+      if (!this._data?.alliance) {
+        this._emit('error', { command: 'allianceChat', error: 'Your guild is not in an alliance' });
+        return false;
+      }
+      if (!message || message.trim().length === 0) return false;
+      safeBroadcast('g/ally/chat', [message]);
+      return true;
+    }
+
     // ========== CHAT PREFIX ROUTING ==========
 
     parseAndRouteChat(input) {
@@ -683,6 +816,16 @@
         return { handled: true, type: 'guild', message: '', error: 'Empty message' };
       }
 
+      // Alliance chat: /a message  OR  \a message
+      if (trimmed.startsWith('\\a ') || trimmed.startsWith('/a ')) {
+        const message = trimmed.substring(3).trim();
+        if (message.length > 0) {
+          this.allianceChat(message);
+          return { handled: true, type: 'alliance', message };
+        }
+        return { handled: true, type: 'alliance', message: '', error: 'Empty message' };
+      }
+
       // Party chat: /p message  OR  \p message
       if (trimmed.startsWith('\\p ') || trimmed.startsWith('/p ')) {
         const message = trimmed.substring(3).trim();
@@ -711,8 +854,135 @@
       return true;
     }
 
+    // ========== BANK ==========
+
+    bankView() {
+      if (!this.inGuild) {
+        this._emit('error', { command: 'bank', error: 'Not in a guild' });
+        return false;
+      }
+      safeBroadcast('g/bank/view', []);
+      return true;
+    }
+
+    bankDeposit(dataClass, itemId, quantity) {
+      return this._bankMove('deposit', dataClass, itemId, quantity);
+    }
+
+    bankWithdraw(dataClass, itemId, quantity) {
+      return this._bankMove('withdraw', dataClass, itemId, quantity);
+    }
+
+    _bankMove(action, dataClass, itemId, quantity) {
+      if (!this.inGuild) {
+        this._emit('error', { command: 'bank', error: 'Not in a guild' });
+        return false;
+      }
+      // Gold moves are ['gold', amount]
+      const args = (dataClass === 'gold') ? ['gold', Number(itemId)] : [dataClass, Number(itemId), Number(quantity)];
+      safeBroadcast(`g/bank/${action}`, args);
+      return true;
+    }
+
+    bankLog(offset = 0) {
+      if (!this.inGuild) {
+        this._emit('error', { command: 'bank', error: 'Not in a guild' });
+        return false;
+      }
+      safeBroadcast('g/bank/log', [offset]);
+      return true;
+    }
+
+    // ========== RANKS ==========
+
+    rankList() {
+      if (!this.inGuild) {
+        this._emit('error', { command: 'rank', error: 'Not in a guild' });
+        return false;
+      }
+      safeBroadcast('g/rank/list', []);
+      return true;
+    }
+
+    rankCreate(name) {
+      return this._rankEdit('create', [name]);
+    }
+
+    rankRename(rankId, name) {
+      return this._rankEdit('rename', [rankId, name]);
+    }
+
+    rankMove(rankId, direction) {
+      return this._rankEdit('move', [rankId, direction]);
+    }
+
+    rankDelete(rankId, fallbackRankId = null) {
+      return this._rankEdit('delete', [rankId, fallbackRankId]);
+    }
+
+    rankSetPermissions(rankId, changes) {
+      return this._rankEdit('permissions', [rankId, changes]);
+    }
+
+    _rankEdit(action, args) {
+      if (!this.inGuild) {
+        this._emit('error', { command: 'rank', error: 'Not in a guild' });
+        return false;
+      }
+      if (!this.isLeader()) {
+        this._emit('error', { command: 'rank', error: 'Only the guild leader can edit ranks' });
+        return false;
+      }
+      safeBroadcast(`g/rank/${action}`, args);
+      return true;
+    }
+
     // ========== PERMISSION HELPERS ==========
 
+    // ========== ALLIANCES & RIVALRIES ==========
+
+    allianceInfo() {
+      if (!this.inGuild) {
+        this._emit('error', { command: 'diplomacy', error: 'Not in a guild' });
+        return false;
+      }
+      safeBroadcast('g/ally/info', []);
+      return true;
+    }
+
+    allianceProposal(nameOrTag) {
+      return this._diplomacyCommand('g/ally/propose', [nameOrTag]);
+    }
+
+    allianceAccept(guildId) {
+      return this._diplomacyCommand('g/ally/accept', [guildId]);
+    }
+
+    allianceDecline(guildId) {
+      return this._diplomacyCommand('g/ally/decline', [guildId]);
+    }
+
+    allianceLeave() {
+      return this._diplomacyCommand('g/ally/leave', []);
+    }
+
+    rivalDeclare(nameOrTag) {
+      return this._diplomacyCommand('g/rival/declare', [nameOrTag]);
+    }
+
+    rivalEnd(guildId) {
+      return this._diplomacyCommand('g/rival/end', [guildId]);
+    }
+
+    _diplomacyCommand(code, args) {
+      if (!this.hasPermission('diplomacy')) {
+        this._emit('error', { command: 'diplomacy', error: 'You do not have permission to manage diplomacy' });
+        return false;
+      }
+      safeBroadcast(code, args);
+      return true;
+    }
+
     hasPermission(permission) {
       if (!this.inGuild || !this.myRank) return false;
       if (this.myRank.permissions && this.myRank.permissions.all) return true;
@@ -776,6 +1046,11 @@
             name: username
           };
         });
+        this._leaderboard = data.leaderboard || null;
+        if (data.levelInfo && this._data) {
+          this._data.level = data.levelInfo.level;
+          this._data.levelInfo = data.levelInfo;
+        }
         this._emit('rosterUpdated', this._roster);
       } else {
         this._emit('error', { command: 'roster', error: data.error });
@@ -886,6 +1161,169 @@
       this._emit('error', { command, error: data.error });
     }
 
+    _onRankListResponse(data) {
+      if (!data.success) {
+        this._emit('error', { command: 'rank', error: data.error });
+        return;
+      }
+      this._rankMeta = { flags: data.flags, limits: data.limits, maxRanks: data.maxRanks, canEdit: data.canEdit };
+      this._onRanksUpdated(data);
+    }
+
+    _onRankEditResponse(data) {
+      if (!data.success) {
+        this._emit('error', { command: 'rank', error: data.error });
+        return;
+      }
+      this._onRanksUpdated(data);
+    }
+
+    _onRanksUpdated(data) {
+      if (!this._data || !Array.isArray(data?.ranks)) return;
+      this._data.ranks = data.ranks;
+      this._emit('ranksUpdated', this.ranks);
+      if (this._roster.length > 0) this.getRoster();
+    }
+
+    _onDiplomacyResponse(data) {
+      if (!data.success) {
+        this._emit('error', { command: 'diplomacy', error: data.error });
+        return;
+      }
+      this._diplomacy = {
+        alliance: data.alliance || null,
+        proposals: data.proposals || [],
+        rivals: data.rivals || [],
+        canManage: !!data.canManage
+      };
+      if (this._data) {
+        this._data.alliance = this._diplomacy.alliance;
+        this._data.rivals = this._diplomacy.rivals;
+      }
+      this._emit('diplomacyUpdated', this._diplomacy);
+    }
+
+    _onDiplomacyEditResponse(command, data) {
+      if (!data.success) {
+        this._emit('error', { command: command === 'ally/chat' ? 'allianceChat' : 'diplomacy', error: data.error });
+        return;
+      }
+      if (command === 'ally/propose') {
+        chatGuildAddMessage(`Alliance proposal sent to ${data.guildName}.`);
+      }
+      this.allianceInfo();
+    }
+
+    _onAllyProposed(data) {
+      chatGuildAddMessage(`[${data.guildTag}] ${data.guildName} proposes an alliance.`);
+      this.allianceInfo();
+    }
+
+    _onAllyDeclined(data) {
+      chatGuildAddMessage(`${data.guildName} declined the alliance proposal.`);
+    }
+
+    _onRivalDeclared(data) {
+      const text = data.declaredByUs
+        ? `Your guild declared rivalry on [${data.guildTag}] ${data.guildName}.`
+        : `[${data.guildTag}] ${data.guildName} declared rivalry on your guild!`;
+      chatGuildAddMessage(text);
+      this.allianceInfo();
+    }
+
+    _onRivalEnded(data) {
+      if (!data.stillRivals) chatGuildAddMessage('A rivalry has ended.');
+      this.allianceInfo();
+    }
+
+    _onAllianceChat(data) {
+      this._emit('allianceChat', {
+        from: data.from,
+        name: data.name,
+        guildTag: data.guildTag,
+        message: data.message,
+        timestamp: data.timestamp || Date.now()
+      });
+      chatAllianceAddMessage(`[${data.guildTag}] ${data.name}: ${data.message}`);
+    }
+
+    _onAllianceJoined(data) {
+      chatAllianceAddMessage(`[${data.guildTag}] ${data.guildName} joined ${data.alliance?.name || 'the alliance'}.`);
+      this.allianceInfo();
+    }
+
+    _onAllianceLeft(data) {
+      chatAllianceAddMessage(`[${data.guildTag}] ${data.guildName} left the alliance.`);
+      this.allianceInfo();
+    }
+
+    _onAllianceDissolved(data) {
+      chatAllianceAddMessage(`${data.name} has been dissolved.`);
+      this.allianceInfo();
+    }
+
+    _onBankViewResponse(data) {
+      if (!data.success) {
+        this._emit('error', { command: 'bank', error: data.error });
+        return;
+      }
+      this._bank = data;
+      this._emit('bankUpdated', this._bank);
+    }
+
+    _onBankMoveResponse(action, data) {
+      if (!data.success) {
+        this._emit('error', { command: 'bank', error: data.error });
+        return;
+      }
+
+      // Server is authoritative for the player's side of the move too.
+      if (typeof data.gold === 'number') {
+        $gameParty._gold = data.gold;
+      }
+      const item = bankItemData(data.dataClass, data.itemId);
+      if (item && typeof data.owned === 'number') {
+        const delta = data.owned - $gameParty.numItems(item);
+        if (delta) {
+          const gain = $gameParty.rawGainItem || $gameParty.gainItem;
+          gain.call($gameParty, item, delta, false);
+        }
+      }
+
+      if (this._bank && data.bank) {
+        this._bank.gold = data.bank.gold;
+        this._bank.items = data.bank.items;
+      }
+      if (action === 'withdraw' && this._bank?.withdrawnToday) {
+        const key = (data.dataClass === 'gold') ? 'gold' : 'items';
+        this._bank.withdrawnToday[key] += data.quantity;
+      }
+      this._emit('bankUpdated', this._bank);
+      // Refresh limits and the log
+      this.bankView();
+    }
+
+    _onBankLogResponse(data) {
+      if (!data.success) {
+        this._emit('error', { command: 'bank', error: data.error });
+        return;
+      }
+      if (this._bank) this._bank.log = data;
+      this._emit('bankLog', data);
+    }
+
+    _onBankUpdated(data) {
+      if (!data || String(data.userId) === String(getMyUserId())) return;
+      const what = (data.dataClass === 'gold')
+        ? `${data.quantity} ${TextManager.currencyUnit}`
+        : `${data.quantity}x ${bankItemData(data.dataClass, data.itemId)?.name || data.dataClass}`;
+      const verb = (data.action === 'deposit') ? 'deposited' : 'withdrew';
+      chatGuildAddMessage(`${data.username} ${verb} ${what}.`);
+      if (SceneManager._scene instanceof Scene_GuildBank) {
+        this.bankView();
+      }
+    }
+
     // ========== EVENT HANDLERS ==========
 
     _onMemberJoined(data) {
@@ -1041,6 +1479,19 @@
       chatGuildAddMessage(`${data.name}: ${data.message}`);
     }
 
+    _onLevelUp(data) {
+      if (this._data) {
+        this._data.level = data.level;
+        this._data.xp = data.xp;
+        this._data.levelInfo = data;
+      }
+      chatGuildAddMessage(`The guild reached level ${data.level}! Member slots: ${data.memberCap}.`);
+      for (const perk of data.unlockedPerks || []) {
+        chatGuildAddMessage(`Perk unlocked: ${perk.name} - ${perk.description}`);
+      }
+      this._emit('levelUp', data);
+    }
+
     _onMemberOnline(data) {
       const member = this._roster.find(m => m.userId === data.userId);
       if (member) {
@@ -1300,6 +1751,33 @@
     return true;
   };
 
+  Guild.openBank = function() {
+    if (!this.inGuild) {
+      this._emit('error', { message: 'Not in a guild!' });
+      return false;
+    }
+    SceneManager.push(Scene_GuildBank);
+    return true;
+  };
+
+  Guild.openRanks = function() {
+    if (!this.isLeader()) {
+      this._emit('error', { message: 'Only the guild leader can edit ranks!' });
+      return false;
+    }
+    SceneManager.push(Scene_GuildRanks);
+    return true;
+  };
+
+  Guild.openDiplomacy = function() {
+    if (!this.inGuild) {
+      this._emit('error', { message: 'Not in a guild!' });
+      return false;
+    }
+    SceneManager.push(Scene_GuildDiplomacy);
+    return true;
+  };
+
   Guild.openInvites = function() {
     // Fetch latest invites then open scene
     this.getInvites();
@@ -1475,6 +1953,9 @@
       this._commandWindow.setHandler('roster', this.cmdRoster.bind(this));
       this._commandWindow.setHandler('motd', this.cmdMotd.bind(this));
       this._commandWindow.setHandler('invite', this.cmdInvite.bind(this));
+      this._commandWindow.setHandler('bank', this.cmdBank.bind(this));
+      this._commandWindow.setHandler('ranks', this.cmdRanks.bind(this));
+      this._commandWindow.setHandler('diplomacy', this.cmdDiplomacy.bind(this));
       this._commandWindow.setHandler('leave', this.cmdLeave.bind(this));
       this._commandWindow.setHandler('disband', this.cmdDisband.bind(this));
       this._commandWindow.setHandler('cancel', this.popScene.bind(this));
@@ -1483,7 +1964,7 @@
 
     commandWindowRect() {
       const ww = 300;
-      const wh = this.calcWindowHeight(6, true);
+      const wh = this.calcWindowHeight(9, true);
       const wx = (Graphics.boxWidth - ww) / 2;
       const wy = this.mainAreaTop() + this.calcWindowHeight(4, false) + 20;
       return new Rectangle(wx, wy, ww, wh);
@@ -1502,6 +1983,18 @@
       SceneManager.push(Scene_GuildInviteByUsername);
     }
 
+    cmdBank() {
+      SceneManager.push(Scene_GuildBank);
+    }
+
+    cmdRanks() {
+      SceneManager.push(Scene_GuildRanks);
+    }
+
+    cmdDiplomacy() {
+      SceneManager.push(Scene_GuildDiplomacy);
+    }
+
     cmdLeave() {
       SceneManager.push(Scene_GuildLeaveConfirm);
     }
@@ -1512,64 +2005,753 @@
   }
 
   // ============================================================================
-  // SCENE: Guild Roster
+  // SCENE: Guild Bank
   // ============================================================================
 
-  class Scene_GuildRoster extends Scene_MenuBase {
+  class Scene_GuildBank extends Scene_MenuBase {
     create() {
       super.create();
-      this.createRosterWindow();
-      this.createProfileWindow();
-      this.createMemberCommandWindow();
+      this.createInfoWindow();
+      this.createCommandWindow();
+      this.createListWindow();
+      this.createLogWindow();
+      this.createNumberWindow();
 
-      this._lastProfileIndex = null;
+      this._mode = null;
 
-      this._rosterUpdateHandler = () => {
-        if (this._rosterWindow) {
-          this._rosterWindow.refresh();
-        }
-        this.updateProfileWindow(true);
+      this._bankUpdateHandler = () => this.refreshAll();
+      this._bankLogHandler = (data) => this._logWindow.setLog(data);
+      this._bankErrorHandler = (data) => {
+        if (data.command !== 'bank') return;
+        SoundManager.playBuzzer();
+        chatGuildAddMessage(`Bank: ${data.error || 'Request failed'}`);
       };
-      Guild.on('rosterUpdated', this._rosterUpdateHandler);
-      Guild.getRoster();
-    }
-
-    start() {
-      super.start();
-      this._rosterWindow.activate();
-      // FIX: Check if items exist before selecting to prevent index error
-      if (this._rosterWindow.maxItems() > 0) {
-        this._rosterWindow.select(0);
-      } else {
-        this._rosterWindow.select(-1);
-      }
-      this.updateProfileWindow(true);
-    }
-
-    update() {
-      super.update();
-      this.updateProfileWindow(false);
+      Guild.on('bankUpdated', this._bankUpdateHandler);
+      Guild.on('bankLog', this._bankLogHandler);
+      Guild.on('error', this._bankErrorHandler);
+      Guild.bankView();
     }
 
     terminate() {
       super.terminate();
-      if (this._rosterUpdateHandler) {
-        Guild.off('rosterUpdated', this._rosterUpdateHandler);
-      }
-    }
-
-    createRosterWindow() {
-      const rect = this.rosterWindowRect();
-      this._rosterWindow = new Window_GuildRoster(rect);
-      this._rosterWindow.setHandler('ok', this.onRosterOk.bind(this));
-      this._rosterWindow.setHandler('cancel', this.popScene.bind(this));
-      this.addWindow(this._rosterWindow);
+      Guild.off('bankUpdated', this._bankUpdateHandler);
+      Guild.off('bankLog', this._bankLogHandler);
+      Guild.off('error', this._bankErrorHandler);
     }
 
-    createProfileWindow() {
-      const rect = this.profileWindowRect();
-      this._profileWindow = new Window_GuildMemberProfile(rect);
-      this.addWindow(this._profileWindow);
+    createInfoWindow() {
+      const rect = this.infoWindowRect();
+      this._infoWindow = new Window_GuildBankInfo(rect);
+      this.addWindow(this._infoWindow);
+    }
+
+    infoWindowRect() {
+      const wx = 0;
+      const wy = this.mainAreaTop();
+      const ww = Graphics.boxWidth;
+      const wh = this.calcWindowHeight(2, false);
+      return new Rectangle(wx, wy, ww, wh);
+    }
+
+    createCommandWindow() {
+      const rect = this.commandWindowRect();
+      this._commandWindow = new Window_GuildBankCommand(rect);
+      this._commandWindow.setHandler('withdrawItem', this.cmdWithdrawItem.bind(this));
+      this._commandWindow.setHandler('depositItem', this.cmdDepositItem.bind(this));
+      this._commandWindow.setHandler('withdrawGold', this.cmdWithdrawGold.bind(this));
+      this._commandWindow.setHandler('depositGold', this.cmdDepositGold.bind(this));
+      this._commandWindow.setHandler('log', this.cmdLog.bind(this));
+      this._commandWindow.setHandler('cancel', this.popScene.bind(this));
+      this.addWindow(this._commandWindow);
+    }
+
+    commandWindowRect() {
+      const wx = 0;
+      const wy = this._infoWindow.y + this._infoWindow.height;
+      const ww = 240;
+      const wh = this.calcWindowHeight(5, true);
+      return new Rectangle(wx, wy, ww, wh);
+    }
+
+    createListWindow() {
+      const rect = this.listWindowRect();
+      this._listWindow = new Window_GuildBankList(rect);
+      this._listWindow.setHandler('ok', this.onListOk.bind(this));
+      this._listWindow.setHandler('cancel', this.onListCancel.bind(this));
+      this.addWindow(this._listWindow);
+    }
+
+    listWindowRect() {
+      const wx = this._commandWindow.width;
+      const wy = this._commandWindow.y;
+      const ww = Graphics.boxWidth - wx;
+      const wh = this.mainAreaBottom() - wy;
+      return new Rectangle(wx, wy, ww, wh);
+    }
+
+    createLogWindow() {
+      const rect = this.listWindowRect();
+      this._logWindow = new Window_GuildBankLog(rect);
+      this._logWindow.setHandler('cancel', this.onLogCancel.bind(this));
+      this._logWindow.hide();
+      this.addWindow(this._logWindow);
+    }
+
+    createNumberWindow() {
+      const rect = this.listWindowRect();
+      this._numberWindow = new Window_GuildBankNumber(rect);
+      this._numberWindow.setHandler('ok', this.onNumberOk.bind(this));
+      this._numberWindow.setHandler('cancel', this.onNumberCancel.bind(this));
+      this._numberWindow.hide();
+      this.addWindow(this._numberWindow);
+    }
+
+    refreshAll() {
+      this._infoWindow.refresh();
+      this._commandWindow.refresh();
+      this._listWindow.refresh();
+      if (Guild.bank?.log && this._logWindow.visible) {
+        this._logWindow.setLog(Guild.bank.log);
+      }
+    }
+
+    /**
+     * How many more units the daily limit allows (Infinity when unlimited)
+     */
+    remainingLimit(key) {
+      const bank = Guild.bank;
+      const limit = bank?.limits?.[key];
+      if (limit === null) return Infinity;
+      return Math.max(0, (limit || 0) - (bank?.withdrawnToday?.[key] || 0));
+    }
+
+    cmdWithdrawItem() {
+      this._mode = 'withdraw';
+      this._listWindow.setMode('bank');
+      this._listWindow.activate();
+      this._listWindow.select(0);
+    }
+
+    cmdDepositItem() {
+      this._mode = 'deposit';
+      this._listWindow.setMode('party');
+      this._listWindow.activate();
+      this._listWindow.select(0);
+    }
+
+    cmdWithdrawGold() {
+      this._mode = 'withdraw';
+      const max = Math.min(Guild.bank?.gold || 0, this.remainingLimit('gold'));
+      this.startNumberInput(null, max);
+    }
+
+    cmdDepositGold() {
+      this._mode = 'deposit';
+      this.startNumberInput(null, $gameParty.gold());
+    }
+
+    cmdLog() {
+      this._listWindow.hide();
+      this._logWindow.setLog(Guild.bank?.log || null);
+      this._logWindow.show();
+      this._logWindow.activate();
+      Guild.bankLog(0);
+    }
+
+    onListOk() {
+      const entry = this._listWindow.currentEntry();
+      if (!entry) {
+        this._listWindow.activate();
+        return;
+      }
+      const max = (this._mode === 'withdraw')
+        ? Math.min(entry.quantity, this.remainingLimit('items'))
+        : entry.quantity;
+      this.startNumberInput(entry, max);
+    }
+
+    onListCancel() {
+      this._listWindow.deselect();
+      this._commandWindow.activate();
+    }
+
+    onLogCancel() {
+      this._logWindow.hide();
+      this._listWindow.show();
+      this._commandWindow.activate();
+    }
+
+    startNumberInput(entry, max) {
+      if (max < 1) {
+        SoundManager.playBuzzer();
+        (entry ? this._listWindow : this._commandWindow).activate();
+        return;
+      }
+      this._numberEntry = entry;
+      this._listWindow.hide();
+      this._numberWindow.setup(entry ? entry.item : null, Math.min(max, entry ? 999 : 99999999));
+      this._numberWindow.show();
+      this._numberWindow.activate();
+    }
+
+    onNumberOk() {
+      const entry = this._numberEntry;
+      const quantity = this._numberWindow.number();
+      const move = (this._mode === 'withdraw') ? Guild.bankWithdraw.bind(Guild) : Guild.bankDeposit.bind(Guild);
+      if (entry) {
+        move(entry.dataClass, entry.item.id, quantity);
+      } else {
+        move('gold', quantity);
+      }
+      this.endNumberInput();
+    }
+
+    onNumberCancel() {
+      this.endNumberInput();
+    }
+
+    endNumberInput() {
+      this._numberWindow.hide();
+      this._numberWindow.deactivate();
+      this._listWindow.show();
+      if (this._numberEntry) {
+        this._listWindow.activate();
+      } else {
+        this._commandWindow.activate();
+      }
+      this._numberEntry = null;
+    }
+  }
+
+  // ============================================================================
+  // SCENE: Guild Rank Editor
+  // ============================================================================
+
+  class Scene_GuildRanks extends Scene_MenuBase {
+    create() {
+      super.create();
+      this.createHelpWindow();
+      this.createRankListWindow();
+      this.createPermissionWindow();
+      this.createRankCommandWindow();
+      this.createDeleteConfirmWindow();
+
+      this._helpWindow.setText('Select a rank to edit it. The leader rank can only be renamed.');
+
+      this._ranksHandler = () => {
+        this._rankListWindow.refresh();
+        this._permissionWindow.setRank(this._rankListWindow.currentRank());
+      };
+      this._errorHandler = (data) => {
+        if (data.command !== 'rank') return;
+        SoundManager.playBuzzer();
+        this._helpWindow.setText(data.error || 'Rank update failed');
+      };
+      Guild.on('ranksUpdated', this._ranksHandler);
+      Guild.on('error', this._errorHandler);
+      Guild.rankList();
+    }
+
+    start() {
+      super.start();
+      this._rankListWindow.activate();
+      this._rankListWindow.select(0);
+    }
+
+    update() {
+      super.update();
+      if (this._rankListWindow.active) {
+        this._permissionWindow.setRank(this._rankListWindow.currentRank());
+      }
+    }
+
+    terminate() {
+      super.terminate();
+      Guild.off('ranksUpdated', this._ranksHandler);
+      Guild.off('error', this._errorHandler);
+    }
+
+    helpWindowRect() {
+      const wx = 0;
+      const wy = this.mainAreaTop();
+      const ww = Graphics.boxWidth;
+      const wh = this.calcWindowHeight(1, false);
+      return new Rectangle(wx, wy, ww, wh);
+    }
+
+    createRankListWindow() {
+      const rect = this.rankListWindowRect();
+      this._rankListWindow = new Window_GuildRankList(rect);
+      this._rankListWindow.setHandler('ok', this.onRankOk.bind(this));
+      this._rankListWindow.setHandler('cancel', this.popScene.bind(this));
+      this.addWindow(this._rankListWindow);
+    }
+
+    rankListWindowRect() {
+      const wx = 0;
+      const wy = this._helpWindow.y + this._helpWindow.height;
+      const ww = 280;
+      const wh = this.mainAreaBottom() - wy;
+      return new Rectangle(wx, wy, ww, wh);
+    }
+
+    createPermissionWindow() {
+      const rect = this.permissionWindowRect();
+      this._permissionWindow = new Window_GuildRankPermissions(rect);
+      this._permissionWindow.setHandler('ok', this.onPermissionOk.bind(this));
+      this._permissionWindow.setHandler('cancel', this.onPermissionCancel.bind(this));
+      this.addWindow(this._permissionWindow);
+    }
+
+    permissionWindowRect() {
+      const wx = this._rankListWindow.width;
+      const wy = this._rankListWindow.y;
+      const ww = Graphics.boxWidth - wx;
+      const wh = this._rankListWindow.height;
+      return new Rectangle(wx, wy, ww, wh);
+    }
+
+    createRankCommandWindow() {
+      const rect = this.rankCommandWindowRect();
+      this._rankCommandWindow = new Window_GuildRankCommand(rect);
+      this._rankCommandWindow.setHandler('permissions', this.cmdPermissions.bind(this));
+      this._rankCommandWindow.setHandler('rename', this.cmdRename.bind(this));
+      this._rankCommandWindow.setHandler('up', this.cmdMove.bind(this, 'up'));
+      this._rankCommandWindow.setHandler('down', this.cmdMove.bind(this, 'down'));
+      this._rankCommandWindow.setHandler('delete', this.cmdDelete.bind(this));
+      this._rankCommandWindow.setHandler('cancel', this.onRankCommandCancel.bind(this));
+      this._rankCommandWindow.hide();
+      this._rankCommandWindow.deactivate();
+      this.addWindow(this._rankCommandWindow);
+    }
+
+    rankCommandWindowRect() {
+      const ww = 240;
+      const wh = this.calcWindowHeight(5, true);
+      const wx = (Graphics.boxWidth - ww) / 2;
+      const wy = (Graphics.boxHeight - wh) / 2;
+      return new Rectangle(wx, wy, ww, wh);
+    }
+
+    createDeleteConfirmWindow() {
+      const ww = 420;
+      const wh = this.calcWindowHeight(2, true);
+      const rect = new Rectangle((Graphics.boxWidth - ww) / 2, (Graphics.boxHeight - wh) / 2, ww, wh);
+      this._deleteConfirmWindow = new Window_GuildRankDeleteConfirm(rect);
+      this._deleteConfirmWindow.setHandler('yes', this.onDeleteConfirm.bind(this));
+      this._deleteConfirmWindow.setHandler('no', this.onDeleteCancel.bind(this));
+      this._deleteConfirmWindow.setHandler('cancel', this.onDeleteCancel.bind(this));
+      this._deleteConfirmWindow.hide();
+      this._deleteConfirmWindow.deactivate();
+      this.addWindow(this._deleteConfirmWindow);
+    }
+
+    onRankOk() {
+      const rank = this._rankListWindow.currentRank();
+      if (!rank) {
+        // "+ New Rank" row
+        window.__guildRankTarget = null;
+        SceneManager.push(Scene_GuildRankName);
+        return;
+      }
+      this._rankCommandWindow.setRank(rank);
+      this._rankCommandWindow.show();
+      this._rankCommandWindow.activate();
+      this._rankCommandWindow.select(0);
+    }
+
+    onRankCommandCancel() {
+      this._rankCommandWindow.hide();
+      this._rankCommandWindow.deactivate();
+      this._rankListWindow.activate();
+    }
+
+    cmdPermissions() {
+      this._rankCommandWindow.hide();
+      this._rankCommandWindow.deactivate();
+      this._permissionWindow.activate();
+      this._permissionWindow.select(0);
+    }
+
+    cmdRename() {
+      window.__guildRankTarget = this._rankListWindow.currentRank();
+      SceneManager.push(Scene_GuildRankName);
+    }
+
+    cmdMove(direction) {
+      const rank = this._rankListWindow.currentRank();
+      Guild.rankMove(rank.id, direction);
+      // Keep the cursor on the moved rank
+      const index = this._rankListWindow.index() + (direction === 'up' ? -1 : 1);
+      this._rankListWindow.select(Math.max(1, Math.min(index, Guild.ranks.length - 1)));
+      this.onRankCommandCancel();
+    }
+
+    cmdDelete() {
+      const ranks = Guild.ranks;
+      const index = ranks.findIndex(r => r.id === this._rankListWindow.currentRank().id);
+      const fallback = ranks[index + 1] || ranks[index - 1];
+      this._rankCommandWindow.hide();
+      this._rankCommandWindow.deactivate();
+      this._deleteConfirmWindow.setFallback(fallback);
+      this._deleteConfirmWindow.show();
+      this._deleteConfirmWindow.activate();
+      this._deleteConfirmWindow.select(1);
+    }
+
+    onDeleteConfirm() {
+      Guild.rankDelete(this._rankListWindow.currentRank().id);
+      this.onDeleteCancel();
+    }
+
+    onDeleteCancel() {
+      this._deleteConfirmWindow.hide();
+      this._deleteConfirmWindow.deactivate();
+      this._rankListWindow.activate();
+    }
+
+    onPermissionOk() {
+      const change = this._permissionWindow.currentChange();
+      if (change) {
+        Guild.rankSetPermissions(this._permissionWindow.rank().id, change);
+      }
+      this._permissionWindow.activate();
+    }
+
+    onPermissionCancel() {
+      this._permissionWindow.deselect();
+      this._permissionWindow.clearPending();
+      this._rankListWindow.activate();
+    }
+  }
+
+  class Scene_GuildRankName extends Scene_MenuBase {
+    create() {
+      super.create();
+      this._target = window.__guildRankTarget || null;
+      this.createHelpWindow();
+      this.createEditWindow();
+      this._helpWindow.setText(this._target ? `Rename rank: ${this._target.name}` : 'Name the new rank');
+    }
+
+    helpWindowRect() {
+      const wx = 0;
+      const wy = this.mainAreaTop();
+      const ww = Graphics.boxWidth;
+      const wh = this.calcWindowHeight(1, false);
+      return new Rectangle(wx, wy, ww, wh);
+    }
+
+    createEditWindow() {
+      const rect = this.editWindowRect();
+      this._editWindow = new Window_GuildRankNameEdit(rect, this._target);
+      this._editWindow.setHandler('ok', this.onEditOk.bind(this));
+      this._editWindow.setHandler('cancel', this.onEditCancel.bind(this));
+      this.addWindow(this._editWindow);
+    }
+
+    editWindowRect() {
+      const ww = 500;
+      const wh = this.calcWindowHeight(3, true);
+      const wx = (Graphics.boxWidth - ww) / 2;
+      const wy = this._helpWindow.y + this._helpWindow.height + 24;
+      return new Rectangle(wx, wy, ww, wh);
+    }
+
+    start() {
+      super.start();
+      this._editWindow.activate();
+    }
+
+    onEditOk() {
+      const name = this._editWindow.text().trim();
+      if (this._target) {
+        Guild.rankRename(this._target.id, name);
+      } else {
+        Guild.rankCreate(name);
+      }
+      window.__guildRankTarget = null;
+      this.popScene();
+    }
+
+    onEditCancel() {
+      window.__guildRankTarget = null;
+      this.popScene();
+    }
+  }
+
+  // ============================================================================
+  // SCENE: Guild Diplomacy
+  // ============================================================================
+
+  class Scene_GuildDiplomacy extends Scene_MenuBase {
+    create() {
+      super.create();
+      this.createHelpWindow();
+      this.createCommandWindow();
+      this.createListWindow();
+      this.createEntryCommandWindow();
+
+      this._helpWindow.setText('Alliances share /a chat. Rival guilds can challenge each other.');
+
+      this._diplomacyHandler = () => {
+        this._commandWindow.refresh();
+        this._listWindow.refresh();
+      };
+      this._errorHandler = (data) => {
+        if (data.command !== 'diplomacy') return;
+        SoundManager.playBuzzer();
+        this._helpWindow.setText(data.error || 'Diplomacy update failed');
+      };
+      Guild.on('diplomacyUpdated', this._diplomacyHandler);
+      Guild.on('error', this._errorHandler);
+      Guild.allianceInfo();
+    }
+
+    start() {
+      super.start();
+      this._commandWindow.activate();
+    }
+
+    terminate() {
+      super.terminate();
+      Guild.off('diplomacyUpdated', this._diplomacyHandler);
+      Guild.off('error', this._errorHandler);
+    }
+
+    helpWindowRect() {
+      const wx = 0;
+      const wy = this.mainAreaTop();
+      const ww = Graphics.boxWidth;
+      const wh = this.calcWindowHeight(1, false);
+      return new Rectangle(wx, wy, ww, wh);
+    }
+
+    createCommandWindow() {
+      const rect = this.commandWindowRect();
+      this._commandWindow = new Window_GuildDiplomacyCommand(rect);
+      this._commandWindow.setHandler('list', this.cmdList.bind(this));
+      this._commandWindow.setHandler('propose', this.cmdName.bind(this, 'ally'));
+      this._commandWindow.setHandler('rival', this.cmdName.bind(this, 'rival'));
+      this._commandWindow.setHandler('leave', this.cmdLeave.bind(this));
+      this._commandWindow.setHandler('cancel', this.popScene.bind(this));
+      this.addWindow(this._commandWindow);
+    }
+
+    commandWindowRect() {
+      const wx = 0;
+      const wy = this._helpWindow.y + this._helpWindow.height;
+      const ww = 260;
+      const wh = this.calcWindowHeight(4, true);
+      return new Rectangle(wx, wy, ww, wh);
+    }
+
+    createListWindow() {
+      const rect = this.listWindowRect();
+      this._listWindow = new Window_GuildDiplomacyList(rect);
+      this._listWindow.setHandler('ok', this.onListOk.bind(this));
+      this._listWindow.setHandler('cancel', this.onListCancel.bind(this));
+      this.addWindow(this._listWindow);
+    }
+
+    listWindowRect() {
+      const wx = this._commandWindow.width;
+      const wy = this._commandWindow.y;
+      const ww = Graphics.boxWidth - wx;
+      const wh = this.mainAreaBottom() - wy;
+      return new Rectangle(wx, wy, ww, wh);
+    }
+
+    createEntryCommandWindow() {
+      const ww = 240;
+      const wh = this.calcWindowHeight(2, true);
+      const rect = new Rectangle((Graphics.boxWidth - ww) / 2, (Graphics.boxHeight - wh) / 2, ww, wh);
+      this._entryCommandWindow = new Window_GuildDiplomacyEntryCommand(rect);
+      this._entryCommandWindow.setHandler('accept', this.onEntryAccept.bind(this));
+      this._entryCommandWindow.setHandler('decline', this.onEntryDecline.bind(this));
+      this._entryCommandWindow.setHandler('endRivalry', this.onEntryEndRivalry.bind(this));
+      this._entryCommandWindow.setHandler('cancel', this.onEntryCancel.bind(this));
+      this._entryCommandWindow.hide();
+      this._entryCommandWindow.deactivate();
+      this.addWindow(this._entryCommandWindow);
+    }
+
+    cmdList() {
+      this._listWindow.activate();
+      this._listWindow.select(0);
+    }
+
+    cmdName(mode) {
+      window.__guildDiplomacyMode = mode;
+      SceneManager.push(Scene_GuildDiplomacyName);
+    }
+
+    cmdLeave() {
+      Guild.allianceLeave();
+      this._commandWindow.activate();
+    }
+
+    onListOk() {
+      const entry = this._listWindow.currentEntry();
+      if (!entry || !Guild.diplomacy?.canManage) {
+        SoundManager.playBuzzer();
+        this._listWindow.activate();
+        return;
+      }
+      this._entryCommandWindow.setEntry(entry);
+      if (this._entryCommandWindow.maxItems() === 0) {
+        SoundManager.playBuzzer();
+        this._listWindow.activate();
+        return;
+      }
+      this._entryCommandWindow.show();
+      this._entryCommandWindow.activate();
+      this._entryCommandWindow.select(0);
+    }
+
+    onListCancel() {
+      this._listWindow.deselect();
+      this._commandWindow.activate();
+    }
+
+    onEntryAccept() {
+      Guild.allianceAccept(this._listWindow.currentEntry().guildId);
+      this.onEntryCancel();
+    }
+
+    onEntryDecline() {
+      Guild.allianceDecline(this._listWindow.currentEntry().guildId);
+      this.onEntryCancel();
+    }
+
+    onEntryEndRivalry() {
+      Guild.rivalEnd(this._listWindow.currentEntry().guildId);
+      this.onEntryCancel();
+    }
+
+    onEntryCancel() {
+      this._entryCommandWindow.hide();
+      this._entryCommandWindow.deactivate();
+      this._listWindow.activate();
+    }
+  }
+
+  class Scene_GuildDiplomacyName extends Scene_MenuBase {
+    create() {
+      super.create();
+      this._mode = window.__guildDiplomacyMode || 'ally';
+      this.createHelpWindow();
+      this.createEditWindow();
+      this._helpWindow.setText(this._mode === 'rival'
+        ? 'Declare rivalry on which guild? (name or tag)'
+        : 'Propose an alliance to which guild? (name or tag)');
+    }
+
+    helpWindowRect() {
+      const wx = 0;
+      const wy = this.mainAreaTop();
+      const ww = Graphics.boxWidth;
+      const wh = this.calcWindowHeight(1, false);
+      return new Rectangle(wx, wy, ww, wh);
+    }
+
+    createEditWindow() {
+      const rect = this.editWindowRect();
+      this._editWindow = new Window_GuildDiplomacyNameEdit(rect);
+      this._editWindow.setHandler('ok', this.onEditOk.bind(this));
+      this._editWindow.setHandler('cancel', this.onEditCancel.bind(this));
+      this.addWindow(this._editWindow);
+    }
+
+    editWindowRect() {
+      const ww = 500;
+      const wh = this.calcWindowHeight(3, true);
+      const wx = (Graphics.boxWidth - ww) / 2;
+      const wy = this._helpWindow.y + this._helpWindow.height + 24;
+      return new Rectangle(wx, wy, ww, wh);
+    }
+
+    start() {
+      super.start();
+      this._editWindow.activate();
+    }
+
+    onEditOk() {
+      const query = this._editWindow.text().trim();
+      if (this._mode === 'rival') {
+        Guild.rivalDeclare(query);
+      } else {
+        Guild.allianceProposal(query);
+      }
+      window.__guildDiplomacyMode = null;
+      this.popScene();
+    }
+
+    onEditCancel() {
+      window.__guildDiplomacyMode = null;
+      this.popScene();
+    }
+  }
+
+  // ============================================================================
+  // SCENE: Guild Roster
+  // ============================================================================
+
+  class Scene_GuildRoster extends Scene_MenuBase {
+    create() {
+      super.create();
+      this.createRosterWindow();
+      this.createProfileWindow();
+      this.createMemberCommandWindow();
+
+      this._lastProfileIndex = null;
+
+      this._rosterUpdateHandler = () => {
+        if (this._rosterWindow) {
+          this._rosterWindow.refresh();
+        }
+        this.updateProfileWindow(true);
+      };
+      Guild.on('rosterUpdated', this._rosterUpdateHandler);
+      Guild.getRoster();
+    }
+
+    start() {
+      super.start();
+      this._rosterWindow.activate();
+      // FIX: Check if items exist before selecting to prevent index error
+      if (this._rosterWindow.maxItems() > 0) {
+        this._rosterWindow.select(0);
+      } else {
+        this._rosterWindow.select(-1);
+      }
+      this.updateProfileWindow(true);
+    }
+
+    update() {
+      super.update();
+      this.updateProfileWindow(false);
+    }
+
+    terminate() {
+      super.terminate();
+      if (this._rosterUpdateHandler) {
+        Guild.off('rosterUpdated', this._rosterUpdateHandler);
+      }
+    }
+
+    createRosterWindow() {
+      const rect = this.rosterWindowRect();
+      this._rosterWindow = new Window_GuildRoster(rect);
+      this._rosterWindow.setHandler('ok', this.onRosterOk.bind(this));
+      this._rosterWindow.setHandler('cancel', this.popScene.bind(this));
+      this.addWindow(this._rosterWindow);
+    }
+
+    createProfileWindow() {
+      const rect = this.profileWindowRect();
+      this._profileWindow = new Window_GuildMemberProfile(rect);
+      this.addWindow(this._profileWindow);
     }
 
     rosterWindowRect() {
@@ -1582,7 +2764,7 @@
 
     profileWindowRect() {
       const ww = 360;
-      const wh = this.calcWindowHeight(7, true);
+      const wh = this.calcWindowHeight(8, true);
       const wx = Graphics.boxWidth - ww;
       const wy = this.mainAreaTop();
       return new Rectangle(wx, wy, ww, wh);
@@ -2371,8 +3553,15 @@ class Window_GuildTextInput extends Window_Selectable {
       }
       const lh = this.lineHeight();
       this.drawText(`[${data.tag}] ${data.name}`, 0, 0, this.innerWidth, 'center');
-      this.drawText(`Level: ${data.level || 1}  |  Members: ${data.memberCount || '?'}`, 0, lh, this.innerWidth, 'center');
+      const info = data.levelInfo;
+      const xpText = info ? (info.nextLevelXp ? `  (${info.xp}/${info.nextLevelXp} XP)` : '  (Max)') : '';
+      const capText = info ? `/${info.memberCap}` : '';
+      this.drawText(`Level: ${data.level || 1}${xpText}  |  Members: ${data.memberCount || '?'}${capText}`, 0, lh, this.innerWidth, 'center');
       this.drawText(`MotD: ${data.motd || 'None'}`, 0, lh * 2, this.innerWidth);
+      const allies = (data.alliance?.guilds || []).filter(g => g.id !== data.id).map(g => g.tag);
+      const rivals = (data.rivals || []).map(r => r.tag);
+      const allianceText = data.alliance ? `${data.alliance.name} (${allies.join(', ')})` : 'None';
+      this.drawText(`Alliance: ${allianceText}  |  Rivals: ${rivals.join(', ') || 'None'}`, 0, lh * 3, this.innerWidth);
     }
   }
 
@@ -2381,11 +3570,454 @@ class Window_GuildTextInput extends Window_Selectable {
       this.addCommand('Roster', 'roster');
       this.addCommand('Message of the Day', 'motd', Guild.hasPermission('editMotd'));
       this.addCommand('Invite Player', 'invite', Guild.hasPermission('invite'));
+      this.addCommand('Guild Bank', 'bank', !!(Guild.hasPermission('bankDeposit') || Guild.hasPermission('bankWithdraw')));
+      this.addCommand('Edit Ranks', 'ranks', Guild.isLeader());
+      this.addCommand('Diplomacy', 'diplomacy');
       this.addCommand('Leave Guild', 'leave', !Guild.isLeader());
       this.addCommand('Disband Guild', 'disband', Guild.isLeader());
     }
   }
 
+  class Window_GuildBankInfo extends Window_Base {
+    initialize(rect) {
+      super.initialize(rect);
+      this.refresh();
+    }
+
+    refresh() {
+      this.contents.clear();
+      const bank = Guild.bank;
+      if (!bank) {
+        this.drawText('Loading...', 0, 0, this.innerWidth);
+        return;
+      }
+      const lh = this.lineHeight();
+      const unit = TextManager.currencyUnit;
+      const fmt = (used, limit) => (limit === null) ? 'unlimited' : `${used}/${limit}`;
+      this.drawText(`Bank: ${bank.gold} ${unit}  |  You: ${$gameParty.gold()} ${unit}`, 0, 0, this.innerWidth, 'center');
+      this.drawText(
+        `Withdrawn today - ${unit}: ${fmt(bank.withdrawnToday?.gold || 0, bank.limits?.gold)}  Items: ${fmt(bank.withdrawnToday?.items || 0, bank.limits?.items)}`,
+        0, lh, this.innerWidth, 'center'
+      );
+    }
+  }
+
+  class Window_GuildBankCommand extends Window_Command {
+    makeCommandList() {
+      const bank = Guild.bank;
+      this.addCommand('Withdraw Item', 'withdrawItem', !!bank?.canWithdraw);
+      this.addCommand('Deposit Item', 'depositItem', !!bank?.canDeposit);
+      this.addCommand(`Withdraw ${TextManager.currencyUnit}`, 'withdrawGold', !!bank?.canWithdraw);
+      this.addCommand(`Deposit ${TextManager.currencyUnit}`, 'depositGold', !!bank?.canDeposit);
+      this.addCommand('Log', 'log', !!bank?.canViewLog);
+    }
+  }
+
+  class Window_GuildBankList extends Window_Selectable {
+    initialize(rect) {
+      super.initialize(rect);
+      this._mode = 'bank';
+      this._data = [];
+      this.refresh();
+    }
+
+    setMode(mode) {
+      if (this._mode !== mode) {
+        this._mode = mode;
+        this.refresh();
+      }
+    }
+
+    maxItems() {
+      return this._data ? this._data.length : 0;
+    }
+
+    currentEntry() {
+      return this._data[this.index()] || null;
+    }
+
+    makeItemList() {
+      if (this._mode === 'party') {
+        this._data = $gameParty.allItems()
+          .filter(item => !(DataManager.isItem(item) && item.itypeId === 2))
+          .map(item => ({ item, dataClass: bankDataClass(item), quantity: $gameParty.numItems(item) }));
+      } else {
+        this._data = (Guild.bank?.items || [])
+          .map(e => ({ item: bankItemData(e.dataClass, e.itemId), dataClass: e.dataClass, quantity: e.quantity }))
+          .filter(e => e.item);
+      }
+    }
+
+    refresh() {
+      this.makeItemList();
+      if (this.index() >= this.maxItems()) {
+        this.select(this.maxItems() - 1);
+      }
+      super.refresh();
+    }
+
+    drawItem(index) {
+      const entry = this._data[index];
+      if (!entry) return;
+      const rect = this.itemLineRect(index);
+      const numberWidth = this.textWidth('000000');
+      this.drawItemName(entry.item, rect.x, rect.y, rect.width - numberWidth);
+      this.drawText(`x${entry.quantity}`, rect.x, rect.y, rect.width, 'right');
+    }
+  }
+
+  class Window_GuildBankNumber extends Window_ShopNumber {
+    setup(item, max) {
+      super.setup(item, max, 0);
+    }
+
+    maxDigits() {
+      return this._item ? 3 : 8;
+    }
+
+    drawCurrentItemName() {
+      if (this._item) {
+        super.drawCurrentItemName();
+      } else {
+        const padding = this.itemPadding();
+        this.drawText(TextManager.currencyUnit, padding, this.itemNameY(), this.multiplicationSignX() - padding * 2);
+      }
+    }
+
+    drawTotalPrice() {
+      // No price in the bank; show the limit instead
+      const padding = this.itemPadding();
+      const width = this.innerWidth - padding * 2;
+      this.changeTextColor(ColorManager.systemColor());
+      this.drawText(`Max: ${this._max}`, padding, this.totalPriceY(), width, 'right');
+      this.resetTextColor();
+    }
+  }
+
+  class Window_GuildBankLog extends Window_Selectable {
+    initialize(rect) {
+      super.initialize(rect);
+      this._entries = [];
+      this.refresh();
+    }
+
+    setLog(log) {
+      this._entries = log?.entries || [];
+      this.refresh();
+      this.select(this._entries.length > 0 ? 0 : -1);
+    }
+
+    maxItems() {
+      return Math.max(1, this._entries.length);
+    }
+
+    drawItem(index) {
+      const rect = this.itemLineRect(index);
+      const e = this._entries[index];
+      if (!e) {
+        if (index === 0) this.drawText('No transactions yet.', rect.x, rect.y, rect.width);
+        return;
+      }
+      const when = new Date(e.at).toLocaleString();
+      const what = (e.dataClass === 'gold')
+        ? `${e.quantity} ${TextManager.currencyUnit}`
+        : `${e.quantity}x ${bankItemData(e.dataClass, e.itemId)?.name || e.dataClass + ' #' + e.itemId}`;
+      const sign = (e.action === 'deposit') ? '\\C[3]+\\C[0]' : '\\C[2]-\\C[0]';
+      this.drawTextEx(`${sign} ${e.username || e.userId}: ${what}`, rect.x, rect.y, rect.width);
+      this.changeTextColor(ColorManager.textColor(8));
+      this.drawText(when, rect.x, rect.y, rect.width, 'right');
+      this.resetTextColor();
+    }
+  }
+
+  class Window_GuildRankList extends Window_Selectable {
+    initialize(rect) {
+      super.initialize(rect);
+      this.refresh();
+    }
+
+    maxItems() {
+      const meta = Guild.rankMeta;
+      const canAdd = !meta || Guild.ranks.length < meta.maxRanks;
+      return Guild.ranks.length + (canAdd ? 1 : 0);
+    }
+
+    currentRank() {
+      return Guild.ranks[this.index()] || null;
+    }
+
+    drawItem(index) {
+      const rect = this.itemLineRect(index);
+      const rank = Guild.ranks[index];
+      if (!rank) {
+        this.changeTextColor(ColorManager.systemColor());
+        this.drawText('+ New Rank', rect.x, rect.y, rect.width);
+        this.resetTextColor();
+        return;
+      }
+      this.drawText(rank.name, rect.x, rect.y, rect.width);
+      this.changeTextColor(ColorManager.textColor(8));
+      this.drawText(String(index + 1), rect.x, rect.y, rect.width, 'right');
+      this.resetTextColor();
+    }
+  }
+
+  class Window_GuildRankPermissions extends Window_Selectable {
+    initialize(rect) {
+      super.initialize(rect);
+      this._rank = null;
+      this._pending = {};
+      this.refresh();
+    }
+
+    rank() {
+      return this._rank;
+    }
+
+    setRank(rank) {
+      if (this._rank === rank) return;
+      this._rank = rank;
+      this._pending = {};
+      this.refresh();
+    }
+
+    clearPending() {
+      this._pending = {};
+      this.refresh();
+    }
+
+    flags() {
+      return Guild.rankMeta?.flags || [];
+    }
+
+    limitKeys() {
+      return Object.keys(Guild.rankMeta?.limits || {});
+    }
+
+    maxItems() {
+      if (!this._rank || this._rank.permissions?.all) return 0;
+      return this.flags().length + this.limitKeys().length;
+    }
+
+    keyAt(index) {
+      const flags = this.flags();
+      return index < flags.length ? flags[index] : this.limitKeys()[index - flags.length];
+    }
+
+    isLimit(key) {
+      return this.limitKeys().includes(key);
+    }
+
+    limitValue(key) {
+      if (key in this._pending) return this._pending[key];
+      return Number(this._rank?.permissions?.[key]) || 0;
+    }
+
+    limitStep(key) {
+      return key === 'bankWithdrawLimit' ? 100 : 1;
+    }
+
+    /**
+     * Change to send for the selected row: a toggled flag, or the edited limit
+     */
+    currentChange() {
+      const key = this.keyAt(this.index());
+      if (!key || !this._rank) return null;
+      if (this.isLimit(key)) {
+        if (!(key in this._pending)) return null;
+        const value = this._pending[key];
+        delete this._pending[key];
+        return { [key]: value };
+      }
+      return { [key]: !this._rank.permissions?.[key] };
+    }
+
+    cursorRight(wrap) {
+      this.adjustLimit(1);
+    }
+
+    cursorLeft(wrap) {
+      this.adjustLimit(-1);
+    }
+
+    cursorPagedown() {
+      this.adjustLimit(10);
+    }
+
+    cursorPageup() {
+      this.adjustLimit(-10);
+    }
+
+    adjustLimit(steps) {
+      const key = this.keyAt(this.index());
+      if (!key || !this.isLimit(key)) return;
+      const max = Guild.rankMeta.limits[key];
+      const value = Math.max(0, Math.min(max, this.limitValue(key) + steps * this.limitStep(key)));
+      if (value !== this.limitValue(key)) {
+        this._pending[key] = value;
+        SoundManager.playCursor();
+        this.redrawCurrentItem();
+      }
+    }
+
+    drawItem(index) {
+      const key = this.keyAt(index);
+      if (!key) return;
+      const rect = this.itemLineRect(index);
+      const label = key.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+      this.drawText(label, rect.x, rect.y, rect.width);
+
+      if (this.isLimit(key)) {
+        const pending = key in this._pending;
+        this.changeTextColor(pending ? ColorManager.textColor(6) : ColorManager.normalColor());
+        this.drawText(`< ${this.limitValue(key)} >`, rect.x, rect.y, rect.width, 'right');
+      } else {
+        const on = !!this._rank.permissions?.[key];
+        this.changeTextColor(on ? ColorManager.textColor(3) : ColorManager.textColor(8));
+        this.drawText(on ? 'ON' : 'OFF', rect.x, rect.y, rect.width, 'right');
+      }
+      this.resetTextColor();
+    }
+
+    refresh() {
+      super.refresh();
+      if (this._rank?.permissions?.all) {
+        this.drawText('Leader: all permissions', 0, 0, this.innerWidth, 'center');
+      }
+    }
+  }
+
+  class Window_GuildRankCommand extends Window_Command {
+    setRank(rank) {
+      this._rank = rank;
+      this.refresh();
+    }
+
+    makeCommandList() {
+      const rank = this._rank;
+      const ranks = Guild.ranks;
+      const index = rank ? ranks.findIndex(r => r.id === rank.id) : -1;
+      const isLeaderRank = !!rank?.permissions?.all;
+      this.addCommand('Permissions', 'permissions', !isLeaderRank);
+      this.addCommand('Rename', 'rename', !!rank);
+      this.addCommand('Move Up', 'up', !isLeaderRank && index > 1);
+      this.addCommand('Move Down', 'down', !isLeaderRank && index >= 0 && index < ranks.length - 1);
+      this.addCommand('Delete', 'delete', !isLeaderRank && ranks.length > 2);
+    }
+  }
+
+  class Window_GuildRankDeleteConfirm extends Window_Command {
+    setFallback(rank) {
+      this._fallback = rank;
+      this.refresh();
+    }
+
+    makeCommandList() {
+      const target = this._fallback ? this._fallback.name : 'next rank';
+      this.addCommand(`Delete (members move to ${target})`, 'yes');
+      this.addCommand('Cancel', 'no');
+    }
+  }
+
+  class Window_GuildRankNameEdit extends Window_GuildTextInput {
+    initialize(rect, rank) {
+      super.initialize(rect, {
+        maxLength: 20,
+        minLength: 2,
+        uppercase: false,
+        allowSpaces: true,
+        label: 'Rank',
+        defaultText: rank ? rank.name : ''
+      });
+    }
+  }
+
+  class Window_GuildDiplomacyCommand extends Window_Command {
+    makeCommandList() {
+      const canManage = !!Guild.diplomacy?.canManage;
+      this.addCommand('Alliance & Rivals', 'list');
+      this.addCommand('Propose Alliance', 'propose', canManage);
+      this.addCommand('Declare Rivalry', 'rival', canManage);
+      this.addCommand('Leave Alliance', 'leave', canManage && !!Guild.diplomacy?.alliance);
+    }
+  }
+
+  class Window_GuildDiplomacyList extends Window_Selectable {
+    initialize(rect) {
+      super.initialize(rect);
+      this.refresh();
+    }
+
+    // Flattened rows: alliance members, then pending proposals, then rivals
+    entries() {
+      const diplomacy = Guild.diplomacy;
+      if (!diplomacy) return [];
+      const myId = Guild.data?.id;
+      const allies = (diplomacy.alliance?.guilds || [])
+        .filter(g => g.id !== myId)
+        .map(g => ({ kind: 'ally', guildId: g.id, name: g.name, tag: g.tag }));
+      const proposals = diplomacy.proposals.map(p => ({ kind: 'proposal', guildId: p.guildId, name: p.guildName, tag: p.guildTag }));
+      const rivals = diplomacy.rivals.map(r => ({ kind: 'rival', guildId: r.guildId, name: r.name, tag: r.tag, declaredByUs: r.declaredByUs }));
+      return [...allies, ...proposals, ...rivals];
+    }
+
+    maxItems() {
+      return this.entries().length;
+    }
+
+    currentEntry() {
+      return this.entries()[this.index()] || null;
+    }
+
+    refresh() {
+      super.refresh();
+      if (this.maxItems() === 0) {
+        this.drawText(Guild.diplomacy ? 'No alliances or rivals.' : 'Loading...', 0, 0, this.innerWidth, 'center');
+      }
+    }
+
+    drawItem(index) {
+      const entry = this.entries()[index];
+      if (!entry) return;
+      const rect = this.itemLineRect(index);
+      const labels = { ally: ['Ally', 3], proposal: ['Proposal', 6], rival: ['Rival', 2] };
+      const [label, color] = labels[entry.kind];
+      this.drawText(`[${entry.tag}] ${entry.name}`, rect.x, rect.y, rect.width - 120);
+      this.changeTextColor(ColorManager.textColor(color));
+      this.drawText(label, rect.x, rect.y, rect.width, 'right');
+      this.resetTextColor();
+    }
+  }
+
+  class Window_GuildDiplomacyEntryCommand extends Window_Command {
+    setEntry(entry) {
+      this._entry = entry;
+      this.refresh();
+    }
+
+    makeCommandList() {
+      const entry = this._entry;
+      if (entry?.kind === 'proposal') {
+        this.addCommand('Accept', 'accept');
+        this.addCommand('Decline', 'decline');
+      } else if (entry?.kind === 'rival' && entry.declaredByUs) {
+        this.addCommand('End Rivalry', 'endRivalry');
+      }
+    }
+  }
+
+  class Window_GuildDiplomacyNameEdit extends Window_GuildTextInput {
+    initialize(rect) {
+      super.initialize(rect, {
+        maxLength: 30,
+        minLength: 2,
+        uppercase: false,
+        allowSpaces: true,
+        label: 'Guild'
+      });
+    }
+  }
+
   class Window_GuildRoster extends Window_Selectable {
     initialize(rect) {
       super.initialize(rect);
@@ -2488,6 +4120,9 @@ class Window_GuildTextInput extends Window_Selectable {
       this.drawText(`Status: ${m.isOnline ? 'Online' : 'Offline'}`, padX, y, w);
       y += lh;
 
+      this.drawText(`Guild XP: ${m.xpContributed || 0} (${m.weeklyXp || 0} this week)`, padX, y, w);
+      y += lh;
+
       this.drawText(nameLine, padX, y, w);
       y += lh;
 
@@ -2665,6 +4300,18 @@ class Window_GuildTextInput extends Window_Selectable {
     Guild.openRoster();
   });
 
+  PluginManager.registerCommand(pluginName, 'openBank', args => {
+    Guild.openBank();
+  });
+
+  PluginManager.registerCommand(pluginName, 'openRanks', args => {
+    Guild.openRanks();
+  });
+
+  PluginManager.registerCommand(pluginName, 'openDiplomacy', args => {
+    Guild.openDiplomacy();
+  });
+
   PluginManager.registerCommand(pluginName, 'checkInGuild', args => {
     const switchId = Number(args.switchId) || 1;
     $gameSwitches.setValue(switchId, Guild.checkInGuildCached());
@@ -2708,6 +4355,9 @@ class Window_GuildTextInput extends Window_Selectable {
   window.Scene_GuildLeaveConfirm = Scene_GuildLeaveConfirm;
   window.Scene_GuildDisbandConfirm = Scene_GuildDisbandConfirm;
   window.Scene_GuildInvites = Scene_GuildInvites;
+  window.Scene_GuildBank = Scene_GuildBank;
+  window.Scene_GuildRanks = Scene_GuildRanks;
+  window.Scene_GuildDiplomacy = Scene_GuildDiplomacy;
 
   // ============================================================================
   // INTERACTION INTEGRATION (Fix for missing Guild option)
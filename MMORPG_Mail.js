@@ -17,19 +17,48 @@
  * @default client
  * @desc Name of the global MMO client object (e.g., client, MMO, MMORPG)
  *
+ * @param awayAfterMinutes
+ * @text Auto-Away (minutes)
+ * @type number
+ * @min 1
+ * @default 5
+ * @desc Show as Away after this many minutes without keyboard, mouse or touch input
+ *
  * @help
  * ============================================================================
  * SERVER REQUIREMENTS
  * ============================================================================
  * Requires server-side routing for:
  * - m/send, m/list, m/read, m/delete (group "mail")
- * - u/online (group "users")
+ * - m/claim, m/return (parcels: gold/items attached to mail, optional COD)
+ * - m/star, m/move, m/folder/create|rename|delete (starring and folders)
+ * - u/online, u/status, u/activity, u/idle, u/presence push (group "users")
  *
  * See included server files:
  * - mail.js
  * - presence.js
  * and handler.js routing updates.
  * ============================================================================
+ * MAILBOX
+ * ============================================================================
+ * - The mailbox loads one page at a time; Q/W (PageUp/PageDown) flip pages.
+ * - Search filters the current view by subject and body.
+ * - Folders lists Starred mail and your own folders, and creates, renames or
+ *   deletes folders.
+ * - Shift marks messages in the list; Move and Delete then act on every
+ *   marked message at once.
+ * - Starred mail is never pushed out when the inbox is full.
+ * ============================================================================
+ * PRESENCE
+ * ============================================================================
+ * - Online Players -> Status picks Online, Away, Busy or Invisible and sets a
+ *   custom status message. Invisible players are left out of everyone else's
+ *   online list and look offline to friends.
+ * - The current map name is reported on every map change; battle, trade and
+ *   party activity is worked out by the server.
+ * - After "Auto-Away" minutes without input an Online player shows as Away.
+ * - Friends and guildmates receive changes live (u/presence).
+ * ============================================================================
  */
 
 (() => {
@@ -75,6 +104,7 @@
   const pluginName = 'MMORPG_Mail';
   const parameters = PluginManager.parameters(pluginName);
   const mmoGlobalName = parameters['mmoGlobalName'] || 'client';
+  const awayAfterMs = Math.max(1, Number(parameters['awayAfterMinutes'] || 5)) * 60 * 1000;
 
   // --------------------------------------------------------------------------
   // Shared Input Guard + Text Buffer (create if missing)
@@ -226,6 +256,33 @@
     chat.addMessage('[Mail]', text, 'white');
   }
 
+  function mailItemData(dataClass, itemId) {
+    switch (dataClass) {
+      case 'item': return $dataItems[itemId];
+      case 'weapon': return $dataWeapons[itemId];
+      case 'armor': return $dataArmors[itemId];
+      default: return null;
+    }
+  }
+
+  function mailDataClass(item) {
+    if (DataManager.isItem(item)) return 'item';
+    if (DataManager.isWeapon(item)) return 'weapon';
+    if (DataManager.isArmor(item)) return 'armor';
+    return null;
+  }
+
+  // "120 G, Potion x3, Long Sword"
+  function describeParcel(attachment) {
+    const parts = [];
+    if (attachment.gold > 0) parts.push(`${attachment.gold} ${TextManager.currencyUnit}`);
+    for (const { dataClass, itemId, quantity } of attachment.items || []) {
+      const name = mailItemData(dataClass, itemId)?.name || `${dataClass} #${itemId}`;
+      parts.push(quantity > 1 ? `${name} x${quantity}` : name);
+    }
+    return parts.join(', ');
+  }
+
   // --------------------------------------------------------------------------
   // Notification Badges (above chat)
   //   - Mail ✉  : new mail since last time Mail was opened
@@ -345,10 +402,19 @@
   // --------------------------------------------------------------------------
   // Mail Manager
   // --------------------------------------------------------------------------
+  const MAIL_PAGE_SIZE = 20;
+
+  function defaultMailView() {
+    return { box: 'inbox', folder: null, search: '', offset: 0, limit: MAIL_PAGE_SIZE };
+  }
+
   class MailManager {
     constructor() {
       this.inbox = [];
       this.sent = [];
+      this.view = defaultMailView(); // what the mailbox is paging through
+      this.page = null;              // last paged m/list response
+      this.folders = [];
       this._full = new Map(); // key: `${box}:${id}` => message
       this._pendingReadBox = new Map(); // key: `${id}` => 'inbox'|'sent'
       this._handlers = {};
@@ -380,15 +446,55 @@
       reactFn('mail', 'm/read/res', (args) => this._onRead(args[0]));
       reactFn('mail', 'm/delete/res', (args) => this._onDelete(args[0]));
       reactFn('mail', 'm/clear/res', (args) => this._onClear(args[0]));
+      reactFn('mail', 'm/claim/res', (args) => this._onClaim(args[0]));
+      reactFn('mail', 'm/return/res', (args) => this._onReturn(args[0]));
+      reactFn('mail', 'm/star/res', (args) => this._onStar(args[0]));
+      reactFn('mail', 'm/move/res', (args) => this._onMove(args[0]));
+      reactFn('mail', 'm/folder/res', (args) => this._onFolder(args[0]));
       reactFn('mail', 'mail/new', (args) => this._onNew(args[0]));
     }
 
+    // Full inbox + sent (the Social requests tab still reads Mail.inbox)
     requestList() {
       safeBroadcast('m/list', []);
     }
 
-    send(toUsername, subject, body) {
-      safeBroadcast('m/send', [toUsername, subject, body]);
+    requestPage(patch = null) {
+      if (patch) Object.assign(this.view, patch);
+      safeBroadcast('m/list', [{ ...this.view }]);
+    }
+
+    resetView() {
+      this.view = defaultMailView();
+      this.page = null;
+    }
+
+    // Items of the loaded page, or null while that view is still on its way.
+    pageItems(box, folder = null) {
+      const p = this.page;
+      if (!p || p.box !== box) return null;
+      if (box === 'folder' && p.folder !== folder) return null;
+      return Array.isArray(p.items) ? p.items : [];
+    }
+
+    _refreshLists() {
+      if (this.page) this.requestPage();
+      else this.requestList();
+    }
+
+    // attachment: { gold, cod, items: [[[dataClass, itemId], qty], ...] } or null
+    send(toUsername, subject, body, attachment = null) {
+      const args = [toUsername, subject, body];
+      if (attachment) args.push(attachment);
+      safeBroadcast('m/send', args);
+    }
+
+    claim(id) {
+      safeBroadcast('m/claim', [id]);
+    }
+
+    refuse(id) {
+      safeBroadcast('m/return', [id]);
     }
 
     read(box, id) {
@@ -397,10 +503,32 @@
       safeBroadcast('m/read', [b, id]);
     }
 
+    // id may be an array for bulk deletes
     delete(box, id) {
       safeBroadcast('m/delete', [box, id]);
     }
 
+    star(id, starred) {
+      safeBroadcast('m/star', [id, !!starred]);
+    }
+
+    move(ids, folder) {
+      safeBroadcast('m/move', [ids, folder || null]);
+    }
+
+    createFolder(name) {
+      safeBroadcast('m/folder/create', [name]);
+    }
+
+    renameFolder(name, newName) {
+      this._renaming = { from: name, to: newName };
+      safeBroadcast('m/folder/rename', [name, newName]);
+    }
+
+    deleteFolder(name) {
+      safeBroadcast('m/folder/delete', [name]);
+    }
+
     clear(mode = 'mail') {
       safeBroadcast('m/clear', [mode]);
     }
@@ -411,15 +539,41 @@
 
     _onList(data) {
       if (!data) return;
-      this.inbox = Array.isArray(data.inbox) ? data.inbox : [];
-      this.sent = Array.isArray(data.sent) ? data.sent : [];
+      if (Array.isArray(data.items)) {
+        this.page = data;
+        this.folders = Array.isArray(data.folders) ? data.folders : [];
+        // The server clamps paging and drops unknown folders; follow it.
+        this.view.box = data.box;
+        this.view.folder = data.folder || null;
+        this.view.offset = data.offset || 0;
+      } else {
+        this.inbox = Array.isArray(data.inbox) ? data.inbox : [];
+        this.sent = Array.isArray(data.sent) ? data.sent : [];
+      }
       this._emit('updated');
     }
 
+    // Server is authoritative for gold/items after a parcel moves.
+    _applyTotals(data) {
+      if (typeof data.gold === 'number') {
+        $gameParty._gold = data.gold;
+      }
+      for (const { dataClass, itemId, owned } of data.items || []) {
+        const item = mailItemData(dataClass, itemId);
+        if (!item || typeof owned !== 'number') continue;
+        const delta = owned - $gameParty.numItems(item);
+        if (delta) {
+          const gain = $gameParty.rawGainItem || $gameParty.gainItem;
+          gain.call($gameParty, item, delta, false);
+        }
+      }
+    }
+
     _onSend(data) {
+      if (data && data.success) this._applyTotals(data);
       this._emit('sendResult', data);
       // Refresh lists on success
-      if (data && data.success) this.requestList();
+      if (data && data.success) this._refreshLists();
     }
 
     _onRead(data) {
@@ -442,21 +596,99 @@
       this._full.set(key, msg);
 
       // Mark read in inbox summary (requests live in inbox storage too)
-      const summary = (this.inbox || []).find(m => Number(m.id) === Number(msg.id));
-      if (summary) summary.read = true;
+      if (box === 'inbox') {
+        for (const list of [this.inbox || [], this.page?.items || []]) {
+          const summary = list.find(m => Number(m.id) === Number(msg.id));
+          if (summary) summary.read = true;
+        }
+      }
 
       this._emit('message', { box, message: msg });
       this._emit('updated');
     }
 
     _onDelete(data) {
+      if (data && !data.success) chatSystem(data.error || 'Could not delete.');
+      else if (data && data.skipped > 0) chatSystem(`${data.skipped} message(s) with parcels were kept.`);
       this._emit('deleteResult', data);
-      if (data && data.success) this.requestList();
+      if (data && data.success) this._refreshLists();
     }
 
     _onClear(data) {
       this._emit('clearResult', data);
-      if (data && data.success) this.requestList();
+      if (data && data.success) this._refreshLists();
+    }
+
+    _onClaim(data) {
+      if (!data) return;
+      if (!data.success) {
+        chatSystem(data.error || 'Could not claim the parcel.');
+        this._emit('claimResult', data);
+        return;
+      }
+
+      this._applyTotals(data);
+      const full = this._full.get(`inbox:${data.id}`);
+      if (full) {
+        full.attachment = data.attachment;
+        this._emit('message', { box: 'inbox', message: full });
+      }
+      if (data.attachment) chatSystem(`Parcel collected: ${describeParcel(data.attachment)}`);
+      this._emit('claimResult', data);
+      this._refreshLists();
+    }
+
+    _onReturn(data) {
+      if (!data) return;
+      if (!data.success) {
+        chatSystem(data.error || 'Could not return the parcel.');
+      } else {
+        this._full.delete(`inbox:${data.id}`);
+        chatSystem('Parcel returned to the sender.');
+        this._refreshLists();
+      }
+      this._emit('returnResult', data);
+    }
+
+    _onStar(data) {
+      if (!data) return;
+      if (!data.success) {
+        chatSystem(data.error || 'Could not star the message.');
+        return;
+      }
+      const summary = (this.page?.items || []).find(m => Number(m.id) === Number(data.id));
+      if (summary) summary.starred = data.starred;
+      this._emit('updated');
+      if (this.page?.box === 'starred') this.requestPage();
+    }
+
+    _onMove(data) {
+      if (!data) return;
+      if (!data.success) {
+        chatSystem(data.error || 'Could not move the mail.');
+        return;
+      }
+      chatSystem(`Moved ${data.moved} message(s) to ${data.folder || 'Inbox'}.`);
+      this._refreshLists();
+    }
+
+    _onFolder(data) {
+      if (!data) return;
+      const renaming = this._renaming;
+      this._renaming = null;
+      if (!data.success) {
+        chatSystem(data.error || 'Folder change failed.');
+        return;
+      }
+      this.folders = Array.isArray(data.folders) ? data.folders : [];
+
+      // Keep looking at a folder that was just renamed
+      if (renaming && this.view.folder === renaming.from) {
+        const key = String(renaming.to).trim().toLowerCase();
+        const renamed = this.folders.find(f => f.name.toLowerCase() === key);
+        if (renamed) this.view.folder = renamed.name;
+      }
+      this._refreshLists();
     }
 
     _onNew(summary) {
@@ -483,7 +715,7 @@
         chatSystem(`New mail from ${from}: ${subj}`);
       }
 
-      this.requestList();
+      this._refreshLists();
       this._emit('new', summary);
     }
   }
@@ -493,12 +725,45 @@
   // --------------------------------------------------------------------------
   // Presence Manager
   // --------------------------------------------------------------------------
+  const PRESENCE_STATUSES = ['online', 'away', 'busy', 'invisible'];
+
+  function presenceStatusLabel(status) {
+    const s = String(status || 'offline');
+    return s.charAt(0).toUpperCase() + s.slice(1);
+  }
+
+  function presenceStatusColor(status) {
+    switch (status) {
+      case 'online': return ColorManager.textColor(3);
+      case 'away': return ColorManager.textColor(6);
+      case 'busy': return ColorManager.textColor(2);
+      default: return ColorManager.textColor(8);
+    }
+  }
+
+  // "Map Name, In Battle" style summary of a presence's activity
+  function describeActivity(activity) {
+    if (!activity) return '';
+    const parts = [];
+    if (activity.mapName) parts.push(activity.mapName);
+    if (activity.inBattle) parts.push('In Battle');
+    if (activity.inTrade) parts.push('Trading');
+    if (activity.inParty) parts.push('In Party');
+    return parts.join(', ');
+  }
+
   class PresenceManager {
     constructor() {
       this.users = [];
       this.count = 0;
+      this.status = 'online';
+      this.message = '';
+      this._mapName = null;
+      this._idle = false;
+      this._lastInputAt = Date.now();
       this._handlers = {};
       this._setupNetworkHandlers();
+      this._setupIdleTracking();
     }
 
     on(event, cb) {
@@ -522,12 +787,88 @@
       }
 
       reactFn('users', 'u/online/res', (args) => this._onOnline(args[0]));
+      reactFn('users', 'u/status/res', (args) => this._onStatus(args[0]));
+      reactFn('users', 'u/presence', (args) => this._onPresence(args[0]));
+      reactFn('users', 'u/self', (args) => this._onSelf(args[0]));
+    }
+
+    _setupIdleTracking() {
+      const onInput = () => {
+        this._lastInputAt = Date.now();
+        if (this._idle) this._setIdle(false);
+      };
+      for (const type of ['keydown', 'mousedown', 'mousemove', 'touchstart', 'wheel']) {
+        document.addEventListener(type, onInput, { passive: true });
+      }
+      setInterval(() => {
+        if (!this._idle && Date.now() - this._lastInputAt >= awayAfterMs) this._setIdle(true);
+      }, 10000);
+    }
+
+    _setIdle(idle) {
+      this._idle = idle;
+      safeBroadcast('u/idle', [idle]);
     }
 
     requestOnline() {
       safeBroadcast('u/online', []);
     }
 
+    // message: omit to keep the current custom message
+    setStatus(status, message) {
+      const args = [status];
+      if (message !== undefined) args.push(String(message));
+      safeBroadcast('u/status', args);
+    }
+
+    reportMap(mapName) {
+      const name = String(mapName || '').trim();
+      if (name === this._mapName) return;
+      this._mapName = name;
+      safeBroadcast('u/activity', [{ mapName: name }]);
+    }
+
+    _onStatus(data) {
+      if (!data) return;
+      if (!data.success) {
+        chatSystem(data.error || 'Could not change status.');
+        return;
+      }
+      this.status = data.presence?.status || this.status;
+      this.message = data.presence?.message || '';
+      chatSystem(this.message
+        ? `Status: ${presenceStatusLabel(this.status)} - ${this.message}`
+        : `Status: ${presenceStatusLabel(this.status)}`);
+      this._emit('status', data.presence);
+    }
+
+    // Sent on login: saved status, and a fresh server state to re-fill
+    _onSelf(view) {
+      if (!view) return;
+      this.status = view.status || 'online';
+      this.message = view.message || '';
+
+      const mapName = this._mapName;
+      this._mapName = null;
+      if (mapName) this.reportMap(mapName);
+      if (this._idle) safeBroadcast('u/idle', [true]);
+      this._emit('status', view);
+    }
+
+    // Live delta from a friend or guildmate
+    _onPresence(view) {
+      if (!view || view.userId == null) return;
+      const index = this.users.findIndex(u => String(u.id) === String(view.userId));
+      if (!view.online) {
+        if (index >= 0) this.users.splice(index, 1);
+      } else if (index >= 0) {
+        Object.assign(this.users[index], { status: view.status, message: view.message, activity: view.activity });
+      }
+      this.count = this.users.length;
+      this._emit('presence', view);
+      this._emit('updated');
+    }
+
     _onOnline(data) {
       this.users = Array.isArray(data?.users) ? data.users : [];
       this.count = Number(data?.count || this.users.length);
@@ -537,10 +878,21 @@
 
   const Presence = window.MMO_Presence || (window.MMO_Presence = new PresenceManager());
 
+  // Report the map display name (editor name as a fallback) on every map load.
+  const _Scene_Map_onMapLoaded = Scene_Map.prototype.onMapLoaded;
+  Scene_Map.prototype.onMapLoaded = function() {
+    _Scene_Map_onMapLoaded.call(this);
+    try {
+      const info = $dataMapInfos && $dataMapInfos[$gameMap.mapId()];
+      Presence.reportMap($gameMap.displayName() || (info ? info.name : ''));
+    } catch (_) {}
+  };
+
   // --------------------------------------------------------------------------
   // Plugin Commands
   // --------------------------------------------------------------------------
   PluginManager.registerCommand(pluginName, 'openMailbox', () => {
+    Mail.resetView();
     SceneManager.push(Scene_Mailbox);
   });
 
@@ -601,21 +953,61 @@
 // --------------------------------------------------------------------------
   // Window: Mail List
   // --------------------------------------------------------------------------
+  const MAIL_VIEWS = ['inbox', 'sent', 'requests', 'starred', 'folder'];
+
   class Window_MailList extends Window_Selectable {
     initialize(rect) {
       super.initialize(rect);
       this._box = 'inbox';
+      this._folder = null;
       this._data = [];
+      this._loading = false;
+      this._marked = new Set();
       this.refresh();
     }
 
-    setBox(box) {
-      this._box = (box === 'sent') ? 'sent' : ((box === 'requests') ? 'requests' : 'inbox');
+    setBox(box, folder = null) {
+      const next = MAIL_VIEWS.includes(box) ? box : 'inbox';
+      const nextFolder = (next === 'folder') ? folder : null;
+      if (next !== this._box || nextFolder !== this._folder) this._marked.clear();
+      this._box = next;
+      this._folder = nextFolder;
       this.refresh();
     }
 
     data() { return this._data; }
     box() { return this._box; }
+    folder() { return this._folder; }
+    isLoading() { return this._loading; }
+
+    // Where the server keeps this view's messages (read/delete use it)
+    storeBox() {
+      return (this._box === 'sent') ? 'sent' : 'inbox';
+    }
+
+    markedIds() { return [...this._marked]; }
+
+    clearMarks() {
+      this._marked.clear();
+      this.refresh();
+    }
+
+    toggleMark() {
+      const item = this.item();
+      if (!item || isRequestType(item.type)) {
+        SoundManager.playBuzzer();
+        return;
+      }
+      if (this._marked.has(item.id)) this._marked.delete(item.id);
+      else this._marked.add(item.id);
+      SoundManager.playCursor();
+      this.refresh();
+      if (this._markHandler) this._markHandler();
+    }
+
+    setMarkHandler(fn) {
+      this._markHandler = fn;
+    }
 
     maxItems() {
       return this._data.length;
@@ -627,6 +1019,7 @@
 
     update() {
       super.update();
+      if (this.active && Input.isTriggered('shift')) this.toggleMark();
       this._processInactiveClick();
     }
 
@@ -649,26 +1042,25 @@
     }
 
     refresh() {
-      const inboxAll = Mail.inbox || [];
-      if (this._box === 'sent') {
-        this._data = Mail.sent || [];
-      } else if (this._box === 'requests') {
-        this._data = inboxAll.filter(m => isRequestType(m.type));
-      } else {
-        // inbox (non-requests)
-        this._data = inboxAll.filter(m => !isRequestType(m.type));
-      }
+      // The server already filtered and paged this view.
+      const items = Mail.pageItems(this._box, this._folder);
+      this._loading = (items === null);
+      this._data = items || [];
       this.createContents();
       this.contents.clear();
       this.drawAllItems();
 
       // Empty-state text for a better JRPG-style menu feel.
       if (this._data.length === 0) {
-        const msg = (this._box === 'sent')
-          ? 'No sent messages'
-          : (this._box === 'requests')
-            ? 'No requests'
-            : 'No messages';
+        const empty = {
+          sent: 'No sent messages',
+          requests: 'No requests',
+          starred: 'No starred messages',
+          folder: 'This folder is empty'
+        };
+        const msg = this._loading
+          ? 'Loading...'
+          : (Mail.view.search ? 'No matches' : (empty[this._box] || 'No messages'));
 
         this.changeTextColor(ColorManager.textColor(8));
         this.drawText(msg, 0, 0, this.innerWidth, 'center');
@@ -682,14 +1074,18 @@
       const rect = this.itemLineRect(index);
 
       const unread = (this._box !== 'sent') && !item.read;
-      const mark = unread ? '*' : ' ';
+      const marked = this._marked.has(item.id);
+      const mark = marked ? '+' : (unread ? '*' : ' ');
       const fromOrTo = (this._box === 'sent') ? `To: ${item.toUsername}` : `From: ${item.fromUsername}`;
       const type = item.type || 'mail';
-      const prefix = type === 'friend_request' ? '[Friend] ' : (type === 'guild_invite' ? '[Guild] ' : '');
+      const parcel = item.attachment?.status === 'pending' ? '[Parcel] ' : '';
+      const prefix = (item.starred ? '★' : '') +
+        (type === 'friend_request' ? '[Friend] ' : (type === 'guild_invite' ? '[Guild] ' : parcel));
       const subjRaw = item.subject || '(No Subject)';
       const subj = (prefix + subjRaw).slice(0, 32);
 
-      this.resetTextColor();
+      if (marked) this.changeTextColor(ColorManager.textColor(3));
+      else this.resetTextColor();
       this.drawText(mark, rect.x, rect.y, 20);
 
       this.drawText(fromOrTo, rect.x + 20, rect.y, rect.width - 20);
@@ -711,6 +1107,92 @@
   // --------------------------------------------------------------------------
   // Window: Mail View
   // --------------------------------------------------------------------------
+  // --------------------------------------------------------------------------
+  // Window: Mail Status (view, search, page)
+  // --------------------------------------------------------------------------
+  class Window_MailStatus extends Window_Base {
+    initialize(rect) {
+      super.initialize(rect);
+      this._marked = 0;
+      this.refresh();
+    }
+
+    setMarked(count) {
+      this._marked = count || 0;
+      this.refresh();
+    }
+
+    refresh() {
+      this.contents.clear();
+      const view = Mail.view;
+      const p = Mail.page;
+      const names = { inbox: 'Inbox', sent: 'Sent', requests: 'Requests', starred: 'Starred' };
+      let label = (view.box === 'folder') ? String(view.folder || '') : (names[view.box] || 'Inbox');
+      if (view.search) label += ` "${view.search}"`;
+      if (this._marked > 0) label += ` +${this._marked}`;
+
+      let pageText = '';
+      if (p && p.total > 0) {
+        const pages = Math.ceil(p.total / p.limit);
+        pageText = `${Math.floor(p.offset / p.limit) + 1}/${pages}`;
+      }
+      const pageW = this.textWidth('000/000');
+
+      this.changeTextColor(ColorManager.systemColor());
+      this.drawText(label, 0, 0, this.innerWidth - pageW - 8);
+      this.resetTextColor();
+      this.drawText(pageText, 0, 0, this.innerWidth, 'right');
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Window: Folder picker (views + folder management, or a move target)
+  // --------------------------------------------------------------------------
+  class Window_MailFolders extends Window_Command {
+    initialize(rect) {
+      this._mode = 'view';
+      super.initialize(rect);
+    }
+
+    setMode(mode) {
+      this._mode = (mode === 'move') ? 'move' : 'view';
+      this.refresh();
+    }
+
+    mode() { return this._mode; }
+
+    makeCommandList() {
+      const folders = Mail.folders || [];
+      const inFolder = Mail.view.box === 'folder' && !!Mail.view.folder;
+
+      this.addCommand('Inbox', 'inbox');
+      if (this._mode === 'view') this.addCommand('Starred', 'starred');
+      for (const f of folders) {
+        const label = f.unread > 0 ? `${f.name} (${f.unread}/${f.count})` : `${f.name} (${f.count})`;
+        this.addCommand(label, 'folder', true, f.name);
+      }
+      if (this._mode === 'view') {
+        this.addCommand('New Folder', 'create');
+        this.addCommand('Rename Folder', 'rename', inFolder);
+        this.addCommand('Delete Folder', 'remove', inFolder);
+      }
+    }
+
+    update() {
+      super.update();
+      this._processOutsideCancel();
+    }
+
+    _processOutsideCancel() {
+      if (!this.active) return;
+      if (!this.isOpen() || !this.visible) return;
+      if (!TouchInput.isTriggered()) return;
+      if (this.isTouchedInsideFrame()) return;
+      SoundManager.playCancel();
+      if (this.isHandled('cancel')) this.callHandler('cancel');
+    }
+  }
+
   class Window_MailView extends Window_Base {
     initialize(rect) {
       super.initialize(rect);
@@ -826,6 +1308,19 @@
       this.drawText(time, rect.x + 120, y, rect.width - 120);
       y += this.lineHeight();
 
+      if (summary.expiresAt) {
+        this.changeTextColor(ColorManager.systemColor());
+        this.drawText('Expires:', rect.x, y, 120);
+        this.resetTextColor();
+        this.drawText(formatTime(summary.expiresAt), rect.x + 120, y, rect.width - 120);
+        y += this.lineHeight();
+      }
+
+      const attachment = this._message?.attachment || summary.attachment;
+      if (attachment) {
+        y = this.drawAttachment(attachment, rect, y);
+      }
+
       y += 8;
 
       const body = this._message ? this._message.body : null;
@@ -838,6 +1333,26 @@
 
       drawTextWrapped(this, body, rect.x, y, rect.width, 99);
     }
+
+    drawAttachment(attachment, rect, y) {
+      const statusText = { pending: 'Waiting', claimed: 'Collected', returned: 'Returned' };
+      const contents = Array.isArray(attachment.items)
+        ? describeParcel(attachment)
+        : `${attachment.gold || 0} ${TextManager.currencyUnit}, ${attachment.itemCount || 0} item stack(s)`;
+
+      this.changeTextColor(ColorManager.systemColor());
+      this.drawText('Parcel:', rect.x, y, 120);
+      this.resetTextColor();
+      this.drawText(contents, rect.x + 120, y, rect.width - 120);
+      y += this.lineHeight();
+
+      this.changeTextColor(ColorManager.systemColor());
+      this.drawText('Status:', rect.x, y, 120);
+      this.resetTextColor();
+      const cod = attachment.cod > 0 ? `  (COD ${attachment.cod} ${TextManager.currencyUnit})` : '';
+      this.drawText(`${statusText[attachment.status] || attachment.status}${cod}`, rect.x + 120, y, rect.width - 120);
+      return y + this.lineHeight();
+    }
   }
 
   // --------------------------------------------------------------------------
@@ -875,13 +1390,15 @@
     makeCommandList() {
       this.addCommand('Inbox', 'inbox');
       this.addCommand('Sent', 'sent');
+      this.addCommand('Folders', 'folders');
+      this.addCommand('Search', 'search');
       this.addCommand('Compose', 'compose');
       this.addCommand('Refresh', 'refresh');
       this.addCommand('Close', 'close');
     }
 
     maxCols() {
-      return 5;
+      return 7;
     }
 
     // Slightly shrink the highlight/button rect so it doesn't overlap the window border.
@@ -921,18 +1438,20 @@
   }
 
 // --------------------------------------------------------------------------
-// Window: Actions submenu (Reply / Delete / Delete All Emails)
+// Window: Actions submenu (Reply / Star / Move / Delete / Delete All Emails)
 // --------------------------------------------------------------------------
 class Window_MailActions extends Window_Command {
   initialize(rect) {
     this._box = 'inbox';
     this._summary = null;
+    this._marked = 0;
     super.initialize(rect);
   }
 
-  setContext(box, summary) {
+  setContext(box, summary, marked = 0) {
     this._box = (box === 'sent') ? 'sent' : ((box === 'requests') ? 'requests' : 'inbox');
     this._summary = summary || null;
+    this._marked = marked || 0;
     this.refresh();
   }
 
@@ -945,10 +1464,18 @@ class Window_MailActions extends Window_Command {
     const isServer = !!s && String(s.fromUsername || '').toLowerCase() === 'server';
 
     const canReply = !!s && box === 'inbox' && type === 'mail' && !isServer;
-    const canDelete = !!s && (box === 'inbox' || box === 'sent') && !isReq;
+    const hasParcel = !!s && box === 'inbox' && s.attachment?.status === 'pending';
+    const canDelete = !!s && (box === 'inbox' || box === 'sent') && !isReq && !hasParcel;
+    const canFile = !!s && box === 'inbox' && !isReq;
+    const marked = this._marked;
 
     this.addCommand('Reply', 'reply', canReply);
-    this.addCommand('Delete', 'delete', canDelete);
+    this.addCommand(s?.attachment?.cod > 0 ? 'Pay & Claim' : 'Claim Parcel', 'claim', hasParcel);
+    this.addCommand('Return Parcel', 'return', hasParcel && !isServer);
+    this.addCommand(s?.starred ? 'Unstar' : 'Star', 'star', canFile);
+    this.addCommand(marked > 0 ? `Move Marked (${marked})` : 'Move to Folder', 'move',
+      box === 'inbox' && (marked > 0 || canFile));
+    this.addCommand(marked > 0 ? `Delete Marked (${marked})` : 'Delete', 'delete', marked > 0 || canDelete);
     this.addCommand('Delete All Emails', 'deleteAll', true);
   }
 
@@ -1030,21 +1557,30 @@ class Window_MailConfirm extends Window_Command {
       } catch (_) {}
 
       const cmdH = this.calcWindowHeight(1, true);
+      const statusH = this.calcWindowHeight(1, false);
       const margin = 12;
       const listW = 320;
 
-      const listRect = new Rectangle(margin, margin, listW, Graphics.boxHeight - cmdH - margin * 3);
+      const listH = Graphics.boxHeight - cmdH - statusH - margin * 4;
+      const listRect = new Rectangle(margin, margin, listW, listH);
+      const statusRect = new Rectangle(margin, margin * 2 + listH, listW, statusH);
       const viewRect = new Rectangle(margin + listW + margin, margin, Graphics.boxWidth - (listW + margin * 3), Graphics.boxHeight - cmdH - margin * 3);
       const cmdRect = new Rectangle(margin, Graphics.boxHeight - cmdH - margin, Graphics.boxWidth - margin * 2, cmdH);
 
       this._listWindow = new Window_MailList(listRect);
       this._listWindow.setHandler('ok', this.onListOk.bind(this));
       this._listWindow.setHandler('cancel', this.onListCancel.bind(this));
+      this._listWindow.setHandler('pageup', () => this.changePage(-1));
+      this._listWindow.setHandler('pagedown', () => this.changePage(1));
+      this._listWindow.setMarkHandler(() => this._statusWindow.setMarked(this._listWindow.markedIds().length));
       // Start on the tab bar; list is preview-only until a tab is "pressed" with OK.
       this._listWindow.select(-1);
       this._listWindow.deactivate();
       this.addWindow(this._listWindow);
 
+      this._statusWindow = new Window_MailStatus(statusRect);
+      this.addWindow(this._statusWindow);
+
       this._viewWindow = new Window_MailView(viewRect);
       this._viewWindow.setClickHandler(this.onViewClicked.bind(this));
       this._viewWindow.deactivate();
@@ -1054,6 +1590,8 @@ class Window_MailConfirm extends Window_Command {
       // Tabs (OK = enter that box / activate list)
       this._cmdWindow.setHandler('inbox', () => this.tryEnterBox('inbox'));
       this._cmdWindow.setHandler('sent', () => this.tryEnterBox('sent'));
+      this._cmdWindow.setHandler('folders', () => this.openFolders('view'));
+      this._cmdWindow.setHandler('search', this.onSearch.bind(this));
 
       this._cmdWindow.setHandler('compose', this.onCompose.bind(this));
       this._cmdWindow.setHandler('refresh', this.onRefresh.bind(this));
@@ -1079,12 +1617,16 @@ this.addWindow(this._requestWindow);
 
 // Actions submenu (Reply / Delete / Delete All Emails)
 const actW = 280;
-const actH = this.calcWindowHeight(3, true);
+const actH = this.calcWindowHeight(7, true);
 const actX = Math.floor((Graphics.boxWidth - actW) / 2);
 const actY = Math.floor(Graphics.boxHeight - cmdH - margin * 2 - actH);
 const actRect = new Rectangle(actX, actY, actW, actH);
 this._actionsWindow = new Window_MailActions(actRect);
 this._actionsWindow.setHandler('reply', this.onActionReply.bind(this));
+this._actionsWindow.setHandler('claim', this.onActionClaim.bind(this));
+this._actionsWindow.setHandler('return', this.onActionReturn.bind(this));
+this._actionsWindow.setHandler('star', this.onActionStar.bind(this));
+this._actionsWindow.setHandler('move', () => this.openFolders('move'));
 this._actionsWindow.setHandler('delete', this.onActionDelete.bind(this));
 this._actionsWindow.setHandler('deleteAll', this.onActionDeleteAll.bind(this));
 this._actionsWindow.setHandler('cancel', this.closeActions.bind(this));
@@ -1106,19 +1648,37 @@ this._confirmWindow.hide();
 this._confirmWindow.deactivate();
 this.addWindow(this._confirmWindow);
 
+// Folder picker (Folders tab, or "Move to Folder" from the actions menu)
+const foldW = 320;
+const foldH = this.calcWindowHeight(8, true);
+const foldX = Math.floor((Graphics.boxWidth - foldW) / 2);
+const foldY = Math.floor((Graphics.boxHeight - foldH) / 2);
+this._foldersWindow = new Window_MailFolders(new Rectangle(foldX, foldY, foldW, foldH));
+this._foldersWindow.setHandler('inbox', () => this.onFolderPick('inbox', null));
+this._foldersWindow.setHandler('starred', () => this.onFolderPick('starred', null));
+this._foldersWindow.setHandler('folder', () => this.onFolderPick('folder', this._foldersWindow.currentExt()));
+this._foldersWindow.setHandler('create', this.onFolderCreate.bind(this));
+this._foldersWindow.setHandler('rename', this.onFolderRename.bind(this));
+this._foldersWindow.setHandler('remove', this.onFolderDelete.bind(this));
+this._foldersWindow.setHandler('cancel', this.closeFolders.bind(this));
+this._foldersWindow.hide();
+this._foldersWindow.deactivate();
+this.addWindow(this._foldersWindow);
+
 this._confirmYesCb = null;
 this._confirmNoCb = null;
 
 // Remember last selected message per box (so switching tabs doesn't jump around)
-this._savedIndexByBox = { inbox: -1, requests: -1, sent: -1 };
+this._savedIndexByBox = { inbox: -1, requests: -1, sent: -1, starred: -1, folder: -1 };
 
-      // Initialize preview (Inbox) without entering the list yet.
+      // Initialize preview (last view, Inbox when freshly opened) without entering the list yet.
       this._lastCmdSymbol = null;
       this._postReadKey = null; // enables "View -> Cancel -> Actions" flow
-      this.setBox('inbox', false);
+      this.setBox(Mail.view.box, false, Mail.view.folder);
 
-      // Put the blinking cursor on the tab bar (Inbox) but do not "enter" the list until OK is pressed.
-      if (this._cmdWindow.selectSymbol) this._cmdWindow.selectSymbol('inbox');
+      // Put the blinking cursor on the tab bar but do not "enter" the list until OK is pressed.
+      if (this._cmdWindow.selectSymbol) this._cmdWindow.selectSymbol(this._tabSymbol(Mail.view.box));
+      this._lastCmdSymbol = this._cmdWindow.currentSymbol();
       this._cmdWindow.activate();
 
       // Initialize command context based on the current selection
@@ -1132,6 +1692,7 @@ this._savedIndexByBox = { inbox: -1, requests: -1, sent: -1 };
         const prevIdx = this._listWindow.index();
 
         this._listWindow.refresh();
+        this._statusWindow.refresh();
 
         // Clamp saved index for this box to the new list size
         if (this._savedIndexByBox) {
@@ -1152,26 +1713,35 @@ this._savedIndexByBox = { inbox: -1, requests: -1, sent: -1 };
         }
 
         this.updateViewFromSelection();
+
+        // A tab pressed before its page arrived gets entered now.
+        if (this._enterOnLoad && SceneManager._scene === this && !this._listWindow.isLoading()) {
+          const pending = this._enterOnLoad;
+          this._enterOnLoad = null;
+          if (this._cmdWindow.active) this.tryEnterBox(pending.box, pending.folder);
+        }
       });
 
       Mail.on('message', ({ box, message }) => {
         if (!this._listWindow) return;
 
         const currentBox = this._listWindow.box();
-        const logicalMatch = (currentBox === box) || (currentBox === 'requests' && box === 'inbox');
+        const logicalMatch = (this._listWindow.storeBox() === box);
 
         if (logicalMatch && this._listWindow.item() && this._listWindow.item().id === message.id) {
           this._viewWindow.setMessage(currentBox, message);
         }
       });
-
-      Mail.requestList();
     }
 
     start() {
       super.start();
-      // Refresh mail lists on entry (safe even if already current)
-      Mail.requestList();
+      // Refresh the current page on entry (safe even if already current)
+      Mail.requestPage();
+    }
+
+    _tabSymbol(box) {
+      return (box === 'inbox' || box === 'sent') ? box : 'folders';
     }
 
     update() {
@@ -1183,7 +1753,8 @@ this._savedIndexByBox = { inbox: -1, requests: -1, sent: -1 };
         const popupVisible =
           (this._requestWindow && this._requestWindow.visible) ||
           (this._actionsWindow && this._actionsWindow.visible) ||
-          (this._confirmWindow && this._confirmWindow.visible);
+          (this._confirmWindow && this._confirmWindow.visible) ||
+          (this._foldersWindow && this._foldersWindow.visible);
 
         if (!popupVisible) {
           if (Input.isTriggered('cancel')) {
@@ -1229,9 +1800,16 @@ this._savedIndexByBox = { inbox: -1, requests: -1, sent: -1 };
 
 
 
-    tryEnterBox(box) {
+    tryEnterBox(box, folder = null) {
       // If the selected box is empty, play a buzzer and keep focus on the tab bar.
-      this.setBox(box, false);
+      this.setBox(box, false, folder);
+
+      // Still loading: enter once the page arrives.
+      if (this._listWindow && this._listWindow.isLoading()) {
+        this._enterOnLoad = { box, folder };
+        if (this._cmdWindow) this._cmdWindow.activate();
+        return;
+      }
 
       const max = this._listWindow ? this._listWindow.maxItems() : 0;
       if (max <= 0) {
@@ -1241,10 +1819,10 @@ this._savedIndexByBox = { inbox: -1, requests: -1, sent: -1 };
         return;
       }
 
-      this.setBox(box, true);
+      this.setBox(box, true, folder);
     }
 
-    setBox(box, activateList = false) {
+    setBox(box, activateList = false, folder = null) {
       if (!this._listWindow) return;
 
       // Save current list selection for the current box, but only when the list is the active input window.
@@ -1253,7 +1831,13 @@ this._savedIndexByBox = { inbox: -1, requests: -1, sent: -1 };
         this._savedIndexByBox[curBox] = this._listWindow.index();
       }
 
-      this._listWindow.setBox(box);
+      // Switching views starts from the first page of the new one.
+      if (Mail.view.box !== box || (Mail.view.folder || null) !== (folder || null)) {
+        Mail.requestPage({ box, folder: folder || null, offset: 0 });
+      }
+
+      this._listWindow.setBox(box, folder);
+      if (this._statusWindow) this._statusWindow.setMarked(this._listWindow.markedIds().length);
 
       this._postReadKey = null;
       if (this._viewWindow) this._viewWindow.deactivate();
@@ -1288,7 +1872,8 @@ this._savedIndexByBox = { inbox: -1, requests: -1, sent: -1 };
       // Ignore clicks while a submenu is up
       if ((this._requestWindow && this._requestWindow.visible) ||
           (this._actionsWindow && this._actionsWindow.visible) ||
-          (this._confirmWindow && this._confirmWindow.visible)) {
+          (this._confirmWindow && this._confirmWindow.visible) ||
+          (this._foldersWindow && this._foldersWindow.visible)) {
         return;
       }
 
@@ -1380,8 +1965,131 @@ this._savedIndexByBox = { inbox: -1, requests: -1, sent: -1 };
 
       // Highlight the current box in the command bar
       if (this._cmdWindow.selectSymbol) {
-        this._cmdWindow.selectSymbol(this._listWindow.box());
+        this._cmdWindow.selectSymbol(this._tabSymbol(this._listWindow.box()));
+        this._lastCmdSymbol = this._cmdWindow.currentSymbol();
+      }
+    }
+
+    changePage(direction) {
+      const p = Mail.page;
+      // Window_Selectable deactivates the list before calling page handlers.
+      this._listWindow.activate();
+      if (!p || p.box !== this._listWindow.box()) return;
+
+      const offset = p.offset + direction * p.limit;
+      if (offset < 0 || offset >= p.total) {
+        SoundManager.playBuzzer();
+        return;
+      }
+
+      this._listWindow.select(0);
+      Mail.requestPage({ offset });
+    }
+
+    onSearch() {
+      Scene_MailPrompt.prepare({
+        label: 'Search',
+        text: Mail.view.search,
+        maxLength: 40,
+        minLength: 0,
+        // The mailbox reloads its page when it comes back
+        onSubmit: (text) => Object.assign(Mail.view, { search: text.trim(), offset: 0 })
+      });
+      SceneManager.push(Scene_MailPrompt);
+    }
+
+    openFolders(mode) {
+      if (!this._foldersWindow) return;
+
+      if (this._actionsWindow) {
+        this._actionsWindow.deactivate();
+        this._actionsWindow.hide();
+      }
+      if (this._cmdWindow) this._cmdWindow.deactivate();
+      if (this._listWindow) this._listWindow.deactivate();
+
+      this._foldersWindow.setMode(mode);
+      this._foldersWindow.show();
+      this._foldersWindow.activate();
+      this._foldersWindow.select(0);
+    }
+
+    closeFolders() {
+      if (!this._foldersWindow) return;
+      const mode = this._foldersWindow.mode();
+      this._foldersWindow.deactivate();
+      this._foldersWindow.hide();
+
+      if (mode === 'move' && this._listWindow) this._listWindow.activate();
+      else if (this._cmdWindow) this._cmdWindow.activate();
+    }
+
+    onFolderPick(box, folder) {
+      if (this._foldersWindow.mode() === 'move') {
+        this._moveSelection(box === 'folder' ? folder : null);
+        this.closeFolders();
+        return;
+      }
+
+      this.closeFolders();
+      if (this._cmdWindow.selectSymbol) this._cmdWindow.selectSymbol(box === 'inbox' ? 'inbox' : 'folders');
+      this._lastCmdSymbol = this._cmdWindow.currentSymbol();
+      this.tryEnterBox(box, folder);
+    }
+
+    onFolderCreate() {
+      this.closeFolders();
+      Scene_MailPrompt.prepare({
+        label: 'New Folder',
+        maxLength: 20,
+        minLength: 1,
+        onSubmit: (name) => Mail.createFolder(name.trim())
+      });
+      SceneManager.push(Scene_MailPrompt);
+    }
+
+    onFolderRename() {
+      const current = Mail.view.folder;
+      this.closeFolders();
+      if (!current) return;
+      Scene_MailPrompt.prepare({
+        label: 'Rename Folder',
+        text: current,
+        maxLength: 20,
+        minLength: 1,
+        onSubmit: (name) => Mail.renameFolder(current, name.trim())
+      });
+      SceneManager.push(Scene_MailPrompt);
+    }
+
+    onFolderDelete() {
+      const current = Mail.view.folder;
+      this._foldersWindow.deactivate();
+      this._foldersWindow.hide();
+      if (!current) {
+        if (this._cmdWindow) this._cmdWindow.activate();
+        return;
+      }
+      this._openConfirm(`Delete folder "${current}"?`, () => Mail.deleteFolder(current));
+    }
+
+    // Marked messages win over the highlighted one.
+    _selectionIds() {
+      const marked = this._listWindow.markedIds();
+      if (marked.length > 0) return marked;
+      const summary = this._listWindow.item();
+      return summary ? [summary.id] : [];
+    }
+
+    _moveSelection(folder) {
+      const ids = this._selectionIds();
+      if (ids.length === 0) {
+        SoundManager.playBuzzer();
+        return;
       }
+      Mail.move(ids, folder);
+      this._listWindow.clearMarks();
+      this._statusWindow.setMarked(0);
     }
 
     openRequestActions(summary) {
@@ -1457,7 +2165,7 @@ openActions() {
     this.closeRequestActions();
   }
 
-  this._actionsWindow.setContext(this._listWindow.box(), this._listWindow.item());
+  this._actionsWindow.setContext(this._listWindow.box(), this._listWindow.item(), this._listWindow.markedIds().length);
   this._actionsWindow.show();
   this._actionsWindow.activate();
   this._actionsWindow.select(0);
@@ -1535,8 +2243,7 @@ onConfirmNo() {
 
 onActionReply() {
   const summary = this._listWindow.item();
-  const box = this._listWindow.box();
-  if (!summary || box !== 'inbox' || isRequestType(summary.type)) {
+  if (!summary || this._listWindow.storeBox() !== 'inbox' || isRequestType(summary.type)) {
     SoundManager.playBuzzer();
     if (this._actionsWindow) this._actionsWindow.activate();
     return;
@@ -1558,7 +2265,44 @@ onActionReply() {
   SceneManager.push(Scene_MailCompose);
 }
 
+onActionClaim() {
+  const summary = this._listWindow.item();
+  const cod = summary?.attachment?.cod || 0;
+  if (cod > 0) {
+    this._openConfirm(`Pay ${cod} ${TextManager.currencyUnit} to claim?`, () => Mail.claim(summary.id));
+    return;
+  }
+  Mail.claim(summary.id);
+  this.closeActions();
+}
+
+onActionReturn() {
+  const summary = this._listWindow.item();
+  this._openConfirm('Return this parcel to the sender?', () => Mail.refuse(summary.id));
+}
+
+onActionStar() {
+  const summary = this._listWindow.item();
+  if (!summary) {
+    SoundManager.playBuzzer();
+    return;
+  }
+  Mail.star(summary.id, !summary.starred);
+  this.closeActions();
+}
+
 onActionDelete() {
+  const storeBox = this._listWindow.storeBox();
+  const marked = this._listWindow.markedIds();
+  if (marked.length > 0) {
+    this._openConfirm(`Delete ${marked.length} marked message(s)?`, () => {
+      Mail.delete(storeBox, marked);
+      this._listWindow.clearMarks();
+      this._statusWindow.setMarked(0);
+    });
+    return;
+  }
+
   const summary = this._listWindow.item();
   const box = this._listWindow.box();
   if (!summary || box === 'requests' || isRequestType(summary.type)) {
@@ -1567,7 +2311,6 @@ onActionDelete() {
     return;
   }
 
-  const storeBox = (box === 'sent') ? 'sent' : 'inbox';
   this._openConfirm('Delete this message?', () => {
     Mail.delete(storeBox, summary.id);
   });
@@ -1603,7 +2346,7 @@ onActionDeleteAll() {
     }
 
     onRefresh() {
-      Mail.requestList();
+      Mail.requestPage();
       if (this._cmdWindow) this._cmdWindow.activate();
     }
 
@@ -1663,6 +2406,18 @@ onActionDeleteAll() {
 // --------------------------------------------------------------------------
   // Window: Single-line Text Input (mail compose)
   // --------------------------------------------------------------------------
+  // Drop any shared guard/buffer a text input window failed to release.
+  function releaseTextInput() {
+    try {
+      if (MMO_TextBuffer && typeof MMO_TextBuffer._depth === 'function') {
+        while (MMO_TextBuffer._depth() > 0) MMO_TextBuffer.end();
+      }
+      if (MMO_InputGuard && typeof MMO_InputGuard.depth === 'function') {
+        while (MMO_InputGuard.depth() > 0) MMO_InputGuard.pop();
+      }
+    } catch (_) {}
+  }
+
   class Window_MMOTextInput extends Window_Selectable {
     initialize(rect, options = {}) {
       this._label = options.label || 'Text';
@@ -1837,12 +2592,20 @@ onActionDeleteAll() {
       this.refresh();
     }
 
+    setAttachment(attachment) {
+      this._attachment = attachment || null;
+      this.refresh();
+    }
+
     makeCommandList() {
+      const a = this._attachment;
+      const count = a ? a.items.length + (a.gold > 0 ? 1 : 0) : 0;
       this.addCommand('Send', 'send', !this._sending);
+      this.addCommand(count > 0 ? `Attach (${count})` : 'Attach', 'attach', !this._sending);
       this.addCommand('Cancel', 'cancel');
     }
 
-    maxCols() { return 2; }
+    maxCols() { return 3; }
   }
 
   // --------------------------------------------------------------------------
@@ -1867,14 +2630,7 @@ onActionDeleteAll() {
 
       // Safety: if any previous MMO text input window failed to release the shared guard/buffer,
       // reset here so Z/X/Space presses from other menus do NOT dump into these fields.
-      try {
-        if (MMO_TextBuffer && typeof MMO_TextBuffer._depth === 'function') {
-          while (MMO_TextBuffer._depth() > 0) MMO_TextBuffer.end();
-        }
-        if (MMO_InputGuard && typeof MMO_InputGuard.depth === 'function') {
-          while (MMO_InputGuard.depth() > 0) MMO_InputGuard.pop();
-        }
-      } catch (_) {}
+      releaseTextInput();
 
       if (Input && typeof Input.clear === 'function') Input.clear();
       if (TouchInput && typeof TouchInput.clear === 'function') TouchInput.clear();
@@ -1927,8 +2683,12 @@ onActionDeleteAll() {
       this.addWindow(this._subjectWindow);
       this.addWindow(this._bodyWindow);
 
+      this._attachment = this._options.attachment || null;
+
       this._cmdWindow = new Window_MailComposeCommand(cmdRect);
+      this._cmdWindow.setAttachment(this._attachment);
       this._cmdWindow.setHandler('send', this.onSend.bind(this));
+      this._cmdWindow.setHandler('attach', this.onAttach.bind(this));
       this._cmdWindow.setHandler('cancel', this.popScene.bind(this));
       this.addWindow(this._cmdWindow);
 
@@ -1958,14 +2718,7 @@ onActionDeleteAll() {
       super.terminate();
 
       // Ensure guard/buffer are released even if the scene closes while an input window is active.
-      try {
-        if (MMO_TextBuffer && typeof MMO_TextBuffer._depth === 'function') {
-          while (MMO_TextBuffer._depth() > 0) MMO_TextBuffer.end();
-        }
-        if (MMO_InputGuard && typeof MMO_InputGuard.depth === 'function') {
-          while (MMO_InputGuard.depth() > 0) MMO_InputGuard.pop();
-        }
-      } catch (_) {}
+      releaseTextInput();
     }
 
 
@@ -2008,11 +2761,203 @@ onActionDeleteAll() {
         this._cmdWindow.setSending(true);
       }
 
-      Mail.send(to, subject, body);
+      Mail.send(to, subject, body, this._attachment);
 
       // Window_Command deactivates itself on OK; reactivate so the scene doesn't appear frozen.
       if (this._cmdWindow) this._cmdWindow.activate();
     }
+
+    onAttach() {
+      // Scenes are rebuilt on pop, so hand the draft through prepare().
+      Scene_MailCompose.prepare({
+        to: this._toWindow.text(),
+        subject: this._subjectWindow.text(),
+        body: this._bodyWindow.text(),
+        attachment: this._attachment
+      });
+      SceneManager.push(Scene_MailAttach);
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Window: Attachment picker (left/right adjusts amounts)
+  // --------------------------------------------------------------------------
+  const MAX_ATTACHMENT_STACKS = 8;
+
+  class Window_MailAttachList extends Window_Selectable {
+    initialize(rect, attachment) {
+      this._gold = attachment?.gold || 0;
+      this._cod = attachment?.cod || 0;
+      this._quantities = new Map();
+      for (const [[dataClass, itemId], qty] of attachment?.items || []) {
+        this._quantities.set(`${dataClass}:${itemId}`, qty);
+      }
+      this._entries = [{ kind: 'gold' }, { kind: 'cod' }];
+      for (const item of $gameParty.allItems()) {
+        if (DataManager.isItem(item) && item.itypeId === 2) continue; // key items stay put
+        const dataClass = mailDataClass(item);
+        if (dataClass) this._entries.push({ kind: 'item', item, key: `${dataClass}:${item.id}` });
+      }
+      super.initialize(rect);
+      this.refresh();
+      this.select(0);
+    }
+
+    maxItems() {
+      return this._entries.length;
+    }
+
+    attachment() {
+      const items = [];
+      for (const [key, qty] of this._quantities) {
+        const [dataClass, itemId] = key.split(':');
+        if (qty > 0) items.push([[dataClass, Number(itemId)], qty]);
+      }
+      if (this._gold <= 0 && items.length === 0) return null;
+      return { gold: this._gold, cod: items.length > 0 ? this._cod : 0, items };
+    }
+
+    cursorRight() {
+      this.adjust(1);
+    }
+
+    cursorLeft() {
+      this.adjust(-1);
+    }
+
+    adjust(direction) {
+      const entry = this._entries[this.index()];
+      if (!entry) return;
+      const step = Input.isPressed('shift') ? (entry.kind === 'item' ? 10 : 100) : 1;
+      const clamp = (v, max) => Math.max(0, Math.min(v, max));
+
+      if (entry.kind === 'gold') {
+        this._gold = clamp(this._gold + direction * step, $gameParty.gold());
+      } else if (entry.kind === 'cod') {
+        this._cod = clamp(this._cod + direction * step, $gameParty.maxGold());
+      } else {
+        const current = this._quantities.get(entry.key) || 0;
+        const stacks = [...this._quantities.values()].filter(q => q > 0).length;
+        if (current === 0 && direction > 0 && stacks >= MAX_ATTACHMENT_STACKS) {
+          SoundManager.playBuzzer();
+          return;
+        }
+        this._quantities.set(entry.key, clamp(current + direction * step, $gameParty.numItems(entry.item)));
+      }
+      SoundManager.playCursor();
+      this.redrawCurrentItem();
+    }
+
+    drawItem(index) {
+      const entry = this._entries[index];
+      const rect = this.itemLineRect(index);
+      const unit = TextManager.currencyUnit;
+      this.resetTextColor();
+
+      if (entry.kind === 'gold') {
+        this.drawText(`Gold (you have ${$gameParty.gold()} ${unit})`, rect.x, rect.y, rect.width - 160);
+        this.drawText(`< ${this._gold} >`, rect.x, rect.y, rect.width, 'right');
+        return;
+      }
+      if (entry.kind === 'cod') {
+        this.changeTextColor(ColorManager.systemColor());
+        this.drawText('Cash on delivery (items only)', rect.x, rect.y, rect.width - 160);
+        this.resetTextColor();
+        this.drawText(`< ${this._cod} >`, rect.x, rect.y, rect.width, 'right');
+        return;
+      }
+
+      const qty = this._quantities.get(entry.key) || 0;
+      this.changePaintOpacity(qty > 0);
+      this.drawItemName(entry.item, rect.x, rect.y, rect.width - 200);
+      this.drawText(`x${$gameParty.numItems(entry.item)}`, rect.x, rect.y, rect.width - 120, 'right');
+      this.drawText(`< ${qty} >`, rect.x, rect.y, rect.width, 'right');
+      this.changePaintOpacity(true);
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Scene: Attach gold/items to the mail being composed
+  // --------------------------------------------------------------------------
+  class Scene_MailAttach extends Scene_MenuBase {
+    create() {
+      super.create();
+      this._draft = Scene_MailCompose._nextOptions || {};
+
+      const margin = 12;
+      const helpH = this.calcWindowHeight(2, false);
+      this._helpWindow = new Window_Help(new Rectangle(margin, margin, Graphics.boxWidth - margin * 2, helpH));
+      this._helpWindow.setText(`Left/Right: change amount (Shift: x10 items, x100 gold)\nOK: attach   Cancel: discard changes   Max ${MAX_ATTACHMENT_STACKS} item stacks`);
+      this.addWindow(this._helpWindow);
+
+      const listY = margin * 2 + helpH;
+      const listRect = new Rectangle(margin, listY, Graphics.boxWidth - margin * 2, Graphics.boxHeight - listY - margin);
+      this._listWindow = new Window_MailAttachList(listRect, this._draft.attachment);
+      this._listWindow.setHandler('ok', this.onOk.bind(this));
+      this._listWindow.setHandler('cancel', this.onCancel.bind(this));
+      this._listWindow.activate();
+      this.addWindow(this._listWindow);
+    }
+
+    onOk() {
+      Scene_MailCompose.prepare({ ...this._draft, attachment: this._listWindow.attachment() });
+      this.popScene();
+    }
+
+    onCancel() {
+      Scene_MailCompose.prepare(this._draft);
+      this.popScene();
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Scene: One-line prompt (search text, folder names)
+  // --------------------------------------------------------------------------
+  class Scene_MailPrompt extends Scene_MenuBase {
+    // options: { label, text, maxLength, minLength, onSubmit(text) }
+    static prepare(options) {
+      Scene_MailPrompt._nextOptions = options || null;
+    }
+
+    create() {
+      super.create();
+
+      this._options = Scene_MailPrompt._nextOptions || {};
+      Scene_MailPrompt._nextOptions = null;
+
+      releaseTextInput();
+      if (Input && typeof Input.clear === 'function') Input.clear();
+      if (TouchInput && typeof TouchInput.clear === 'function') TouchInput.clear();
+
+      const margin = 12;
+      const ww = Math.min(560, Graphics.boxWidth - margin * 2);
+      const wh = this.calcWindowHeight(1, true);
+      const rect = new Rectangle(Math.floor((Graphics.boxWidth - ww) / 2), Math.floor((Graphics.boxHeight - wh) / 2), ww, wh);
+
+      this._inputWindow = new Window_MMOTextInput(rect, {
+        label: this._options.label || 'Text',
+        maxLength: this._options.maxLength || 24,
+        minLength: this._options.minLength || 0,
+        allowSpaces: true,
+        defaultText: this._options.text || ''
+      });
+      this._inputWindow.setHandler('ok', this.onOk.bind(this));
+      this._inputWindow.setHandler('cancel', this.popScene.bind(this));
+      this.addWindow(this._inputWindow);
+
+      this._inputWindow.activate();
+      this._inputWindow.select(0);
+    }
+
+    terminate() {
+      super.terminate();
+      releaseTextInput();
+    }
+
+    onOk() {
+      if (typeof this._options.onSubmit === 'function') this._options.onSubmit(this._inputWindow.text());
+      this.popScene();
+    }
   }
 
   // --------------------------------------------------------------------------
@@ -2046,19 +2991,35 @@ class Window_OnlineList extends Window_Selectable {
     const rect = this.itemLineRect(index);
     const user = this._data[index];
     if (!user) return;
+
+    const statusW = 100;
+    const name = String(user.username || user.id || '');
+    const nameW = Math.min(this.textWidth(name) + 16, Math.floor(rect.width / 3));
+    const detail = user.message || describeActivity(user.activity);
+
+    this.resetTextColor();
+    this.drawText(name, rect.x, rect.y, nameW);
+    if (detail) {
+      this.changeTextColor(ColorManager.textColor(8));
+      this.drawText(detail, rect.x + nameW, rect.y, rect.width - nameW - statusW);
+    }
+    if (user.status) {
+      this.changeTextColor(presenceStatusColor(user.status));
+      this.drawText(presenceStatusLabel(user.status), rect.x + rect.width - statusW, rect.y, statusW, 'right');
+    }
     this.resetTextColor();
-    this.drawText(String(user.username || user.id || ''), rect.x, rect.y, rect.width);
   }
 }
 
 class Window_OnlineCommand extends Window_HorzCommand {
   makeCommandList() {
     this.addCommand('View', 'view');
+    this.addCommand('Status', 'status');
     this.addCommand('Refresh', 'refresh');
     this.addCommand('Close', 'cancel');
   }
 
-  maxCols() { return 3; }
+  maxCols() { return 4; }
 
   cursorDown(wrap) {
     // Down from the command bar enters the list (classic JRPG feel)
@@ -2071,6 +3032,17 @@ class Window_OnlineCommand extends Window_HorzCommand {
   }
 }
 
+class Window_OnlineStatus extends Window_Command {
+  makeCommandList() {
+    for (const status of PRESENCE_STATUSES) {
+      const current = status === Presence.status;
+      this.addCommand(current ? `${presenceStatusLabel(status)} *` : presenceStatusLabel(status), 'status', true, status);
+    }
+    this.addCommand('Status Message', 'message');
+    this.addCommand('Clear Message', 'clear', !!Presence.message);
+  }
+}
+
 class Window_OnlineActions extends Window_Command {
   initialize(rect) {
     super.initialize(rect);
@@ -2154,6 +3126,7 @@ class Scene_OnlinePlayers extends Scene_MenuBase {
 
     this._cmdWindow = new Window_OnlineCommand(cmdRect);
     this._cmdWindow.setHandler('view', this.onView.bind(this));
+    this._cmdWindow.setHandler('status', this.openStatus.bind(this));
     this._cmdWindow.setHandler('refresh', this.onRefresh.bind(this));
     this._cmdWindow.setHandler('cancel', this.popScene.bind(this));
     this.addWindow(this._cmdWindow);
@@ -2169,6 +3142,18 @@ class Scene_OnlinePlayers extends Scene_MenuBase {
     this._actionsWindow.setHandler('cancel', this.closeActions.bind(this));
     this.addWindow(this._actionsWindow);
 
+    const statW = 280;
+    const statH = this.calcWindowHeight(6, true);
+    const statRect = new Rectangle(Math.floor((Graphics.boxWidth - statW) / 2), Math.floor((Graphics.boxHeight - statH) / 2), statW, statH);
+    this._statusWindow = new Window_OnlineStatus(statRect);
+    this._statusWindow.setHandler('status', this.onStatusPick.bind(this));
+    this._statusWindow.setHandler('message', this.onStatusMessage.bind(this));
+    this._statusWindow.setHandler('clear', this.onStatusClear.bind(this));
+    this._statusWindow.setHandler('cancel', this.closeStatus.bind(this));
+    this._statusWindow.hide();
+    this._statusWindow.deactivate();
+    this.addWindow(this._statusWindow);
+
     Presence.on('updated', () => {
       if (SceneManager._scene !== this) return;
       const prev = this._listWindow.index();
@@ -2193,6 +3178,41 @@ class Scene_OnlinePlayers extends Scene_MenuBase {
     if (this._listWindow.maxItems() > 0 && this._listWindow.index() < 0) this._listWindow.select(0);
   }
 
+  openStatus() {
+    this._statusWindow.refresh();
+    this._statusWindow.show();
+    this._statusWindow.activate();
+    this._statusWindow.select(Math.max(0, PRESENCE_STATUSES.indexOf(Presence.status)));
+  }
+
+  closeStatus() {
+    this._statusWindow.deactivate();
+    this._statusWindow.hide();
+    this._cmdWindow.activate();
+  }
+
+  onStatusPick() {
+    Presence.setStatus(this._statusWindow.currentExt());
+    this.closeStatus();
+  }
+
+  onStatusMessage() {
+    this.closeStatus();
+    Scene_MailPrompt.prepare({
+      label: 'Status',
+      text: Presence.message,
+      maxLength: 60,
+      minLength: 0,
+      onSubmit: (text) => Presence.setStatus(Presence.status, text.trim())
+    });
+    SceneManager.push(Scene_MailPrompt);
+  }
+
+  onStatusClear() {
+    Presence.setStatus(Presence.status, '');
+    this.closeStatus();
+  }
+
   onRefresh() {
     Presence.requestOnline();
     // Keep focus on the command bar (Refresh is NOT "sticky view").
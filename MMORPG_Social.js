@@ -269,6 +269,38 @@
     });
   }
 
+  // ---------------------------------------------------------------------------
+  // Presence display (friend entries carry status/message/activity)
+  // ---------------------------------------------------------------------------
+  function friendStatusColor(status) {
+    switch (status) {
+      case 'online': return ColorManager.textColor(3);
+      case 'away': return ColorManager.textColor(6);
+      case 'busy': return ColorManager.textColor(2);
+      default: return ColorManager.systemColor();
+    }
+  }
+
+  function formatLastSeen(ms) {
+    if (!ms) return '';
+    const mins = Math.floor((Date.now() - Number(ms)) / 60000);
+    if (mins < 1) return 'Seen just now';
+    if (mins < 60) return `Seen ${mins}m ago`;
+    const hours = Math.floor(mins / 60);
+    if (hours < 24) return `Seen ${hours}h ago`;
+    return `Seen ${Math.floor(hours / 24)}d ago`;
+  }
+
+  function describeActivity(activity) {
+    if (!activity) return '';
+    const parts = [];
+    if (activity.mapName) parts.push(activity.mapName);
+    if (activity.inBattle) parts.push('In Battle');
+    if (activity.inTrade) parts.push('Trading');
+    if (activity.inParty) parts.push('In Party');
+    return parts.join(', ');
+  }
+
   // ---------------------------------------------------------------------------
   // Social Manager (client-side cache)
   // ---------------------------------------------------------------------------
@@ -276,6 +308,7 @@
     constructor() {
       this._friends = [];
       this._blocks = [];
+      this._groups = [];
       this._loaded = false;
       this._listeners = { updated: [] };
       this._requestedOnce = false;
@@ -285,6 +318,7 @@
     _setupNetwork() {
       safeReact('social', 's/list/res', (data) => this._applyList(data));
       safeReact('social', 'social/update', (data) => this._applyList(data));
+      safeReact('users', 'u/presence', (data) => this._applyPresence(data));
 
       const simpleNotice = (label) => (data) => {
         if (data && data.success === false) {
@@ -301,6 +335,10 @@
       safeReact('social', 'b/unblock/res', simpleNotice('Unblock'));
       safeReact('social', 'f/accept/res', simpleNotice('Accept'));
       safeReact('social', 'f/decline/res', simpleNotice('Decline'));
+      safeReact('social', 'f/note/res', simpleNotice('Note'));
+      safeReact('social', 'f/favorite/res', simpleNotice('Favorite'));
+      safeReact('social', 'f/group/res', simpleNotice('Group'));
+      safeReact('social', 'f/mute/res', simpleNotice('Mute'));
     }
 
     _applyList(data) {
@@ -310,10 +348,26 @@
       }
       this._friends = Array.isArray(data.friends) ? data.friends : [];
       this._blocks = Array.isArray(data.blocks) ? data.blocks : [];
+      this._groups = Array.isArray(data.groups) ? data.groups : [];
       this._loaded = true;
       this._emit('updated');
     }
 
+    // Live status/activity change pushed for one friend
+    _applyPresence(view) {
+      if (!view || view.userId == null) return;
+      const friend = this._friends.find((f) => String(f.userId) === String(view.userId));
+      if (!friend) return;
+      // `notify` is only set on online/offline flips the player hasn't muted
+      if (view.notify) chatSystem(`${friend.username} is now ${view.online ? 'online' : 'offline'}.`);
+      if (friend.online && !view.online) friend.lastSeen = Date.now();
+      friend.online = !!view.online;
+      friend.status = view.status;
+      friend.message = view.message || '';
+      friend.activity = view.activity || null;
+      this._emit('updated');
+    }
+
     on(evt, cb) {
       if (!this._listeners[evt]) this._listeners[evt] = [];
       this._listeners[evt].push(cb);
@@ -338,6 +392,7 @@
 
     getFriends() { return this._friends.slice(); }
     getBlocks() { return this._blocks.slice(); }
+    getGroups() { return this._groups.slice(); }
     isLoaded() { return this._loaded; }
 
     isFriend(username) {
@@ -364,6 +419,30 @@
       return safeBroadcast('f/remove', [target]);
     }
 
+    setNote(username, note) {
+      const target = String(username ?? '').trim();
+      if (!target) return false;
+      return safeBroadcast('f/note', [target, String(note ?? '')]);
+    }
+
+    setFavorite(username, favorite) {
+      const target = String(username ?? '').trim();
+      if (!target) return false;
+      return safeBroadcast('f/favorite', [target, !!favorite]);
+    }
+
+    setGroup(username, group) {
+      const target = String(username ?? '').trim();
+      if (!target) return false;
+      return safeBroadcast('f/group', [target, String(group ?? '')]);
+    }
+
+    setMute(username, muted) {
+      const target = String(username ?? '').trim();
+      if (!target) return false;
+      return safeBroadcast('f/mute', [target, !!muted]);
+    }
+
     block(username) {
       const target = String(username ?? '').trim();
       if (!target) return false;
@@ -655,6 +734,7 @@
         maxLength: this._options.maxLength ?? 20,
         placeholder: this._options.placeholder ?? 'Username:'
       });
+      if (this._options.text) this._inputWindow.setText(this._options.text);
       this.addWindow(this._inputWindow);
 
       this._cmdWindow = new Window_SocialPromptCommand(cmdRect);
@@ -669,7 +749,7 @@
 
     onOk() {
       const name = this._inputWindow.text().trim();
-      if (!name) {
+      if (!name && !this._options.allowEmpty) {
         SoundManager.playBuzzer();
         return;
       }
@@ -918,10 +998,24 @@ maxCols() { return 5; }
       const online = !!item.online;
 
       if (this._mode === 'friends') {
-        const status = online ? 'Online' : 'Offline';
-        this.drawText(username, rect.x, rect.y, rect.width - 120);
-        this.changeTextColor(ColorManager.systemColor());
-        this.drawText(status, rect.x + rect.width - 120, rect.y, 120, 'right');
+        const status = online ? String(item.status || 'online') : 'offline';
+        const statusW = 100;
+        const label = item.favorite ? `★ ${username}` : username;
+        const nameW = Math.min(this.textWidth(label) + 16, Math.floor(rect.width / 2));
+        const parts = [];
+        if (item.group) parts.push(`[${item.group}]`);
+        const presenceDetail = online ? (item.message || describeActivity(item.activity)) : formatLastSeen(item.lastSeen);
+        if (presenceDetail) parts.push(presenceDetail);
+        else if (item.note) parts.push(item.note);
+        const detail = parts.join(' ');
+
+        this.drawText(label, rect.x, rect.y, nameW);
+        if (detail) {
+          this.changeTextColor(ColorManager.textColor(8));
+          this.drawText(detail, rect.x + nameW, rect.y, rect.width - nameW - statusW);
+        }
+        this.changeTextColor(friendStatusColor(status));
+        this.drawText(status.charAt(0).toUpperCase() + status.slice(1), rect.x + rect.width - statusW, rect.y, statusW, 'right');
         this.resetTextColor();
       } else {
         this.drawText(username, rect.x, rect.y, rect.width);
@@ -1157,6 +1251,10 @@ maxCols() { return 5; }
         const hasMailUI = !!(window.MMO_MailUI && typeof window.MMO_MailUI.openComposeTo === 'function');
         this.addCommand('Invite to Guild', 'inviteGuild', !!username && canInvite);
         this.addCommand('Send Mail', 'sendMail', !!username && hasMailUI);
+        this.addCommand(this._item?.favorite ? 'Unfavorite' : 'Favorite', 'favorite', !!username);
+        this.addCommand('Edit Note', 'editNote', !!username);
+        this.addCommand('Set Group', 'setGroup', !!username);
+        this.addCommand(this._item?.muted ? 'Unmute Notices' : 'Mute Notices', 'mute', !!username);
         this.addCommand('Remove Friend', 'removeFriend', !!username);
         this.addCommand('Block', 'block', !!username);
         this.addCommand('Cancel', 'cancel', true);
@@ -1284,12 +1382,16 @@ this._cmdWindow.setHandler('focusTabs', this.activateTabs.bind(this));
       this.addWindow(this._cmdWindow);
 
       const ctxW = Math.min(420, Graphics.boxWidth - margin * 4);
-      const ctxH = this.calcWindowHeight(5, true);
+      const ctxH = this.calcWindowHeight(9, true);
       const ctxX = Math.floor((Graphics.boxWidth - ctxW) / 2);
       const ctxY = Math.floor(Graphics.boxHeight - margin - cmdH - margin - ctxH);
       this._contextWindow = new Window_SocialContext(new Rectangle(ctxX, ctxY, ctxW, ctxH));
       this._contextWindow.setHandler('inviteGuild', this.onCtxInviteGuild.bind(this));
       this._contextWindow.setHandler('sendMail', this.onCtxSendMail.bind(this));
+      this._contextWindow.setHandler('favorite', this.onCtxFavorite.bind(this));
+      this._contextWindow.setHandler('editNote', this.onCtxEditNote.bind(this));
+      this._contextWindow.setHandler('setGroup', this.onCtxSetGroup.bind(this));
+      this._contextWindow.setHandler('mute', this.onCtxMute.bind(this));
       this._contextWindow.setHandler('removeFriend', this.onCtxRemoveFriend.bind(this));
       this._contextWindow.setHandler('block', this.onCtxBlock.bind(this));
       this._contextWindow.setHandler('unblock', this.onCtxUnblock.bind(this));
@@ -1755,6 +1857,55 @@ this.closeContext();
       ui.openComposeTo(username);
     }
 
+    onCtxFavorite() {
+      const username = this._contextWindow.targetUsername();
+      if (!username) { SoundManager.playBuzzer(); return; }
+      Social.setFavorite(username, !this._contextWindow._item?.favorite);
+      this.closeContext();
+    }
+
+    onCtxEditNote() {
+      const item = this._contextWindow._item;
+      const username = this._contextWindow.targetUsername();
+      if (!username) { SoundManager.playBuzzer(); return; }
+      this.closeContext();
+      Scene_SocialPrompt.prepare({
+        helpText: `Private note for ${username} (leave empty to clear):`,
+        placeholder: 'Note:',
+        maxLength: 120,
+        text: item?.note || '',
+        allowEmpty: true,
+        onSubmit: (note) => Social.setNote(username, note)
+      });
+      SceneManager.push(Scene_SocialPrompt);
+    }
+
+    onCtxSetGroup() {
+      const item = this._contextWindow._item;
+      const username = this._contextWindow.targetUsername();
+      if (!username) { SoundManager.playBuzzer(); return; }
+      this.closeContext();
+      const groups = Social.getGroups();
+      Scene_SocialPrompt.prepare({
+        helpText: groups.length > 0
+          ? `Group for ${username} (${groups.join(', ')}; empty to clear):`
+          : `Group for ${username}, e.g. Raid team (empty to clear):`,
+        placeholder: 'Group:',
+        maxLength: 20,
+        text: item?.group || '',
+        allowEmpty: true,
+        onSubmit: (group) => Social.setGroup(username, group)
+      });
+      SceneManager.push(Scene_SocialPrompt);
+    }
+
+    onCtxMute() {
+      const username = this._contextWindow.targetUsername();
+      if (!username) { SoundManager.playBuzzer(); return; }
+      Social.setMute(username, !this._contextWindow._item?.muted);
+      this.closeContext();
+    }
+
     onCtxRemoveFriend() {
       const username = this._contextWindow.targetUsername();
       if (!username) { SoundManager.playBuzzer(); return; }
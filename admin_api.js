@@ -5,13 +5,19 @@
  * Your admin HTML expects endpoints under /api/admin/* (see admin/login.html and admin/index.html). fileciteturn4file0 fileciteturn4file1
  *
  * This file provides those endpoints with:
- * - Simple password login (env-based) => bearer token
- * - Token auth middleware
- * - A few useful endpoints implemented now (dashboard, pubsub, announce, reload-data stub)
+ * - Staff account login (staff.js: scrypt-hashed passwords, roles) => bearer token
+ * - Token auth middleware + per-endpoint permission checks (allow(...))
+ * - An append-only audit entry for every state-changing endpoint
  *
  * NOTE:
- * - This avoids depending on unknown users/password hashing in your DB layer.
- * - Set ADMIN_USER and ADMIN_PASS env vars before starting the server.
+ * - Staff accounts live in the database. On first start ADMIN_USER / ADMIN_PASS
+ *   seed one "admin" account; manage the rest through /staff.
+ * - Sessions stay in memory, but the account is re-read on every request, so
+ *   disabling an account or changing its role takes effect immediately.
+ * - Player listing and log queries read the `users` / `logs` tables directly;
+ *   log filters only apply to columns the table actually has.
+ * - Editing server-owned global keys (guilds, guild_names) requires
+ *   `confirm: "<key>"` in the request, since guild.js owns their shape.
  *
  * Usage (Express):
  *   const express = require('express');
@@ -23,6 +29,17 @@
 const crypto = require('crypto');
 
 const pubsub = require('./pubsub');
+const economy = require('./economy');
+const moderation = require('./moderation');
+const staff = require('./staff');
+const guild = require('./guild');
+const mail = require('./mail');
+const social = require('./social');
+const battle = require('./battle');
+const { SERVER_OWNED_GLOBAL_KEYS } = require('./handler');
+const users = require('../database/users');
+const storage = require('../database/storage');
+const db = require('../database/sqlite');
 const logger = require('../utils/logger');
 
 // In-memory sessions: token -> { user, createdAt, expiresAt }
@@ -72,12 +89,150 @@ function authMiddleware(opts = {}) {
       return json(res, 401, { error: 'Expired token' });
     }
 
-    req.admin = session.user;
+    const account = staff.getAccount(session.accountId);
+    if (!account || account.disabled) {
+      sessions.delete(token);
+      return json(res, 401, { error: 'Account disabled' });
+    }
+
+    req.admin = { id: account.id, username: account.username, role: account.role };
     req.adminToken = token;
     next();
   };
 }
 
+/**
+ * Route guard: 403 unless the caller's role grants the permission.
+ * Must come after the auth middleware.
+ */
+function allow(permission) {
+  return function (req, res, next) {
+    if (staff.roleHasPermission(req.admin?.role, permission)) return next();
+
+    logger.security('Admin API permission denied', { admin: req.admin?.username, role: req.admin?.role, permission, path: req.path });
+    return json(res, 403, { error: `Missing permission: ${permission}` });
+  };
+}
+
+function auditPanel(req, action, target, details) {
+  staff.audit({
+    actorType: 'panel',
+    actorId: req.admin?.id,
+    actorName: req.admin?.username,
+    role: req.admin?.role,
+    action,
+    target,
+    details,
+    ip: req.ip || req.socket?.remoteAddress || null
+  });
+}
+
+// Resolution action -> permission needed to apply it
+const RESOLVE_PERMISSIONS = {
+  mute: 'players.mute',
+  tempban: 'players.tempban',
+  ban: 'players.ban'
+};
+
+function clampInt(value, fallback, min, max) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+function likePattern(text) {
+  return `%${String(text).replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+function findPlayer(idOrName) {
+  const raw = String(idOrName ?? '').trim();
+  if (!raw) return null;
+  return users.getById(raw) || users.getById(Number(raw)) || users.getByUsername(raw) || null;
+}
+
+function playerSummary(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    isAdmin: !!user.isAdmin,
+    isBanned: !!user.isBanned,
+    banReason: user.banReason || null,
+    online: pubsub.isUserOnline(user.id)
+  };
+}
+
+// logs table columns (name -> declared type), read once on first query
+let logColumns = null;
+
+function getLogColumns() {
+  if (!logColumns) {
+    const rows = db.prepare(`PRAGMA table_info(logs)`).all();
+    logColumns = new Map(rows.map(c => [c.name, String(c.type || '').toUpperCase()]));
+  }
+  return logColumns;
+}
+
+/**
+ * ms epoch or ISO string -> the representation stored in a time column
+ * (INTEGER ms, or SQLite datetime('now') text)
+ */
+function toTimeParam(value, columnType) {
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(ms)) return null;
+  if (columnType.includes('INT')) return ms;
+  return new Date(ms).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+function queryLogs(filter = {}) {
+  const columns = getLogColumns();
+  const where = [];
+  const params = [];
+
+  const exact = { userId: 'user_id', module: 'module', action: 'action', level: 'level' };
+  for (const [key, column] of Object.entries(exact)) {
+    if (filter[key] == null || filter[key] === '' || !columns.has(column)) continue;
+    const values = String(filter[key]).split(',').map(v => v.trim()).filter(Boolean);
+    if (values.length === 0) continue;
+    where.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+    params.push(...values);
+  }
+
+  const timeColumn = ['created_at', 'timestamp'].find(c => columns.has(c));
+  if (timeColumn) {
+    const since = filter.since != null ? toTimeParam(filter.since, columns.get(timeColumn)) : null;
+    const until = filter.until != null ? toTimeParam(filter.until, columns.get(timeColumn)) : null;
+    if (since != null) { where.push(`${timeColumn} >= ?`); params.push(since); }
+    if (until != null) { where.push(`${timeColumn} <= ?`); params.push(until); }
+  }
+
+  if (filter.search && columns.has('data')) {
+    where.push(`data LIKE ? ESCAPE '\\'`);
+    params.push(likePattern(filter.search));
+  }
+
+  const limit = clampInt(filter.limit, 100, 1, 500);
+  const offset = clampInt(filter.offset, 0, 0, Number.MAX_SAFE_INTEGER);
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM logs ${whereSql}`).get(...params).n;
+  const rows = db.prepare(`
+    SELECT * FROM logs ${whereSql}
+    ORDER BY rowid DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  const items = rows.map((row) => {
+    if (typeof row.data !== 'string') return row;
+    try {
+      return { ...row, data: JSON.parse(row.data) };
+    } catch (_) {
+      return row;
+    }
+  });
+
+  return { total, limit, offset, items };
+}
+
 function requireExpressLike(app) {
   if (!app || typeof app.post !== 'function' || typeof app.get !== 'function') {
     throw new Error('installAdminApi expected an Express-like app (app.get/app.post).');
@@ -90,21 +245,20 @@ function installAdminApi(app, options = {}) {
   const basePath = options.basePath || '/api/admin';
   const ttlMs = Number(options.sessionTtlMs || DEFAULT_SESSION_TTL_MS);
 
-  const ADMIN_USER = getEnv('ADMIN_USER', 'admin');
-  const ADMIN_PASS = getEnv('ADMIN_PASS', '');
-
-  if (!ADMIN_PASS) {
-    logger.warn('ADMIN', 'ADMIN_PASS is empty. Admin API is effectively disabled until you set it.');
-  }
+  // Seed the first admin account from env on an empty staff table
+  staff.bootstrapAccount(getEnv('ADMIN_USER', 'admin'), getEnv('ADMIN_PASS', '')).catch((err) => {
+    logger.error('ADMIN', 'Staff bootstrap failed', { error: err.message });
+  });
 
   // ---- LOGIN ----
   // POST /api/admin/login { username, password } => { token, user }
-  app.post(`${basePath}/login`, (req, res) => {
+  app.post(`${basePath}/login`, async (req, res) => {
     const { username, password } = req.body || {};
-    if (!ADMIN_PASS) return json(res, 503, { error: 'Admin login not configured' });
+    const ip = req.ip || req.socket?.remoteAddress || null;
 
-    if (String(username || '') !== ADMIN_USER || String(password || '') !== ADMIN_PASS) {
-      logger.warn('ADMIN', 'Admin login failed', { ip: req.ip || req.socket?.remoteAddress });
+    const account = await staff.verifyLogin(username, password);
+    if (!account) {
+      logger.warn('ADMIN', 'Admin login failed', { username: String(username || ''), ip });
       return json(res, 401, { error: 'Invalid credentials' });
     }
 
@@ -112,20 +266,32 @@ function installAdminApi(app, options = {}) {
     const createdAt = now();
     const expiresAt = createdAt + ttlMs;
 
-    const user = { username: ADMIN_USER, role: 'admin' };
-    sessions.set(token, { user, createdAt, expiresAt });
+    sessions.set(token, { accountId: account.id, createdAt, expiresAt });
 
-    logger.info('ADMIN', 'Admin login ok', { user: ADMIN_USER });
+    logger.info('ADMIN', 'Admin login ok', { user: account.username, role: account.role });
+    staff.audit({ actorType: 'panel', actorId: account.id, actorName: account.username, role: account.role, action: 'login', ip });
 
+    const user = { username: account.username, role: account.role, permissions: staff.getRolePermissions(account.role) };
     return json(res, 200, { token, user });
   });
 
   // All endpoints below require bearer token
   const requireAdmin = authMiddleware();
 
+  // GET /api/admin/me => { username, role, permissions }
+  app.get(`${basePath}/me`, requireAdmin, async (req, res) => {
+    return json(res, 200, { ...req.admin, permissions: staff.getRolePermissions(req.admin.role) });
+  });
+
+  // POST /api/admin/logout
+  app.post(`${basePath}/logout`, requireAdmin, async (req, res) => {
+    sessions.delete(req.adminToken);
+    return json(res, 200, { success: true });
+  });
+
   // ---- DASHBOARD ----
   // GET /api/admin/dashboard
-  app.get(`${basePath}/dashboard`, requireAdmin, async (req, res) => {
+  app.get(`${basePath}/dashboard`, requireAdmin, allow('players.view'), async (req, res) => {
     const online = global.connections ? Array.from(global.connections.values()).filter(c => c && c.readyState === 1).length : 0;
 
     // Minimal stats that we can compute from current server modules
@@ -134,20 +300,37 @@ function installAdminApi(app, options = {}) {
     // These are placeholders until your DB layer is wired here
     return json(res, 200, {
       online,
-      totalUsers: null,
+      totalUsers: db.prepare(`SELECT COUNT(*) AS n FROM users`).get().n,
       flaggedUsers: null,
-      pendingReports: null,
+      pendingReports: moderation.countOpenReports(),
       recentActivity: [],
       pubsub: pubsubStats
     });
   });
 
-  // ---- PLAYERS (stub for now) ----
-  app.get(`${basePath}/players`, requireAdmin, async (req, res) => {
-    return json(res, 501, { error: 'Not implemented: wire users database functions here.' });
+  // ---- PLAYERS ----
+  // GET /api/admin/players?search=&limit=&offset= => { total, limit, offset, items }
+  app.get(`${basePath}/players`, requireAdmin, allow('players.view'), async (req, res) => {
+    const q = req.query || {};
+    const search = String(q.search || '').trim();
+    const limit = clampInt(q.limit, 50, 1, 500);
+    const offset = clampInt(q.offset, 0, 0, Number.MAX_SAFE_INTEGER);
+
+    const whereSql = search ? `WHERE username LIKE ? ESCAPE '\\'` : '';
+    const params = search ? [likePattern(search)] : [];
+
+    const total = db.prepare(`SELECT COUNT(*) AS n FROM users ${whereSql}`).get(...params).n;
+    const rows = db.prepare(`
+      SELECT id FROM users ${whereSql}
+      ORDER BY username COLLATE NOCASE
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    const items = rows.map(row => users.getById(row.id)).filter(Boolean).map(playerSummary);
+    return json(res, 200, { total, limit, offset, items });
   });
 
-  app.get(`${basePath}/players/online`, requireAdmin, async (req, res) => {
+  app.get(`${basePath}/players/online`, requireAdmin, allow('players.view'), async (req, res) => {
     const out = [];
     if (global.connections) {
       for (const [id, conn] of global.connections) {
@@ -165,28 +348,289 @@ function installAdminApi(app, options = {}) {
     return json(res, 200, out);
   });
 
-  app.post(`${basePath}/players/:id/kick`, requireAdmin, async (req, res) => {
+  app.post(`${basePath}/players/:id/kick`, requireAdmin, allow('players.kick'), async (req, res) => {
     const id = String(req.params.id || '');
     const conn = global.connections?.get(id);
     if (!conn) return json(res, 404, { error: 'Player not online' });
+    if (!staff.canActOn(req.admin.role, conn.userId)) return json(res, 403, { error: 'Target outranks you' });
 
     try {
       conn.close(1000, 'Kicked by admin panel');
+      auditPanel(req, 'players.kick', id);
       return json(res, 200, { success: true });
     } catch (e) {
       return json(res, 500, { error: 'Kick failed' });
     }
   });
 
-  // ---- REPORTS/LOGS/STORAGE (stubs) ----
-  app.get(`${basePath}/reports`, requireAdmin, async (req, res) => json(res, 501, { error: 'Not implemented' }));
-  app.post(`${basePath}/reports/:id/resolve`, requireAdmin, async (req, res) => json(res, 501, { error: 'Not implemented' }));
-  app.get(`${basePath}/logs`, requireAdmin, async (req, res) => json(res, 501, { error: 'Not implemented' }));
-  app.get(`${basePath}/global-storage`, requireAdmin, async (req, res) => json(res, 501, { error: 'Not implemented' }));
-  app.delete(`${basePath}/global-storage/:key`, requireAdmin, async (req, res) => json(res, 501, { error: 'Not implemented' }));
+  // GET /api/admin/players/:id (id or username) => summary + storage keys, guild, social, mail, sanctions
+  app.get(`${basePath}/players/:id`, requireAdmin, allow('players.view'), async (req, res) => {
+    const user = findPlayer(req.params.id);
+    if (!user) return json(res, 404, { error: 'Player not found' });
+
+    return json(res, 200, {
+      ...playerSummary(user),
+      storageKeys: Object.keys(storage.getAllPersonal(user.id) || {}).sort(),
+      guild: guild.getUserGuildInfo(user.id) || null,
+      social: social.getSocialSummary(user.id),
+      mail: mail.getMailStats(user.id),
+      sanctions: moderation.listSanctions({ userId: user.id, active: true }).sanctions
+    });
+  });
+
+  // GET /api/admin/players/:id/storage/:key => { key, value }
+  app.get(`${basePath}/players/:id/storage/:key`, requireAdmin, allow('players.inspect'), async (req, res) => {
+    const user = findPlayer(req.params.id);
+    if (!user) return json(res, 404, { error: 'Player not found' });
+
+    const value = storage.getPersonal(user.id, req.params.key);
+    if (value === undefined || value === null) return json(res, 404, { error: 'Key not found' });
+    return json(res, 200, { key: req.params.key, value });
+  });
+
+  // ---- REPORTS ----
+  // GET /api/admin/reports?status=open,assigned&reportedId=&reporterId=&assignedTo=&limit=&offset=
+  app.get(`${basePath}/reports`, requireAdmin, allow('reports.manage'), async (req, res) => {
+    const q = req.query || {};
+    return json(res, 200, moderation.listReports({
+      status: q.status,
+      reportedId: q.reportedId,
+      reporterId: q.reporterId,
+      assignedTo: q.assignedTo,
+      limit: q.limit,
+      offset: q.offset
+    }));
+  });
+
+  // GET /api/admin/reports/:id => report with context snapshot
+  app.get(`${basePath}/reports/:id`, requireAdmin, allow('reports.manage'), async (req, res) => {
+    const report = moderation.getReport(req.params.id);
+    if (!report) return json(res, 404, { error: 'Report not found' });
+    return json(res, 200, report);
+  });
+
+  // POST /api/admin/reports/:id/assign { assignee? } (defaults to caller)
+  app.post(`${basePath}/reports/:id/assign`, requireAdmin, allow('reports.manage'), async (req, res) => {
+    const assignee = String(req.body?.assignee || req.admin?.username || '').trim();
+    if (!assignee) return json(res, 400, { error: 'Missing assignee' });
+
+    const result = moderation.assignReport(req.params.id, assignee);
+    if (!result.success) {
+      return json(res, result.error === 'Report not found' ? 404 : 400, { error: result.error });
+    }
+    auditPanel(req, 'reports.assign', req.params.id, { assignee });
+    return json(res, 200, result);
+  });
+
+  // POST /api/admin/reports/:id/resolve { action: none|dismiss|warn|mute|tempban|ban, durationMinutes?, note? }
+  app.post(`${basePath}/reports/:id/resolve`, requireAdmin, allow('reports.manage'), async (req, res) => {
+    const body = req.body || {};
+    const needed = RESOLVE_PERMISSIONS[body.action];
+    if (needed && !staff.roleHasPermission(req.admin.role, needed)) {
+      return json(res, 403, { error: `Missing permission: ${needed}` });
+    }
+
+    const report = moderation.getReport(req.params.id);
+    if (needed && report && !staff.canActOn(req.admin.role, report.reportedId)) {
+      return json(res, 403, { error: 'Target outranks you' });
+    }
+
+    const result = moderation.resolveReport(req.params.id, req.admin?.username, {
+      action: body.action,
+      durationMs: Number(body.durationMinutes) * 60 * 1000,
+      note: body.note
+    });
+    if (!result.success) {
+      return json(res, result.error === 'Report not found' ? 404 : 400, { error: result.error });
+    }
+    auditPanel(req, 'reports.resolve', req.params.id, { action: body.action, durationMinutes: body.durationMinutes, note: body.note });
+    return json(res, 200, result);
+  });
+
+  // ---- SANCTIONS (timed mutes / temp-bans) ----
+  // GET /api/admin/sanctions?userId=&type=mute|tempban&active=1&limit=&offset=
+  app.get(`${basePath}/sanctions`, requireAdmin, allow('players.view'), async (req, res) => {
+    const q = req.query || {};
+    return json(res, 200, moderation.listSanctions({
+      userId: q.userId,
+      type: q.type,
+      active: q.active === '1' || q.active === 'true',
+      limit: q.limit,
+      offset: q.offset
+    }));
+  });
+
+  // POST /api/admin/sanctions { user (id or username), type: mute|tempban, durationMinutes | duration ("2h"), reason? }
+  app.post(`${basePath}/sanctions`, requireAdmin, async (req, res) => {
+    const body = req.body || {};
+    const durationMs = body.duration != null
+      ? moderation.parseDuration(body.duration)
+      : Number(body.durationMinutes) * 60 * 1000;
+    const issue = body.type === 'tempban' ? moderation.tempBan : body.type === 'mute' ? moderation.mute : null;
+    if (!issue) return json(res, 400, { error: 'Invalid sanction type' });
+
+    const needed = RESOLVE_PERMISSIONS[body.type];
+    if (!staff.roleHasPermission(req.admin.role, needed)) {
+      return json(res, 403, { error: `Missing permission: ${needed}` });
+    }
+
+    const target = findPlayer(body.user);
+    if (target && !staff.canActOn(req.admin.role, target.id)) {
+      return json(res, 403, { error: 'Target outranks you' });
+    }
+
+    const result = issue(body.user, durationMs, String(body.reason || 'No reason provided'), req.admin?.username);
+    if (!result.success) {
+      return json(res, result.error === 'User not found' ? 404 : 400, { error: result.error });
+    }
+    auditPanel(req, `sanctions.${body.type}`, body.user, { durationMs, reason: body.reason, sanctionId: result.sanctionId });
+    return json(res, 200, result);
+  });
+
+  // POST /api/admin/sanctions/:id/update { durationMinutes? (from now) | expiresAt?, reason? }
+  app.post(`${basePath}/sanctions/:id/update`, requireAdmin, allow('players.tempban'), async (req, res) => {
+    const body = req.body || {};
+    const result = moderation.updateSanction(req.params.id, {
+      durationMs: body.durationMinutes != null ? Number(body.durationMinutes) * 60 * 1000 : null,
+      expiresAt: body.expiresAt,
+      reason: body.reason
+    }, req.admin?.username);
+    if (!result.success) {
+      return json(res, result.error === 'Sanction not found' ? 404 : 400, { error: result.error });
+    }
+    auditPanel(req, 'sanctions.update', req.params.id, { durationMinutes: body.durationMinutes, expiresAt: body.expiresAt, reason: body.reason });
+    return json(res, 200, result);
+  });
+
+  // POST /api/admin/sanctions/:id/lift => ends a mute / temp-ban early
+  app.post(`${basePath}/sanctions/:id/lift`, requireAdmin, allow('players.tempban'), async (req, res) => {
+    const result = moderation.liftSanction(req.params.id, req.admin?.username);
+    if (!result.success) {
+      return json(res, result.error === 'Sanction not found' ? 404 : 400, { error: result.error });
+    }
+    auditPanel(req, 'sanctions.lift', req.params.id);
+    return json(res, 200, result);
+  });
+
+  // ---- LOGS ----
+  // GET /api/admin/logs?userId=&module=&action=&level=&since=&until=&search=&limit=&offset=
+  // (module/action/level accept comma lists; since/until are ms epoch or ISO)
+  app.get(`${basePath}/logs`, requireAdmin, allow('logs.view'), async (req, res) => {
+    return json(res, 200, queryLogs(req.query || {}));
+  });
+
+  // ---- BATTLE REPLAYS ----
+  // GET /api/admin/battles/:channel/replay => recorded battle (see battle.js REPLAY RECORDING)
+  app.get(`${basePath}/battles/:channel/replay`, requireAdmin, allow('logs.view'), async (req, res) => {
+    const replay = await battle.loadReplay(req.params.channel);
+    if (!replay) return json(res, 404, { error: 'Replay not found' });
+    return json(res, 200, replay);
+  });
+
+  // ---- GLOBAL STORAGE ----
+  // A cleared key reads back as {}
+  function isEmptyGlobal(value) {
+    return value === undefined || value === null ||
+      (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+  }
+
+  // GET /api/admin/global-storage?keys=a,b&search= => [{ key, serverOwned, size }]
+  // storage has no key enumeration: lists the server-owned keys plus any
+  // requested in ?keys=, skipping ones with no value
+  app.get(`${basePath}/global-storage`, requireAdmin, allow('storage.view'), async (req, res) => {
+    const search = String(req.query?.search || '').toLowerCase();
+    const requested = String(req.query?.keys || '').split(',').map(k => k.trim()).filter(Boolean);
+    const keys = new Set([...SERVER_OWNED_GLOBAL_KEYS, ...requested]);
+    const out = [...keys]
+      .filter(key => !search || key.toLowerCase().includes(search))
+      .sort()
+      .map(key => ({ key, value: storage.getGlobal(key) }))
+      .filter(entry => !isEmptyGlobal(entry.value))
+      .map(({ key, value }) => ({
+        key,
+        serverOwned: SERVER_OWNED_GLOBAL_KEYS.has(key),
+        size: JSON.stringify(value).length
+      }));
+    return json(res, 200, out);
+  });
+
+  // GET /api/admin/global-storage/:key => { key, serverOwned, value }
+  app.get(`${basePath}/global-storage/:key`, requireAdmin, allow('storage.view'), async (req, res) => {
+    const key = req.params.key;
+    const value = storage.getGlobal(key);
+    if (isEmptyGlobal(value)) return json(res, 404, { error: 'Key not found' });
+    return json(res, 200, { key, serverOwned: SERVER_OWNED_GLOBAL_KEYS.has(key), value });
+  });
+
+  // Server-owned keys are only touched when the caller repeats the key name
+  function confirmServerOwned(req, res, key) {
+    if (!SERVER_OWNED_GLOBAL_KEYS.has(key)) return true;
+    const confirm = req.body?.confirm ?? req.query?.confirm;
+    if (confirm === key) return true;
+    json(res, 409, { error: `"${key}" is server-owned; resend with confirm: "${key}"`, requiresConfirm: true });
+    return false;
+  }
+
+  // PUT /api/admin/global-storage/:key { value, confirm? }
+  app.put(`${basePath}/global-storage/:key`, requireAdmin, allow('storage.edit'), async (req, res) => {
+    const key = req.params.key;
+    if (!req.body || !('value' in req.body)) return json(res, 400, { error: 'Missing value' });
+    if (!confirmServerOwned(req, res, key)) return;
+
+    const previous = storage.getGlobal(key);
+    storage.setGlobal(key, req.body.value, `admin:${req.admin?.username}`);
+    logger.admin(`Global storage edited: ${key}`, { by: req.admin?.username, serverOwned: SERVER_OWNED_GLOBAL_KEYS.has(key) });
+    auditPanel(req, 'storage.edit', key, { previous, value: req.body.value });
+    return json(res, 200, { success: true });
+  });
+
+  // DELETE /api/admin/global-storage/:key?confirm= (clears the key to {},
+  // what LOAD returns for a missing key)
+  app.delete(`${basePath}/global-storage/:key`, requireAdmin, allow('storage.edit'), async (req, res) => {
+    const key = req.params.key;
+    if (isEmptyGlobal(storage.getGlobal(key))) return json(res, 404, { error: 'Key not found' });
+    if (!confirmServerOwned(req, res, key)) return;
+
+    const previous = storage.getGlobal(key);
+    storage.setGlobal(key, {}, `admin:${req.admin?.username}`);
+    logger.admin(`Global storage deleted: ${key}`, { by: req.admin?.username, serverOwned: SERVER_OWNED_GLOBAL_KEYS.has(key) });
+    auditPanel(req, 'storage.delete', key, { previous });
+    return json(res, 200, { success: true });
+  });
+
+  // ---- REWARDS (economy Lane 2 ledger) ----
+  // GET /api/admin/rewards => reward definitions
+  app.get(`${basePath}/rewards`, requireAdmin, allow('rewards.manage'), async (req, res) => {
+    return json(res, 200, economy.listRewards());
+  });
+
+  // GET /api/admin/rewards/claims?userId=&eventKey=&includeRevoked=1&limit=&offset=
+  app.get(`${basePath}/rewards/claims`, requireAdmin, allow('rewards.manage'), async (req, res) => {
+    const q = req.query || {};
+    return json(res, 200, economy.listClaims({
+      userId: q.userId,
+      eventKey: q.eventKey,
+      includeRevoked: q.includeRevoked === '1' || q.includeRevoked === 'true',
+      limit: q.limit,
+      offset: q.offset
+    }));
+  });
+
+  // POST /api/admin/rewards/claims/:id/revoke { reason?, clawback? }
+  app.post(`${basePath}/rewards/claims/:id/revoke`, requireAdmin, allow('rewards.manage'), async (req, res) => {
+    const result = economy.revokeClaim(req.params.id, req.admin?.username, {
+      reason: req.body?.reason,
+      clawback: !!req.body?.clawback
+    });
+    if (!result.success) {
+      return json(res, result.error === 'Claim not found' ? 404 : 400, { error: result.error });
+    }
+    auditPanel(req, 'rewards.revoke', req.params.id, { reason: req.body?.reason, clawback: !!req.body?.clawback });
+    return json(res, 200, result);
+  });
 
   // ---- PUBSUB ----
-  app.get(`${basePath}/pubsub`, requireAdmin, async (req, res) => {
+  app.get(`${basePath}/pubsub`, requireAdmin, allow('server.manage'), async (req, res) => {
     const details = pubsub.getDetailedStats ? pubsub.getDetailedStats() : [];
     return json(res, 200, details.map(d => ({
       group: d.group,
@@ -197,7 +641,7 @@ function installAdminApi(app, options = {}) {
 
   // ---- ANNOUNCE ----
   // POST /api/admin/announce { message }
-  app.post(`${basePath}/announce`, requireAdmin, async (req, res) => {
+  app.post(`${basePath}/announce`, requireAdmin, allow('announce'), async (req, res) => {
     const message = String(req.body?.message || '').trim();
     if (!message) return json(res, 400, { error: 'Missing message' });
 
@@ -213,16 +657,105 @@ function installAdminApi(app, options = {}) {
     }
 
     logger.info('ADMIN', 'Announcement sent', { by: req.admin?.username, sent });
+    auditPanel(req, 'announce', null, { message, sent });
     return json(res, 200, { sent });
   });
 
+  // ---- SYSTEM MAIL ----
+  // POST /api/admin/mail { target: { scope: 'all'|'guild'|'active', guild?, days? }, subject, body,
+  //                        attachment?: { gold, items: [[[dataClass, itemId], qty], ...] }, expiresInDays? }
+  app.post(`${basePath}/mail`, requireAdmin, allow('mail.bulk'), async (req, res) => {
+    const b = req.body || {};
+    if (b.attachment && !staff.roleHasPermission(req.admin?.role, 'players.give')) {
+      return json(res, 403, { error: 'Missing permission: players.give' });
+    }
+
+    const result = await mail.sendBulkMail(b.target, {
+      subject: b.subject,
+      body: b.body,
+      attachment: b.attachment,
+      expiresInDays: b.expiresInDays,
+      sentBy: req.admin?.username
+    });
+    if (!result.success) return json(res, 400, { error: result.error });
+
+    auditPanel(req, 'mail.bulk', b.target?.scope, {
+      target: b.target,
+      subject: b.subject,
+      attachment: b.attachment || null,
+      expiresInDays: b.expiresInDays ?? null,
+      sent: result.sent
+    });
+    return json(res, 200, result);
+  });
+
   // ---- RELOAD DATA (stub hook) ----
-  app.post(`${basePath}/reload-data`, requireAdmin, async (req, res) => {
+  app.post(`${basePath}/reload-data`, requireAdmin, allow('server.manage'), async (req, res) => {
     // If you have a dataloader module, call it here.
     logger.warn('ADMIN', 'reload-data called (stub)', { by: req.admin?.username });
+    auditPanel(req, 'server.reload-data');
     return json(res, 200, { success: true, note: 'Stub: wire your data reload here.' });
   });
 
+  // ---- STAFF ----
+  // GET /api/admin/staff => panel accounts + in-game roles
+  app.get(`${basePath}/staff`, requireAdmin, allow('staff.manage'), async (req, res) => {
+    return json(res, 200, {
+      roles: staff.ROLES,
+      accounts: staff.listAccounts(),
+      gameRoles: staff.listGameRoles()
+    });
+  });
+
+  // POST /api/admin/staff { username, password, role }
+  app.post(`${basePath}/staff`, requireAdmin, allow('staff.manage'), async (req, res) => {
+    const body = req.body || {};
+    const result = await staff.createAccount({ username: body.username, password: body.password, role: body.role }, req.admin.username);
+    if (!result.success) return json(res, 400, { error: result.error });
+
+    auditPanel(req, 'staff.create', result.account.username, { role: result.account.role });
+    return json(res, 200, result);
+  });
+
+  // POST /api/admin/staff/:id/update { role?, password?, disabled? }
+  app.post(`${basePath}/staff/:id/update`, requireAdmin, allow('staff.manage'), async (req, res) => {
+    const body = req.body || {};
+    if (Number(req.params.id) === req.admin.id && (body.disabled || (body.role && body.role !== 'admin'))) {
+      return json(res, 400, { error: 'Cannot demote or disable your own account' });
+    }
+
+    const result = await staff.updateAccount(req.params.id, { role: body.role, password: body.password, disabled: body.disabled });
+    if (!result.success) {
+      return json(res, result.error === 'Account not found' ? 404 : 400, { error: result.error });
+    }
+
+    auditPanel(req, 'staff.update', result.account.username, {
+      role: body.role,
+      disabled: body.disabled,
+      passwordChanged: body.password != null
+    });
+    return json(res, 200, result);
+  });
+
+  // POST /api/admin/players/:id/role { role: moderator|gamemaster|admin|null } => in-game staff role
+  app.post(`${basePath}/players/:id/role`, requireAdmin, allow('staff.manage'), async (req, res) => {
+    const user = findPlayer(req.params.id);
+    if (!user) return json(res, 404, { error: 'Player not found' });
+
+    const role = req.body?.role || null;
+    const result = staff.setGameRole(user.id, role, `panel:${req.admin.username}`);
+    if (!result.success) return json(res, 400, { error: result.error });
+
+    auditPanel(req, 'staff.game-role', user.id, { username: user.username, role });
+    return json(res, 200, result);
+  });
+
+  // ---- AUDIT ----
+  // GET /api/admin/audit?actorType=&actorId=&actorName=&action=&target=&since=&until=&limit=&offset=
+  app.get(`${basePath}/audit`, requireAdmin, allow('audit.view'), async (req, res) => {
+    return json(res, 200, staff.listAudit(req.query || {}));
+  });
+
   return { sessions };
 }
 
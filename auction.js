@@ -0,0 +1,639 @@
+/**
+ * Auction House Module (Server Side)
+ *
+ * Asynchronous marketplace with server-held listings.
+ *
+ * trade.js only covers live one-to-one trades while both players are online.
+ * Here a seller hands an item stack to the server, other players browse and
+ * buy (or bid) whenever they like, and everything that changes hands later is
+ * delivered by system mail (mail.js deliverSystemMail), so nobody has to be
+ * online for a sale to settle.
+ *
+ * Custody:
+ *   - Posting deducts the stack and the listing fee from the seller using the
+ *     same checkInventory/deduct helpers as trade.js; the stack then only
+ *     exists in the auction_listings row.
+ *   - A bid deducts the bidder's gold up front. Being outbid refunds it as a
+ *     mail parcel.
+ *   - On a sale the buyer gets the stack and the seller the proceeds, both as
+ *     mail parcels. Unsold or cancelled stacks go back to the seller by mail.
+ *   - Every step runs in one db transaction and flips the row's status with a
+ *     `status = 'active'` guard, so a listing can only settle once.
+ *
+ * Listing fee: LISTING_FEE_RATE of the buyout (or starting bid), at least
+ * MIN_LISTING_FEE. It is kept by the house even when the listing doesn't sell.
+ *
+ * Commands (broadcast codes):
+ *   - ah/post   [{ dataClass, itemId, quantity, buyout?, startBid?, hours? }]
+ *               buyout and/or startBid (> 0); hours: one of LISTING_HOURS
+ *   - ah/browse [{ dataClass?, itemId?, minPrice?, maxPrice?, sort?, offset?, limit? }]
+ *               price = buyout, or the current (else starting) bid for bid-only listings
+ *               sort: "price" (default) | "price_desc" | "ending" | "newest"
+ *   - ah/mine   []                       your active listings and leading bids
+ *   - ah/buy    [listingId]
+ *   - ah/bid    [listingId, amount]      a bid at or above the buyout buys it
+ *   - ah/cancel [listingId]              only while nobody has bid
+ *
+ * Responses (direct RECV to requester, group "auction"):
+ *   - ah/post/res   { success, error?, listing?, fee?, gold?, items? }
+ *   - ah/browse/res { success, offset, limit, total, listings: Listing[] }
+ *   - ah/mine/res   { success, listings: Listing[], bids: Listing[] }
+ *   - ah/buy/res    { success, error?, id, price?, gold? }
+ *   - ah/bid/res    { success, error?, id, listing?, gold? }
+ *   - ah/cancel/res { success, error?, id }
+ *   gold / items are the player's authoritative totals after the action.
+ *
+ * Listing: { id, seller, dataClass, itemId, quantity, buyout, startBid, bid,
+ *            minBid, hasBids, leading, mine, expiresAt }
+ */
+
+const users = require('../database/users');
+const storage = require('../database/storage');
+const db = require('../database/sqlite');
+const logger = require('../utils/logger');
+const { createRecv, withRequestId } = require('./protocol');
+const { LIMITS } = require('./economy');
+const { checkInventory, deduct, CLASS_TO_KEY, MAX_ITEM_QTY } = require('./trade');
+const { deliverSystemMail, notifyNewMail } = require('./mail');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const LISTING_FEE_RATE = 0.05;
+const MIN_LISTING_FEE = 1;
+const LISTING_HOURS = [12, 24, 48];
+const DEFAULT_LISTING_HOURS = 24;
+const MAX_ACTIVE_LISTINGS = 20;      // Per seller
+const MIN_BID_INCREMENT_RATE = 0.05; // Next bid must beat the current one by 5% (at least 1 gold)
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const AUCTION_SWEEP_INTERVAL_MS = 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const SORTS = {
+  price: 'price ASC, id ASC',
+  price_desc: 'price DESC, id ASC',
+  ending: 'expires_at ASC, id ASC',
+  newest: 'created_at DESC, id DESC'
+};
+
+// Buyout when there is one, otherwise the going bid
+const PRICE_SQL = `CASE WHEN buyout > 0 THEN buyout WHEN bid > 0 THEN bid ELSE start_bid END`;
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS auction_listings (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    seller_id       TEXT NOT NULL,
+    seller_username TEXT NOT NULL,
+    data_class      TEXT NOT NULL,
+    item_id         INTEGER NOT NULL,
+    quantity        INTEGER NOT NULL,
+    buyout          INTEGER NOT NULL DEFAULT 0,
+    start_bid       INTEGER NOT NULL DEFAULT 0,
+    bid             INTEGER NOT NULL DEFAULT 0,
+    bidder_id       TEXT,
+    bidder_username TEXT,
+    fee             INTEGER NOT NULL DEFAULT 0,
+    status          TEXT NOT NULL DEFAULT 'active',
+    created_at      INTEGER NOT NULL,
+    expires_at      INTEGER NOT NULL,
+    resolved_at     INTEGER
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_auction_active ON auction_listings (status, expires_at);
+  CREATE INDEX IF NOT EXISTS idx_auction_item ON auction_listings (status, data_class, item_id);
+  CREATE INDEX IF NOT EXISTS idx_auction_seller ON auction_listings (seller_id, status);
+  CREATE INDEX IF NOT EXISTS idx_auction_bidder ON auction_listings (bidder_id, status);
+`);
+
+const stmts = {
+  insert: db.prepare(`
+    INSERT INTO auction_listings
+      (seller_id, seller_username, data_class, item_id, quantity, buyout, start_bid, fee, created_at, expires_at)
+    VALUES (@sellerId, @sellerUsername, @dataClass, @itemId, @quantity, @buyout, @startBid, @fee, @now, @expiresAt)
+  `),
+  get: db.prepare(`SELECT * FROM auction_listings WHERE id = ?`),
+  countActive: db.prepare(`SELECT COUNT(*) AS n FROM auction_listings WHERE seller_id = ? AND status = 'active'`),
+  bySeller: db.prepare(`SELECT * FROM auction_listings WHERE seller_id = ? AND status = 'active' ORDER BY expires_at ASC`),
+  byBidder: db.prepare(`SELECT * FROM auction_listings WHERE bidder_id = ? AND status = 'active' ORDER BY expires_at ASC`),
+  setBid: db.prepare(`
+    UPDATE auction_listings SET bid = ?, bidder_id = ?, bidder_username = ? WHERE id = ? AND status = 'active'
+  `),
+  resolve: db.prepare(`
+    UPDATE auction_listings SET status = ?, resolved_at = ? WHERE id = ? AND status = 'active'
+  `),
+  expired: db.prepare(`SELECT * FROM auction_listings WHERE status = 'active' AND expires_at <= ?`)
+};
+
+// Browse queries vary by filter set; keep one prepared statement per shape
+const browseCache = new Map();
+
+function now() { return Date.now(); }
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Listing rows store ids as text; mailboxes and connections use the account id
+function resolveUserId(id) {
+  const user = users.getById(id) || users.getById(Number(id));
+  return user ? user.id : null;
+}
+
+function listingFee(price) {
+  return Math.max(MIN_LISTING_FEE, Math.floor(price * LISTING_FEE_RATE));
+}
+
+function minBidFor(row) {
+  if (row.start_bid <= 0) return null;
+  if (row.bid <= 0) return row.start_bid;
+  return row.bid + Math.max(1, Math.floor(row.bid * MIN_BID_INCREMENT_RATE));
+}
+
+function itemLabel(row) {
+  return `${row.data_class}#${row.item_id} x${row.quantity}`;
+}
+
+function stackOf(row) {
+  return { gold: 0, items: [{ dataClass: row.data_class, itemId: row.item_id, quantity: row.quantity }] };
+}
+
+function serializeListing(row, viewerId) {
+  const viewer = String(viewerId ?? '');
+  return {
+    id: row.id,
+    seller: row.seller_username,
+    dataClass: row.data_class,
+    itemId: row.item_id,
+    quantity: row.quantity,
+    buyout: row.buyout,
+    startBid: row.start_bid,
+    bid: row.bid,
+    minBid: minBidFor(row),
+    hasBids: !!row.bidder_id,
+    leading: !!row.bidder_id && row.bidder_id === viewer,
+    mine: row.seller_id === viewer,
+    expiresAt: row.expires_at
+  };
+}
+
+function getTotals(userId, dataClass, itemId) {
+  const gold = (storage.getPersonal(userId, 'gold') || {}).gold ?? 0;
+  if (!dataClass) return { gold };
+  const owned = (storage.getPersonal(userId, CLASS_TO_KEY[dataClass]) || {})[itemId] ?? 0;
+  return { gold, items: [{ dataClass, itemId, owned }] };
+}
+
+function parseGold(raw) {
+  if (raw === undefined || raw === null || raw === '') return 0;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 0 || n > LIMITS.GOLD_ABSOLUTE_MAX) return null;
+  return n;
+}
+
+function parseListingId(raw) {
+  const id = Number(raw);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// ============================================================================
+// SETTLEMENT (runs inside the caller's transaction)
+// ============================================================================
+
+/**
+ * Give an escrowed bid back to whoever placed it.
+ * @returns {object|null} the refund mail
+ */
+function refundBid(row, reason) {
+  const bidderId = row.bidder_id ? resolveUserId(row.bidder_id) : null;
+  if (!bidderId || row.bid <= 0) return null;
+  return deliverSystemMail(bidderId, row.bidder_username, {
+    subject: 'Auction refund',
+    body: `Your bid of ${row.bid} gold on ${itemLabel(row)} was ${reason}. Your gold has been returned.`,
+    parcel: { gold: row.bid, items: [] }
+  });
+}
+
+/**
+ * Close a listing as sold: stack to the buyer, proceeds to the seller.
+ * The buyer's gold must already be taken (bid escrow or buyout payment).
+ * @returns {Array<object>|null} delivered mail, or null if it was already closed
+ */
+function settleSale(row, buyerId, buyerUsername, price) {
+  if (stmts.resolve.run('sold', now(), row.id).changes === 0) return null;
+
+  const delivered = [];
+  delivered.push(deliverSystemMail(buyerId, buyerUsername, {
+    subject: 'Auction won',
+    body: `You bought ${itemLabel(row)} from ${row.seller_username} for ${price} gold.`,
+    parcel: stackOf(row)
+  }));
+
+  // A deleted seller's proceeds have nowhere to go
+  const sellerId = resolveUserId(row.seller_id);
+  if (sellerId) {
+    delivered.push(deliverSystemMail(sellerId, row.seller_username, {
+      subject: 'Auction sold',
+      body: `${buyerUsername} bought your ${itemLabel(row)} for ${price} gold.`,
+      parcel: { gold: price, items: [] }
+    }));
+  }
+  return delivered;
+}
+
+/**
+ * Close a listing without a sale and send the stack back to the seller.
+ * @returns {object|null} the return mail, or null if it was already closed
+ */
+function returnListing(row, status, reason) {
+  if (stmts.resolve.run(status, now(), row.id).changes === 0) return null;
+  const sellerId = resolveUserId(row.seller_id);
+  if (!sellerId) return null;
+  return deliverSystemMail(sellerId, row.seller_username, {
+    subject: 'Auction returned',
+    body: `Your listing of ${itemLabel(row)} ${reason}. The items have been returned.`,
+    parcel: stackOf(row)
+  });
+}
+
+// ============================================================================
+// TRANSACTIONS
+// ============================================================================
+
+const postTransaction = db.transaction((userId, username, spec) => {
+  if (stmts.countActive.get(String(userId)).n >= MAX_ACTIVE_LISTINGS) {
+    return { success: false, error: `You can have at most ${MAX_ACTIVE_LISTINGS} active listings.` };
+  }
+
+  const fee = listingFee(spec.buyout || spec.startBid);
+  const custody = { gold: fee, items: [{ dataClass: spec.dataClass, itemId: spec.itemId, quantity: spec.quantity }] };
+  const check = checkInventory(userId, custody);
+  if (!check.valid) {
+    const { gold } = getTotals(userId);
+    return { success: false, error: gold < fee ? `The listing fee is ${fee} gold.` : 'You do not have those items.' };
+  }
+  deduct(userId, custody);
+
+  const id = stmts.insert.run({
+    sellerId: String(userId),
+    sellerUsername: username,
+    dataClass: spec.dataClass,
+    itemId: spec.itemId,
+    quantity: spec.quantity,
+    buyout: spec.buyout,
+    startBid: spec.startBid,
+    fee,
+    now: now(),
+    expiresAt: now() + spec.hours * HOUR_MS
+  }).lastInsertRowid;
+
+  return { success: true, row: stmts.get.get(id), fee };
+});
+
+const buyTransaction = db.transaction((userId, username, id, price) => {
+  const row = stmts.get.get(id);
+  if (!row || row.status !== 'active' || row.expires_at <= now()) {
+    return { success: false, error: 'This listing is no longer available.' };
+  }
+  if (row.seller_id === String(userId)) return { success: false, error: 'You cannot buy your own listing.' };
+  if (row.buyout <= 0) return { success: false, error: 'This listing can only be bid on.' };
+  if (price != null && price !== row.buyout) return { success: false, error: 'The price has changed.' };
+
+  // Raising your own leading bid to the buyout only costs the difference
+  const ownBid = row.bidder_id === String(userId) ? row.bid : 0;
+  const payment = { gold: row.buyout - ownBid, items: [] };
+  if (!checkInventory(userId, payment).valid) {
+    return { success: false, error: `You need ${payment.gold} gold.` };
+  }
+  deduct(userId, payment);
+
+  const delivered = settleSale(row, userId, username, row.buyout);
+  if (!delivered) throw new Error('Listing closed mid-transaction');
+  if (!ownBid) {
+    const refund = refundBid(row, 'beaten by a buyout');
+    if (refund) delivered.push(refund);
+  }
+
+  return { success: true, row, price: row.buyout, delivered };
+});
+
+const bidTransaction = db.transaction((userId, username, id, amount) => {
+  const row = stmts.get.get(id);
+  if (!row || row.status !== 'active' || row.expires_at <= now()) {
+    return { success: false, error: 'This listing is no longer available.' };
+  }
+  if (row.seller_id === String(userId)) return { success: false, error: 'You cannot bid on your own listing.' };
+
+  const minBid = minBidFor(row);
+  if (minBid == null) return { success: false, error: 'This listing is buyout only.' };
+  if (amount < minBid) return { success: false, error: `The minimum bid is ${minBid} gold.` };
+
+  // Meeting the buyout ends the auction right away
+  if (row.buyout > 0 && amount >= row.buyout) {
+    return buyTransaction(userId, username, id, row.buyout);
+  }
+
+  const ownBid = row.bidder_id === String(userId) ? row.bid : 0;
+  const payment = { gold: amount - ownBid, items: [] };
+  if (!checkInventory(userId, payment).valid) {
+    return { success: false, error: `You need ${payment.gold} gold.` };
+  }
+  deduct(userId, payment);
+
+  const delivered = [];
+  if (!ownBid) {
+    const refund = refundBid(row, 'outbid');
+    if (refund) delivered.push(refund);
+  }
+  stmts.setBid.run(amount, String(userId), username, id);
+
+  return { success: true, row: stmts.get.get(id), delivered };
+});
+
+const cancelTransaction = db.transaction((userId, id) => {
+  const row = stmts.get.get(id);
+  if (!row || row.seller_id !== String(userId)) return { success: false, error: 'Listing not found.' };
+  if (row.status !== 'active') return { success: false, error: 'This listing is already closed.' };
+  if (row.bidder_id) return { success: false, error: 'Listings with bids cannot be cancelled.' };
+
+  const returned = returnListing(row, 'cancelled', 'was cancelled');
+  return { success: true, row, delivered: returned ? [returned] : [] };
+});
+
+const expireTransaction = db.transaction((row) => {
+  const bidderId = row.bidder_id ? resolveUserId(row.bidder_id) : null;
+  if (bidderId) return settleSale(row, bidderId, row.bidder_username, row.bid) || [];
+  const returned = returnListing(row, 'expired', 'did not sell');
+  return returned ? [returned] : [];
+});
+
+function notifyAll(delivered) {
+  for (const message of delivered || []) notifyNewMail(message);
+}
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+function sendResponse(ws, code, data) {
+  try {
+    ws.send(createRecv('auction', 'server', code, [withRequestId(ws, data)]));
+  } catch (err) {
+    logger.error('AUCTION', 'Failed to sendResponse', { userId: ws.userId, code, error: err.message });
+  }
+}
+
+function parsePostSpec(raw) {
+  if (!raw || typeof raw !== 'object') return { error: 'Invalid listing.' };
+
+  const { dataClass } = raw;
+  const itemId = Number(raw.itemId);
+  const quantity = Number(raw.quantity ?? 1);
+  if (!CLASS_TO_KEY[dataClass] || !Number.isInteger(itemId) || itemId < 1 || itemId > LIMITS.ITEM_MAX_ID) {
+    return { error: 'Invalid item.' };
+  }
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_ITEM_QTY) {
+    return { error: 'Invalid quantity.' };
+  }
+
+  const buyout = parseGold(raw.buyout);
+  const startBid = parseGold(raw.startBid);
+  if (buyout === null || startBid === null) return { error: 'Invalid price.' };
+  if (buyout === 0 && startBid === 0) return { error: 'Set a buyout price, a starting bid, or both.' };
+  if (buyout > 0 && startBid >= buyout) return { error: 'The starting bid must be below the buyout.' };
+
+  const hours = Number(raw.hours ?? DEFAULT_LISTING_HOURS);
+  if (!LISTING_HOURS.includes(hours)) {
+    return { error: `Duration must be ${LISTING_HOURS.join(', ')} hours.` };
+  }
+
+  return { spec: { dataClass, itemId, quantity, buyout, startBid, hours } };
+}
+
+function handlePost(ws, args) {
+  const { spec, error } = parsePostSpec(args?.[0]);
+  if (error) {
+    sendResponse(ws, 'ah/post/res', { success: false, error });
+    return true;
+  }
+
+  const result = postTransaction(ws.userId, ws.username || String(ws.userId), spec);
+  if (!result.success) {
+    sendResponse(ws, 'ah/post/res', result);
+    return true;
+  }
+
+  sendResponse(ws, 'ah/post/res', {
+    success: true,
+    listing: serializeListing(result.row, ws.userId),
+    fee: result.fee,
+    ...getTotals(ws.userId, spec.dataClass, spec.itemId)
+  });
+
+  logger.info('AUCTION', 'Listing posted', {
+    userId: ws.userId, listingId: result.row.id, item: itemLabel(result.row),
+    buyout: spec.buyout, startBid: spec.startBid, fee: result.fee, hours: spec.hours
+  });
+  return true;
+}
+
+function handleBrowse(ws, args) {
+  const query = (args?.[0] && typeof args[0] === 'object') ? args[0] : {};
+  const where = [`status = 'active'`, 'expires_at > @now'];
+  const params = { now: now() };
+
+  if (query.dataClass) {
+    if (!CLASS_TO_KEY[query.dataClass]) {
+      sendResponse(ws, 'ah/browse/res', { success: false, error: 'Invalid item type.' });
+      return true;
+    }
+    where.push('data_class = @dataClass');
+    params.dataClass = query.dataClass;
+  }
+  if (query.itemId != null && query.itemId !== '') {
+    where.push('item_id = @itemId');
+    params.itemId = Number(query.itemId) || 0;
+  }
+  const minPrice = parseGold(query.minPrice);
+  if (minPrice) {
+    where.push(`${PRICE_SQL} >= @minPrice`);
+    params.minPrice = minPrice;
+  }
+  const maxPrice = parseGold(query.maxPrice);
+  if (maxPrice) {
+    where.push(`${PRICE_SQL} <= @maxPrice`);
+    params.maxPrice = maxPrice;
+  }
+
+  const sort = SORTS[query.sort] ? query.sort : 'price';
+  const offset = Math.max(0, Math.floor(Number(query.offset) || 0));
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(Number(query.limit) || DEFAULT_PAGE_SIZE)));
+
+  const whereSql = where.join(' AND ');
+  let cached = browseCache.get(`${whereSql}|${sort}`);
+  if (!cached) {
+    cached = {
+      count: db.prepare(`SELECT COUNT(*) AS n FROM auction_listings WHERE ${whereSql}`),
+      page: db.prepare(`
+        SELECT *, ${PRICE_SQL} AS price FROM auction_listings WHERE ${whereSql}
+        ORDER BY ${SORTS[sort]} LIMIT @limit OFFSET @offset
+      `)
+    };
+    browseCache.set(`${whereSql}|${sort}`, cached);
+  }
+
+  const total = cached.count.get(params).n;
+  const rows = cached.page.all({ ...params, limit, offset });
+
+  sendResponse(ws, 'ah/browse/res', {
+    success: true,
+    offset,
+    limit,
+    total,
+    listings: rows.map(row => serializeListing(row, ws.userId))
+  });
+  return true;
+}
+
+function handleMine(ws) {
+  const userId = String(ws.userId);
+  sendResponse(ws, 'ah/mine/res', {
+    success: true,
+    listings: stmts.bySeller.all(userId).map(row => serializeListing(row, userId)),
+    bids: stmts.byBidder.all(userId).map(row => serializeListing(row, userId))
+  });
+  return true;
+}
+
+function handleBuy(ws, args) {
+  const id = parseListingId(args?.[0]);
+  if (!id) {
+    sendResponse(ws, 'ah/buy/res', { success: false, error: 'Listing not found.', id: args?.[0] ?? null });
+    return true;
+  }
+
+  // Optional expected price guards against buying after a change
+  const expected = args?.[1] != null ? parseGold(args[1]) : null;
+  const result = buyTransaction(ws.userId, ws.username || String(ws.userId), id, expected);
+  if (!result.success) {
+    sendResponse(ws, 'ah/buy/res', { ...result, id });
+    return true;
+  }
+
+  notifyAll(result.delivered);
+  sendResponse(ws, 'ah/buy/res', { success: true, id, price: result.price, ...getTotals(ws.userId) });
+
+  logger.info('AUCTION', 'Listing bought', {
+    userId: ws.userId, listingId: id, sellerId: result.row.seller_id, price: result.price
+  });
+  return true;
+}
+
+function handleBid(ws, args) {
+  const id = parseListingId(args?.[0]);
+  const amount = parseGold(args?.[1]);
+  if (!id || !amount) {
+    sendResponse(ws, 'ah/bid/res', { success: false, error: 'Invalid bid.', id: id ?? null });
+    return true;
+  }
+
+  const result = bidTransaction(ws.userId, ws.username || String(ws.userId), id, amount);
+  if (!result.success) {
+    sendResponse(ws, 'ah/bid/res', { ...result, id });
+    return true;
+  }
+
+  notifyAll(result.delivered);
+
+  // A bid that reached the buyout came back as a purchase
+  if (result.price != null) {
+    sendResponse(ws, 'ah/bid/res', { success: true, id, bought: true, price: result.price, ...getTotals(ws.userId) });
+    logger.info('AUCTION', 'Listing bought by bid', { userId: ws.userId, listingId: id, price: result.price });
+    return true;
+  }
+
+  sendResponse(ws, 'ah/bid/res', {
+    success: true,
+    id,
+    listing: serializeListing(result.row, ws.userId),
+    ...getTotals(ws.userId)
+  });
+
+  logger.info('AUCTION', 'Bid placed', { userId: ws.userId, listingId: id, amount });
+  return true;
+}
+
+function handleCancel(ws, args) {
+  const id = parseListingId(args?.[0]);
+  const result = id ? cancelTransaction(ws.userId, id) : { success: false, error: 'Listing not found.' };
+  if (!result.success) {
+    sendResponse(ws, 'ah/cancel/res', { ...result, id });
+    return true;
+  }
+
+  notifyAll(result.delivered);
+  sendResponse(ws, 'ah/cancel/res', { success: true, id });
+
+  logger.info('AUCTION', 'Listing cancelled', { userId: ws.userId, listingId: id });
+  return true;
+}
+
+/**
+ * Process ah/ broadcast commands.
+ * Plug into handler.js handleBroadcast.
+ * @returns {boolean} true if command was handled
+ */
+function processAuctionCommand(ws, code, args) {
+  try {
+    switch (code) {
+      case 'ah/post':
+        return handlePost(ws, args);
+      case 'ah/browse':
+        return handleBrowse(ws, args);
+      case 'ah/mine':
+        return handleMine(ws);
+      case 'ah/buy':
+        return handleBuy(ws, args);
+      case 'ah/bid':
+        return handleBid(ws, args);
+      case 'ah/cancel':
+        return handleCancel(ws, args);
+      default:
+        return false;
+    }
+  } catch (err) {
+    logger.error('AUCTION', 'processAuctionCommand error', { userId: ws.userId, code, error: err.message, stack: err.stack });
+    sendResponse(ws, `${code}/res`, { success: false, error: 'Server error.' });
+    return true;
+  }
+}
+
+// ============================================================================
+// EXPIRY
+// ============================================================================
+
+function sweepExpiredListings() {
+  try {
+    for (const row of stmts.expired.all(now())) {
+      const delivered = expireTransaction(row);
+      notifyAll(delivered);
+      logger.info('AUCTION', 'Listing ended', {
+        listingId: row.id, sold: !!row.bidder_id, price: row.bidder_id ? row.bid : null
+      });
+    }
+  } catch (err) {
+    logger.error('AUCTION', 'Auction sweep failed', { error: err.message });
+  }
+}
+
+setInterval(sweepExpiredListings, AUCTION_SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+  processAuctionCommand,
+  sweepExpiredListings
+};
@@ -14,14 +14,55 @@
  *   - Skill exists and the player has enough MP/TP
  *   - Position is within battlefield bounds
  *   - Movement gauge drain is reasonable (not teleporting)
- *   - Damage values are within plausible range (anti-cheat)
+ *   - Damage values are within plausible range (anti-cheat): btl/damage
+ *     reports are bounded by the skill's damage formula evaluated with the
+ *     attacker's stats (enemies from Enemies.json, actors from the player's
+ *     stored actor + Classes/Weapons/Armors.json) and clamped when they
+ *     exceed it. A report must belong to the source's last validated
+ *     action (btl/action, or btl/enemy_act for the enemy host): same skill,
+ *     a target its scope allows, at most `repeats` hits per target, within
+ *     the action's cast time + DAMAGE_WINDOW_MS. Sources with no known
+ *     stats are rejected
  *   - Action rate limiting (can't submit faster than ATB allows)
  *
  * What the server does NOT compute:
- *   - Exact damage formulas (too complex, relies on MZ data)
- *   - Exact ATB fill timing (clients handle, server spot-checks)
+ *   - Exact damage (only an upper bound from the formula; no hit/eva rolls)
+ *   - ATB fill in real time — instead each action/guard carries the client's
+ *     tick, and a per-battle ATB_Sim timeline (seeded by the server, fed
+ *     by btl/state fill rates) replays it to check the gauge was full.
+ *     Once a seat has been sent btl/seed, actions/guards without a tick are
+ *     rejected; fill and cast rates are clamped to what the actor's
+ *     tracked AGI allows (maxFillFor, maxCastRateFor)
  *   - Animation sequencing
  *
+ * HP tracking:
+ *   Enemy HP is server-authoritative: seeded from the troop (battle_sync's
+ *   troop for the channel, else the troopId in the first btl/state) and
+ *   changed only by accepted btl/damage reports. Actor HP is seeded and
+ *   refreshed from each owner's btl/state; actor params and level are derived
+ *   server-side from the actorId it names. Every accepted report is followed
+ *   by a btl/sync with the tracked value so all clients converge.
+ *
+ * Victory:
+ *   Declared here, never by a client: once every enemy the troop starts
+ *   with is at 0 HP in the tracked table, battle_sync.endBattle('victory')
+ *   pays out the rewards. A btl/end claiming victory is relayed to peers but
+ *   not recorded as the result.
+ *
+ * Seats:
+ *   On a channel registered with battle_sync (btl/create), only the players
+ *   it was created for may take a seat, at the actorIndex it assigned, and
+ *   subscribing marks them joined there.
+ *
+ * Enemy AI:
+ *   Enemy decisions (skill, targets, telegraph/cast) are made by one client,
+ *   the battle's enemy host, and relayed to everyone else as btl/enemy_act.
+ *   The host is the connected player with the lowest actorIndex; when it
+ *   leaves, the next one takes over and the channel is told via btl/host.
+ *   A dropped socket counts as gone straight away, even while its seat is
+ *   held for resume (onPlayerDrop); a resuming player only retakes the role
+ *   if nobody else holds it.
+ *
  * Integration:
  *   - handler.js intercepts group === 'battle' publishes
  *   - Calls processBattlePublish(ws, code, args, channel)
@@ -34,29 +75,57 @@
  *     btl/move_end  — { actorIndex, x, y, atbGauge }
  *     btl/guard     — { actorIndex, atbGauge }
  *     btl/escape    — { actorIndex }
- *     btl/state     — { actorIndex, hp, mp, tp, atbGauge, x, y, states, ... }
+ *     btl/state     — { actorIndex, actorId, hp, mhp, troopId, mp, tp, atbGauge, x, y, states, ... }
+ *     btl/damage    — { source: { side, index }, skillId, isItem, target: { side, index }, hpDamage }
+ *     btl/interrupt — { actorIndex, tick }  our cast was interrupted
+ *                     side: 'actor'|'enemy'; enemy sources from the enemy host only
  *     btl/end       — { result }
+ *     btl/enemy_act — { enemyIndex, skillId, targetIndices, mode, targetPoint? }
+ *                     enemy host only; mode: 'execute'|'cast'|'telegraph'
  *
  *   Server → Clients (via battle channel):
  *     btl/peer_act  — Validated action, broadcast to other players
  *     btl/peer_move — Validated position, broadcast to other players
  *     btl/validated — Confirmation back to action sender
  *     btl/rejected  — Rejection with reason
- *     btl/sync      — State correction
+ *     btl/sync      — State correction ({ actorIndex|enemyIndex, hp, dead, forced? })
  *     btl/end       — Battle result
  *     btl/dc        — Player disconnected
  *     btl/rc        — Player reconnected
+ *     btl/enemy_act — Enemy decision from the enemy host, relayed to peers
+ *     btl/host      — { userId, actorIndex, migrated } current enemy host
+ *     btl/seed      — { seed } ATB_Sim seed; clients restart their tick count
+ *
+ * Replays:
+ *   Only battles registered with battle_sync (btl/create) are recorded; ad-hoc
+ *   btl_ channels are relayed but never written to disk.
+ *   Everything the server relays after validation (peer actions, moves,
+ *   guards, escapes, state syncs, enemy decisions, the result) is appended to
+ *   the battle's replay as [msSinceStart, code, payload] — the same payload
+ *   peers received. Its players header carries each seat's actorId, level
+ *   and params as derived at its first btl/state, so spectators can rebuild the
+ *   party that fought. When the battle is cleaned up the replay is written to
+ *   BATTLE_REPLAY_DIR/<channel>.json.gz; loadReplay() reads it back for
+ *   btl/replay (battle_sync) and the admin API. Files older than
+ *   REPLAY_MAX_AGE_MS are pruned.
  */
 
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
 const logger = require('../utils/logger');
+const storage = require('../database/storage');
 const { createRecv } = require('./protocol');
 const pubsub = require('./pubsub');
+const gamedata = require('./gamedata');
+const battleSync = require('./battle_sync');
+const Sim = require('./ATB_Sim'); // Same file the client loads as a plugin
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-const MAX_ATB_GAUGE        = 10000;      // Must match client ATB_Core
+const MAX_ATB_GAUGE        = Sim.MAX_GAUGE;
 const BATTLE_AREA_WIDTH    = 700;        // Default, can be overridden per battle
 const BATTLE_AREA_HEIGHT   = 400;
 const MAX_POSITION_DELTA   = 20;         // Max px per sync tick (anti-teleport)
@@ -64,6 +133,22 @@ const ACTION_COOLDOWN_MS   = 500;        // Min ms between actions from same pla
 const MAX_DAMAGE_RATIO     = 5.0;        // Max damage = target maxHp * ratio (anti-cheat)
 const BATTLE_TIMEOUT_MS    = 30 * 60 * 1000; // 30 min auto-cleanup
 const STATE_SYNC_INTERVAL  = 10000;      // 10 sec between forced state syncs
+const MAX_TROOP_SIZE       = 8;          // RPG Maker troop member cap
+const ENEMY_ACT_MODES      = new Set(['execute', 'cast', 'telegraph']);
+const MAX_ACTOR_PARAM      = 9999;       // MZ default actor param cap
+const HP_DAMAGE_TYPES      = new Set([1, 3, 5]); // HP damage, HP recover, HP drain
+const CRITICAL_MULTIPLIER  = 3;          // Game_Action.applyCritical
+const DAMAGE_SLACK         = 2.5;        // Buffs, element weakness, proximity bonus
+const DAMAGE_WINDOW_MS     = 3000;       // Reports accepted this long after an action resolves
+const ATB_AGI_REFERENCE    = 30;         // ATB_Core AGI_REFERENCE_VALUE (cast speed)
+const SINGLE_TARGET_SCOPES = new Set([1, 7, 9, 12]); // RPG Maker item.scope
+const TICK_SLACK           = 30;         // Ticks a client may run ahead of wall time
+const AGI_MODIFIER_SLACK   = 2;          // Buffs + traits assumed to at most double base AGI
+const REPLAY_DIR           = process.env.BATTLE_REPLAY_DIR || path.join(__dirname, '..', '..', 'replays');
+const REPLAY_VERSION       = 1;
+const MAX_REPLAY_EVENTS    = 50000;      // ~30 min of 4 players moving
+const REPLAY_MAX_AGE_MS    = 14 * 24 * 60 * 60 * 1000; // 14 days
+const REPLAY_CHANNEL_RE    = /^btl_[A-Za-z0-9_-]+$/;
 
 // ============================================================================
 // STATE
@@ -74,11 +159,21 @@ const STATE_SYNC_INTERVAL  = 10000;      // 10 sec between forced state syncs
  * 
  * BattleState: {
  *   channel, createdAt,
+ *   registered,                // battle_sync instance exists (btl/create)
  *   players: Map<userId, {
  *     actorIndex, lastActionTime, lastPosition: {x,y},
- *     lastAtbGauge, lastStateSync, connected, username
+ *     lastAtbGauge, lastStateSync, connected, username,
+ *     joinedAt, fillPerTick, castRate, seeded,
+ *     damageWindow             // see openDamageWindow
  *   }>,
- *   settings: { width, height, troopId }
+ *   settings: { width, height, troopId },
+ *   enemyHost: userId|null,  // Client that decides enemy actions
+ *   enemyWindows: Map<enemyIndex, damageWindow>,  // From btl/enemy_act
+ *   enemies: null|Array<{ enemyId, hp, mhp, params, hidden }|null>,  // By troop slot
+ *   actors: Map<actorIndex, { hp, mhp, params, level, actorId }>,
+ *   seed, timeline,            // ATB_Sim replay of actions/guards/rates
+ *   replay: { startedAt, events: [[ms, code, payload]], seats: Map<actorIndex, { actorId, level, params }>,
+ *             result, truncated, saved }
  * }
  */
 const activeBattles = new Map();
@@ -92,18 +187,35 @@ const userToBattle  = new Map();  // userId -> channelId
  * Called when a player subscribes to a battle channel.
  * Registers them in the battle state.
  */
-function onBattleSubscribe(userId, channel) {
+function onBattleSubscribe(userId, channel, username) {
   if (!channel || !channel.startsWith('btl_')) return;
 
+  const instance = battleSync.getBattle(channel);
+  const seat = instance ? instance.players.find(p => p.userId === userId) : null;
+  if (instance && !seat) {
+    logger.security('Battle subscribe to a battle the player is not in', { userId, channel });
+    return;
+  }
+
   let battle = activeBattles.get(channel);
   if (!battle) {
     // First player — create battle state
     battle = {
       channel,
       createdAt: Date.now(),
+      registered: !!instance,
       players: new Map(),
-      settings: { width: BATTLE_AREA_WIDTH, height: BATTLE_AREA_HEIGHT, troopId: 0 }
+      settings: { width: BATTLE_AREA_WIDTH, height: BATTLE_AREA_HEIGHT, troopId: 0 },
+      enemyHost: null,
+      enemyWindows: new Map(),
+      enemies: null,
+      actors: new Map(),
+      seed: 0,
+      timeline: null,
+      replay: { startedAt: Date.now(), events: [], seats: new Map(), result: null, truncated: false, saved: false }
     };
+    battle.seed = Sim.randomSeed();
+    battle.timeline = Sim.createTimeline(battle.seed);
     activeBattles.set(channel, battle);
     logger.info('BATTLE', `Battle created: ${channel}`, { userId });
   }
@@ -111,13 +223,18 @@ function onBattleSubscribe(userId, channel) {
   // Register player
   if (!battle.players.has(userId)) {
     battle.players.set(userId, {
-      actorIndex: battle.players.size,
+      actorIndex: seat ? seat.actorIndex : battle.players.size,
       lastActionTime: 0,
       lastPosition: { x: 0, y: 0 },
       lastAtbGauge: 0,
       lastStateSync: Date.now(),
       connected: true,
-      username: ''
+      username: username || '',
+      joinedAt: Date.now(),   // Client tick 0 ≈ when it got btl/seed
+      fillPerTick: 0,
+      castRate: 1,
+      seeded: false,
+      damageWindow: null
     });
   } else {
     // Reconnection
@@ -131,6 +248,27 @@ function onBattleSubscribe(userId, channel) {
 
   userToBattle.set(userId, channel);
   logger.info('BATTLE', `Player joined battle`, { userId, channel, playerCount: battle.players.size });
+
+  if (instance) {
+    battleSync.markPlayerJoined(userId, channel);
+    ensureTroop(battle);
+  }
+
+  // Seed the joiner's ATB timeline (clients ignore a seed they already use)
+  pubsub.publish('battle', channel, createRecv('battle', 'server', 'btl/seed', [{
+    seed: battle.seed
+  }]), null);
+  battle.players.get(userId).seeded = true;
+
+  // First player in (or the host is gone) → elect; otherwise tell the joiner who it is
+  const host = battle.enemyHost && battle.players.get(battle.enemyHost);
+  if (!host || !host.connected) {
+    electEnemyHost(battle, false);
+  } else {
+    pubsub.publish('battle', channel, createRecv('battle', 'server', 'btl/host', [{
+      userId: battle.enemyHost, actorIndex: host.actorIndex, migrated: false
+    }]), null);
+  }
 }
 
 /**
@@ -153,6 +291,11 @@ function onBattleUnsubscribe(userId, channel) {
 
   userToBattle.delete(userId);
 
+  // Host migration — enemies would freeze for everyone without a decider
+  if (battle.enemyHost === userId) {
+    electEnemyHost(battle, true);
+  }
+
   // If all players disconnected, cleanup after timeout
   const anyConnected = [...battle.players.values()].some(p => p.connected);
   if (!anyConnected) {
@@ -175,6 +318,79 @@ function onPlayerDisconnect(userId) {
   }
 }
 
+/**
+ * Called when a player's socket drops and the session is held for resume
+ * (see resume.js). The seat stays, but it can't decide for enemies any more,
+ * so the host role moves on now rather than when the hold expires.
+ */
+function onPlayerDrop(userId) {
+  const channel = userToBattle.get(userId);
+  const battle = channel && activeBattles.get(channel);
+  const player = battle && battle.players.get(userId);
+  if (!player) return;
+
+  player.connected = false;
+  if (battle.enemyHost === userId) {
+    electEnemyHost(battle, true);
+  }
+}
+
+/**
+ * Called when a dropped player resumes their session within the grace
+ * window (see resume.js). The seat was never released and peers were never
+ * sent btl/dc, so only the resuming client gets btl/rc to resync.
+ */
+function onPlayerResume(userId, ws) {
+  const channel = userToBattle.get(userId);
+  if (!channel) return;
+
+  const battle = activeBattles.get(channel);
+  const player = battle?.players.get(userId);
+  if (!player) return;
+
+  player.connected = true;
+  sendToPlayer(ws, 'btl/rc', [{ userId, channel, actorIndex: player.actorIndex, resumed: true }]);
+
+  // Nobody took over while we were gone → take the role back (announced to all)
+  const host = battle.enemyHost && battle.players.get(battle.enemyHost);
+  if (!host || !host.connected) {
+    electEnemyHost(battle, true);
+  } else {
+    sendToPlayer(ws, 'btl/host', [{
+      userId: battle.enemyHost, actorIndex: host.actorIndex, migrated: false
+    }]);
+  }
+  logger.info('BATTLE', `Player resumed battle seat`, { userId, channel });
+}
+
+/**
+ * Pick the connected player with the lowest actorIndex as enemy host and
+ * announce it on the channel. Leaves enemyHost null when nobody is connected.
+ */
+function electEnemyHost(battle, migrated) {
+  let nextId = null;
+  let next = null;
+  for (const [id, p] of battle.players) {
+    if (!p.connected) continue;
+    if (!next || p.actorIndex < next.actorIndex) {
+      nextId = id;
+      next = p;
+    }
+  }
+
+  const previous = battle.enemyHost;
+  battle.enemyHost = nextId;
+  if (!next) return;
+
+  pubsub.publish('battle', battle.channel, createRecv('battle', 'server', 'btl/host', [{
+    userId: nextId, actorIndex: next.actorIndex, migrated
+  }]), null);
+
+  logger.info('BATTLE', migrated ? `Enemy host migrated` : `Enemy host elected`, {
+    channel: battle.channel, from: previous, to: nextId
+  });
+}
+
 /**
  * Clean up a battle's state.
  */
@@ -186,6 +402,10 @@ function cleanupBattle(channel) {
     userToBattle.delete(userId);
   }
   activeBattles.delete(channel);
+  saveReplay(battle);
+
+  // No-op once battle_sync has ended it (e.g. on an observed victory)
+  battleSync.endBattle(channel, battle.replay.result || 'abort');
   logger.info('BATTLE', `Battle cleaned up: ${channel}`);
 }
 
@@ -246,6 +466,15 @@ function processBattlePublish(ws, code, args, channel) {
     case 'btl/end':
       return handleEnd(ws, battle, player, data, channel);
 
+    case 'btl/enemy_act':
+      return handleEnemyAct(ws, battle, player, data, channel);
+
+    case 'btl/damage':
+      return handleDamage(ws, battle, player, data, channel);
+
+    case 'btl/interrupt':
+      return handleInterrupt(ws, battle, player, data, channel);
+
     default:
       // Unknown battle code — relay as-is
       return 'relay';
@@ -281,8 +510,16 @@ function handleAction(ws, battle, player, data, channel) {
     return 'handled';
   }
 
-  // --- Validate ATB gauge was full ---
-  if (typeof data.atbGauge === 'number' && data.atbGauge < MAX_ATB_GAUGE * 0.95) {
+  // --- A seeded seat must tick its actions (replayed through the timeline below) ---
+  if (player.seeded && !Number.isInteger(data.tick)) {
+    logger.security('Battle action without tick', { userId });
+    sendToPlayer(ws, 'btl/rejected', [{ timestamp: data.timestamp, reason: 'tick_required' }]);
+    return 'handled';
+  }
+
+  // --- Validate ATB gauge was full (spot check before the seed arrives) ---
+  if (!Number.isInteger(data.tick) &&
+      typeof data.atbGauge === 'number' && data.atbGauge < MAX_ATB_GAUGE * 0.95) {
     logger.security('Battle action with incomplete gauge', {
       userId, gauge: data.atbGauge, required: MAX_ATB_GAUGE
     });
@@ -319,15 +556,38 @@ function handleAction(ws, battle, player, data, channel) {
     return 'handled';
   }
 
+  // --- Replay against the ATB timeline (last: it spends the gauge) ---
+  if (Number.isInteger(data.tick)) {
+    const entry = {
+      tick: data.tick,
+      index: player.actorIndex,
+      type: 'act',
+      castTicks: data.isGuard ? 0 : Sim.castTicks(getCastTime(data), player.castRate)
+    };
+    if (!applyTimeline(ws, battle, player, entry, data.timestamp)) return 'handled';
+  }
+
   // --- Passed validation ---
   player.lastActionTime = now;
   player.lastAtbGauge = 0; // Gauge should be spent
+  player.damageWindow = openDamageWindow(data.skillId, data.isItem, data.targetIndices,
+    ticksToMs(Sim.castTicks(getCastTime(data), player.castRate)));
 
   // Confirm to sender
   sendToPlayer(ws, 'btl/validated', [{ timestamp: data.timestamp }]);
 
   // Broadcast to peers as validated action
   broadcastToBattle(channel, userId, 'btl/peer_act', [data]);
+  recordReplay(battle, 'btl/peer_act', {
+    actorIndex: data.actorIndex,
+    skillId: data.skillId,
+    isAttack: !!data.isAttack,
+    isGuard: !!data.isGuard,
+    isItem: !!data.isItem,
+    targetIndices: data.targetIndices.slice(0, MAX_TROOP_SIZE * 2),
+    position: data.position ? { x: data.position.x, y: data.position.y } : null,
+    tick: data.tick
+  });
 
   logger.debug('BATTLE', `Action validated`, { userId, skillId: data.skillId, channel });
   return 'handled';
@@ -386,6 +646,9 @@ function handleMove(ws, battle, player, data, channel) {
 
   // Broadcast to peers
   broadcastToBattle(channel, userId, 'btl/peer_move', [data]);
+  recordReplay(battle, 'btl/peer_move', {
+    actorIndex: data.actorIndex, x, y, atbGauge: data.atbGauge, moving: !!data.moving
+  });
 
   return 'handled';
 }
@@ -412,6 +675,13 @@ function handleMoveEnd(ws, battle, player, data, channel) {
     ...data,
     moving: false
   }]);
+  recordReplay(battle, 'btl/peer_move', {
+    actorIndex: data.actorIndex,
+    x: player.lastPosition.x,
+    y: player.lastPosition.y,
+    atbGauge: data.atbGauge,
+    moving: false
+  });
 
   return 'handled';
 }
@@ -433,8 +703,18 @@ function handleGuard(ws, battle, player, data, channel) {
     return 'handled';
   }
 
+  // A seeded seat must tick its guards
+  if (player.seeded && !Number.isInteger(data.tick)) {
+    logger.security('Battle guard without tick', { userId });
+    sendToPlayer(ws, 'btl/rejected', [{ reason: 'tick_required' }]);
+    return 'handled';
+  }
+
   // Validate gauge
-  if (typeof data.atbGauge === 'number' && data.atbGauge < MAX_ATB_GAUGE * 0.9) {
+  if (Number.isInteger(data.tick)) {
+    const entry = { tick: data.tick, index: player.actorIndex, type: 'guard' };
+    if (!applyTimeline(ws, battle, player, entry)) return 'handled';
+  } else if (typeof data.atbGauge === 'number' && data.atbGauge < MAX_ATB_GAUGE * 0.9) {
     sendToPlayer(ws, 'btl/rejected', [{ reason: 'gauge_not_full_guard' }]);
     return 'handled';
   }
@@ -444,6 +724,7 @@ function handleGuard(ws, battle, player, data, channel) {
     actorIndex: data.actorIndex,
     isGuard: true
   }]);
+  recordReplay(battle, 'btl/peer_act', { actorIndex: data.actorIndex, isGuard: true, tick: data.tick });
 
   return 'handled';
 }
@@ -463,6 +744,7 @@ function handleEscape(ws, battle, player, data, channel) {
     actorIndex: data.actorIndex,
     isEscape: true
   }]);
+  recordReplay(battle, 'btl/peer_act', { actorIndex: data.actorIndex, isEscape: true });
 
   return 'handled';
 }
@@ -506,6 +788,7 @@ function handleState(ws, battle, player, data, channel) {
   }
 
   if (typeof data.hp === 'number') sanitized.hp = Math.max(0, data.hp);
+  if (typeof data.mhp === 'number') sanitized.mhp = Math.max(1, Math.min(MAX_ACTOR_PARAM, data.mhp));
   if (typeof data.mp === 'number') sanitized.mp = Math.max(0, data.mp);
   if (typeof data.tp === 'number') sanitized.tp = Math.max(0, data.tp);
   if (typeof data.casting === 'boolean') sanitized.casting = data.casting;
@@ -515,20 +798,132 @@ function handleState(ws, battle, player, data, channel) {
 
   player.lastStateSync = Date.now();
 
+  // Seed/refresh the HP tables used by damage checks
+  ensureTroop(battle, data.troopId);
+  if (typeof sanitized.hp === 'number') {
+    const tracked = battle.actors.get(data.actorIndex) || { hp: 0, mhp: 0, params: null, level: 1, actorId: 0 };
+    if (sanitized.mhp) tracked.mhp = sanitized.mhp;
+    tracked.hp = tracked.mhp ? Math.min(sanitized.hp, tracked.mhp) : sanitized.hp;
+    sanitized.hp = tracked.hp;
+    // Params come from the server's copy of the actor, never from the report
+    if (Number.isInteger(data.actorId) && data.actorId > 0 && data.actorId <= 9999 &&
+        data.actorId !== tracked.actorId) {
+      const stats = seatActorStats(userId, data.actorId);
+      tracked.actorId = data.actorId;
+      tracked.params = stats ? stats.params : null;
+      tracked.level = stats ? stats.level : 1;
+    }
+    battle.actors.set(data.actorIndex, tracked);
+
+    // The replay header keeps each seat as it entered the battle
+    if (tracked.params && !battle.replay.seats.has(data.actorIndex)) {
+      battle.replay.seats.set(data.actorIndex, {
+        actorId: tracked.actorId, level: tracked.level, params: tracked.params.slice()
+      });
+    }
+  }
+
+  // Fill-rate changes feed the ATB timeline (after params: they bound the rate)
+  if (typeof data.castRate === 'number' && data.castRate > 0) {
+    const maxCast = maxCastRateFor(battle, player.actorIndex);
+    if (data.castRate > maxCast) {
+      logger.security('Battle cast rate above AGI bound', { userId, castRate: data.castRate, max: maxCast });
+    }
+    player.castRate = Math.min(maxCast, data.castRate);
+  }
+  if (Number.isInteger(data.tick) && typeof data.fillPerTick === 'number' &&
+      data.fillPerTick !== player.fillPerTick && tickInBounds(player, data.tick)) {
+    const maxFill = maxFillFor(battle, player.actorIndex);
+    if (data.fillPerTick > maxFill) {
+      logger.security('Battle fill rate above AGI bound', { userId, fill: data.fillPerTick, max: maxFill });
+    }
+    const fill = Math.max(1, Math.min(maxFill, Math.floor(data.fillPerTick)));
+    if (!battle.timeline.apply({ tick: data.tick, index: player.actorIndex, type: 'rate', fill })) {
+      player.fillPerTick = data.fillPerTick;
+    }
+  }
+
   // Relay to peers so they can reconcile
   broadcastToBattle(channel, userId, 'btl/sync', [sanitized]);
+  recordReplay(battle, 'btl/sync', sanitized);
 
   return 'handled';
 }
 
+function handleEnemyAct(ws, battle, player, data, channel) {
+  const { userId } = ws;
+
+  // --- Only the enemy host decides for enemies ---
+  if (battle.enemyHost !== userId) {
+    logger.security('Enemy action from non-host', { userId, channel, host: battle.enemyHost });
+    sendToPlayer(ws, 'btl/rejected', [{ reason: 'not_enemy_host' }]);
+    return 'handled';
+  }
+
+  const isIndex = (v) => Number.isInteger(v) && v >= 0 && v < MAX_TROOP_SIZE;
+
+  if (!isIndex(data.enemyIndex)) {
+    logger.security('Enemy action invalid enemy index', { userId, enemyIndex: data.enemyIndex });
+    return 'handled';
+  }
+
+  if (!Number.isInteger(data.skillId) || data.skillId < 1 || data.skillId > 9999) {
+    logger.security('Enemy action invalid skill ID', { userId, skillId: data.skillId });
+    return 'handled';
+  }
+
+  // Targets are party or troop slot indices (random scopes may repeat a slot)
+  if (!Array.isArray(data.targetIndices) || data.targetIndices.length > MAX_TROOP_SIZE * 2 ||
+      !data.targetIndices.every(isIndex)) {
+    logger.security('Enemy action invalid target indices', { userId });
+    return 'handled';
+  }
+
+  const mode = ENEMY_ACT_MODES.has(data.mode) ? data.mode : 'execute';
+  const sanitized = {
+    enemyIndex: data.enemyIndex,
+    skillId: data.skillId,
+    targetIndices: data.targetIndices,
+    mode
+  };
+
+  if (mode === 'telegraph' && data.targetPoint &&
+      typeof data.targetPoint.x === 'number' && typeof data.targetPoint.y === 'number') {
+    sanitized.targetPoint = {
+      x: Math.max(0, Math.min(battle.settings.width, data.targetPoint.x)),
+      y: Math.max(0, Math.min(battle.settings.height, data.targetPoint.y))
+    };
+  }
+
+  battle.enemyWindows.set(data.enemyIndex,
+    openDamageWindow(data.skillId, false, data.targetIndices, enemyDelayMs(battle, data.enemyIndex, data.skillId, mode)));
+
+  broadcastToBattle(channel, userId, 'btl/enemy_act', [sanitized]);
+  recordReplay(battle, 'btl/enemy_act', sanitized);
+  return 'handled';
+}
+
 function handleEnd(ws, battle, player, data, channel) {
   const { userId } = ws;
 
   // Validate: only accept end from participants
   logger.info('BATTLE', `Battle end requested`, { userId, channel, result: data.result });
 
-  // Broadcast to all players
-  const msg = createRecv('battle', 'server', 'btl/end', [data]);
+  const replay = replayBattle(channel);
+  if (replay && replay.violations.length > 0) {
+    logger.warn('BATTLE', `ATB replay found violations`, {
+      channel, entries: replay.entries, violations: replay.violations.length
+    });
+  }
+
+  // Only checkVictory records a victory
+  if (!battle.replay.result && data.result !== 'victory') {
+    battle.replay.result = data.result;
+    recordReplay(battle, 'btl/end', { result: data.result });
+  }
+
+  // Broadcast to all players — only the result; rewards come from battle_sync
+  const msg = createRecv('battle', 'server', 'btl/end', [{ result: data.result }]);
   pubsub.publish('battle', channel, msg, null); // null = send to everyone including sender
 
   // Schedule cleanup
@@ -537,6 +932,518 @@ function handleEnd(ws, battle, player, data, channel) {
   return 'handled';
 }
 
+// ============================================================================
+// ATB TIMELINE (ATB_Sim replay)
+// ============================================================================
+
+/**
+ * Most gauge per tick an actor may fill, from the AGI the server tracks:
+ * tpbRelativeSpeed is sqrt(agi) + 1 over the party's fastest base speed,
+ * and each seat's base AGI is at least its current AGI / AGI_MODIFIER_SLACK.
+ * Without known params the actor gets the slowest rate.
+ */
+function maxFillFor(battle, actorIndex) {
+  const own = battle.actors.get(actorIndex);
+  if (!own || !own.params) return 1;
+
+  let baseSpeed = 1;
+  for (const tracked of battle.actors.values()) {
+    if (!tracked.params) continue;
+    baseSpeed = Math.max(baseSpeed, Math.sqrt(tracked.params[6] / AGI_MODIFIER_SLACK) + 1);
+  }
+
+  const relative = (Math.sqrt(own.params[6]) + 1) / baseSpeed;
+  return Math.min(Sim.maxFillPerTick(), Sim.fillPerTick(relative));
+}
+
+/**
+ * Fastest cast speed (ATB_Core's atbFillRate) an actor may claim, from the
+ * AGI the server tracks, allowing buffs up to AGI_MODIFIER_SLACK. Without
+ * known params the actor gets the slowest rate.
+ */
+function maxCastRateFor(battle, actorIndex) {
+  const own = battle.actors.get(actorIndex);
+  const agi = own && own.params ? own.params[6] * AGI_MODIFIER_SLACK : 1;
+  return Sim.atbFillRate({ agi, referenceAgi: ATB_AGI_REFERENCE });
+}
+
+/**
+ * A client's tick can't run ahead of the time since it joined (its tick 0
+ * is roughly when it received btl/seed). Stops faking ticks to fill gauges.
+ */
+function tickInBounds(player, tick) {
+  const elapsed = Math.floor((Date.now() - player.joinedAt) * Sim.TICKS_PER_SECOND / 1000);
+  return tick >= 0 && tick <= elapsed + TICK_SLACK;
+}
+
+/**
+ * Apply an entry to the battle's timeline; on a violation reject it back to
+ * the sender with the gauge the server believes in. Returns true if accepted.
+ */
+function applyTimeline(ws, battle, player, entry, timestamp) {
+  const { userId } = ws;
+
+  if (!tickInBounds(player, entry.tick)) {
+    logger.security('Battle tick ahead of wall clock', { userId, tick: entry.tick, type: entry.type });
+    sendToPlayer(ws, 'btl/rejected', [{ timestamp, reason: 'tick_ahead' }]);
+    return false;
+  }
+
+  const violation = battle.timeline.apply(entry);
+  if (violation) {
+    logger.security('Battle timeline violation', {
+      userId, reason: violation.reason, tick: entry.tick, type: entry.type, gauge: violation.gauge
+    });
+    sendToPlayer(ws, 'btl/rejected', [{
+      timestamp,
+      reason: violation.reason,
+      correctedGauge: violation.gauge
+    }]);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * <CastTime: N> (seconds) from the skill/item note, as ATB_Core parses it.
+ */
+function getCastTime(data) {
+  if (data.isAttack || data.isGuard || typeof data.skillId !== 'number') return 0;
+  const item = data.isItem ? gamedata.getItem(data.skillId) : gamedata.getSkill(data.skillId);
+  const m = item && typeof item.note === 'string' && item.note.match(/<CastTime:\s*([\d.]+)>/i);
+  return m ? parseFloat(m[1]) : 0;
+}
+
+function handleInterrupt(ws, battle, player, data, channel) {
+  if (data.actorIndex !== player.actorIndex || !Number.isInteger(data.tick)) {
+    logger.security('Battle interrupt invalid', { userId: ws.userId, actorIndex: data.actorIndex });
+    return 'handled';
+  }
+  applyTimeline(ws, battle, player, { tick: data.tick, index: player.actorIndex, type: 'interrupt' });
+  return 'handled';
+}
+
+/**
+ * Replay a battle's whole action log from its seed (admin/audit).
+ */
+function replayBattle(channel) {
+  const battle = activeBattles.get(channel);
+  if (!battle) return null;
+  return {
+    seed: battle.seed,
+    entries: battle.timeline.log.length,
+    violations: Sim.replay(battle.seed, battle.timeline.log)
+  };
+}
+
+// ============================================================================
+// DAMAGE PLAUSIBILITY + HP TRACKING
+// ============================================================================
+
+/**
+ * Build the enemy HP table from the troop once its id is known. Slots match
+ * $gameTroop.members() on the client (hidden members included).
+ */
+function ensureTroop(battle, hintTroopId) {
+  if (battle.enemies) return;
+
+  const troopId = battleSync.getBattleTroopId(battle.channel) || Number(hintTroopId) || 0;
+  const troop = troopId ? gamedata.getTroop(troopId) : null;
+  if (!troop) return;
+
+  battle.settings.troopId = troopId;
+  battle.enemies = (troop.members || []).map(member => {
+    const enemy = member && gamedata.getEnemy(member.enemyId);
+    if (!enemy || !Array.isArray(enemy.params)) return null;
+    return {
+      enemyId: enemy.id,
+      hp: enemy.params[0],
+      mhp: enemy.params[0],
+      params: enemy.params.slice(0, 8),
+      hidden: !!member.hidden
+    };
+  });
+  logger.debug('BATTLE', `Enemy HP table seeded`, { channel: battle.channel, troopId });
+}
+
+/**
+ * Server-side stats for the actor a seat plays: the player's stored actor
+ * record (MMORPG_Actors saves it as "actor<id>") run through the database.
+ */
+function seatActorStats(userId, actorId) {
+  const saved = storage.getPersonal(userId, `actor${actorId}`) || {};
+  const classId = Number(saved.classId);
+  const exps = Array.isArray(saved.exps) ? saved.exps : [];
+  const exp = exps.find(pair => Array.isArray(pair) && Number(pair[0]) === classId);
+  return gamedata.getActorStats(actorId, {
+    classId: Number.isInteger(classId) ? classId : undefined,
+    exp: exp ? Number(exp[1]) : undefined,
+    equips: Array.isArray(saved.equips) ? saved.equips.map(Number) : undefined
+  });
+}
+
+function getTracked(battle, side, index) {
+  if (side === 'enemy') return battle.enemies ? battle.enemies[index] || null : null;
+  return battle.actors.get(index) || null;
+}
+
+/**
+ * Stat view of a battler for formula evaluation. Defensive stats are left at
+ * 0 so the result is an upper bound (debuffs can only lower them further).
+ */
+function formulaBattler(tracked, asTarget) {
+  const p = (tracked && tracked.params) || [];
+  const view = {
+    mhp: p[0] || 0, mmp: p[1] || 0, atk: p[2] || 0, def: p[3] || 0,
+    mat: p[4] || 0, mdf: p[5] || 0, agi: p[6] || 0, luk: p[7] || 0,
+    hp: tracked ? tracked.hp : 0, mp: p[1] || 0, tp: 100,
+    level: (tracked && tracked.level) || 1
+  };
+  if (asTarget) view.def = view.mdf = view.agi = view.luk = 0;
+  view.param = (i) => p[i] || 0;
+  return view;
+}
+
+// Formulas come from the game's own Skills/Items.json, never from clients.
+const formulaCache = new Map();
+const ZERO_VARIABLES = new Proxy({}, { get: () => 0 });
+
+function evalFormula(formula, a, b) {
+  if (!formulaCache.has(formula)) {
+    let fn = null;
+    try {
+      fn = new Function('a', 'b', 'v', `return (${formula});`);
+    } catch (err) {
+      logger.warn('BATTLE', `Unparseable damage formula`, { formula, error: err.message });
+    }
+    formulaCache.set(formula, fn);
+  }
+
+  const fn = formulaCache.get(formula);
+  if (!fn) return null;
+  try {
+    const value = Number(fn(a, b, ZERO_VARIABLES));
+    return Number.isFinite(value) ? Math.max(value, 0) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Largest HP change `item` could plausibly cause: formula at full variance,
+ * critical, times DAMAGE_SLACK for buffs/elements/proximity, capped at
+ * MAX_DAMAGE_RATIO × target max HP (max HP for heals).
+ * Returns Infinity when nothing is known to bound against.
+ */
+function damageUpperBound(item, source, target) {
+  const damage = item.damage || {};
+  if (!HP_DAMAGE_TYPES.has(damage.type)) return 0;
+
+  const isRecover = damage.type === 3;
+  const cap = target && target.mhp > 0
+    ? (isRecover ? target.mhp : target.mhp * MAX_DAMAGE_RATIO)
+    : Infinity;
+
+  const value = (source && source.params && damage.formula)
+    ? evalFormula(damage.formula, formulaBattler(source, false), formulaBattler(target, true))
+    : null;
+  if (value === null) return cap;
+
+  const variance = 1 + Math.max(0, damage.variance || 0) / 100;
+  const critical = damage.critical ? CRITICAL_MULTIPLIER : 1;
+  return Math.min(cap, Math.ceil(value * variance * critical * DAMAGE_SLACK));
+}
+
+/**
+ * Server-originated btl/sync on the battle channel. `except` (a ws) is
+ * skipped — the reporter already shows the value it sent.
+ */
+function publishSync(channel, payload, except) {
+  const msg = createRecv('battle', 'server', 'btl/sync', [payload]);
+  pubsub.publish('battle', channel, msg, except || null);
+}
+
+function handleDamage(ws, battle, player, data, channel) {
+  const { userId } = ws;
+  const source = data.source || {};
+  const target = data.target || {};
+  const isIndex = (v) => Number.isInteger(v) && v >= 0 && v < MAX_TROOP_SIZE;
+
+  // --- Reporter must own the acting battler ---
+  const owns = source.side === 'actor'
+    ? source.index === player.actorIndex
+    : source.side === 'enemy' && battle.enemyHost === userId;
+  if (!owns || !isIndex(source.index)) {
+    logger.security('Battle damage from non-owner', { userId, source, host: battle.enemyHost });
+    sendToPlayer(ws, 'btl/rejected', [{ reason: 'damage_not_owner' }]);
+    return 'handled';
+  }
+
+  if ((target.side !== 'actor' && target.side !== 'enemy') || !isIndex(target.index) ||
+      typeof data.hpDamage !== 'number' || !Number.isFinite(data.hpDamage)) {
+    logger.security('Battle damage invalid payload', { userId });
+    return 'handled';
+  }
+
+  const item = data.isItem ? gamedata.getItem(data.skillId) : gamedata.getSkill(data.skillId);
+  if (!item) {
+    logger.security('Battle damage with unknown skill', { userId, skillId: data.skillId, isItem: !!data.isItem });
+    sendToPlayer(ws, 'btl/rejected', [{ reason: 'invalid_skill' }]);
+    return 'handled';
+  }
+
+  const attacker = getTracked(battle, source.side, source.index);
+  if (!attacker || !attacker.params) {
+    logger.security('Battle damage from a source with no known stats', { userId, source });
+    sendToPlayer(ws, 'btl/rejected', [{ reason: 'damage_unknown_source' }]);
+    return 'handled';
+  }
+
+  const pending = source.side === 'actor' ? player.damageWindow : battle.enemyWindows.get(source.index);
+  if (!takeDamageHit(pending, data, source, target)) {
+    logger.security('Battle damage without a matching action', {
+      userId, source, target, skillId: data.skillId
+    });
+    sendToPlayer(ws, 'btl/rejected', [{ reason: 'damage_no_action' }]);
+    return 'handled';
+  }
+
+  const tracked = getTracked(battle, target.side, target.index);
+
+  // --- Bound check: clamp to the plausible maximum ---
+  const bound = damageUpperBound(item, attacker, tracked);
+  let hpDamage = Math.round(data.hpDamage);
+  let corrected = false;
+  if (Math.abs(hpDamage) > bound) {
+    logger.security('Battle damage exceeds bound', {
+      userId, skillId: data.skillId, reported: hpDamage, bound, target
+    });
+    hpDamage = Math.sign(hpDamage) * bound;
+    corrected = true;
+  }
+
+  if (!tracked) return 'handled'; // Nothing to keep authoritative yet
+
+  tracked.hp = Math.max(0, Math.min(tracked.mhp, tracked.hp - hpDamage));
+
+  const payload = target.side === 'enemy'
+    ? { enemyIndex: target.index, hp: tracked.hp, dead: tracked.hp === 0 }
+    : { actorIndex: target.index, hp: tracked.hp, dead: tracked.hp === 0, forced: corrected };
+
+  // Peers always converge on the tracked value; the reporter only when corrected
+  publishSync(channel, payload, corrected ? null : ws);
+  recordReplay(battle, 'btl/sync', payload);
+
+  if (target.side === 'enemy' && tracked.hp === 0) checkVictory(battle);
+  return 'handled';
+}
+
+/**
+ * What a validated action may report damage for: its skill, the targets its
+ * scope allows, `repeats` hits per target (× the count for random scopes),
+ * until its cast (`delayMs`) plus DAMAGE_WINDOW_MS has passed.
+ */
+function openDamageWindow(skillId, isItem, targetIndices, delayMs) {
+  const item = isItem ? gamedata.getItem(skillId) : gamedata.getSkill(skillId);
+  if (!item) return null;
+  return {
+    skillId,
+    isItem: !!isItem,
+    item,
+    targets: (targetIndices || []).filter(Number.isInteger),
+    hits: new Map(), // "side:index" -> reports so far
+    until: Date.now() + delayMs + DAMAGE_WINDOW_MS
+  };
+}
+
+function ticksToMs(ticks) {
+  return Math.ceil(ticks * 1000 / Sim.TICKS_PER_SECOND);
+}
+
+/**
+ * How long after its btl/enemy_act an enemy's action may still resolve: its
+ * cast time at the enemy's AGI speed, or its telegraph duration.
+ */
+function enemyDelayMs(battle, enemyIndex, skillId, mode) {
+  if (mode === 'execute') return 0;
+  const skill = gamedata.getSkill(skillId);
+  const note = (skill && typeof skill.note === 'string') ? skill.note : '';
+  if (mode === 'telegraph') {
+    const m = note.match(/<TelegraphDuration:\s*([\d.]+)>/i);
+    return m ? Math.ceil(parseFloat(m[1]) * 1000) : 0;
+  }
+  const enemy = battle.enemies && battle.enemies[enemyIndex];
+  const rate = Sim.atbFillRate({ agi: enemy ? enemy.params[6] : 1, referenceAgi: ATB_AGI_REFERENCE });
+  return ticksToMs(Sim.castTicks(getCastTime({ skillId }), rate));
+}
+
+/**
+ * Whether a damage report fits the source's open action window; counts the
+ * hit if so.
+ */
+function takeDamageHit(window, data, source, target) {
+  if (!window || Date.now() > window.until) return false;
+  if (window.skillId !== data.skillId || window.isItem !== !!data.isItem) return false;
+
+  // item.scope: 1-6 opponents, 7-13 friends, 14 everyone, 11 the user
+  const scope = window.item.scope;
+  const opponents = source.side === 'actor' ? 'enemy' : 'actor';
+  const side = scope >= 1 && scope <= 6 ? opponents : scope >= 7 && scope <= 13 ? source.side : null;
+  if (scope !== 14 && target.side !== side) return false;
+  if (scope === 11 && target.index !== source.index) return false;
+  if (SINGLE_TARGET_SCOPES.has(scope) && window.targets.length > 0 && window.targets[0] >= 0 &&
+      !window.targets.includes(target.index)) {
+    return false;
+  }
+
+  const perTarget = Math.max(1, window.item.repeats || 1) * (scope >= 3 && scope <= 6 ? scope - 2 : 1);
+  const key = `${target.side}:${target.index}`;
+  const hits = window.hits.get(key) || 0;
+  if (hits >= perTarget) return false;
+  window.hits.set(key, hits + 1);
+  return true;
+}
+
+/**
+ * Server-observed victory: every enemy the troop starts with (hidden
+ * members excluded, as in the rewards) is at 0 HP in the tracked table.
+ */
+function checkVictory(battle) {
+  const required = (battle.enemies || []).filter(e => e && !e.hidden);
+  if (required.length === 0 || required.some(e => e.hp > 0)) return;
+  if (battle.replay.result) return;
+
+  battle.replay.result = 'victory';
+  recordReplay(battle, 'btl/end', { result: 'victory' });
+  logger.info('BATTLE', `Victory observed`, { channel: battle.channel, troopId: battle.settings.troopId });
+  battleSync.endBattle(battle.channel, 'victory');
+}
+
+// ============================================================================
+// REPLAY RECORDING
+// ============================================================================
+
+/**
+ * Append a relayed message to the battle's replay. Payloads are the
+ * sanitized copies peers received, so playback goes through the same
+ * client handlers as a live battle.
+ */
+function recordReplay(battle, code, payload) {
+  if (!battle.registered) return;
+  const replay = battle.replay;
+  if (replay.events.length >= MAX_REPLAY_EVENTS) {
+    if (!replay.truncated) {
+      replay.truncated = true;
+      logger.warn('BATTLE', `Replay event cap reached`, { channel: battle.channel, max: MAX_REPLAY_EVENTS });
+    }
+    return;
+  }
+  replay.events.push([Date.now() - replay.startedAt, code, payload]);
+}
+
+/**
+ * File for a channel's replay, or null when the name isn't a safe btl_ id
+ * (it becomes a path, so traversal like "btl_/../x" must never get here).
+ */
+function replayPath(channel) {
+  if (typeof channel !== 'string' || !REPLAY_CHANNEL_RE.test(channel)) return null;
+  return path.join(REPLAY_DIR, `${channel}.json.gz`);
+}
+
+/**
+ * Write the battle's replay to disk (once). Fire-and-forget: failures are
+ * logged, never thrown into cleanup.
+ */
+function saveReplay(battle) {
+  const replay = battle.replay;
+  const filePath = replayPath(battle.channel);
+  if (!battle.registered || !filePath || replay.saved || replay.events.length === 0) return;
+  replay.saved = true;
+
+  const file = {
+    v: REPLAY_VERSION,
+    channel: battle.channel,
+    troopId: battle.settings.troopId,
+    seed: battle.seed,
+    startedAt: replay.startedAt,
+    duration: Date.now() - replay.startedAt,
+    result: replay.result,
+    truncated: replay.truncated,
+    players: [...battle.players].map(([userId, p]) => ({
+      userId,
+      username: p.username,
+      actorIndex: p.actorIndex,
+      ...(replay.seats.get(p.actorIndex) || { actorId: 0, level: 1, params: null })
+    })),
+    events: replay.events
+  };
+
+  zlib.gzip(Buffer.from(JSON.stringify(file)), async (err, buffer) => {
+    if (err) {
+      logger.error('BATTLE', `Replay compression failed`, { channel: battle.channel, error: err.message });
+      return;
+    }
+    try {
+      await fs.promises.mkdir(REPLAY_DIR, { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      logger.info('BATTLE', `Replay saved`, {
+        channel: battle.channel, events: replay.events.length, bytes: buffer.length
+      });
+    } catch (writeErr) {
+      logger.error('BATTLE', `Replay write failed`, { channel: battle.channel, error: writeErr.message });
+    }
+  });
+}
+
+/**
+ * Read a saved replay back. Resolves null for an unknown, unsaved or
+ * malformed channel (the name becomes a file path, so it is checked first).
+ */
+async function loadReplay(channel) {
+  const filePath = replayPath(channel);
+  if (!filePath) return null;
+
+  try {
+    const buffer = await fs.promises.readFile(filePath);
+    const json = await new Promise((resolve, reject) => {
+      zlib.gunzip(buffer, (err, out) => (err ? reject(err) : resolve(out)));
+    });
+    const replay = JSON.parse(json.toString('utf8'));
+    return replay && replay.v === REPLAY_VERSION ? replay : null;
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('BATTLE', `Replay load failed`, { channel, error: err.message });
+    }
+    return null;
+  }
+}
+
+async function pruneReplays() {
+  let names;
+  try {
+    names = await fs.promises.readdir(REPLAY_DIR);
+  } catch (err) {
+    return; // Nothing recorded yet
+  }
+
+  const cutoff = Date.now() - REPLAY_MAX_AGE_MS;
+  let removed = 0;
+  for (const name of names) {
+    if (!name.endsWith('.json.gz')) continue;
+    const file = path.join(REPLAY_DIR, name);
+    try {
+      const stat = await fs.promises.stat(file);
+      if (stat.mtimeMs < cutoff) {
+        await fs.promises.unlink(file);
+        removed++;
+      }
+    } catch (err) {
+      logger.warn('BATTLE', `Replay prune failed`, { file: name, error: err.message });
+    }
+  }
+  if (removed > 0) logger.info('BATTLE', `Pruned old replays`, { removed });
+}
+
 // ============================================================================
 // HELPERS
 // ============================================================================
@@ -580,6 +1487,8 @@ setInterval(() => {
   }
 }, 60000); // Check every minute
 
+setInterval(pruneReplays, 60 * 60 * 1000); // Hourly
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -588,5 +1497,9 @@ module.exports = {
   processBattlePublish,
   onBattleSubscribe,
   onBattleUnsubscribe,
-  onPlayerDisconnect
+  onPlayerDisconnect,
+  onPlayerDrop,
+  onPlayerResume,
+  replayBattle,
+  loadReplay
 };
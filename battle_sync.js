@@ -12,7 +12,19 @@
  *   3. Random encounter → multiplayer battle bridging (party members auto-join)
  *   4. State snapshot broadcasting (periodic authoritative sync)
  *   5. Battle result persistence (XP, gold, drops written to storage)
+ *      Rewards are computed here from the troop's enemy definitions
+ *      (gamedata.js) when a battle ends in victory; rewards reported by
+ *      clients are never applied, only cross-checked and logged.
+ *      Neither the troop nor the result comes from a client: btl/create
+ *      rolls the troop from the encounter list of the map the initiator is
+ *      subscribed to, seats only players who accepted the initiator's
+ *      battle/invite (relayed through handler.js), players count as
+ *      joined when they subscribe to the battle channel (battle.js), and
+ *      victory is declared by battle.js once its server-tracked enemy HP
+ *      table has every enemy at 0. btl/result is informational only.
  *   6. Integration hooks for handler.js routing (btl/ prefix on broadcasts)
+ *   7. Replay access: btl/replay { channel } returns a recorded battle
+ *      (battle.js) to its participants and to staff with logs.view
  *
  * Integration with handler.js:
  *   In handleBroadcast, add:
@@ -32,6 +44,9 @@
  *       battle.onBattleSubscribe(userId, normalizedChannel);
  *     }
  *
+ *   In handleSendto, after relaying a battle/invite|accept|decline, add:
+ *     battleSync.onInviteRelayed(code, userId, username, targetUserId);
+ *
  *   In handleDisconnect, add:
  *     battle.onPlayerDisconnect(userId);
  *     battleSync.onPlayerDisconnect(userId);
@@ -40,6 +55,11 @@
 const logger  = require('../utils/logger');
 const pubsub  = require('./pubsub');
 const storage = require('../database/storage');
+const guild   = require('./guild');
+const trade   = require('./trade');
+const gamedata = require('./gamedata');
+const anomaly = require('../validation/anomaly');
+const staff   = require('./staff');
 const { createRecv } = require('./protocol');
 
 // ============================================================================
@@ -50,6 +70,8 @@ const MAX_PARTY_SIZE       = 4;          // Max players per battle
 const BATTLE_CLEANUP_MS    = 10000;      // Cleanup delay after battle ends
 const SNAPSHOT_INTERVAL_MS = 15000;      // Periodic state broadcast interval
 const MAX_ACTIVE_BATTLES   = 200;        // Server-wide cap
+const INVITE_TTL_MS        = 60000;      // An invite (or acceptance) is usable this long
+const MAP_CHANNEL_RE       = /^sync(\d+)$/; // MMORPG_Characters: syncType() + mapId
 
 // ============================================================================
 // STATE
@@ -68,12 +90,21 @@ const MAX_ACTIVE_BATTLES   = 200;        // Server-wide cap
  *     userId, username, actorIndex, joined: boolean
  *   }],
  *   result: null|'victory'|'defeat'|'escape',
- *   rewards: null|{ exp, gold, items }
+ *   rewards: null|{ exp, gold, items },   // Troop totals (server-computed)
+ *   shares:  null|{ [userId]: { exp, gold, items } }
  * }
+ *
+ * items: [{ dataClass: 'item'|'weapon'|'armor', itemId, quantity }]
  */
 const battleRegistry = new Map();
 const userActiveBattle = new Map(); // userId -> battleId
 
+/**
+ * Battle invites seen by handleSendto: "inviterId:inviteeId" ->
+ * { inviterId, inviteeId, username, accepted, expiresAt }
+ */
+const battleInvites = new Map();
+
 // ============================================================================
 // BATTLE INSTANCE MANAGEMENT
 // ============================================================================
@@ -100,6 +131,12 @@ function createBattle(initiatorId, troopId, partyMembers) {
     return null;
   }
 
+  // Troop must exist in the game data — rewards are computed from it
+  if (!gamedata.getTroop(troopId)) {
+    logger.warn('BATTLE_SYNC', 'Unknown troop', { troopId });
+    return null;
+  }
+
   // Check no one is already in a battle
   for (const member of partyMembers) {
     if (userActiveBattle.has(member.userId)) {
@@ -113,7 +150,7 @@ function createBattle(initiatorId, troopId, partyMembers) {
 
   const instance = {
     id: battleId,
-    troopId,
+    troopId: Number(troopId),
     createdAt: Date.now(),
     createdBy: initiatorId,
     state: 'waiting',
@@ -124,7 +161,8 @@ function createBattle(initiatorId, troopId, partyMembers) {
       joined: false
     })),
     result: null,
-    rewards: null
+    rewards: null,
+    shares: null
   };
 
   battleRegistry.set(battleId, instance);
@@ -159,8 +197,98 @@ function createBattle(initiatorId, troopId, partyMembers) {
   return instance;
 }
 
+// ============================================================================
+// BATTLE INVITES — The seat list of btl/create
+// ============================================================================
+
+/**
+ * Track a battle/invite, battle/accept or battle/decline that handler.js
+ * relayed from `fromId` to `targetId`. An accept only counts when it
+ * answers a live invite from its target.
+ */
+function onInviteRelayed(code, fromId, fromName, targetId) {
+  const now = Date.now();
+  for (const [key, invite] of battleInvites) {
+    if (invite.expiresAt <= now) battleInvites.delete(key);
+  }
+
+  switch (code) {
+    case 'battle/invite':
+      battleInvites.set(`${fromId}:${targetId}`, {
+        inviterId: fromId, inviteeId: targetId, username: null,
+        accepted: false, expiresAt: now + INVITE_TTL_MS
+      });
+      break;
+
+    case 'battle/accept': {
+      const invite = battleInvites.get(`${targetId}:${fromId}`);
+      if (!invite) return;
+      invite.accepted = true;
+      invite.username = fromName;
+      invite.expiresAt = now + INVITE_TTL_MS;
+      break;
+    }
+
+    case 'battle/decline':
+      battleInvites.delete(`${targetId}:${fromId}`);
+      break;
+  }
+}
+
+/**
+ * Take the live, accepted invites the initiator sent. They are used up by
+ * the battle they seat.
+ */
+function takeAcceptedInvites(inviterId) {
+  const now = Date.now();
+  const accepted = [];
+  for (const [key, invite] of battleInvites) {
+    if (invite.inviterId !== inviterId) continue;
+    if (invite.accepted && invite.expiresAt > now) accepted.push(invite);
+    battleInvites.delete(key);
+  }
+  return accepted;
+}
+
+/**
+ * The map a connection is on, from its map channel subscription (only maps
+ * with the <sync> tag subscribe). null when it isn't on a synced map.
+ */
+function subscribedMapId(conn) {
+  const channels = conn ? pubsub.connectionChannels.get(conn) : null;
+  for (const key of channels || []) {
+    const [group, channel] = key.split(':');
+    const m = group === 'map' && MAP_CHANNEL_RE.exec(channel);
+    if (m) return Number(m[1]);
+  }
+  return null;
+}
+
+/**
+ * Pick a troop from the map's encounter list by weight, as
+ * Game_Player.makeEncounterTroopId does. Regions are not checked: the server
+ * doesn't know which tile the party stands on.
+ *
+ * @returns {number|null} - Troop ID, or null when the map has no encounters
+ */
+function rollEncounterTroop(mapId) {
+  const list = gamedata.getMapEncounters(mapId)
+    .filter(e => e && e.weight > 0 && gamedata.getTroop(e.troopId));
+
+  const total = list.reduce((sum, e) => sum + e.weight, 0);
+  if (total <= 0) return null;
+
+  let roll = Math.random() * total;
+  for (const encounter of list) {
+    roll -= encounter.weight;
+    if (roll < 0) return encounter.troopId;
+  }
+  return list[list.length - 1].troopId;
+}
+
 /**
  * Mark a player as joined (subscribed to the battle channel).
+ * Called from battle.js onBattleSubscribe.
  */
 function markPlayerJoined(userId, battleId) {
   const instance = battleRegistry.get(battleId);
@@ -189,30 +317,38 @@ function markPlayerJoined(userId, battleId) {
 }
 
 /**
- * End a battle with a result and optional rewards.
+ * End a battle with a result. On victory the rewards are computed from the
+ * troop data, split among the participants and persisted.
  */
-function endBattle(battleId, result, rewards) {
+function endBattle(battleId, result) {
   const instance = battleRegistry.get(battleId);
-  if (!instance) return;
+  if (!instance || instance.state === 'ended') return;
 
   instance.state = 'ended';
   instance.result = result;
-  instance.rewards = rewards;
 
   logger.info('BATTLE_SYNC', `Battle ended`, { battleId, result });
 
   // Persist rewards if victory
-  if (result === 'victory' && rewards) {
-    for (const player of instance.players) {
-      persistBattleRewards(player.userId, rewards);
+  if (result === 'victory') {
+    const participants = instance.players.filter(p => p.joined);
+    const { totals, shares } = computeBattleRewards(instance.troopId, participants);
+    instance.rewards = totals;
+    instance.shares = shares;
+
+    for (const player of participants) {
+      persistBattleRewards(player.userId, shares[player.userId]);
     }
   }
 
-  // Notify all players
-  broadcastToAll(battleId, 'btl/end', [{
-    result,
-    rewards: rewards || null
-  }]);
+  // Notify each player of their own share
+  for (const player of instance.players) {
+    sendToUser(player.userId, 'btl/end', [{
+      result,
+      rewards: instance.shares ? (instance.shares[player.userId] || null) : null,
+      totals: instance.rewards
+    }]);
+  }
 
   // Schedule cleanup
   setTimeout(() => cleanupBattle(battleId), BATTLE_CLEANUP_MS);
@@ -251,40 +387,54 @@ function processBattleBroadcast(ws, code, args) {
 
   switch (code) {
     case 'btl/create': {
-      // Create a multiplayer battle
-      // args[0] = { troopId, partyMembers: [{ userId, username }] }
-      const data = args && args[0];
-      if (!data || !data.troopId) return true;
+      // Create a multiplayer battle with the players who accepted our invite.
+      // The map, troop and seats are all decided here; the payload is unused.
+      const mapId = subscribedMapId(ws);
+      const others = takeAcceptedInvites(userId)
+        .filter(invite => subscribedMapId(getConnection(invite.inviteeId)) === mapId)
+        .map(invite => ({ userId: invite.inviteeId, username: invite.username }));
+
+      let reason = null;
+      if (mapId === null) reason = 'no_map';
+      else if (others.length === 0) reason = 'no_accepted_invite';
 
-      const members = data.partyMembers || [{ userId, username }];
-      const instance = createBattle(userId, data.troopId, members);
+      const troopId = reason ? null : rollEncounterTroop(mapId);
+      if (!reason && !troopId) reason = 'no_encounters';
+
+      const instance = reason ? null : createBattle(userId, troopId, [{ userId, username }, ...others]);
+      if (!reason && !instance) reason = 'creation_failed';
 
       const response = createRecv('system', 'server', 'btl/created', [{
         success: !!instance,
         battleId: instance ? instance.id : null,
-        reason: instance ? null : 'creation_failed'
+        reason
       }]);
       ws.send(response);
       return true;
     }
 
-    case 'btl/joined': {
-      // Player acknowledges they've joined the battle channel
-      const data = args && args[0];
-      if (!data || !data.battleId) return true;
-      markPlayerJoined(userId, data.battleId);
-      return true;
-    }
-
     case 'btl/result': {
-      // Battle result reported by a player
+      // The client's view of the outcome. It never ends the battle: victory
+      // comes from battle.js's HP tracking, everything else from the channel.
       const data = args && args[0];
       if (!data) return true;
 
       const battleId = userActiveBattle.get(userId);
       if (!battleId) return true;
 
-      endBattle(battleId, data.result, data.rewards);
+      const instance = battleRegistry.get(battleId);
+      if (!instance) return true;
+
+      if (data.result === 'victory' && instance.result !== 'victory') {
+        logger.warn('BATTLE_SYNC', 'Victory reported that the server has not observed', {
+          userId, battleId, state: instance.state
+        });
+      }
+
+      // Client-reported rewards are ignored; flag ones that exceed the real totals
+      if (data.rewards && instance.rewards) {
+        crossCheckRewards(userId, username, battleId, data.rewards, instance.rewards);
+      }
       return true;
     }
 
@@ -303,7 +453,7 @@ function processBattleBroadcast(ws, code, args) {
           p => p.userId !== userId && p.joined
         );
         if (remaining.length === 0) {
-          endBattle(battleId, 'abort', null);
+          endBattle(battleId, 'abort');
         }
       }
 
@@ -326,11 +476,50 @@ function processBattleBroadcast(ws, code, args) {
       return true;
     }
 
+    case 'btl/replay': {
+      // Fetch a recorded battle for playback
+      // args[0] = { channel }
+      const data = args && args[0];
+      if (!data || typeof data.channel !== 'string') return true;
+      sendReplay(ws, data.channel).catch(err => {
+        logger.error('BATTLE_SYNC', `Replay request failed`, { userId, error: err.message });
+      });
+      return true;
+    }
+
     default:
       return false; // Not a recognized btl/ broadcast command
   }
 }
 
+/**
+ * Load a replay and send it back if the caller fought in it or may review
+ * logs. Lazy require: battle.js requires this module.
+ */
+async function sendReplay(ws, channel) {
+  const { userId } = ws;
+  const replay = await require('./battle').loadReplay(channel);
+
+  const participant = !!replay && replay.players.some(p => p.userId === userId);
+  const reviewer = staff.roleHasPermission(staff.getGameRole(userId), 'logs.view');
+
+  let reason = null;
+  if (!replay) reason = 'not_found';
+  else if (!participant && !reviewer) reason = 'forbidden';
+
+  if (reason === 'forbidden') {
+    logger.warn('BATTLE_SYNC', `Replay request denied`, { userId, channel });
+  }
+  if (ws.readyState !== 1) return;
+
+  ws.send(createRecv('system', 'server', 'btl/replay', [{
+    success: !reason,
+    channel,
+    replay: reason ? null : replay,
+    reason
+  }]));
+}
+
 // ============================================================================
 // PLAYER DISCONNECT
 // ============================================================================
@@ -354,55 +543,130 @@ function onPlayerDisconnect(userId) {
   logger.info('BATTLE_SYNC', `Player disconnected from battle`, { userId, battleId });
 }
 
+// ============================================================================
+// REWARD COMPUTATION
+// ============================================================================
+
+/**
+ * Compute the rewards for winning a troop, the way BattleManager.makeRewards
+ * does client-side: every enemy's exp and gold, plus one roll per drop entry
+ * (1 in `denominator`). Exp and gold are split evenly among the participants
+ * (remainder to the first players); each drop goes to a random participant.
+ *
+ * @param {number} troopId
+ * @param {Array<{userId}>} participants
+ * @returns {{ totals: {exp, gold, items}, shares: {[userId]: {exp, gold, items}} }}
+ */
+function computeBattleRewards(troopId, participants) {
+  const totals = { exp: 0, gold: 0, items: [] };
+  const shares = {};
+  for (const p of participants) shares[p.userId] = { exp: 0, gold: 0, items: [] };
+
+  const enemies = gamedata.getTroopEnemies(troopId);
+  if (!enemies) {
+    logger.error('BATTLE_SYNC', 'Cannot compute rewards for unknown troop', { troopId });
+    return { totals, shares };
+  }
+
+  const drops = [];
+  for (const enemy of enemies) {
+    totals.exp += Math.max(0, Math.floor(Number(enemy.exp) || 0));
+    totals.gold += Math.max(0, Math.floor(Number(enemy.gold) || 0));
+
+    for (const drop of enemy.dropItems || []) {
+      const dataClass = gamedata.DROP_KIND_TO_CLASS[drop && drop.kind];
+      if (!dataClass || !(drop.dataId > 0) || !(drop.denominator > 0)) continue;
+      if (Math.random() * drop.denominator < 1) {
+        drops.push({ dataClass, itemId: drop.dataId, quantity: 1 });
+      }
+    }
+  }
+
+  if (participants.length === 0) return { totals, shares };
+
+  const expSplit = splitAmount(totals.exp, participants.length);
+  const goldSplit = splitAmount(totals.gold, participants.length);
+  participants.forEach((p, i) => {
+    shares[p.userId].exp = expSplit[i];
+    shares[p.userId].gold = goldSplit[i];
+  });
+
+  for (const drop of drops) {
+    const winner = participants[Math.floor(Math.random() * participants.length)];
+    addDrop(totals.items, drop);
+    addDrop(shares[winner.userId].items, drop);
+  }
+
+  return { totals, shares };
+}
+
+function splitAmount(total, count) {
+  const base = Math.floor(total / count);
+  const remainder = total % count;
+  return Array.from({ length: count }, (_, i) => base + (i < remainder ? 1 : 0));
+}
+
+function addDrop(list, drop) {
+  const existing = list.find(d => d.dataClass === drop.dataClass && d.itemId === drop.itemId);
+  if (existing) existing.quantity += drop.quantity;
+  else list.push({ ...drop });
+}
+
+/**
+ * Compare rewards a client claimed against the server-computed totals.
+ * Nothing is applied from the report — this only flags inflated claims.
+ */
+function crossCheckRewards(userId, username, battleId, reported, actual) {
+  const exp = Number(reported.exp) || 0;
+  const gold = Number(reported.gold) || 0;
+  const items = Array.isArray(reported.items) ? reported.items.length : 0;
+
+  if (exp > actual.exp || gold > actual.gold || items > actual.items.length) {
+    logger.security('Battle rewards mismatch', {
+      userId, battleId,
+      reported: { exp, gold, items },
+      actual: { exp: actual.exp, gold: actual.gold, items: actual.items.length }
+    });
+    anomaly.flagAnomaly(userId, username, 'battle_reward_mismatch', { battleId, exp, gold, items });
+  }
+}
+
 // ============================================================================
 // REWARD PERSISTENCE
 // ============================================================================
 
 /**
- * Persist battle rewards to player storage.
- * Uses the economy validation system — writes are server-authoritative.
+ * Persist a player's share of the battle rewards to their storage.
+ * Gold and drops go through the same custody helper as trades (trade.grant),
+ * so they land in the 'gold' / 'item' / 'weapon' / 'armor' keys with the
+ * usual caps.
  */
-function persistBattleRewards(userId, rewards) {
-  if (!rewards) return;
+function persistBattleRewards(userId, share) {
+  if (!share) return;
 
   try {
-    // Add gold
-    if (rewards.gold && rewards.gold > 0) {
-      const partyData = storage.getPersonal(userId, 'party') || {};
-      const currentGold = partyData.gold || 0;
-      partyData.gold = currentGold + rewards.gold;
-      storage.setPersonal(userId, 'party', partyData, 'battle_reward');
-      logger.debug('BATTLE_SYNC', `Awarded ${rewards.gold} gold`, { userId });
+    if (share.gold > 0 || share.items.length > 0) {
+      trade.grant(userId, { gold: share.gold, items: share.items });
+      logger.debug('BATTLE_SYNC', `Awarded ${share.gold} gold, ${share.items.length} drops`, { userId });
     }
 
     // Add EXP (stored per-actor in actor save data)
     // Note: actual level-up logic runs client-side when they load the data
-    if (rewards.exp && rewards.exp > 0) {
+    if (share.exp > 0) {
       const actorsData = storage.getPersonal(userId, 'actor') || {};
       // Apply to all party actors
       for (const key of Object.keys(actorsData)) {
         if (actorsData[key] && typeof actorsData[key].exp === 'number') {
-          actorsData[key].exp += rewards.exp;
+          actorsData[key].exp += share.exp;
         }
       }
       storage.setPersonal(userId, 'actor', actorsData, 'battle_reward');
-      logger.debug('BATTLE_SYNC', `Awarded ${rewards.exp} exp`, { userId });
+      logger.debug('BATTLE_SYNC', `Awarded ${share.exp} exp`, { userId });
     }
 
-    // Add items
-    if (rewards.items && rewards.items.length > 0) {
-      for (const drop of rewards.items) {
-        // drop = { dataClass: 'item'|'weapon'|'armor', id: number, quantity: number }
-        const keyMap = { item: 'item', weapon: 'weapon', armor: 'armor' };
-        const storageKey = keyMap[drop.dataClass];
-        if (!storageKey) continue;
-
-        const itemData = storage.getPersonal(userId, storageKey) || {};
-        const currentQty = itemData[drop.id] || 0;
-        itemData[drop.id] = currentQty + (drop.quantity || 1);
-        storage.setPersonal(userId, storageKey, itemData, 'battle_reward');
-      }
-      logger.debug('BATTLE_SYNC', `Awarded ${rewards.items.length} item drops`, { userId });
+    // Members' battles feed their guild's XP
+    if (share.exp > 0 || share.gold > 0) {
+      guild.contributeXp(userId, 'battle', { exp: share.exp, gold: share.gold });
     }
   } catch (err) {
     logger.error('BATTLE_SYNC', 'Failed to persist battle rewards', {
@@ -422,6 +686,16 @@ function getConnection(userId) {
   return global.connections ? global.connections.get(userId) : null;
 }
 
+/**
+ * Send a message to a single player's direct connection.
+ */
+function sendToUser(userId, code, args) {
+  const conn = getConnection(userId);
+  if (conn && conn.readyState === 1) {
+    conn.send(createRecv('battle', 'server', code, args));
+  }
+}
+
 /**
  * Broadcast to all players in a battle instance (via their direct connections).
  */
@@ -448,7 +722,7 @@ setInterval(() => {
     // Clean up stale battles (older than 30 minutes)
     if (now - instance.createdAt > 30 * 60 * 1000) {
       logger.warn('BATTLE_SYNC', `Battle expired`, { battleId });
-      endBattle(battleId, 'timeout', null);
+      endBattle(battleId, 'timeout');
     }
 
     // Clean up 'waiting' battles that never started (5 min timeout)
@@ -463,6 +737,29 @@ setInterval(() => {
 // ADMIN / DEBUG
 // ============================================================================
 
+/**
+ * True when the two players belong to rival guilds (either side declared).
+ * Guild-vs-guild challenges should be gated on this.
+ */
+function isRivalMatchup(userIdA, userIdB) {
+  return guild.getGuildRelation(userIdA, userIdB) === 'rival';
+}
+
+/**
+ * Registered battle instance (battle id == battle channel), or null.
+ */
+function getBattle(battleId) {
+  return battleRegistry.get(battleId) || null;
+}
+
+/**
+ * Troop of a registered battle instance (battle id == battle channel), or null.
+ */
+function getBattleTroopId(battleId) {
+  const instance = battleRegistry.get(battleId);
+  return instance ? instance.troopId : null;
+}
+
 /**
  * Get stats about active battles (for admin API).
  */
@@ -489,7 +786,12 @@ module.exports = {
   endBattle,
   cleanupBattle,
   processBattleBroadcast,
+  onInviteRelayed,
   onPlayerDisconnect,
   markPlayerJoined,
+  computeBattleRewards,
+  isRivalMatchup,
+  getBattle,
+  getBattleTroopId,
   getStats
 };
@@ -2,6 +2,10 @@ const users = require('../database/users');
 const storage = require('../database/storage');
 const logs = require('../database/logs');
 const logger = require('../utils/logger');
+const pubsub = require('./pubsub');
+const moderation = require('./moderation');
+const staff = require('./staff');
+const mail = require('./mail');
 const { createRecv } = require('./protocol');
 
 // Map of userId -> WebSocket connection (set by server.js)
@@ -11,11 +15,28 @@ function setConnectionsMap(map) {
   connections = map;
 }
 
+// Staff commands -> permission required (see staff.js for role grants)
+const COMMAND_PERMISSIONS = {
+  kick: 'players.kick',
+  mute: 'players.mute',
+  unmute: 'players.mute',
+  tempban: 'players.tempban',
+  ban: 'players.ban',
+  unban: 'players.ban',
+  announce: 'announce',
+  mailall: 'mail.bulk',
+  tp: 'players.teleport',
+  inspect: 'players.inspect',
+  give: 'players.give',
+  setadmin: 'staff.manage',
+  setrole: 'staff.manage'
+};
+
 /**
  * Parse and execute admin commands from chat
  * Returns { handled: boolean, response?: string }
  */
-async function handleCommand(userId, isAdmin, message) {
+async function handleCommand(userId, message) {
   // Commands start with backslash or slash
   if (!message.startsWith('\\') && !message.startsWith('/')) {
     return { handled: false };
@@ -25,20 +46,40 @@ async function handleCommand(userId, isAdmin, message) {
   const command = parts[0].toLowerCase();
   const args = parts.slice(1);
 
-  // Check admin permission for admin commands
-  const adminCommands = ['kick', 'ban', 'unban', 'announce', 'tp', 'inspect', 'give', 'setadmin'];
-  
-  if (adminCommands.includes(command) && !isAdmin) {
-    logger.security(`Non-admin attempted admin command: ${command}`, { userId });
+  const role = staff.getGameRole(userId);
+  const permission = COMMAND_PERMISSIONS[command];
+
+  // Check permission for staff commands
+  if (permission && !staff.roleHasPermission(role, permission)) {
+    logger.security(`Command denied: ${command}`, { userId, role, permission });
     return { handled: true, response: 'Permission denied.' };
   }
 
+  const result = await runCommand(userId, role, command, args);
+
+  // Every privileged command leaves an audit entry
+  if (permission && result.handled) {
+    staff.audit({
+      actorType: 'game',
+      actorId: userId,
+      actorName: users.getById(userId)?.username,
+      role,
+      action: `command.${command}`,
+      target: args[0],
+      details: { args, response: result.response }
+    });
+  }
+
+  return result;
+}
+
+async function runCommand(userId, role, command, args) {
   switch (command) {
     case 'kick':
-      return handleKick(userId, args);
+      return handleKick(userId, role, args);
     
     case 'ban':
-      return handleBan(userId, args);
+      return handleBan(userId, role, args);
     
     case 'unban':
       return handleUnban(userId, args);
@@ -46,6 +87,9 @@ async function handleCommand(userId, isAdmin, message) {
     case 'announce':
       return handleAnnounce(userId, args);
     
+    case 'mailall':
+      return handleMailAll(userId, role, args);
+    
     case 'tp':
       return handleTeleport(userId, args);
     
@@ -58,11 +102,23 @@ async function handleCommand(userId, isAdmin, message) {
     case 'setadmin':
       return handleSetAdmin(userId, args);
     
+    case 'setrole':
+      return handleSetRole(userId, args);
+    
+    case 'mute':
+      return handleMute(userId, role, args);
+    
+    case 'unmute':
+      return handleUnmute(userId, args);
+    
+    case 'tempban':
+      return handleTempBan(userId, role, args);
+    
     case 'online':
       return handleOnline(userId);
     
     case 'help':
-      return handleHelp(isAdmin);
+      return handleHelp(role);
     
     default:
       return { handled: false };
@@ -72,7 +128,7 @@ async function handleCommand(userId, isAdmin, message) {
 /**
  * Kick a player
  */
-async function handleKick(adminId, args) {
+async function handleKick(adminId, role, args) {
   if (args.length < 1) {
     return { handled: true, response: 'Usage: \\kick <username>' };
   }
@@ -84,18 +140,14 @@ async function handleKick(adminId, args) {
     return { handled: true, response: `User not found: ${username}` };
   }
 
-  const conn = connections?.get(target.id);
-  if (!conn) {
-    return { handled: true, response: `${username} is not online.` };
+  if (!staff.canActOn(role, target.id)) {
+    return { handled: true, response: `You cannot kick ${username}.` };
   }
 
-  // Send kick message before closing
-  try {
-    const kickMsg = createRecv('system', 'server', '@/kicked', ['You have been kicked by an admin.']);
-    conn.send(kickMsg);
-    conn.close(1000, 'Kicked by admin');
-  } catch (err) {
-    logger.error('COMMANDS', 'Failed to kick user', { error: err.message });
+  // Send kick message before closing (routed to whichever node holds the user)
+  const kickMsg = createRecv('system', 'server', '@/kicked', ['You have been kicked by an admin.']);
+  if (!pubsub.disconnectUser(target.id, 1000, 'Kicked by admin', kickMsg)) {
+    return { handled: true, response: `${username} is not online.` };
   }
 
   logs.log(adminId, null, 'ADMIN_KICK', 'ADMIN', { target: username });
@@ -107,7 +159,7 @@ async function handleKick(adminId, args) {
 /**
  * Ban a player
  */
-async function handleBan(adminId, args) {
+async function handleBan(adminId, role, args) {
   if (args.length < 1) {
     return { handled: true, response: 'Usage: \\ban <username> [reason]' };
   }
@@ -120,19 +172,17 @@ async function handleBan(adminId, args) {
     return { handled: true, response: `User not found: ${username}` };
   }
 
+  if (!staff.canActOn(role, target.id)) {
+    return { handled: true, response: `You cannot ban ${username}.` };
+  }
+
   users.ban(target.id, reason, adminId);
+  // A permanent ban supersedes any running temp-ban
+  moderation.liftActive(target.id, 'tempban', adminId);
 
-  // Kick if online
-  const conn = connections?.get(target.id);
-  if (conn) {
-    try {
-      const banMsg = createRecv('system', 'server', '@/banned', [reason]);
-      conn.send(banMsg);
-      conn.close(1000, 'Banned');
-    } catch (err) {
-      logger.error('COMMANDS', 'Failed to disconnect banned user', { error: err.message });
-    }
-  }
+  // Kick if online (any node)
+  const banMsg = createRecv('system', 'server', '@/banned', [reason]);
+  pubsub.disconnectUser(target.id, 1000, 'Banned', banMsg);
 
   logs.log(adminId, null, 'ADMIN_BAN', 'ADMIN', { target: username, reason });
 
@@ -159,11 +209,106 @@ async function handleUnban(adminId, args) {
   }
 
   users.unban(target.id, adminId);
+  moderation.liftActive(target.id, 'tempban', adminId);
   logs.log(adminId, null, 'ADMIN_UNBAN', 'ADMIN', { target: username });
 
   return { handled: true, response: `Unbanned ${username}.` };
 }
 
+/**
+ * Timed mute: blocks chat, whispers/emotes and mail until it expires
+ */
+async function handleMute(adminId, role, args) {
+  if (args.length < 2) {
+    return { handled: true, response: 'Usage: \\mute <username> <duration> [reason]  (e.g. 30m, 2h, 7d)' };
+  }
+
+  const username = args[0];
+  const durationMs = moderation.parseDuration(args[1]);
+  const reason = args.slice(2).join(' ') || 'No reason provided';
+
+  if (!durationMs) {
+    return { handled: true, response: `Invalid duration: ${args[1]} (e.g. 30m, 2h, 7d)` };
+  }
+
+  const target = users.getByUsername(username);
+  if (!target) {
+    return { handled: true, response: `User not found: ${username}` };
+  }
+
+  if (!staff.canActOn(role, target.id)) {
+    return { handled: true, response: `You cannot mute ${username}.` };
+  }
+
+  const result = moderation.mute(target.id, durationMs, reason, adminId);
+  if (!result.success) {
+    return { handled: true, response: result.error };
+  }
+
+  logs.log(adminId, null, 'ADMIN_MUTE', 'ADMIN', { target: username, reason, durationMs });
+
+  return { handled: true, response: `Muted ${username} for ${moderation.formatDuration(durationMs)}: ${reason}` };
+}
+
+/**
+ * Lift a mute early
+ */
+async function handleUnmute(adminId, args) {
+  if (args.length < 1) {
+    return { handled: true, response: 'Usage: \\unmute <username>' };
+  }
+
+  const username = args[0];
+  const target = users.getByUsername(username);
+  
+  if (!target) {
+    return { handled: true, response: `User not found: ${username}` };
+  }
+
+  if (moderation.liftActive(target.id, 'mute', adminId) === 0) {
+    return { handled: true, response: `${username} is not muted.` };
+  }
+
+  logs.log(adminId, null, 'ADMIN_UNMUTE', 'ADMIN', { target: username });
+
+  return { handled: true, response: `Unmuted ${username}.` };
+}
+
+/**
+ * Temporary ban, lifted automatically when it expires
+ */
+async function handleTempBan(adminId, role, args) {
+  if (args.length < 2) {
+    return { handled: true, response: 'Usage: \\tempban <username> <duration> [reason]  (e.g. 30m, 2h, 7d)' };
+  }
+
+  const username = args[0];
+  const durationMs = moderation.parseDuration(args[1]);
+  const reason = args.slice(2).join(' ') || 'No reason provided';
+
+  if (!durationMs) {
+    return { handled: true, response: `Invalid duration: ${args[1]} (e.g. 30m, 2h, 7d)` };
+  }
+
+  const target = users.getByUsername(username);
+  if (!target) {
+    return { handled: true, response: `User not found: ${username}` };
+  }
+
+  if (!staff.canActOn(role, target.id)) {
+    return { handled: true, response: `You cannot ban ${username}.` };
+  }
+
+  const result = moderation.tempBan(target.id, durationMs, reason, adminId);
+  if (!result.success) {
+    return { handled: true, response: result.error };
+  }
+
+  logs.log(adminId, null, 'ADMIN_TEMPBAN', 'ADMIN', { target: username, reason, durationMs });
+
+  return { handled: true, response: `Banned ${username} for ${moderation.formatDuration(durationMs)}: ${reason}` };
+}
+
 /**
  * Server-wide announcement
  */
@@ -194,6 +339,62 @@ async function handleAnnounce(adminId, args) {
   return { handled: true, response: `Announced to ${sent} players.` };
 }
 
+/**
+ * System mail to everyone, a guild, or recently active players
+ * \mailall <all|guild:NameOrTag|active:DAYS> [gold=N] [item|weapon|armor=ID:QTY] [expires=DAYS] <subject> | <body>
+ */
+async function handleMailAll(adminId, role, args) {
+  const usage = 'Usage: \\mailall <all|guild:NameOrTag|active:DAYS> [gold=N] [item=ID:QTY] [expires=DAYS] <subject> | <body>';
+  const text = args.join(' ');
+  const split = text.indexOf('|');
+  if (args.length < 2 || split < 0) {
+    return { handled: true, response: usage };
+  }
+
+  const head = text.slice(0, split).trim().split(/\s+/);
+  const body = text.slice(split + 1).trim();
+
+  const [scope, value] = head.shift().split(':');
+  const target = { scope: scope.toLowerCase(), guild: value, days: parseInt(value) };
+
+  const attachment = { gold: 0, items: [] };
+  let expiresInDays = null;
+  while (head.length > 0 && /^\w+=/.test(head[0])) {
+    const [key, raw] = head.shift().split('=');
+    if (key === 'gold') {
+      attachment.gold = parseInt(raw);
+    } else if (key === 'expires') {
+      expiresInDays = parseInt(raw);
+    } else if (['item', 'weapon', 'armor'].includes(key)) {
+      const [itemId, quantity] = raw.split(':').map(n => parseInt(n));
+      attachment.items.push([[key, itemId], quantity || 1]);
+    } else {
+      return { handled: true, response: `Unknown option: ${key}` };
+    }
+  }
+
+  const hasAttachment = attachment.gold > 0 || attachment.items.length > 0;
+  if (hasAttachment && !staff.roleHasPermission(role, 'players.give')) {
+    return { handled: true, response: 'Permission denied (attachments need players.give).' };
+  }
+
+  const result = await mail.sendBulkMail(target, {
+    subject: head.join(' '),
+    body,
+    attachment: hasAttachment ? attachment : null,
+    expiresInDays,
+    sentBy: users.getById(adminId)?.username || adminId
+  });
+
+  if (!result.success) {
+    return { handled: true, response: result.error };
+  }
+
+  logs.log(adminId, null, 'ADMIN_MAILALL', 'ADMIN', { target, sent: result.sent });
+
+  return { handled: true, response: `Mailed ${result.sent} players.` };
+}
+
 /**
  * Teleport to player
  */
@@ -216,12 +417,10 @@ async function handleTeleport(adminId, args) {
     return { handled: true, response: `${username}'s position is unknown.` };
   }
 
-  // Send teleport command to admin
-  const adminConn = connections?.get(adminId);
-  if (adminConn) {
-    const tpMsg = createRecv('system', 'server', '@/teleport', [position]);
-    adminConn.send(tpMsg);
-  }
+  // Send teleport command to admin (routed in case the admin's session
+  // moved to another node since the command was issued)
+  const tpMsg = createRecv('system', 'server', '@/teleport', [position]);
+  pubsub.sendToUser(adminId, tpMsg);
 
   return { handled: true, response: `Teleporting to ${username}...` };
 }
@@ -309,7 +508,8 @@ async function handleSetAdmin(adminId, args) {
     return { handled: true, response: `User not found: ${username}` };
   }
 
-  users.setAdmin(target.id, makeAdmin, adminId);
+  // Same as \\setrole <user> admin|none, so the role table stays authoritative
+  staff.setGameRole(target.id, makeAdmin ? 'admin' : null, adminId);
 
   return { 
     handled: true, 
@@ -317,6 +517,38 @@ async function handleSetAdmin(adminId, args) {
   };
 }
 
+/**
+ * Grant or revoke an in-game staff role
+ */
+async function handleSetRole(adminId, args) {
+  if (args.length < 2) {
+    return { handled: true, response: `Usage: \\setrole <username> <${staff.ROLES.join('|')}|none>` };
+  }
+
+  const username = args[0];
+  const roleArg = args[1].toLowerCase();
+  const role = roleArg === 'none' ? null : roleArg;
+
+  const target = users.getByUsername(username);
+  if (!target) {
+    return { handled: true, response: `User not found: ${username}` };
+  }
+
+  if (String(target.id) === String(adminId)) {
+    return { handled: true, response: 'You cannot change your own role.' };
+  }
+
+  const result = staff.setGameRole(target.id, role, adminId);
+  if (!result.success) {
+    return { handled: true, response: result.error };
+  }
+
+  return { 
+    handled: true, 
+    response: role ? `${username} is now a ${role}.` : `${username} no longer has a staff role.`
+  };
+}
+
 /**
  * List online players
  */
@@ -340,11 +572,14 @@ async function handleOnline(userId) {
 /**
  * Help command
  */
-function handleHelp(isAdmin) {
+function handleHelp(role) {
   let help = 'Commands: \\online, \\help';
   
-  if (isAdmin) {
-    help = 'Admin Commands: \\kick, \\ban, \\unban, \\announce, \\tp, \\inspect, \\give, \\setadmin, \\online, \\help';
+  if (role) {
+    const allowed = Object.keys(COMMAND_PERMISSIONS)
+      .filter(command => staff.roleHasPermission(role, COMMAND_PERMISSIONS[command]))
+      .map(command => `\\${command}`);
+    help = `Staff Commands (${role}): ${allowed.join(', ')}, \\online, \\help`;
   }
 
   return { handled: true, response: help };
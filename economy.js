@@ -6,13 +6,17 @@
  * LANE 1: Normal Saves (delta-capped)
  *   Client calls client.save("gold", ...) etc.
  *   Server checks that changes are within reasonable deltas.
- *   Covers: shop purchases, battle drops, small quest rewards.
+ *   Covers: battle drops, small quest rewards.
+ *   (Shop purchases go through shop.js, which debits/grants server-side.)
  * 
  * LANE 2: Server-Authorized Rewards
  *   For large/special rewards (event completions, boss kills, etc.)
  *   Client broadcasts "reward/claim" with event context.
  *   Server verifies eligibility, writes reward directly.
  *   Tamper-proof: server decides the amount, not the client.
+ *   Reward definitions and claims are persisted in the database
+ *   (reward_definitions / reward_claims), so one-time rewards stay claimed
+ *   across restarts and every claim leaves an audit row.
  * 
  * IMPORTANT FOR DEVELOPMENT:
  *   - devMode (below) relaxes delta caps and logs warnings instead of rejecting.
@@ -29,8 +33,10 @@
  */
 
 const storage = require('../database/storage');
+const db = require('../database/sqlite');
+const logs = require('../database/logs');
 const logger = require('../utils/logger');
-const { createRecv } = require('./protocol');
+const { createRecv, withRequestId } = require('./protocol');
 
 // ============================================================================
 // CONFIGURATION
@@ -67,12 +73,9 @@ const LIMITS = {
   ACTOR_MAX_EXP_GAIN_PER_SAVE: 500000,
 };
 
-// Lane 2: Server-authorized reward registry
+// Lane 2: Server-authorized reward registry (cache of reward_definitions)
 const rewardRegistry = new Map();
 
-// Track claimed one-time rewards: Set of "userId:eventKey"
-const claimedRewards = new Set();
-
 // ============================================================================
 // LANE 1: DELTA VALIDATION
 // ============================================================================
@@ -277,45 +280,174 @@ function validateEconomySave(userId, keyName, fields, existing) {
 // LANE 2: SERVER-AUTHORIZED REWARDS
 // ============================================================================
 
+// ----------------------------------------------------------------------------
+// Persistence
+//
+// reward_definitions: one row per eventKey (what registerReward() was given)
+// reward_claims:      append-only audit trail, one row per successful claim.
+//                     Revocation stamps revoked_at instead of deleting, so the
+//                     history of who got what is never lost.
+// ----------------------------------------------------------------------------
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS reward_definitions (
+    event_key   TEXT PRIMARY KEY,
+    reward_json TEXT NOT NULL,
+    one_time    INTEGER NOT NULL DEFAULT 1,
+    map_id      INTEGER,
+    require_map INTEGER NOT NULL DEFAULT 0,
+    created_at  INTEGER NOT NULL,
+    updated_at  INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS reward_claims (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id       TEXT NOT NULL,
+    event_key     TEXT NOT NULL,
+    map_id        INTEGER,
+    applied_json  TEXT NOT NULL,
+    claimed_at    INTEGER NOT NULL,
+    revoked_at    INTEGER,
+    revoked_by    TEXT,
+    revoke_reason TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_reward_claims_user_event ON reward_claims (user_id, event_key);
+  CREATE INDEX IF NOT EXISTS idx_reward_claims_event ON reward_claims (event_key);
+`);
+
+const stmts = {
+  upsertDefinition: db.prepare(`
+    INSERT INTO reward_definitions (event_key, reward_json, one_time, map_id, require_map, created_at, updated_at)
+    VALUES (@eventKey, @rewardJson, @oneTime, @mapId, @requireMap, @now, @now)
+    ON CONFLICT(event_key) DO UPDATE SET
+      reward_json = excluded.reward_json,
+      one_time    = excluded.one_time,
+      map_id      = excluded.map_id,
+      require_map = excluded.require_map,
+      updated_at  = excluded.updated_at
+  `),
+  getDefinition: db.prepare(`SELECT * FROM reward_definitions WHERE event_key = ?`),
+  listDefinitions: db.prepare(`SELECT * FROM reward_definitions ORDER BY event_key`),
+  deleteDefinition: db.prepare(`DELETE FROM reward_definitions WHERE event_key = ?`),
+  findActiveClaim: db.prepare(`
+    SELECT id FROM reward_claims
+    WHERE user_id = ? AND event_key = ? AND revoked_at IS NULL
+    LIMIT 1
+  `),
+  insertClaim: db.prepare(`
+    INSERT INTO reward_claims (user_id, event_key, map_id, applied_json, claimed_at)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+  getClaim: db.prepare(`SELECT * FROM reward_claims WHERE id = ?`),
+  revokeClaim: db.prepare(`
+    UPDATE reward_claims SET revoked_at = ?, revoked_by = ?, revoke_reason = ?
+    WHERE id = ? AND revoked_at IS NULL
+  `),
+};
+
+function rowToDefinition(row) {
+  let reward = {};
+  try {
+    reward = JSON.parse(row.reward_json) || {};
+  } catch (_) {
+    logger.error('ECONOMY', `Corrupt reward definition: ${row.event_key}`);
+  }
+  return {
+    ...reward,
+    oneTime: !!row.one_time,
+    mapId: row.map_id ?? null,
+    requireMap: !!row.require_map,
+  };
+}
+
+function rowToClaim(row) {
+  let applied = {};
+  try {
+    applied = JSON.parse(row.applied_json) || {};
+  } catch (_) {}
+  return {
+    id: row.id,
+    userId: row.user_id,
+    eventKey: row.event_key,
+    mapId: row.map_id ?? null,
+    applied,
+    claimedAt: row.claimed_at,
+    revokedAt: row.revoked_at ?? null,
+    revokedBy: row.revoked_by ?? null,
+    revokeReason: row.revoke_reason ?? null,
+  };
+}
+
+/**
+ * Look up a reward definition, falling back to the database on cache miss
+ * (e.g. a reward registered by another process or before a restart).
+ */
+function getRewardDefinition(eventKey) {
+  if (rewardRegistry.has(eventKey)) return rewardRegistry.get(eventKey);
+  const row = stmts.getDefinition.get(eventKey);
+  if (!row) return null;
+  const reward = rowToDefinition(row);
+  rewardRegistry.set(eventKey, reward);
+  return reward;
+}
+
 /**
  * Register a reward that can be claimed via broadcast.
+ * The definition is persisted; registering the same key again updates it.
  * 
  * @param {string} eventKey - Unique ID (e.g. "quest_dragon_slayer", "event_festival_2025")
  * @param {object} reward - { gold?, items?: [{id,qty}], weapons?: [{id,qty}], armor?: [{id,qty}] }
  * @param {object} options - { oneTime?: boolean, mapId?: number, requireMap?: boolean }
  */
 function registerReward(eventKey, reward, options = {}) {
-  rewardRegistry.set(eventKey, {
-    ...reward,
+  const { gold, items, weapons, armor } = reward || {};
+  const definition = {
+    gold,
+    items,
+    weapons,
+    armor,
     oneTime: options.oneTime ?? true,
     mapId: options.mapId ?? null,
     requireMap: options.requireMap ?? false,
+  };
+
+  stmts.upsertDefinition.run({
+    eventKey,
+    rewardJson: JSON.stringify({ gold, items, weapons, armor }),
+    oneTime: definition.oneTime ? 1 : 0,
+    mapId: definition.mapId,
+    requireMap: definition.requireMap ? 1 : 0,
+    now: Date.now(),
   });
+
+  rewardRegistry.set(eventKey, definition);
   logger.info('ECONOMY', `Reward registered: ${eventKey}`, reward);
 }
 
 /**
- * Process a reward claim from a client.
- * Server validates eligibility and writes rewards directly to storage.
+ * Remove a reward definition. Existing claim rows are kept for auditing.
  */
-function claimReward(ws, eventKey, mapId) {
-  const { userId, username } = ws;
-  const reward = rewardRegistry.get(eventKey);
-
-  if (!reward) {
-    return { success: false, error: 'Unknown reward' };
-  }
-
-  const claimKey = `${userId}:${eventKey}`;
-  if (reward.oneTime && claimedRewards.has(claimKey)) {
-    return { success: false, error: 'Already claimed' };
-  }
+function unregisterReward(eventKey) {
+  rewardRegistry.delete(eventKey);
+  const info = stmts.deleteDefinition.run(eventKey);
+  return info.changes > 0;
+}
 
-  if (reward.requireMap && reward.mapId != null && mapId !== reward.mapId) {
-    logger.security('Reward claim rejected (wrong map)', { userId, eventKey, expectedMap: reward.mapId, actualMap: mapId });
-    return { success: false, error: 'Not eligible' };
-  }
+function listRewards() {
+  return stmts.listDefinitions.all().map(row => ({
+    eventKey: row.event_key,
+    ...rowToDefinition(row),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  }));
+}
 
+/**
+ * Add a reward's gold/items/weapons/armor to a player's storage.
+ * @returns {object} the amounts actually applied
+ */
+function applyReward(userId, reward) {
   const applied = {};
 
   // Gold
@@ -324,47 +456,106 @@ function claimReward(ws, eventKey, mapId) {
     const currentGold = goldData.gold ?? 0;
     const newGold = Math.min(currentGold + reward.gold, LIMITS.GOLD_ABSOLUTE_MAX);
     storage.setPersonal(userId, 'gold', { ...goldData, gold: newGold });
-    applied.gold = reward.gold;
+    applied.gold = newGold - currentGold;
   }
 
-  // Items
-  if (reward.items && Array.isArray(reward.items)) {
-    const itemData = storage.getPersonal(userId, 'item') || {};
-    for (const { id, qty } of reward.items) {
-      const current = itemData[id] ?? 0;
-      itemData[id] = Math.min(current + qty, LIMITS.ITEM_MAX_STACK);
+  // Items / weapons / armor
+  const stacks = [
+    { field: 'items', key: 'item', max: LIMITS.ITEM_MAX_STACK },
+    { field: 'weapons', key: 'weapon', max: LIMITS.EQUIP_MAX_STACK },
+    { field: 'armor', key: 'armor', max: LIMITS.EQUIP_MAX_STACK },
+  ];
+
+  for (const { field, key, max } of stacks) {
+    if (!Array.isArray(reward[field])) continue;
+    const data = storage.getPersonal(userId, key) || {};
+    const list = [];
+    for (const { id, qty } of reward[field]) {
+      const current = data[id] ?? 0;
+      data[id] = Math.min(current + qty, max);
+      list.push({ id, qty: data[id] - current });
     }
-    storage.setPersonal(userId, 'item', itemData);
-    applied.items = reward.items;
+    storage.setPersonal(userId, key, data);
+    applied[field] = list;
   }
 
-  // Weapons
-  if (reward.weapons && Array.isArray(reward.weapons)) {
-    const weaponData = storage.getPersonal(userId, 'weapon') || {};
-    for (const { id, qty } of reward.weapons) {
-      const current = weaponData[id] ?? 0;
-      weaponData[id] = Math.min(current + qty, LIMITS.EQUIP_MAX_STACK);
-    }
-    storage.setPersonal(userId, 'weapon', weaponData);
-    applied.weapons = reward.weapons;
+  return applied;
+}
+
+/**
+ * Take back previously applied amounts (never below zero).
+ */
+function removeReward(userId, applied) {
+  if (applied.gold) {
+    const goldData = storage.getPersonal(userId, 'gold') || {};
+    goldData.gold = Math.max(0, (goldData.gold ?? 0) - applied.gold);
+    storage.setPersonal(userId, 'gold', goldData);
   }
 
-  // Armor
-  if (reward.armor && Array.isArray(reward.armor)) {
-    const armorData = storage.getPersonal(userId, 'armor') || {};
-    for (const { id, qty } of reward.armor) {
-      const current = armorData[id] ?? 0;
-      armorData[id] = Math.min(current + qty, LIMITS.EQUIP_MAX_STACK);
+  const stacks = [
+    { field: 'items', key: 'item' },
+    { field: 'weapons', key: 'weapon' },
+    { field: 'armor', key: 'armor' },
+  ];
+
+  for (const { field, key } of stacks) {
+    if (!Array.isArray(applied[field]) || applied[field].length === 0) continue;
+    const data = storage.getPersonal(userId, key) || {};
+    for (const { id, qty } of applied[field]) {
+      const nv = (data[id] ?? 0) - qty;
+      if (nv > 0) data[id] = nv;
+      else delete data[id];
     }
-    storage.setPersonal(userId, 'armor', armorData);
-    applied.armor = reward.armor;
+    storage.setPersonal(userId, key, data);
   }
+}
+
+/**
+ * Check + apply + record run as one transaction so two simultaneous claims
+ * (e.g. two tabs) cannot both pass the one-time check.
+ */
+const claimTransaction = db.transaction((userId, eventKey, mapId, reward) => {
+  if (reward.oneTime && stmts.findActiveClaim.get(String(userId), eventKey)) {
+    return null;
+  }
+  const applied = applyReward(userId, reward);
+  const info = stmts.insertClaim.run(
+    String(userId),
+    eventKey,
+    Number.isFinite(mapId) ? mapId : null,
+    JSON.stringify(applied),
+    Date.now()
+  );
+  return { claimId: info.lastInsertRowid, applied };
+});
+
+/**
+ * Process a reward claim from a client.
+ * Server validates eligibility and writes rewards directly to storage.
+ */
+function claimReward(ws, eventKey, mapId) {
+  const { userId } = ws;
+  const reward = getRewardDefinition(eventKey);
 
-  if (reward.oneTime) {
-    claimedRewards.add(claimKey);
+  if (!reward) {
+    return { success: false, error: 'Unknown reward' };
+  }
+
+  if (reward.requireMap && reward.mapId != null && mapId !== reward.mapId) {
+    logger.security('Reward claim rejected (wrong map)', { userId, eventKey, expectedMap: reward.mapId, actualMap: mapId });
+    return { success: false, error: 'Not eligible' };
+  }
+
+  const result = claimTransaction(userId, eventKey, mapId, reward);
+  if (!result) {
+    return { success: false, error: 'Already claimed' };
   }
 
-  logger.info('ECONOMY', `Reward claimed: ${eventKey}`, { userId, applied });
+  const { claimId, applied } = result;
+  logger.info('ECONOMY', `Reward claimed: ${eventKey}`, { userId, claimId, applied });
+
+  // Required here rather than at the top: guild.js depends on LIMITS from this module
+  require('./guild').contributeXp(userId, 'reward');
 
   try {
     ws.send(createRecv('system', 'server', 'reward/granted', [{ eventKey, rewards: applied }]));
@@ -373,6 +564,79 @@ function claimReward(ws, eventKey, mapId) {
   return { success: true, rewards: applied };
 }
 
+/**
+ * List claim audit rows for the admin panel.
+ * @param {object} filter - { userId?, eventKey?, includeRevoked?, limit?, offset? }
+ */
+function listClaims(filter = {}) {
+  const where = [];
+  const params = [];
+
+  if (filter.userId != null && filter.userId !== '') {
+    where.push('user_id = ?');
+    params.push(String(filter.userId));
+  }
+  if (filter.eventKey) {
+    where.push('event_key = ?');
+    params.push(String(filter.eventKey));
+  }
+  if (!filter.includeRevoked) {
+    where.push('revoked_at IS NULL');
+  }
+
+  const limit = Math.max(1, Math.min(500, Number(filter.limit) || 100));
+  const offset = Math.max(0, Number(filter.offset) || 0);
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM reward_claims ${whereSql}`).get(...params).n;
+  const rows = db.prepare(`
+    SELECT * FROM reward_claims ${whereSql}
+    ORDER BY claimed_at DESC, id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  return { total, limit, offset, claims: rows.map(rowToClaim) };
+}
+
+/**
+ * Revoke a claim. The row stays in the ledger (stamped revoked), which frees
+ * a one-time reward to be claimed again. With clawback, the amounts that were
+ * applied are also removed from the player's storage.
+ *
+ * @param {number} claimId
+ * @param {string} adminId - who revoked it (admin username or userId)
+ * @param {object} options - { reason?: string, clawback?: boolean }
+ */
+const revokeTransaction = db.transaction((claimId, adminId, reason, clawback) => {
+  const row = stmts.getClaim.get(claimId);
+  if (!row) return { success: false, error: 'Claim not found' };
+  if (row.revoked_at != null) return { success: false, error: 'Claim already revoked' };
+
+  const claim = rowToClaim(row);
+  if (clawback) removeReward(claim.userId, claim.applied);
+  stmts.revokeClaim.run(Date.now(), String(adminId ?? ''), reason, claimId);
+  return { success: true, claim: rowToClaim(stmts.getClaim.get(claimId)) };
+});
+
+function revokeClaim(claimId, adminId, options = {}) {
+  const id = Number(claimId);
+  if (!Number.isInteger(id) || id < 1) {
+    return { success: false, error: 'Invalid claim id' };
+  }
+
+  const reason = String(options.reason || '').slice(0, 200) || null;
+  const result = revokeTransaction(id, adminId, reason, !!options.clawback);
+
+  if (result.success) {
+    logs.log(result.claim.userId, null, 'REWARD_REVOKE', 'ECONOMY', {
+      claimId: id, eventKey: result.claim.eventKey, by: adminId, reason, clawback: !!options.clawback
+    });
+    logger.admin(`Reward claim revoked: #${id}`, { adminId, eventKey: result.claim.eventKey, clawback: !!options.clawback });
+  }
+
+  return result;
+}
+
 
 // ============================================================================
 // BROADCAST HANDLER INTEGRATION
@@ -389,13 +653,13 @@ function processEconomyCommand(ws, code, args) {
     const mapId = args?.[1];
 
     if (!eventKey || typeof eventKey !== 'string') {
-      const msg = createRecv('system', 'server', 'reward/claim/res', [{ success: false, error: 'Invalid event key' }]);
+      const msg = createRecv('system', 'server', 'reward/claim/res', [withRequestId(ws, { success: false, error: 'Invalid event key' })]);
       ws.send(msg);
       return true;
     }
 
     const result = claimReward(ws, eventKey, mapId);
-    const msg = createRecv('system', 'server', 'reward/claim/res', [result]);
+    const msg = createRecv('system', 'server', 'reward/claim/res', [withRequestId(ws, result)]);
     ws.send(msg);
     return true;
   }
@@ -409,6 +673,10 @@ module.exports = {
   LIMITS,
   devMode,
   registerReward,
+  unregisterReward,
+  listRewards,
   claimReward,
+  listClaims,
+  revokeClaim,
   processEconomyCommand,
 };
@@ -0,0 +1,266 @@
+/**
+ * Game Data Module (Server Side)
+ *
+ * Read-only access to the game's RPG Maker database files, so server modules
+ * can look up definitions instead of trusting numbers reported by clients.
+ *
+ * Files are read from GAME_DATA_DIR (default: ../../data, i.e. the game
+ * project's data/ folder next to the server) the first time they are needed
+ * and cached for the life of the process. reload() drops the cache after the
+ * game data has been redeployed.
+ *
+ * Loaded files:
+ *   - Troops.json   -> [null, { id, name, members: [{ enemyId, x, y, hidden }], pages }]
+ *   - Enemies.json  -> [null, { id, name, exp, gold, params, dropItems: [{ kind, dataId, denominator }], ... }]
+ *   - Skills.json   -> [null, { id, name, damage: { type, formula, variance, critical }, ... }]
+ *   - Items.json    -> [null, { id, name, price, damage: { ... }, ... }]
+ *   - Weapons.json / Armors.json -> [null, { id, name, price, params, traits, ... }]
+ *   - Actors.json   -> [null, { id, classId, initialLevel, maxLevel, equips, traits, ... }]
+ *   - Classes.json  -> [null, { id, expParams, params: [paramId][level], traits, ... }]
+ *   - MapInfos.json -> [null, { id, name, ... }]
+ *   - MapXXX.json   -> { events: [null, { id, name, note, pages: [{ list }] }], ... }
+ *
+ * Used by battle_sync.js to validate troop ids and compute battle rewards,
+ * by battle.js for enemy/actor stats and damage plausibility checks, and by
+ * shop.js to register the shops placed on maps.
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DATA_DIR = process.env.GAME_DATA_DIR || path.join(__dirname, '..', '..', 'data');
+
+// RPG Maker dropItems[].kind
+const DROP_KIND_TO_CLASS = { 1: 'item', 2: 'weapon', 3: 'armor' };
+
+// Game_BattlerBase.TRAIT_PARAM
+const TRAIT_PARAM = 21;
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+// fileName -> parsed array, or null when the file could not be read
+const cache = new Map();
+
+// mapId -> encounterList (empty when the map could not be read)
+const encounterCache = new Map();
+
+function loadFile(fileName) {
+  if (cache.has(fileName)) return cache.get(fileName);
+
+  const filePath = path.join(DATA_DIR, fileName);
+  let data = null;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (Array.isArray(parsed)) {
+      data = parsed;
+      logger.info('GAMEDATA', `Loaded ${fileName}`, { entries: parsed.length - 1 });
+    } else {
+      logger.error('GAMEDATA', `${fileName} is not an array`, { filePath });
+    }
+  } catch (err) {
+    logger.error('GAMEDATA', `Failed to load ${fileName}`, { filePath, error: err.message });
+  }
+
+  cache.set(fileName, data);
+  return data;
+}
+
+function getEntry(fileName, id) {
+  const list = loadFile(fileName);
+  if (!list || !Number.isInteger(id) || id < 1 || id >= list.length) return null;
+  return list[id] || null;
+}
+
+/**
+ * Drop every cached file; the next lookup reads them from disk again.
+ */
+function reload() {
+  cache.clear();
+  encounterCache.clear();
+  logger.info('GAMEDATA', 'Game data cache cleared', { dataDir: DATA_DIR });
+}
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
+function getTroop(troopId) {
+  return getEntry('Troops.json', Number(troopId));
+}
+
+function getEnemy(enemyId) {
+  return getEntry('Enemies.json', Number(enemyId));
+}
+
+function getSkill(skillId) {
+  return getEntry('Skills.json', Number(skillId));
+}
+
+function getItem(itemId) {
+  return getEntry('Items.json', Number(itemId));
+}
+
+function getWeapon(weaponId) {
+  return getEntry('Weapons.json', Number(weaponId));
+}
+
+function getArmor(armorId) {
+  return getEntry('Armors.json', Number(armorId));
+}
+
+function getActor(actorId) {
+  return getEntry('Actors.json', Number(actorId));
+}
+
+function getClass(classId) {
+  return getEntry('Classes.json', Number(classId));
+}
+
+function getMapInfos() {
+  return loadFile('MapInfos.json');
+}
+
+/**
+ * A map file, read fresh each call. Whole maps are only scanned once, for
+ * shops, so they aren't worth keeping in the cache; battle encounters go
+ * through getMapEncounters() instead.
+ */
+function getMap(mapId) {
+  const id = Number(mapId);
+  if (!Number.isInteger(id) || id < 1) return null;
+
+  const filePath = path.join(DATA_DIR, `Map${String(id).padStart(3, '0')}.json`);
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (err) {
+    logger.warn('GAMEDATA', `Failed to load map ${id}`, { filePath, error: err.message });
+    return null;
+  }
+}
+
+/**
+ * A map's encounterList ([{ troopId, weight, regionSet }]), cached per map
+ * like the other files: btl/create rolls from it on every battle. A map that
+ * can't be read is cached as having none, so it is only reported once; ids
+ * missing from MapInfos.json have none and are never read.
+ */
+function getMapEncounters(mapId) {
+  const id = Number(mapId);
+  if (encounterCache.has(id)) return encounterCache.get(id);
+
+  // Only maps listed in MapInfos.json are read (and cached)
+  const infos = getMapInfos();
+  if (!infos || !Number.isInteger(id) || id < 1 || !infos[id]) return [];
+
+  const map = getMap(id);
+  const list = map && Array.isArray(map.encounterList) ? map.encounterList : [];
+  encounterCache.set(id, list);
+  return list;
+}
+
+/**
+ * Enemies a troop starts the battle with (hidden members excluded — they only
+ * appear through troop events, which the server doesn't run).
+ *
+ * @returns {Array<object>|null} - Enemy definitions, or null for an unknown troop
+ */
+function getTroopEnemies(troopId) {
+  const troop = getTroop(troopId);
+  if (!troop) return null;
+
+  const enemies = [];
+  for (const member of troop.members || []) {
+    if (!member || member.hidden) continue;
+    const enemy = getEnemy(member.enemyId);
+    if (enemy) enemies.push(enemy);
+  }
+  return enemies;
+}
+
+// ============================================================================
+// ACTOR STATS
+// ============================================================================
+
+/**
+ * Game_Actor.expForLevel for a class.
+ */
+function expForLevel(cls, level) {
+  const [basis, extra, accA, accB] = cls.expParams || [30, 20, 30, 30];
+  return Math.round(
+    (basis * Math.pow(level - 1, 0.9 + accA / 250) * level * (level + 1)) /
+      (6 + Math.pow(level, 2) / 50 / accB) +
+      (level - 1) * extra
+  );
+}
+
+/**
+ * An actor's params the way Game_Actor.param computes them, minus buffs and
+ * states: class curve at the level `exp` reaches, plus equipment params,
+ * times PARAM trait rates (actor, class, equipment). Equipment slot 0 is the
+ * weapon, the rest armor.
+ *
+ * @param {number} actorId
+ * @param {object} [saved] - { classId, exp, equips } as stored for the player;
+ *   missing fields fall back to the database defaults
+ * @returns {{ level: number, params: number[] }|null} - null for an unknown actor/class
+ */
+function getActorStats(actorId, saved = {}) {
+  const actor = getActor(actorId);
+  const cls = actor && getClass(Number.isInteger(saved.classId) ? saved.classId : actor.classId);
+  if (!actor || !cls || !Array.isArray(cls.params)) return null;
+
+  const maxLevel = actor.maxLevel || 99;
+  let level = Math.max(1, Math.min(maxLevel, actor.initialLevel || 1));
+  if (Number.isFinite(saved.exp)) {
+    level = 1;
+    while (level < maxLevel && saved.exp >= expForLevel(cls, level + 1)) level++;
+  }
+
+  const equipIds = Array.isArray(saved.equips) ? saved.equips : (actor.equips || []);
+  const equips = equipIds
+    .map((id, slot) => (id > 0 ? (slot === 0 ? getWeapon(id) : getArmor(id)) : null))
+    .filter(Boolean);
+
+  const traits = [actor, cls, ...equips].flatMap(o => o.traits || []);
+  const params = [];
+  for (let paramId = 0; paramId < 8; paramId++) {
+    let value = (cls.params[paramId] && cls.params[paramId][level]) || 0;
+    for (const item of equips) value += (item.params && item.params[paramId]) || 0;
+    for (const t of traits) {
+      if (t.code === TRAIT_PARAM && t.dataId === paramId) value *= t.value;
+    }
+    params.push(Math.max(0, Math.round(value)));
+  }
+  return { level, params };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  getTroop,
+  getEnemy,
+  getSkill,
+  getItem,
+  getWeapon,
+  getArmor,
+  getActor,
+  getClass,
+  getActorStats,
+  getMapInfos,
+  getMap,
+  getMapEncounters,
+  getTroopEnemies,
+  reload,
+  DROP_KIND_TO_CLASS,
+  DATA_DIR
+};
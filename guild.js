@@ -8,6 +8,40 @@
  * - Global: "guild_names" -> { [lowercaseName]: guildId } (for uniqueness)
  * - Personal: "guild" -> { guildId, rankId, joinedAt }
  * 
+ * Guild bank:
+ * - GuildData.bankGold + GuildData.bankItems { item|weapon|armor: { [id]: qty } }
+ * - g/bank/view, g/bank/deposit, g/bank/withdraw, g/bank/log
+ *   deposit/withdraw args: ['gold', amount] or [dataClass, itemId, quantity]
+ * - Moves run in one DB transaction against the player's gold/item storage
+ *   (same custody helpers as trade.js) and are written to guild_bank_log.
+ * - Daily withdraw limits per rank: bankWithdrawLimit (gold) and
+ *   bankItemWithdrawLimit (item count), reset at 00:00 UTC. Ranks with
+ *   `all` have no limit.
+ * 
+ * Custom ranks (leader only):
+ * - g/rank/list, g/rank/create [name], g/rank/rename [rankId, name],
+ *   g/rank/move [rankId, 'up'|'down'], g/rank/delete [rankId, fallbackRankId?],
+ *   g/rank/permissions [rankId, { [flag]: bool, bankWithdrawLimit?, bankItemWithdrawLimit? }]
+ * - The leader rank always sits at priority 0 with `all`; it can only be renamed.
+ * - Members on a deleted rank move to the fallback rank (default: the next rank down).
+ * 
+ * Alliances & rivalries (diplomacy permission):
+ * - Global: "guild_alliances" -> { [allianceId]: { id, name, guildIds, createdAt } }
+ * - GuildData.allianceId, GuildData.allianceProposals, GuildData.rivals
+ * - g/ally/info, g/ally/propose [nameOrTag], g/ally/accept [guildId],
+ *   g/ally/decline [guildId], g/ally/leave, g/ally/chat [message]
+ * - g/rival/declare [nameOrTag], g/rival/end [guildId]
+ * - Allied members share the "alliance" pubsub channel (/a chat).
+ * - Rivalry is one-sided to declare; areRivalGuilds / getGuildRelation treat
+ *   either side's declaration as rivals (used for guild-vs-guild challenges).
+ * 
+ * Guild leveling:
+ * - GuildData.xp is lifetime XP; GuildData.level follows GUILD_XP_CURVE.
+ * - XP comes from members' battle rewards, claimed rewards and bank deposits
+ *   (see GUILD_XP_SOURCES); each member's share is kept in xpContributed and
+ *   weeklyXp for the roster leaderboards.
+ * - Levels raise the member cap and unlock GUILD_PERKS.
+ * 
  * FIXES APPLIED:
  * - Added MAIL_KEY constant (was missing, caused runtime errors)
  * - Added guild name/tag character validation (prevents injection/invisible chars)
@@ -17,10 +51,14 @@
 
 const storage = require('../database/storage');
 const users = require('../database/users');
+const db = require('../database/sqlite');
 const pubsub = require('./pubsub');
 const social = require('./social');
 const logger = require('../utils/logger');
-const { createRecv } = require('./protocol');
+const { createRecv, withRequestId } = require('./protocol');
+const moderation = require('./moderation');
+const { LIMITS } = require('./economy');
+const { checkInventory, deduct, grant, CLASS_TO_KEY, MAX_ITEM_QTY } = require('./trade');
 
 // ============================================================================
 // CONSTANTS
@@ -44,6 +82,52 @@ const TAG_MAX_LENGTH = 5;
 const NAME_REGEX = /^[a-zA-Z0-9 _-]+$/;
 const TAG_REGEX = /^[a-zA-Z0-9]+$/;
 
+// Alliances & rivalries
+const ALLIANCES_KEY = 'guild_alliances';
+const MAX_ALLIANCE_GUILDS = 5;
+const ALLIANCE_PROPOSAL_EXPIRY_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_RIVALS = 5;
+
+// Custom ranks
+const LEADER_RANK_ID = 'leader';
+const MAX_RANKS = 10;
+const RANK_NAME_MIN_LENGTH = 2;
+const RANK_NAME_MAX_LENGTH = 20;
+
+// Guild leveling: XP to go from level L to L+1 is base * growth^(L-1)
+const GUILD_XP_CURVE = {
+  base: 1000,
+  growth: 1.4,
+  maxLevel: 20
+};
+
+// XP per unit of each contribution source
+const GUILD_XP_SOURCES = {
+  battleExp: 0.1,      // per point of battle EXP
+  battleGold: 0.05,    // per gold from battle
+  reward: 25,          // per claimed reward
+  bankGold: 0.01,      // per gold deposited
+  bankItem: 1          // per item deposited
+};
+
+// Deposits can be withdrawn again, so their XP is capped per member per day
+const BANK_XP_DAILY_CAP = 100;
+
+const MEMBER_SLOTS_PER_LEVEL = 5;
+const MAX_GUILD_MEMBERS_CAP = 150;
+
+const GUILD_PERKS = [
+  { id: 'bankVault', level: 3, name: 'Bank Vault', description: 'Daily bank withdraw limits +50%' },
+  { id: 'studious', level: 8, name: 'Studious', description: '+10% guild XP from all sources' },
+  { id: 'grandVault', level: 12, name: 'Grand Vault', description: 'Daily bank withdraw limits doubled' },
+  { id: 'renowned', level: 16, name: 'Renowned', description: '+25% guild XP from all sources' }
+];
+
+// Guild bank
+const BANK_DATA_CLASSES = ['item', 'weapon', 'armor'];
+const BANK_MAX_QTY_PER_ACTION = 999;
+const BANK_LOG_PAGE_SIZE = 50;
+
 // FIX: Add per-inviter rate limiting to prevent invite spam
 const INVITE_COOLDOWN_MS = 30000; // 30 seconds between invites from same user
 const inviteCooldowns = new Map(); // inviterId -> lastInviteTimestamp
@@ -58,13 +142,26 @@ const Permission = {
   EDIT_RANKS: 'editRanks',
   BANK_DEPOSIT: 'bankDeposit',
   BANK_WITHDRAW: 'bankWithdraw',
+  VIEW_BANK_LOG: 'viewBankLog',
   ACCESS_GUILD_HALL: 'accessGuildHall',
   VIEW_NOTES: 'viewNotes',
   EDIT_NOTES: 'editNotes',
   START_GUILD_EVENT: 'startGuildEvent',
+  DIPLOMACY: 'diplomacy',
   DISBAND: 'disband'
 };
 
+// Flags a leader can toggle per rank (disband and rank editing stay leader-only)
+const EDITABLE_RANK_FLAGS = Object.values(Permission)
+  .filter(flag => flag !== Permission.DISBAND && flag !== Permission.EDIT_RANKS);
+
+// Numeric per-rank limits: name -> max value. The daily item limit counts
+// items, weapons and armor together; single stacks are capped by maxBalance().
+const RANK_LIMITS = {
+  bankWithdrawLimit: LIMITS.GOLD_ABSOLUTE_MAX,
+  bankItemWithdrawLimit: MAX_ITEM_QTY
+};
+
 // Default rank structure (priority 0 = highest)
 const DEFAULT_RANKS = [
   {
@@ -86,6 +183,8 @@ const DEFAULT_RANKS = [
       [Permission.BANK_DEPOSIT]: true,
       [Permission.BANK_WITHDRAW]: true,
       bankWithdrawLimit: 10000,
+      bankItemWithdrawLimit: 50,
+      [Permission.VIEW_BANK_LOG]: true,
       [Permission.ACCESS_GUILD_HALL]: true,
       [Permission.VIEW_NOTES]: true,
       [Permission.EDIT_NOTES]: true,
@@ -101,6 +200,7 @@ const DEFAULT_RANKS = [
       [Permission.BANK_DEPOSIT]: true,
       [Permission.BANK_WITHDRAW]: true,
       bankWithdrawLimit: 1000,
+      bankItemWithdrawLimit: 10,
       [Permission.ACCESS_GUILD_HALL]: true,
       [Permission.VIEW_NOTES]: true
     }
@@ -122,6 +222,41 @@ const DEFAULT_RANKS = [
   }
 ];
 
+// Guild bank transaction log
+db.exec(`
+  CREATE TABLE IF NOT EXISTS guild_bank_log (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id   TEXT NOT NULL,
+    user_id    TEXT NOT NULL,
+    username   TEXT,
+    action     TEXT NOT NULL,
+    data_class TEXT NOT NULL,
+    item_id    INTEGER,
+    quantity   INTEGER NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_guild_bank_log_guild ON guild_bank_log (guild_id, id);
+  CREATE INDEX IF NOT EXISTS idx_guild_bank_log_user ON guild_bank_log (guild_id, user_id, created_at);
+`);
+
+const bankStmts = {
+  insert: db.prepare(`
+    INSERT INTO guild_bank_log (guild_id, user_id, username, action, data_class, item_id, quantity, created_at)
+    VALUES (@guildId, @userId, @username, @action, @dataClass, @itemId, @quantity, @now)
+  `),
+  withdrawnGoldSince: db.prepare(`
+    SELECT COALESCE(SUM(quantity), 0) AS n FROM guild_bank_log
+    WHERE guild_id = ? AND user_id = ? AND action = 'withdraw' AND data_class = 'gold' AND created_at >= ?
+  `),
+  withdrawnItemsSince: db.prepare(`
+    SELECT COALESCE(SUM(quantity), 0) AS n FROM guild_bank_log
+    WHERE guild_id = ? AND user_id = ? AND action = 'withdraw' AND data_class != 'gold' AND created_at >= ?
+  `),
+  page: db.prepare(`SELECT * FROM guild_bank_log WHERE guild_id = ? ORDER BY id DESC LIMIT ? OFFSET ?`),
+  count: db.prepare(`SELECT COUNT(*) AS n FROM guild_bank_log WHERE guild_id = ?`)
+};
+
 // In-memory pending invites: Map<invitedUserId, { guildId, inviterId, inviterName, expiresAt }>
 // NOTE: These are lost on server restart. Consider using mail-based invites for persistence.
 const pendingInvites = new Map();
@@ -286,7 +421,44 @@ function normalizeGuild(guild) {
   let changed = false;
   for (const m of guild.members) {
     changed = normalizeMember(m) || changed;
+    if (!Number.isFinite(m.xpContributed)) { m.xpContributed = 0; changed = true; }
+  }
+  if (!Number.isFinite(guild.xp)) { guild.xp = 0; changed = true; }
+  const level = levelForXp(guild.xp);
+  if (guild.level !== level) { guild.level = level; changed = true; }
+  changed = normalizeBank(guild) || changed;
+  return changed;
+}
+
+/**
+ * Guilds created before the bank existed: add bankItems, and backfill the
+ * item limit / log permission from the matching default rank.
+ */
+function normalizeBank(guild) {
+  let changed = false;
+
+  if (!Number.isFinite(guild.bankGold)) { guild.bankGold = 0; changed = true; }
+  if (!guild.bankItems || typeof guild.bankItems !== 'object') { guild.bankItems = {}; changed = true; }
+  for (const dataClass of BANK_DATA_CLASSES) {
+    if (!guild.bankItems[dataClass] || typeof guild.bankItems[dataClass] !== 'object') {
+      guild.bankItems[dataClass] = {};
+      changed = true;
+    }
+  }
+
+  for (const rank of guild.ranks || []) {
+    const defaults = DEFAULT_RANKS.find(r => r.id === rank.id)?.permissions;
+    if (!defaults || !rank.permissions || rank.permissions.all) continue;
+    if (rank.permissions.bankItemWithdrawLimit === undefined && defaults.bankItemWithdrawLimit !== undefined) {
+      rank.permissions.bankItemWithdrawLimit = defaults.bankItemWithdrawLimit;
+      changed = true;
+    }
+    if (rank.permissions[Permission.VIEW_BANK_LOG] === undefined && defaults[Permission.VIEW_BANK_LOG]) {
+      rank.permissions[Permission.VIEW_BANK_LOG] = true;
+      changed = true;
+    }
   }
+
   return changed;
 }
 
@@ -311,6 +483,10 @@ function hasPermission(guild, memberId, permission) {
   return !!rank.permissions[permission];
 }
 
+function getSortedRanks(guild) {
+  return [...(guild.ranks || [])].sort((a, b) => a.priority - b.priority);
+}
+
 function canModifyMember(guild, actorId, targetId) {
   if (actorId === targetId) return false;
   
@@ -369,10 +545,45 @@ function notifyUser(userId, code, args) {
 
 function subscribeToGuild(ws, guildId) {
   pubsub.subscribe(ws, 'guild', guildId);
+
+  const allianceId = getAllGuilds()[guildId]?.allianceId;
+  if (allianceId) pubsub.subscribe(ws, 'alliance', allianceId);
 }
 
 function unsubscribeFromGuild(ws) {
   pubsub.unsubscribeGroup(ws, 'guild');
+  pubsub.unsubscribeGroup(ws, 'alliance');
+}
+
+function notifyAlliance(allianceId, code, args, excludeWs = null) {
+  // Same blocklist masking as guild chat
+  if (code === 'a/chat' && Array.isArray(args) && args[0] && args[0].from != null) {
+    const senderId = args[0].from;
+    const subs = pubsub.getSubscribers('alliance', allianceId);
+    const maskedText = '********************';
+    for (const wsConn of subs) {
+      if (excludeWs && wsConn === excludeWs) continue;
+      const blocked = social.isBlocked(wsConn.userId, senderId);
+      const payload = blocked ? [{ ...args[0], message: maskedText }] : args;
+      try {
+        wsConn.send(createRecv('alliance', 'server', code, payload));
+      } catch (_) {}
+    }
+    return;
+  }
+
+  const message = createRecv('alliance', 'server', code, args);
+  pubsub.publish('alliance', allianceId, message, excludeWs);
+}
+
+/**
+ * Point every online member of a guild at its current alliance channel
+ */
+function syncAllianceSubscriptions(guildId, allianceId) {
+  for (const wsConn of [...pubsub.getSubscribers('guild', guildId)]) {
+    pubsub.unsubscribeGroup(wsConn, 'alliance');
+    if (allianceId) pubsub.subscribe(wsConn, 'alliance', allianceId);
+  }
 }
 
 // ============================================================================
@@ -434,6 +645,7 @@ function createGuild(userId, username, characterName, name, tag) {
     xp: 0,
     motd: '',
     bankGold: 0,
+    bankItems: { item: {}, weapon: {}, armor: {} },
     ranks: JSON.parse(JSON.stringify(DEFAULT_RANKS)),
     members: [{
       userId: userId,
@@ -487,7 +699,7 @@ function invitePlayer(inviterId, inviterName, targetUserId, targetCharacterName)
     return { success: false, error: 'Player is unavailable' };
   }
   
-  if (guild.members.length >= MAX_GUILD_MEMBERS) {
+  if (guild.members.length >= getMemberCap(guild)) {
     return { success: false, error: 'Guild is full' };
   }
   
@@ -572,13 +784,14 @@ function acceptInvite(userId, username, characterName, guildId) {
     return { success: false, error: 'Guild no longer exists' };
   }
   
-  if (guild.members.length >= MAX_GUILD_MEMBERS) {
+  if (guild.members.length >= getMemberCap(guild)) {
     userInvites.splice(inviteIndex, 1);
     if (userInvites.length === 0) pendingInvites.delete(userId);
     return { success: false, error: 'Guild is full' };
   }
   
   const now = Date.now();
+  const joinRank = getSortedRanks(guild).at(-1);
   // Use stored character name from invite, or passed one, or fallback to username
   const memberCharName = invite.targetCharacterName || characterName || username;
   
@@ -586,7 +799,7 @@ function acceptInvite(userId, username, characterName, guildId) {
     userId: userId,
     username: username,
     characterName: memberCharName,
-    rankId: 'recruit',
+    rankId: joinRank.id,
     joinedAt: now,
     lastOnline: now,
     xpContributed: 0,
@@ -595,7 +808,7 @@ function acceptInvite(userId, username, characterName, guildId) {
   });
   
   saveGuild(guild);
-  setUserGuildInfo(userId, { guildId: guild.id, rankId: 'recruit', joinedAt: now });
+  setUserGuildInfo(userId, { guildId: guild.id, rankId: joinRank.id, joinedAt: now });
   
   // Clear ALL invites for this user (they joined a guild)
   pendingInvites.delete(userId);
@@ -884,14 +1097,16 @@ function transferLeadership(currentLeaderId, newLeaderId) {
   }
   
   const oldLeader = findMember(guild, currentLeaderId);
+  // Outgoing leader takes the highest rank below leader
+  const stepDownRank = getSortedRanks(guild).find(rank => rank.id !== LEADER_RANK_ID);
   
   guild.leaderId = newLeaderId;
-  newLeader.rankId = 'leader';
-  oldLeader.rankId = 'officer';
+  newLeader.rankId = LEADER_RANK_ID;
+  oldLeader.rankId = stepDownRank.id;
   
   saveGuild(guild);
-  setUserGuildInfo(newLeaderId, { ...getUserGuildInfo(newLeaderId), rankId: 'leader' });
-  setUserGuildInfo(currentLeaderId, { ...getUserGuildInfo(currentLeaderId), rankId: 'officer' });
+  setUserGuildInfo(newLeaderId, { ...getUserGuildInfo(newLeaderId), rankId: LEADER_RANK_ID });
+  setUserGuildInfo(currentLeaderId, { ...getUserGuildInfo(currentLeaderId), rankId: stepDownRank.id });
   
   notifyGuild(guild.id, 'guild/leadership_transferred', [{ 
     oldLeaderId: currentLeaderId,
@@ -918,6 +1133,14 @@ function disbandGuild(leaderId) {
   if (!idEqual(guild.leaderId, leaderId)) {
     return { success: false, error: 'Only the guild leader can disband the guild' };
   }
+
+  if (!isBankEmpty(guild)) {
+    return { success: false, error: 'Empty the guild bank before disbanding' };
+  }
+
+  if (guild.allianceId) {
+    removeGuildFromAlliance(guild);
+  }
   
   notifyGuild(guild.id, 'guild/disbanded', [{ guildName: guild.name }]);
   
@@ -1050,6 +1273,9 @@ function getRoster(userId) {
       joinedAt: m.joinedAt,
       lastOnline: m.lastOnline,
       isOnline,
+      xpContributed: m.xpContributed || 0,
+      weeklyXp: (m.weeklyXpStart === startOfUtcWeek()) ? (m.weeklyXp || 0) : 0,
+      goldDonated: m.goldDonated || 0,
       note: hasPermission(guild, userId, Permission.VIEW_NOTES) ? m.note : undefined
     };
   });
@@ -1059,7 +1285,7 @@ function getRoster(userId) {
     return (a.characterName || a.username).localeCompare(b.characterName || b.username);
   });
   
-  return { success: true, roster };
+  return { success: true, roster, leaderboard: getLeaderboard(guild), levelInfo: getLevelInfo(guild) };
 }
 
 function cleanupExpiredInvites() {
@@ -1085,213 +1311,1268 @@ function cleanupExpiredInvites() {
 setInterval(cleanupExpiredInvites, 60000);
 
 // ============================================================================
-// GUILD CHAT HANDLER
+// RANK EDITING
 // ============================================================================
 
-function handleGuildChat(ws, message) {
-  const info = getUserGuildInfo(ws.userId);
-  if (!info?.guildId) return;
+/**
+ * Load the actor's guild for a rank edit. Only the leader may edit ranks.
+ */
+function getGuildForRankEdit(actorId) {
+  const info = getUserGuildInfo(actorId);
+  if (!info?.guildId) {
+    return { error: 'You are not in a guild' };
+  }
 
   const guild = getGuild(info.guildId);
   if (!guild) {
-    clearUserGuildInfo(ws.userId);
-    return;
+    return { error: 'Guild not found' };
   }
 
-  const member = ensureMemberOrClear(ws.userId, guild);
-  if (!member) return;
-
-  if (typeof message !== 'string') return;
-  const text = message.trim().substring(0, 500); // Server-side length cap
-  if (!text) return;
+  if (!idEqual(guild.leaderId, actorId)) {
+    return { error: 'Only the guild leader can edit ranks' };
+  }
 
-  notifyGuild(info.guildId, 'g/chat', [{
-    from: ws.userId,
-    name: ws.username,
-    message: text
-  }], null);
+  return { guild };
 }
 
-// ============================================================================
-// COMMAND ROUTER (Merged from guildCommands.js)
-// ============================================================================
+function validateRankName(guild, name, exceptRankId = null) {
+  const trimmed = String(name ?? '').trim();
+  if (trimmed.length < RANK_NAME_MIN_LENGTH || trimmed.length > RANK_NAME_MAX_LENGTH) {
+    return { error: `Rank name must be ${RANK_NAME_MIN_LENGTH}-${RANK_NAME_MAX_LENGTH} characters` };
+  }
+  if (!NAME_REGEX.test(trimmed)) {
+    return { error: 'Rank name can only contain letters, numbers, spaces, hyphens, and underscores' };
+  }
+  const lower = trimmed.toLowerCase();
+  if (guild.ranks.some(rank => rank.id !== exceptRankId && rank.name.toLowerCase() === lower)) {
+    return { error: 'A rank with that name already exists' };
+  }
+  return { name: trimmed };
+}
 
 /**
- * Send response directly to user
+ * Renumber priorities 0..n-1 in the given order (leader first)
  */
-function sendResponse(ws, code, data) {
-  const message = createRecv('guild', 'server', code, [data]);
-  ws.send(message);
+function reindexRanks(guild, ordered) {
+  ordered.forEach((rank, index) => { rank.priority = index; });
+  guild.ranks = ordered;
 }
 
-/**
- * Sanitize guild data for client
- */
-function sanitizeGuild(guildData) {
+function saveRanks(guild, actorId, action, details = {}) {
+  saveGuild(guild);
+  notifyGuild(guild.id, 'guild/ranks_updated', [{ ranks: guild.ranks }]);
+  logger.info('GUILD', `Rank ${action}`, { actorId, guildId: guild.id, ...details });
+  return { success: true, ranks: guild.ranks };
+}
+
+function listRanks(userId) {
+  const guild = getGuildForUser(userId);
+  if (!guild) {
+    return { success: false, error: 'You are not in a guild' };
+  }
   return {
-    id: guildData.id,
-    name: guildData.name,
-    tag: guildData.tag,
-    leaderId: guildData.leaderId,
-    motd: guildData.motd || '',
-    level: guildData.level || 1,
-    memberCount: Array.isArray(guildData.members) ? guildData.members.length : (guildData.memberCount || 0),
-    ranks: guildData.ranks || []
+    success: true,
+    ranks: getSortedRanks(guild),
+    flags: EDITABLE_RANK_FLAGS,
+    limits: RANK_LIMITS,
+    maxRanks: MAX_RANKS,
+    canEdit: idEqual(guild.leaderId, userId)
   };
 }
 
-/**
- * Process guild command from client
- * @returns {boolean} true if command was handled
- */
-function processGuildCommand(ws, code, args) {
-  const { userId, username } = ws;
+function createRank(actorId, name) {
+  const { guild, error } = getGuildForRankEdit(actorId);
+  if (error) return { success: false, error };
 
-  let result = { success: false, error: 'Unknown command' };
+  if (guild.ranks.length >= MAX_RANKS) {
+    return { success: false, error: `A guild can have at most ${MAX_RANKS} ranks` };
+  }
 
-  try {
-    switch (code) {
-      case 'g/info': {
-        const guildData = getGuildForUser(userId);
-        if (guildData) {
-          const member = guildData.members?.find(m => idEqual(m.userId, userId) || idEqual(m.oderId, userId));
-          const myRankId = member?.rankId || 'member';
-          const isLeader = idEqual(guildData.leaderId, userId);
+  const checked = validateRankName(guild, name);
+  if (checked.error) return { success: false, error: checked.error };
 
-          result = {
-            success: true,
-            guild: sanitizeGuild(guildData),
-            myRankId,
-            isLeader
-          };
-        } else {
-          result = { success: false, error: 'Not in a guild' };
-        }
-        sendResponse(ws, 'g/info/res', result);
-        return true;
-      }
+  // New ranks start at the bottom with no permissions
+  const rank = {
+    id: 'r_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 4),
+    name: checked.name,
+    priority: guild.ranks.length,
+    permissions: {}
+  };
+  reindexRanks(guild, [...getSortedRanks(guild), rank]);
 
-      case 'g/roster': {
-        result = getRoster(userId);
-        sendResponse(ws, 'g/roster/res', result);
-        return true;
-      }
+  return saveRanks(guild, actorId, 'created', { rankId: rank.id, name: rank.name });
+}
 
-      case 'g/create': {
-        const [guildName, guildTag, characterName] = args;
-        result = createGuild(userId, username, characterName || username, guildName, guildTag);
-        sendResponse(ws, 'g/create/res', result);
-        if (result.success) {
-          subscribeToGuild(ws, result.guild.id);
-        }
-        return true;
-      }
+function renameRank(actorId, rankId, name) {
+  const { guild, error } = getGuildForRankEdit(actorId);
+  if (error) return { success: false, error };
 
-      case 'g/invite': {
-        // Supports:
-        // 1) ID-based invite: g/invite [targetUserId, targetCharacterName]
-        // 2) Username-based invite: g/invite [targetUsername]
-        if (args.length === 1 && typeof args[0] === 'string') {
-          const targetUsername = args[0].trim();
-          if (!targetUsername) {
-            result = { success: false, error: 'Username is required' };
-          } else {
-            const targetUser = users.getByUsername(targetUsername);
-            if (!targetUser) {
-              result = { success: false, error: `User not found: ${targetUsername}` };
-            } else if (String(targetUser.id) === String(userId)) {
-              result = { success: false, error: "You can't invite yourself" };
-            } else {
-              result = invitePlayer(userId, username, targetUser.id, null);
-            }
-          }
-        } else {
-          const [targetUserId, targetCharacterName] = args;
-          result = invitePlayer(userId, username, targetUserId, targetCharacterName);
-        }
-        sendResponse(ws, 'g/invite/res', result);
-        return true;
-      }
+  const rank = guild.ranks.find(r => r.id === rankId);
+  if (!rank) {
+    return { success: false, error: 'Rank not found' };
+  }
 
-      case 'g/acceptMail': {
-        const mailId = args?.[0];
-        const characterName = String(args?.[1] ?? '').trim() || String(username);
+  const checked = validateRankName(guild, name, rank.id);
+  if (checked.error) return { success: false, error: checked.error };
 
-        const mailbox = getMailbox(userId);
-        const msg = mailbox.inbox.find((m) => m && m.type === 'guild_invite' && String(m.id) === String(mailId));
-        if (!msg) {
-          result = { success: false, error: 'Invite mail not found.' };
-          sendResponse(ws, 'g/acceptMail/res', result);
-          return true;
-        }
+  rank.name = checked.name;
+  return saveRanks(guild, actorId, 'renamed', { rankId, name: rank.name });
+}
 
-        const guildId = msg.meta?.guildId;
-        if (!guildId) {
-          result = { success: false, error: 'Invite mail missing guildId.' };
-          sendResponse(ws, 'g/acceptMail/res', result);
-          return true;
-        }
+function moveRank(actorId, rankId, direction) {
+  const { guild, error } = getGuildForRankEdit(actorId);
+  if (error) return { success: false, error };
 
-        result = acceptInvite(userId, username, characterName, guildId);
-        sendResponse(ws, 'g/acceptMail/res', result);
-        return true;
-      }
-      case 'g/declineMail': {
-        const mailId = args?.[0];
-        const characterName = String(args?.[1] ?? '').trim() || String(username);
+  if (rankId === LEADER_RANK_ID) {
+    return { success: false, error: 'The leader rank cannot be moved' };
+  }
 
-        const mailbox = getMailbox(userId);
-        const msg = mailbox.inbox.find((m) => m && m.type === 'guild_invite' && String(m.id) === String(mailId));
-        if (!msg) {
-          result = { success: false, error: 'Invite mail not found.' };
-          sendResponse(ws, 'g/declineMail/res', result);
-          return true;
-        }
+  const ordered = getSortedRanks(guild);
+  const index = ordered.findIndex(r => r.id === rankId);
+  if (index < 0) {
+    return { success: false, error: 'Rank not found' };
+  }
 
-        const guildId = msg.meta?.guildId;
-        if (!guildId) {
-          result = { success: false, error: 'Invite mail missing guildId.' };
-          sendResponse(ws, 'g/declineMail/res', result);
-          return true;
-        }
+  const target = (direction === 'up') ? index - 1 : (direction === 'down') ? index + 1 : -1;
+  // Index 0 is always the leader rank
+  if (target < 1 || target >= ordered.length) {
+    return { success: false, error: 'Rank cannot move further' };
+  }
 
-        result = declineInvite(userId, username, characterName, guildId);
-        sendResponse(ws, 'g/declineMail/res', result);
-        return true;
-      }
-      case 'g/accept': {
-        const [guildId, characterName] = args;
-        result = acceptInvite(userId, username, characterName || username, guildId);
-        sendResponse(ws, 'g/accept/res', result);
-        if (result.success) {
-          subscribeToGuild(ws, result.guild.id);
-        }
-        return true;
-      }
+  [ordered[index], ordered[target]] = [ordered[target], ordered[index]];
+  reindexRanks(guild, ordered);
 
-      case 'g/decline': {
-        const [guildId, characterName] = args;
-        result = declineInvite(userId, username, characterName || username, guildId);
-        sendResponse(ws, 'g/decline/res', result);
-        return true;
-      }
+  return saveRanks(guild, actorId, 'moved', { rankId, direction });
+}
 
-      case 'g/invites': {
-        result = getInvites(userId);
-        sendResponse(ws, 'g/invites/res', result);
-        return true;
-      }
+function deleteRank(actorId, rankId, fallbackRankId = null) {
+  const { guild, error } = getGuildForRankEdit(actorId);
+  if (error) return { success: false, error };
 
-      case 'g/invites/clear': {
-        result = clearInvites(userId);
-        sendResponse(ws, 'g/invites/clear/res', result);
-        return true;
-      }
+  if (rankId === LEADER_RANK_ID) {
+    return { success: false, error: 'The leader rank cannot be deleted' };
+  }
 
-      case 'g/leave': {
-        result = leaveGuild(userId, username);
-        sendResponse(ws, 'g/leave/res', result);
-        if (result.success) {
+  const ordered = getSortedRanks(guild);
+  const index = ordered.findIndex(r => r.id === rankId);
+  if (index < 0) {
+    return { success: false, error: 'Rank not found' };
+  }
+  if (ordered.length <= 2) {
+    return { success: false, error: 'A guild needs at least one rank besides leader' };
+  }
+
+  // Default: next rank down, or next rank up when deleting the lowest
+  const fallback = fallbackRankId
+    ? ordered.find(r => r.id === fallbackRankId)
+    : (ordered[index + 1] || ordered[index - 1]);
+  if (!fallback || fallback.id === rankId || fallback.id === LEADER_RANK_ID) {
+    return { success: false, error: 'Invalid fallback rank' };
+  }
+
+  const migrated = [];
+  for (const member of guild.members) {
+    if (member.rankId !== rankId) continue;
+    member.rankId = fallback.id;
+    migrated.push(member.userId ?? member.oderId);
+  }
+
+  reindexRanks(guild, ordered.filter(r => r.id !== rankId));
+  const result = saveRanks(guild, actorId, 'deleted', { rankId, fallbackRankId: fallback.id, migrated: migrated.length });
+
+  for (const memberId of migrated) {
+    setUserGuildInfo(memberId, { ...getUserGuildInfo(memberId), rankId: fallback.id });
+    notifyGuild(guild.id, 'guild/demoted', [{
+      userId: memberId,
+      username: findMember(guild, memberId)?.username || 'Unknown',
+      newRank: fallback.name
+    }]);
+  }
+
+  return { ...result, migrated: migrated.length };
+}
+
+function setRankPermissions(actorId, rankId, changes) {
+  const { guild, error } = getGuildForRankEdit(actorId);
+  if (error) return { success: false, error };
+
+  if (rankId === LEADER_RANK_ID) {
+    return { success: false, error: 'The leader rank always has every permission' };
+  }
+
+  const rank = guild.ranks.find(r => r.id === rankId);
+  if (!rank) {
+    return { success: false, error: 'Rank not found' };
+  }
+  if (!changes || typeof changes !== 'object') {
+    return { success: false, error: 'No changes given' };
+  }
+
+  const next = { ...rank.permissions };
+  for (const [key, value] of Object.entries(changes)) {
+    if (EDITABLE_RANK_FLAGS.includes(key)) {
+      next[key] = !!value;
+    } else if (Object.prototype.hasOwnProperty.call(RANK_LIMITS, key)) {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 0 || n > RANK_LIMITS[key]) {
+        return { success: false, error: `${key} must be between 0 and ${RANK_LIMITS[key]}` };
+      }
+      next[key] = n;
+    } else {
+      return { success: false, error: `Unknown permission: ${key}` };
+    }
+  }
+  delete next.all;
+
+  rank.permissions = next;
+  return saveRanks(guild, actorId, 'permissions changed', { rankId, changes });
+}
+
+// ============================================================================
+// ALLIANCES & RIVALRIES
+// ============================================================================
+
+function getAllAlliances() {
+  return storage.getGlobal(ALLIANCES_KEY) || {};
+}
+
+function getAlliance(allianceId) {
+  if (!allianceId) return null;
+  return getAllAlliances()[allianceId] || null;
+}
+
+function saveAlliance(alliance) {
+  const alliances = getAllAlliances();
+  alliances[alliance.id] = alliance;
+  storage.setGlobal(ALLIANCES_KEY, alliances, 'guild_system');
+  return alliance;
+}
+
+function deleteAlliance(allianceId) {
+  const alliances = getAllAlliances();
+  if (!alliances[allianceId]) return false;
+  delete alliances[allianceId];
+  storage.setGlobal(ALLIANCES_KEY, alliances, 'guild_system');
+  return true;
+}
+
+function sanitizeAlliance(alliance) {
+  if (!alliance) return null;
+  const guilds = getAllGuilds();
+  return {
+    id: alliance.id,
+    name: alliance.name,
+    createdAt: alliance.createdAt,
+    guilds: alliance.guildIds
+      .map(id => guilds[id])
+      .filter(Boolean)
+      .map(g => ({ id: g.id, name: g.name, tag: g.tag, level: g.level || 1, memberCount: g.members?.length || 0 }))
+  };
+}
+
+/**
+ * Look a guild up by exact name or tag (case-insensitive)
+ */
+function findGuildByNameOrTag(query) {
+  const text = String(query ?? '').trim();
+  if (!text) return null;
+
+  const names = storage.getGlobal('guild_names') || {};
+  const byName = names[text.toLowerCase()];
+  if (byName) return getGuild(byName);
+
+  const upper = text.toUpperCase();
+  const match = Object.values(getAllGuilds()).find(g => g.tag === upper);
+  return match ? getGuild(match.id) : null;
+}
+
+function getGuildForDiplomacy(actorId) {
+  const info = getUserGuildInfo(actorId);
+  if (!info?.guildId) {
+    return { error: 'You are not in a guild' };
+  }
+
+  const guild = getGuild(info.guildId);
+  if (!guild) {
+    return { error: 'Guild not found' };
+  }
+
+  if (!hasPermission(guild, actorId, Permission.DIPLOMACY)) {
+    return { error: 'You do not have permission to manage diplomacy' };
+  }
+
+  return { guild };
+}
+
+function activeProposals(guild) {
+  const now = Date.now();
+  return (guild.allianceProposals || []).filter(p => p.expiresAt > now);
+}
+
+function areRivalGuilds(guildIdA, guildIdB) {
+  if (!guildIdA || !guildIdB || guildIdA === guildIdB) return false;
+  const guilds = getAllGuilds();
+  const declared = (from, to) => (guilds[from]?.rivals || []).some(r => r.guildId === to);
+  return declared(guildIdA, guildIdB) || declared(guildIdB, guildIdA);
+}
+
+function areAlliedGuilds(guildIdA, guildIdB) {
+  if (!guildIdA || !guildIdB || guildIdA === guildIdB) return false;
+  const guilds = getAllGuilds();
+  const allianceId = guilds[guildIdA]?.allianceId;
+  return !!allianceId && guilds[guildIdB]?.allianceId === allianceId;
+}
+
+/**
+ * How two players' guilds relate: 'none' | 'same' | 'ally' | 'rival' | 'neutral'
+ */
+function getGuildRelation(userIdA, userIdB) {
+  const a = getUserGuildInfo(userIdA)?.guildId;
+  const b = getUserGuildInfo(userIdB)?.guildId;
+  if (!a || !b) return 'none';
+  if (a === b) return 'same';
+  if (areAlliedGuilds(a, b)) return 'ally';
+  if (areRivalGuilds(a, b)) return 'rival';
+  return 'neutral';
+}
+
+/**
+ * Rivals in both directions: guilds we declared on and guilds that declared on us
+ */
+function listRivals(guild) {
+  const guilds = getAllGuilds();
+  const rivals = new Map();
+  for (const r of guild.rivals || []) {
+    const other = guilds[r.guildId];
+    if (other) rivals.set(other.id, { guildId: other.id, name: other.name, tag: other.tag, since: r.since, declaredByUs: true });
+  }
+  for (const other of Object.values(guilds)) {
+    if (other.id === guild.id || rivals.has(other.id)) continue;
+    const r = (other.rivals || []).find(x => x.guildId === guild.id);
+    if (r) rivals.set(other.id, { guildId: other.id, name: other.name, tag: other.tag, since: r.since, declaredByUs: false });
+  }
+  return [...rivals.values()];
+}
+
+function getDiplomacy(userId) {
+  const guild = getGuildForUser(userId);
+  if (!guild) {
+    return { success: false, error: 'You are not in a guild' };
+  }
+  return {
+    success: true,
+    alliance: sanitizeAlliance(getAlliance(guild.allianceId)),
+    proposals: activeProposals(guild),
+    rivals: listRivals(guild),
+    canManage: hasPermission(guild, userId, Permission.DIPLOMACY)
+  };
+}
+
+function proposeAlliance(actorId, query) {
+  const { guild, error } = getGuildForDiplomacy(actorId);
+  if (error) return { success: false, error };
+
+  const target = findGuildByNameOrTag(query);
+  if (!target) {
+    return { success: false, error: 'Guild not found' };
+  }
+  if (target.id === guild.id) {
+    return { success: false, error: 'You cannot ally with your own guild' };
+  }
+  if (areRivalGuilds(guild.id, target.id)) {
+    return { success: false, error: 'You cannot ally with a rival guild' };
+  }
+  if (guild.allianceId && guild.allianceId === target.allianceId) {
+    return { success: false, error: 'You are already allied with that guild' };
+  }
+  if (target.allianceId) {
+    return { success: false, error: 'That guild is already in an alliance' };
+  }
+  const alliance = getAlliance(guild.allianceId);
+  if (alliance && alliance.guildIds.length >= MAX_ALLIANCE_GUILDS) {
+    return { success: false, error: `An alliance can have at most ${MAX_ALLIANCE_GUILDS} guilds` };
+  }
+
+  target.allianceProposals = activeProposals(target).filter(p => p.guildId !== guild.id);
+  target.allianceProposals.push({
+    guildId: guild.id,
+    guildName: guild.name,
+    guildTag: guild.tag,
+    expiresAt: Date.now() + ALLIANCE_PROPOSAL_EXPIRY_MS
+  });
+  saveGuild(target);
+
+  notifyGuild(target.id, 'guild/ally_proposed', [{ guildId: guild.id, guildName: guild.name, guildTag: guild.tag }]);
+  logger.info('GUILD', 'Alliance proposed', { actorId, fromGuildId: guild.id, toGuildId: target.id });
+
+  return { success: true, guildName: target.name };
+}
+
+function acceptAlliance(actorId, fromGuildId) {
+  const { guild, error } = getGuildForDiplomacy(actorId);
+  if (error) return { success: false, error };
+
+  const proposal = activeProposals(guild).find(p => p.guildId === fromGuildId);
+  if (!proposal) {
+    return { success: false, error: 'No alliance proposal from that guild' };
+  }
+  if (guild.allianceId) {
+    return { success: false, error: 'Leave your current alliance first' };
+  }
+
+  const from = getGuild(fromGuildId);
+  if (!from) {
+    guild.allianceProposals = activeProposals(guild).filter(p => p.guildId !== fromGuildId);
+    saveGuild(guild);
+    return { success: false, error: 'Guild no longer exists' };
+  }
+  if (areRivalGuilds(guild.id, from.id)) {
+    return { success: false, error: 'You cannot ally with a rival guild' };
+  }
+
+  let alliance = getAlliance(from.allianceId);
+  if (!alliance) {
+    alliance = {
+      id: 'a_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+      name: `${from.name} Alliance`,
+      guildIds: [from.id],
+      createdAt: Date.now()
+    };
+    from.allianceId = alliance.id;
+    saveGuild(from);
+    syncAllianceSubscriptions(from.id, alliance.id);
+  }
+  if (alliance.guildIds.length >= MAX_ALLIANCE_GUILDS) {
+    return { success: false, error: 'That alliance is full' };
+  }
+
+  alliance.guildIds.push(guild.id);
+  saveAlliance(alliance);
+
+  guild.allianceId = alliance.id;
+  guild.allianceProposals = activeProposals(guild).filter(p => p.guildId !== fromGuildId);
+  saveGuild(guild);
+  syncAllianceSubscriptions(guild.id, alliance.id);
+
+  notifyAlliance(alliance.id, 'alliance/joined', [{
+    alliance: sanitizeAlliance(alliance),
+    guildId: guild.id,
+    guildName: guild.name,
+    guildTag: guild.tag
+  }]);
+  logger.info('GUILD', 'Alliance formed', { actorId, allianceId: alliance.id, guildId: guild.id, withGuildId: from.id });
+
+  return { success: true, alliance: sanitizeAlliance(alliance) };
+}
+
+function declineAlliance(actorId, fromGuildId) {
+  const { guild, error } = getGuildForDiplomacy(actorId);
+  if (error) return { success: false, error };
+
+  const before = (guild.allianceProposals || []).length;
+  guild.allianceProposals = activeProposals(guild).filter(p => p.guildId !== fromGuildId);
+  if (guild.allianceProposals.length === before) {
+    return { success: false, error: 'No alliance proposal from that guild' };
+  }
+  saveGuild(guild);
+
+  notifyGuild(fromGuildId, 'guild/ally_declined', [{ guildId: guild.id, guildName: guild.name }]);
+  return { success: true };
+}
+
+/**
+ * Take a guild out of its alliance; an alliance left with one guild dissolves.
+ */
+function removeGuildFromAlliance(guild) {
+  const alliance = getAlliance(guild.allianceId);
+  guild.allianceId = null;
+  saveGuild(guild);
+  if (!alliance) return;
+
+  notifyAlliance(alliance.id, 'alliance/left', [{ guildId: guild.id, guildName: guild.name, guildTag: guild.tag }]);
+  syncAllianceSubscriptions(guild.id, null);
+
+  alliance.guildIds = alliance.guildIds.filter(id => id !== guild.id);
+  if (alliance.guildIds.length > 1) {
+    saveAlliance(alliance);
+    return;
+  }
+
+  notifyAlliance(alliance.id, 'alliance/dissolved', [{ allianceId: alliance.id, name: alliance.name }]);
+  for (const remainingId of alliance.guildIds) {
+    const remaining = getGuild(remainingId);
+    if (!remaining) continue;
+    remaining.allianceId = null;
+    saveGuild(remaining);
+    syncAllianceSubscriptions(remaining.id, null);
+  }
+  deleteAlliance(alliance.id);
+  logger.info('GUILD', 'Alliance dissolved', { allianceId: alliance.id });
+}
+
+function leaveAlliance(actorId) {
+  const { guild, error } = getGuildForDiplomacy(actorId);
+  if (error) return { success: false, error };
+
+  if (!guild.allianceId) {
+    return { success: false, error: 'Your guild is not in an alliance' };
+  }
+
+  removeGuildFromAlliance(guild);
+  logger.info('GUILD', 'Guild left alliance', { actorId, guildId: guild.id });
+  return { success: true };
+}
+
+function declareRivalry(actorId, query) {
+  const { guild, error } = getGuildForDiplomacy(actorId);
+  if (error) return { success: false, error };
+
+  const target = findGuildByNameOrTag(query);
+  if (!target) {
+    return { success: false, error: 'Guild not found' };
+  }
+  if (target.id === guild.id) {
+    return { success: false, error: 'You cannot declare rivalry on your own guild' };
+  }
+  if (areAlliedGuilds(guild.id, target.id)) {
+    return { success: false, error: 'Leave the alliance before declaring rivalry' };
+  }
+
+  guild.rivals = guild.rivals || [];
+  if (guild.rivals.some(r => r.guildId === target.id)) {
+    return { success: false, error: 'Already rivals' };
+  }
+  if (guild.rivals.length >= MAX_RIVALS) {
+    return { success: false, error: `A guild can declare at most ${MAX_RIVALS} rivals` };
+  }
+
+  const since = Date.now();
+  guild.rivals.push({ guildId: target.id, since });
+  guild.allianceProposals = activeProposals(guild).filter(p => p.guildId !== target.id);
+  saveGuild(guild);
+
+  // A pending proposal the other way no longer makes sense either
+  if ((target.allianceProposals || []).some(p => p.guildId === guild.id)) {
+    target.allianceProposals = activeProposals(target).filter(p => p.guildId !== guild.id);
+    saveGuild(target);
+  }
+
+  notifyGuild(guild.id, 'guild/rival_declared', [{ guildId: target.id, guildName: target.name, guildTag: target.tag, declaredByUs: true, since }]);
+  notifyGuild(target.id, 'guild/rival_declared', [{ guildId: guild.id, guildName: guild.name, guildTag: guild.tag, declaredByUs: false, since }]);
+  logger.info('GUILD', 'Rivalry declared', { actorId, guildId: guild.id, rivalGuildId: target.id });
+
+  return { success: true, guildName: target.name };
+}
+
+function endRivalry(actorId, rivalGuildId) {
+  const { guild, error } = getGuildForDiplomacy(actorId);
+  if (error) return { success: false, error };
+
+  const before = (guild.rivals || []).length;
+  guild.rivals = (guild.rivals || []).filter(r => r.guildId !== rivalGuildId);
+  if (guild.rivals.length === before) {
+    return { success: false, error: 'Your guild has not declared rivalry on that guild' };
+  }
+  saveGuild(guild);
+
+  const payload = { guildIds: [guild.id, rivalGuildId], stillRivals: areRivalGuilds(guild.id, rivalGuildId) };
+  notifyGuild(guild.id, 'guild/rival_ended', [payload]);
+  notifyGuild(rivalGuildId, 'guild/rival_ended', [payload]);
+  logger.info('GUILD', 'Rivalry ended', { actorId, guildId: guild.id, rivalGuildId });
+
+  return { success: true };
+}
+
+// ============================================================================
+// GUILD LEVELING
+// ============================================================================
+
+/**
+ * XP needed to go from `level` to `level + 1`
+ */
+function xpToNextLevel(level) {
+  return Math.round(GUILD_XP_CURVE.base * Math.pow(GUILD_XP_CURVE.growth, level - 1));
+}
+
+/**
+ * Lifetime XP at which `level` is reached
+ */
+function xpForLevel(level) {
+  let total = 0;
+  for (let l = 1; l < level; l++) total += xpToNextLevel(l);
+  return total;
+}
+
+function levelForXp(xp) {
+  let level = 1;
+  let needed = xpToNextLevel(1);
+  let remaining = Math.max(0, Number(xp) || 0);
+  while (level < GUILD_XP_CURVE.maxLevel && remaining >= needed) {
+    remaining -= needed;
+    level++;
+    needed = xpToNextLevel(level);
+  }
+  return level;
+}
+
+function getMemberCap(guild) {
+  const level = guild?.level || 1;
+  return Math.min(MAX_GUILD_MEMBERS_CAP, MAX_GUILD_MEMBERS + (level - 1) * MEMBER_SLOTS_PER_LEVEL);
+}
+
+function getUnlockedPerks(guild) {
+  const level = guild?.level || 1;
+  return GUILD_PERKS.filter(p => p.level <= level);
+}
+
+function hasPerk(guild, perkId) {
+  return getUnlockedPerks(guild).some(p => p.id === perkId);
+}
+
+function getXpMultiplier(guild) {
+  if (hasPerk(guild, 'renowned')) return 1.25;
+  if (hasPerk(guild, 'studious')) return 1.1;
+  return 1;
+}
+
+function getLevelInfo(guild) {
+  const level = guild.level || 1;
+  const maxed = level >= GUILD_XP_CURVE.maxLevel;
+  return {
+    level,
+    xp: guild.xp || 0,
+    levelXp: xpForLevel(level),
+    nextLevelXp: maxed ? null : xpForLevel(level + 1),
+    maxLevel: GUILD_XP_CURVE.maxLevel,
+    memberCap: getMemberCap(guild),
+    perks: getUnlockedPerks(guild).map(p => p.id)
+  };
+}
+
+function startOfUtcWeek(now = Date.now()) {
+  const dayStart = startOfUtcDay(now);
+  const weekday = (new Date(dayStart).getUTCDay() + 6) % 7; // Monday = 0
+  return dayStart - weekday * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * XP a contribution is worth before perks.
+ * @param {string} source - 'battle' | 'reward' | 'bank'
+ * @param {object} data - battle: { exp, gold }; reward: {}; bank: { gold?, items? }
+ */
+function contributionXp(source, data = {}) {
+  switch (source) {
+    case 'battle':
+      return (Number(data.exp) || 0) * GUILD_XP_SOURCES.battleExp +
+        (Number(data.gold) || 0) * GUILD_XP_SOURCES.battleGold;
+    case 'reward':
+      return GUILD_XP_SOURCES.reward;
+    case 'bank':
+      return (Number(data.gold) || 0) * GUILD_XP_SOURCES.bankGold +
+        (Number(data.items) || 0) * GUILD_XP_SOURCES.bankItem;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Credit a member's guild with XP for something they did. No-op for players
+ * without a guild.
+ * @returns {{ success, xp?, level?, leveledUp? }}
+ */
+function contributeXp(userId, source, data = {}) {
+  const info = getUserGuildInfo(userId);
+  if (!info?.guildId) return { success: false, error: 'You are not in a guild' };
+
+  const guild = getGuild(info.guildId);
+  const member = guild && findMember(guild, userId);
+  if (!member) return { success: false, error: 'You are not in a guild' };
+
+  const now = Date.now();
+  let amount = Math.floor(contributionXp(source, data) * getXpMultiplier(guild));
+
+  if (source === 'bank') {
+    const today = startOfUtcDay(now);
+    if (member.bankXpDay !== today) {
+      member.bankXpDay = today;
+      member.bankXpToday = 0;
+    }
+    amount = Math.min(amount, Math.max(0, BANK_XP_DAILY_CAP - member.bankXpToday));
+    member.bankXpToday += amount;
+  }
+
+  if (amount < 1) return { success: true, xp: 0, level: guild.level, leveledUp: false };
+
+  const week = startOfUtcWeek(now);
+  if (member.weeklyXpStart !== week) {
+    member.weeklyXpStart = week;
+    member.weeklyXp = 0;
+  }
+  member.xpContributed = (member.xpContributed || 0) + amount;
+  member.weeklyXp += amount;
+
+  const oldLevel = guild.level || 1;
+  guild.xp = (guild.xp || 0) + amount;
+  guild.level = levelForXp(guild.xp);
+  saveGuild(guild);
+
+  const leveledUp = guild.level > oldLevel;
+  if (leveledUp) {
+    const unlocked = GUILD_PERKS.filter(p => p.level > oldLevel && p.level <= guild.level);
+    logger.info('GUILD', 'Guild leveled up', { guildId: guild.id, level: guild.level, source, userId });
+    notifyGuild(guild.id, 'guild/level_up', [{
+      ...getLevelInfo(guild),
+      oldLevel,
+      unlockedPerks: unlocked
+    }]);
+  }
+
+  return { success: true, xp: amount, level: guild.level, leveledUp };
+}
+
+function getLeaderboard(guild, limit = 10) {
+  const week = startOfUtcWeek();
+  const entries = guild.members.map(m => ({
+    userId: m.userId ?? m.oderId,
+    characterName: m.characterName ?? m.username ?? m.name,
+    xpContributed: m.xpContributed || 0,
+    weeklyXp: (m.weeklyXpStart === week) ? (m.weeklyXp || 0) : 0,
+    goldDonated: m.goldDonated || 0
+  }));
+  const top = (key) => entries
+    .filter(e => e[key] > 0)
+    .sort((a, b) => b[key] - a[key])
+    .slice(0, limit)
+    .map(e => ({ userId: e.userId, characterName: e.characterName, value: e[key] }));
+  return {
+    allTime: top('xpContributed'),
+    weekly: top('weeklyXp'),
+    goldDonated: top('goldDonated')
+  };
+}
+
+// ============================================================================
+// GUILD BANK
+// ============================================================================
+
+function startOfUtcDay(now = Date.now()) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+function isBankEmpty(guild) {
+  if ((guild.bankGold || 0) > 0) return false;
+  return BANK_DATA_CLASSES.every(dc => Object.keys(guild.bankItems?.[dc] || {}).length === 0);
+}
+
+function listBankItems(guild) {
+  const items = [];
+  for (const dataClass of BANK_DATA_CLASSES) {
+    for (const [id, quantity] of Object.entries(guild.bankItems?.[dataClass] || {})) {
+      if (quantity > 0) items.push({ dataClass, itemId: Number(id), quantity });
+    }
+  }
+  return items;
+}
+
+/**
+ * Daily withdraw limits for a member's rank (null = unlimited)
+ */
+function getWithdrawLimits(guild, userId) {
+  const rank = getMemberRank(guild, userId);
+  if (!rank) return { gold: 0, items: 0 };
+  if (rank.permissions.all) return { gold: null, items: null };
+  if (!rank.permissions[Permission.BANK_WITHDRAW]) return { gold: 0, items: 0 };
+  const bonus = hasPerk(guild, 'grandVault') ? 2 : hasPerk(guild, 'bankVault') ? 1.5 : 1;
+  return {
+    gold: Math.floor(Math.max(0, Number(rank.permissions.bankWithdrawLimit) || 0) * bonus),
+    items: Math.floor(Math.max(0, Number(rank.permissions.bankItemWithdrawLimit) || 0) * bonus)
+  };
+}
+
+function getWithdrawnToday(guildId, userId) {
+  const since = startOfUtcDay();
+  return {
+    gold: bankStmts.withdrawnGoldSince.get(guildId, String(userId), since).n,
+    items: bankStmts.withdrawnItemsSince.get(guildId, String(userId), since).n
+  };
+}
+
+/**
+ * Parse ['gold', amount] or [dataClass, itemId, quantity]
+ */
+function parseBankArgs(args) {
+  const dataClass = String(args?.[0] || '');
+
+  if (dataClass === 'gold') {
+    const amount = Number(args?.[1]);
+    if (!Number.isInteger(amount) || amount < 1 || amount > LIMITS.GOLD_ABSOLUTE_MAX) return null;
+    return { dataClass, itemId: null, quantity: amount };
+  }
+
+  if (!BANK_DATA_CLASSES.includes(dataClass)) return null;
+  const itemId = Number(args?.[1]);
+  const quantity = Number(args?.[2]);
+  if (!Number.isInteger(itemId) || itemId < LIMITS.ITEM_MIN_ID || itemId > LIMITS.ITEM_MAX_ID) return null;
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > BANK_MAX_QTY_PER_ACTION) return null;
+  return { dataClass, itemId, quantity };
+}
+
+function toOffer(move) {
+  return move.dataClass === 'gold'
+    ? { gold: move.quantity, items: [] }
+    : { gold: 0, items: [{ dataClass: move.dataClass, itemId: move.itemId, quantity: move.quantity }] };
+}
+
+/**
+ * Authoritative player totals after a move, for the client to apply
+ */
+function playerTotals(userId, move) {
+  const gold = (storage.getPersonal(userId, 'gold') || {}).gold ?? 0;
+  if (move.dataClass === 'gold') return { gold };
+  const owned = (storage.getPersonal(userId, CLASS_TO_KEY[move.dataClass]) || {})[move.itemId] ?? 0;
+  return { gold, owned };
+}
+
+/**
+ * Most a single balance may hold: gold, an item stack, or an equipment stack
+ */
+function maxBalance(move) {
+  if (move.dataClass === 'gold') return LIMITS.GOLD_ABSOLUTE_MAX;
+  return move.dataClass === 'item' ? MAX_ITEM_QTY : LIMITS.EQUIP_MAX_STACK;
+}
+
+function getBankBalance(guild, move) {
+  if (move.dataClass === 'gold') return guild.bankGold;
+  return guild.bankItems[move.dataClass][move.itemId] ?? 0;
+}
+
+function setBankBalance(guild, move, value) {
+  if (move.dataClass === 'gold') {
+    guild.bankGold = value;
+  } else if (value > 0) {
+    guild.bankItems[move.dataClass][move.itemId] = value;
+  } else {
+    delete guild.bankItems[move.dataClass][move.itemId];
+  }
+}
+
+/**
+ * Move gold/items between a player and the guild bank. The guild record,
+ * the player's storage and the log row commit together or not at all.
+ */
+const bankTransaction = db.transaction((userId, username, guildId, action, move) => {
+  const guild = getGuild(guildId);
+  if (!guild) return { success: false, error: 'Guild not found' };
+  if (!findMember(guild, userId)) return { success: false, error: 'You are not in this guild' };
+
+  const offer = toOffer(move);
+  const balance = getBankBalance(guild, move);
+  const isGold = move.dataClass === 'gold';
+
+  if (action === 'deposit') {
+    if (!hasPermission(guild, userId, Permission.BANK_DEPOSIT)) {
+      return { success: false, error: 'You do not have permission to deposit' };
+    }
+    if (balance + move.quantity > maxBalance(move)) {
+      return { success: false, error: 'The guild bank cannot hold that much' };
+    }
+    if (!checkInventory(userId, offer).valid) {
+      return { success: false, error: isGold ? 'Not enough gold' : 'You do not have enough of that item' };
+    }
+
+    deduct(userId, offer);
+    setBankBalance(guild, move, balance + move.quantity);
+    if (isGold) {
+      const member = findMember(guild, userId);
+      member.goldDonated = (member.goldDonated || 0) + move.quantity;
+    }
+  } else {
+    if (!hasPermission(guild, userId, Permission.BANK_WITHDRAW)) {
+      return { success: false, error: 'You do not have permission to withdraw' };
+    }
+    if (balance < move.quantity) {
+      return { success: false, error: 'The guild bank does not have that much' };
+    }
+
+    const limitKey = isGold ? 'gold' : 'items';
+    const limit = getWithdrawLimits(guild, userId)[limitKey];
+    if (limit !== null) {
+      const used = getWithdrawnToday(guildId, userId)[limitKey];
+      if (used + move.quantity > limit) {
+        return { success: false, error: `Daily withdraw limit reached (${Math.max(0, limit - used)} ${limitKey} left today)` };
+      }
+    }
+
+    const totals = playerTotals(userId, move);
+    const carried = isGold ? totals.gold : totals.owned;
+    if (carried + move.quantity > maxBalance(move)) {
+      return { success: false, error: 'You cannot carry that much' };
+    }
+
+    setBankBalance(guild, move, balance - move.quantity);
+    grant(userId, offer);
+    if (isGold) {
+      // goldDonated is a net contribution: taking gold back out reduces it
+      const member = findMember(guild, userId);
+      member.goldDonated = Math.max(0, (member.goldDonated || 0) - move.quantity);
+    }
+  }
+
+  saveGuild(guild);
+  bankStmts.insert.run({
+    guildId,
+    userId: String(userId),
+    username: username || null,
+    action,
+    dataClass: move.dataClass,
+    itemId: move.itemId,
+    quantity: move.quantity,
+    now: Date.now()
+  });
+
+  return { success: true, guild };
+});
+
+function moveBank(userId, username, action, args) {
+  const info = getUserGuildInfo(userId);
+  if (!info?.guildId) {
+    return { success: false, error: 'You are not in a guild' };
+  }
+
+  const move = parseBankArgs(args);
+  if (!move) {
+    return { success: false, error: 'Invalid amount' };
+  }
+
+  const result = bankTransaction(userId, username, info.guildId, action, move);
+  if (!result.success) return result;
+
+  logger.info('GUILD', `Bank ${action}`, { userId, guildId: info.guildId, ...move });
+
+  if (action === 'deposit') {
+    contributeXp(userId, 'bank', move.dataClass === 'gold' ? { gold: move.quantity } : { items: move.quantity });
+  }
+
+  notifyGuild(info.guildId, 'g/bank/updated', [{
+    userId,
+    username,
+    action,
+    ...move,
+    bankGold: result.guild.bankGold,
+    balance: getBankBalance(result.guild, move)
+  }]);
+
+  return {
+    success: true,
+    action,
+    ...move,
+    bank: { gold: result.guild.bankGold, items: listBankItems(result.guild) },
+    ...playerTotals(userId, move)
+  };
+}
+
+function getBankLog(guildId, offset = 0) {
+  const start = Math.max(0, Math.floor(Number(offset) || 0));
+  const rows = bankStmts.page.all(guildId, BANK_LOG_PAGE_SIZE, start);
+  return {
+    total: bankStmts.count.get(guildId).n,
+    offset: start,
+    limit: BANK_LOG_PAGE_SIZE,
+    entries: rows.map(row => ({
+      id: row.id,
+      userId: row.user_id,
+      username: row.username,
+      action: row.action,
+      dataClass: row.data_class,
+      itemId: row.item_id,
+      quantity: row.quantity,
+      at: row.created_at
+    }))
+  };
+}
+
+function viewBank(userId) {
+  const guild = getGuildForUser(userId);
+  if (!guild) {
+    return { success: false, error: 'You are not in a guild' };
+  }
+
+  const canViewLog = hasPermission(guild, userId, Permission.VIEW_BANK_LOG);
+  return {
+    success: true,
+    gold: guild.bankGold,
+    items: listBankItems(guild),
+    canDeposit: hasPermission(guild, userId, Permission.BANK_DEPOSIT),
+    canWithdraw: hasPermission(guild, userId, Permission.BANK_WITHDRAW),
+    canViewLog,
+    limits: getWithdrawLimits(guild, userId),
+    withdrawnToday: getWithdrawnToday(guild.id, userId),
+    log: canViewLog ? getBankLog(guild.id) : undefined
+  };
+}
+
+function readBankLog(userId, offset) {
+  const guild = getGuildForUser(userId);
+  if (!guild) {
+    return { success: false, error: 'You are not in a guild' };
+  }
+  if (!hasPermission(guild, userId, Permission.VIEW_BANK_LOG)) {
+    return { success: false, error: 'You do not have permission to view the bank log' };
+  }
+  return { success: true, ...getBankLog(guild.id, offset) };
+}
+
+// ============================================================================
+// GUILD CHAT HANDLER
+// ============================================================================
+
+function handleGuildChat(ws, message) {
+  const info = getUserGuildInfo(ws.userId);
+  if (!info?.guildId) return;
+
+  const guild = getGuild(info.guildId);
+  if (!guild) {
+    clearUserGuildInfo(ws.userId);
+    return;
+  }
+
+  const member = ensureMemberOrClear(ws.userId, guild);
+  if (!member) return;
+
+  if (typeof message !== 'string') return;
+  const text = message.trim().substring(0, 500); // Server-side length cap
+  if (!text) return;
+
+  if (rejectIfMuted(ws)) return;
+
+  notifyGuild(info.guildId, 'g/chat', [{
+    from: ws.userId,
+    name: ws.username,
+    message: text
+  }], null);
+}
+
+function handleAllianceChat(ws, message) {
+  const guild = getGuildForUser(ws.userId);
+  if (!guild) return;
+
+  if (!guild.allianceId) {
+    sendResponse(ws, 'g/ally/chat/res', { success: false, error: 'Your guild is not in an alliance' });
+    return;
+  }
+
+  if (typeof message !== 'string') return;
+  const text = message.trim().substring(0, 500); // Server-side length cap
+  if (!text) return;
+
+  if (rejectIfMuted(ws)) return;
+
+  notifyAlliance(guild.allianceId, 'a/chat', [{
+    from: ws.userId,
+    name: ws.username,
+    guildTag: guild.tag,
+    message: text
+  }], null);
+}
+
+/**
+ * Muted players can't use guild or alliance chat (covers direct g/chat too)
+ * @returns {boolean} true if the player is muted
+ */
+function rejectIfMuted(ws) {
+  const mute = moderation.isMuted(ws.userId);
+  if (!mute) return false;
+
+  const remaining = moderation.formatDuration(mute.expiresAt - Date.now());
+  ws.send(createRecv('system', 'server', 'chat', [`You are muted (${remaining} remaining).`]));
+  return true;
+}
+
+// ============================================================================
+// COMMAND ROUTER (Merged from guildCommands.js)
+// ============================================================================
+
+/**
+ * Send response directly to user
+ */
+function sendResponse(ws, code, data) {
+  const message = createRecv('guild', 'server', code, [withRequestId(ws, data)]);
+  ws.send(message);
+}
+
+/**
+ * Sanitize guild data for client
+ */
+function sanitizeGuild(guildData) {
+  return {
+    id: guildData.id,
+    name: guildData.name,
+    tag: guildData.tag,
+    leaderId: guildData.leaderId,
+    motd: guildData.motd || '',
+    level: guildData.level || 1,
+    xp: guildData.xp || 0,
+    levelInfo: getLevelInfo(guildData),
+    memberCount: Array.isArray(guildData.members) ? guildData.members.length : (guildData.memberCount || 0),
+    alliance: sanitizeAlliance(getAlliance(guildData.allianceId)),
+    rivals: listRivals(guildData),
+    ranks: guildData.ranks || []
+  };
+}
+
+/**
+ * Process guild command from client
+ * @returns {boolean} true if command was handled
+ */
+function processGuildCommand(ws, code, args) {
+  const { userId, username } = ws;
+
+  let result = { success: false, error: 'Unknown command' };
+
+  try {
+    switch (code) {
+      case 'g/info': {
+        const guildData = getGuildForUser(userId);
+        if (guildData) {
+          const member = guildData.members?.find(m => idEqual(m.userId, userId) || idEqual(m.oderId, userId));
+          const myRankId = member?.rankId || 'member';
+          const isLeader = idEqual(guildData.leaderId, userId);
+
+          result = {
+            success: true,
+            guild: sanitizeGuild(guildData),
+            myRankId,
+            isLeader
+          };
+        } else {
+          result = { success: false, error: 'Not in a guild' };
+        }
+        sendResponse(ws, 'g/info/res', result);
+        return true;
+      }
+
+      case 'g/roster': {
+        result = getRoster(userId);
+        sendResponse(ws, 'g/roster/res', result);
+        return true;
+      }
+
+      case 'g/create': {
+        const [guildName, guildTag, characterName] = args;
+        result = createGuild(userId, username, characterName || username, guildName, guildTag);
+        sendResponse(ws, 'g/create/res', result);
+        if (result.success) {
+          subscribeToGuild(ws, result.guild.id);
+        }
+        return true;
+      }
+
+      case 'g/invite': {
+        // Supports:
+        // 1) ID-based invite: g/invite [targetUserId, targetCharacterName]
+        // 2) Username-based invite: g/invite [targetUsername]
+        if (args.length === 1 && typeof args[0] === 'string') {
+          const targetUsername = args[0].trim();
+          if (!targetUsername) {
+            result = { success: false, error: 'Username is required' };
+          } else {
+            const targetUser = users.getByUsername(targetUsername);
+            if (!targetUser) {
+              result = { success: false, error: `User not found: ${targetUsername}` };
+            } else if (String(targetUser.id) === String(userId)) {
+              result = { success: false, error: "You can't invite yourself" };
+            } else {
+              result = invitePlayer(userId, username, targetUser.id, null);
+            }
+          }
+        } else {
+          const [targetUserId, targetCharacterName] = args;
+          result = invitePlayer(userId, username, targetUserId, targetCharacterName);
+        }
+        sendResponse(ws, 'g/invite/res', result);
+        return true;
+      }
+
+      case 'g/acceptMail': {
+        const mailId = args?.[0];
+        const characterName = String(args?.[1] ?? '').trim() || String(username);
+
+        const mailbox = getMailbox(userId);
+        const msg = mailbox.inbox.find((m) => m && m.type === 'guild_invite' && String(m.id) === String(mailId));
+        if (!msg) {
+          result = { success: false, error: 'Invite mail not found.' };
+          sendResponse(ws, 'g/acceptMail/res', result);
+          return true;
+        }
+
+        const guildId = msg.meta?.guildId;
+        if (!guildId) {
+          result = { success: false, error: 'Invite mail missing guildId.' };
+          sendResponse(ws, 'g/acceptMail/res', result);
+          return true;
+        }
+
+        result = acceptInvite(userId, username, characterName, guildId);
+        sendResponse(ws, 'g/acceptMail/res', result);
+        return true;
+      }
+      case 'g/declineMail': {
+        const mailId = args?.[0];
+        const characterName = String(args?.[1] ?? '').trim() || String(username);
+
+        const mailbox = getMailbox(userId);
+        const msg = mailbox.inbox.find((m) => m && m.type === 'guild_invite' && String(m.id) === String(mailId));
+        if (!msg) {
+          result = { success: false, error: 'Invite mail not found.' };
+          sendResponse(ws, 'g/declineMail/res', result);
+          return true;
+        }
+
+        const guildId = msg.meta?.guildId;
+        if (!guildId) {
+          result = { success: false, error: 'Invite mail missing guildId.' };
+          sendResponse(ws, 'g/declineMail/res', result);
+          return true;
+        }
+
+        result = declineInvite(userId, username, characterName, guildId);
+        sendResponse(ws, 'g/declineMail/res', result);
+        return true;
+      }
+      case 'g/accept': {
+        const [guildId, characterName] = args;
+        result = acceptInvite(userId, username, characterName || username, guildId);
+        sendResponse(ws, 'g/accept/res', result);
+        if (result.success) {
+          subscribeToGuild(ws, result.guild.id);
+        }
+        return true;
+      }
+
+      case 'g/decline': {
+        const [guildId, characterName] = args;
+        result = declineInvite(userId, username, characterName || username, guildId);
+        sendResponse(ws, 'g/decline/res', result);
+        return true;
+      }
+
+      case 'g/invites': {
+        result = getInvites(userId);
+        sendResponse(ws, 'g/invites/res', result);
+        return true;
+      }
+
+      case 'g/invites/clear': {
+        result = clearInvites(userId);
+        sendResponse(ws, 'g/invites/clear/res', result);
+        return true;
+      }
+
+      case 'g/leave': {
+        result = leaveGuild(userId, username);
+        sendResponse(ws, 'g/leave/res', result);
+        if (result.success) {
           unsubscribeFromGuild(ws);
         }
         return true;
@@ -1352,6 +2633,125 @@ function processGuildCommand(ws, code, args) {
         return true;
       }
 
+      case 'g/bank/view': {
+        result = viewBank(userId);
+        sendResponse(ws, 'g/bank/view/res', result);
+        return true;
+      }
+
+      case 'g/bank/deposit': {
+        result = moveBank(userId, username, 'deposit', args);
+        sendResponse(ws, 'g/bank/deposit/res', result);
+        return true;
+      }
+
+      case 'g/bank/withdraw': {
+        result = moveBank(userId, username, 'withdraw', args);
+        sendResponse(ws, 'g/bank/withdraw/res', result);
+        return true;
+      }
+
+      case 'g/bank/log': {
+        const [offset] = args;
+        result = readBankLog(userId, offset);
+        sendResponse(ws, 'g/bank/log/res', result);
+        return true;
+      }
+
+      case 'g/rank/list': {
+        result = listRanks(userId);
+        sendResponse(ws, 'g/rank/list/res', result);
+        return true;
+      }
+
+      case 'g/rank/create': {
+        const [rankName] = args;
+        result = createRank(userId, rankName);
+        sendResponse(ws, 'g/rank/create/res', result);
+        return true;
+      }
+
+      case 'g/rank/rename': {
+        const [rankId, rankName] = args;
+        result = renameRank(userId, rankId, rankName);
+        sendResponse(ws, 'g/rank/rename/res', result);
+        return true;
+      }
+
+      case 'g/rank/move': {
+        const [rankId, direction] = args;
+        result = moveRank(userId, rankId, direction);
+        sendResponse(ws, 'g/rank/move/res', result);
+        return true;
+      }
+
+      case 'g/rank/delete': {
+        const [rankId, fallbackRankId] = args;
+        result = deleteRank(userId, rankId, fallbackRankId);
+        sendResponse(ws, 'g/rank/delete/res', result);
+        return true;
+      }
+
+      case 'g/rank/permissions': {
+        const [rankId, changes] = args;
+        result = setRankPermissions(userId, rankId, changes);
+        sendResponse(ws, 'g/rank/permissions/res', result);
+        return true;
+      }
+
+      case 'g/ally/info': {
+        result = getDiplomacy(userId);
+        sendResponse(ws, 'g/ally/info/res', result);
+        return true;
+      }
+
+      case 'g/ally/propose': {
+        const [query] = args;
+        result = proposeAlliance(userId, query);
+        sendResponse(ws, 'g/ally/propose/res', result);
+        return true;
+      }
+
+      case 'g/ally/accept': {
+        const [fromGuildId] = args;
+        result = acceptAlliance(userId, fromGuildId);
+        sendResponse(ws, 'g/ally/accept/res', result);
+        return true;
+      }
+
+      case 'g/ally/decline': {
+        const [fromGuildId] = args;
+        result = declineAlliance(userId, fromGuildId);
+        sendResponse(ws, 'g/ally/decline/res', result);
+        return true;
+      }
+
+      case 'g/ally/leave': {
+        result = leaveAlliance(userId);
+        sendResponse(ws, 'g/ally/leave/res', result);
+        return true;
+      }
+
+      case 'g/ally/chat': {
+        const [chatMessage] = args;
+        handleAllianceChat(ws, chatMessage);
+        return true;
+      }
+
+      case 'g/rival/declare': {
+        const [query] = args;
+        result = declareRivalry(userId, query);
+        sendResponse(ws, 'g/rival/declare/res', result);
+        return true;
+      }
+
+      case 'g/rival/end': {
+        const [rivalGuildId] = args;
+        result = endRivalry(userId, rivalGuildId);
+        sendResponse(ws, 'g/rival/end/res', result);
+        return true;
+      }
+
       case 'g/chat': {
         const [chatMessage] = args;
         handleGuildChat(ws, chatMessage);
@@ -1420,6 +2820,9 @@ module.exports = {
   Permission,
   GUILD_CREATION_COST,
   MAX_GUILD_MEMBERS,
+  GUILD_XP_CURVE,
+  GUILD_XP_SOURCES,
+  GUILD_PERKS,
   
   // Guild operations
   createGuild,
@@ -1434,6 +2837,19 @@ module.exports = {
   disbandGuild,
   updateMotd,
   updateMemberNote,
+  moveBank,
+  contributeXp,
+  createRank,
+  renameRank,
+  moveRank,
+  deleteRank,
+  setRankPermissions,
+  proposeAlliance,
+  acceptAlliance,
+  declineAlliance,
+  leaveAlliance,
+  declareRivalry,
+  endRivalry,
   
   // Query operations
   getGuild,
@@ -1441,6 +2857,16 @@ module.exports = {
   getUserGuildInfo,
   getRoster,
   hasPermission,
+  viewBank,
+  listRanks,
+  getDiplomacy,
+  findGuildByNameOrTag,
+  areRivalGuilds,
+  areAlliedGuilds,
+  getGuildRelation,
+  getMemberCap,
+  getLevelInfo,
+  hasPerk,
   getInvites,
   clearInvites,
   
@@ -1448,10 +2874,12 @@ module.exports = {
   subscribeToGuild,
   unsubscribeFromGuild,
   notifyGuild,
+  notifyAlliance,
   notifyUser,
   
   // Chat
   handleGuildChat,
+  handleAllianceChat,
   
   // Command routing (merged from guildCommands.js)
   processGuildCommand,
@@ -2,7 +2,6 @@ const logger = require('../utils/logger');
 const rateLimiter = require('../utils/ratelimit');
 const storage = require('../database/storage');
 const users = require('../database/users');
-const logs = require('../database/logs');
 const pubsub = require('./pubsub');
 const { handleCommand } = require('./commands');
 const { validatePersonalSave } = require('../validation/personal');
@@ -13,7 +12,8 @@ const {
   parseMessage,
   createPong,
   createResponse,
-  createRecv
+  createRecv,
+  runWithRequestId
 } = require('./protocol');
 
 // Guild system (command routing merged into guild.js)
@@ -21,7 +21,13 @@ const guild = require('./guild');
 const mail = require('./mail');
 const presence = require('./presence');
 const economy = require('./economy');
+const shop = require('./shop');
+const auction = require('./auction');
 const trade = require('./trade');
+const moderation = require('./moderation');
+const staff = require('./staff');
+const battle = require('./battle');
+const battleSync = require('./battle_sync');
 let social = null;
 try {
   social = require('./social');
@@ -65,7 +71,10 @@ const SERVER_OWNED_PERSONAL_KEYS = new Set([
   'mail',
 
   // friends/blocklist (server-owned)
-  'social'
+  'social',
+
+  // chosen presence status + custom message (presence.js)
+  'presence'
 ]);
 
 function isPlainObject(value) {
@@ -80,7 +89,7 @@ async function handleMessage(ws, data) {
   let msg;
   
   try {
-    msg = parseMessage(data);
+    msg = parseMessage(data, ws.protocolVersion);
   } catch (err) {
     logger.error('HANDLER', 'Failed to parse message', { 
       userId: ws.userId, 
@@ -89,7 +98,7 @@ async function handleMessage(ws, data) {
     return;
   }
 
-  const { userId, username, isAdmin } = ws;
+  const { userId, username } = ws;
 
   // Rate limiting (except for ping)
   if (msg.opcode !== Opcode.PING) {
@@ -122,7 +131,7 @@ async function handleMessage(ws, data) {
         break;
 
       case Opcode.BROADCAST:
-        await handleBroadcast(ws, msg);
+        await runWithRequestId(ws, msg.requestId, () => handleBroadcast(ws, msg));
         break;
 
       case Opcode.PUBLISH:
@@ -139,23 +148,23 @@ async function handleMessage(ws, data) {
 
       // Admin commands
       case Opcode.ONLINE:
-        handleOnline(ws, msg, isAdmin);
+        handleOnline(ws, msg);
         break;
 
       case Opcode.BANNED:
-        handleBanned(ws, msg, isAdmin);
+        handleBanned(ws, msg);
         break;
 
       case Opcode.BANNING:
-        handleBanning(ws, msg, isAdmin);
+        handleBanning(ws, msg);
         break;
 
       case Opcode.INSPECT:
-        handleInspect(ws, msg, isAdmin);
+        handleInspect(ws, msg);
         break;
 
       case Opcode.OVERWRITE:
-        handleOverwrite(ws, msg, isAdmin);
+        handleOverwrite(ws, msg);
         break;
 
       default:
@@ -277,6 +286,9 @@ if (global) {
   logger.debug('HANDLER', `Save: ${global ? 'global' : 'personal'}/${keyName}`, { userId });
 }
 
+// Groups whose membership shows up as presence activity (in battle/trade/party)
+const PRESENCE_ACTIVITY_GROUPS = new Set(['battle', 'trade', 'party']);
+
 /**
  * Handle SUBSCRIBE request
  */
@@ -321,6 +333,11 @@ function handleSubscribe(ws, msg) {
     trade.onTradeUnsubscribe(userId, previousChannel);
   }
 
+  // BATTLE: Release the seat (and migrate the enemy host) on leaving a battle channel
+  if (group === 'battle' && previousChannel) {
+    battle.onBattleUnsubscribe(userId, previousChannel);
+  }
+
   // If no channel was provided, treat as "leave/unsubscribe" and stop here.
   // IMPORTANT: Do NOT subscribe to an empty-string channel.
   // This prevents non-sync maps (client uses subscribe('map', null)) from all sharing the same channel.
@@ -330,6 +347,8 @@ function handleSubscribe(ws, msg) {
       trade.onTradeUnsubscribe(userId, previousChannel);
     }
 
+    if (PRESENCE_ACTIVITY_GROUPS.has(group)) presence.refreshPresence(userId);
+
     const subs = pubsub.connectionChannels.get(ws);
     logger.debug('HANDLER', `Unsubscribed from group: ${group}`, { userId });
     logger.debug('HANDLER', `User subscriptions after: ${Array.from(subs || []).join(', ')}`, { userId });
@@ -362,6 +381,13 @@ function handleSubscribe(ws, msg) {
     trade.onTradeSubscribe(userId, normalizedChannel);
   }
 
+  // BATTLE: Register the seat and announce the enemy host
+  if (group === 'battle') {
+    battle.onBattleSubscribe(userId, normalizedChannel, ws.username);
+  }
+
+  if (PRESENCE_ACTIVITY_GROUPS.has(group)) presence.refreshPresence(userId);
+
   // Send "player joined" notification to new channel (excluding self)
   // Client expects code "+" with from=userId so existing players can sendto() the new player
   const joinMsg = createRecv(group, userId, '+', [username]);
@@ -416,12 +442,31 @@ const ALLOWED_SENDTO_CODES = new Set([
   'dotmove', 'dotmove/pos',
 ]);
 
+// SENDTO codes battle_sync tracks to seat btl/create
+const BATTLE_INVITE_CODES = new Set(['battle/invite', 'battle/accept', 'battle/decline']);
+
+// SENDTO codes that carry player-authored content; dropped while muted
+const MUTED_SENDTO_CODES = new Set(['emote', 'balloon']);
+
+/**
+ * Tell a muted player why their message went nowhere.
+ * @returns {boolean} true if the player is muted
+ */
+function rejectIfMuted(ws) {
+  const mute = moderation.isMuted(ws.userId);
+  if (!mute) return false;
+
+  const remaining = moderation.formatDuration(mute.expiresAt - Date.now());
+  ws.send(createRecv('system', 'server', 'chat', [`You are muted (${remaining} remaining).`]));
+  return true;
+}
+
 /**
  * Handle BROADCAST request (to current channel)
  */
 async function handleBroadcast(ws, msg) {
   const { loopback, code, args } = msg;
-  const { userId, username, isAdmin } = ws;
+  const { userId, username } = ws;
 
   // Debug log ALL broadcasts to see what's happening
   logger.debug('HANDLER', `BROADCAST received`, { userId, code, argsLength: args?.length, loopback });
@@ -471,6 +516,30 @@ async function handleBroadcast(ws, msg) {
     if (handled) return;
   }
 
+  // ========================================
+  // SHOP ROUTING (server-authoritative buy/sell)
+  // ========================================
+  if (code.startsWith('shop/')) {
+    const handled = shop.processShopCommand(ws, code, args);
+    if (handled) return;
+  }
+
+  // ========================================
+  // AUCTION HOUSE ROUTING
+  // ========================================
+  if (code.startsWith('ah/')) {
+    const handled = auction.processAuctionCommand(ws, code, args);
+    if (handled) return;
+  }
+
+  // ========================================
+  // BATTLE INSTANCE ROUTING (results, server-computed rewards)
+  // ========================================
+  if (code.startsWith('btl/')) {
+    const handled = battleSync.processBattleBroadcast(ws, code, args);
+    if (handled) return;
+  }
+
 
   // Chat commands (guild chat + admin commands)
   if (code === 'chat' && args.length > 0 && typeof args[0] === 'string') {
@@ -489,6 +558,8 @@ async function handleBroadcast(ws, msg) {
       const msg = trimmed.substring(3).trim();
       if (!msg) return;
 
+      if (rejectIfMuted(ws)) return;
+
       const info = guild.getUserGuildInfo(userId);
       if (!info?.guildId) {
         const responseMsg = createRecv('system', 'server', 'chat', ['You are not in a guild.']);
@@ -500,8 +571,26 @@ async function handleBroadcast(ws, msg) {
       return;
     }
 
+    // Alliance chat: /a message  OR  \a message
+    if (trimmed.startsWith('/a ') || trimmed.startsWith('\\a ')) {
+      const msg = trimmed.substring(3).trim();
+      if (!msg) return;
+
+      if (rejectIfMuted(ws)) return;
+
+      const myGuild = guild.getGuildForUser(userId);
+      if (!myGuild?.allianceId) {
+        const responseMsg = createRecv('system', 'server', 'chat', [myGuild ? 'Your guild is not in an alliance.' : 'You are not in a guild.']);
+        ws.send(responseMsg);
+        return;
+      }
+
+      guild.handleAllianceChat(ws, msg);
+      return;
+    }
+
     // Check for admin commands in chat messages
-    const cmdResult = await handleCommand(userId, isAdmin, chatText);
+    const cmdResult = await handleCommand(userId, chatText);
 
     if (cmdResult.handled) {
       // Send response back to sender only
@@ -511,6 +600,11 @@ async function handleBroadcast(ws, msg) {
       }
       return;
     }
+
+    if (rejectIfMuted(ws)) return;
+
+    // Keep recent chat for report context snapshots
+    moderation.recordChat(userId, null, trimmed);
   }
 
 
@@ -565,6 +659,18 @@ function handlePublish(ws, msg) {
     // 'relay' falls through to normal publish below
   }
 
+  // BATTLE: Validate battle-channel publishes (actions, movement, enemy AI)
+  if (group === 'battle') {
+    const result = battle.processBattlePublish(ws, code, args, channel);
+    if (result === 'handled') return;
+  }
+
+  // Keep recent chat for report context snapshots (map chat: [name, text, color])
+  if (code === 'chat' && typeof args?.[1] === 'string') {
+    if (rejectIfMuted(ws)) return;
+    moderation.recordChat(userId, `${group}/${channel}`, args[1]);
+  }
+
   const message = createRecv(group, userId, code, args);
   pubsub.publish(group, channel, message, loopback ? null : ws);
 }
@@ -585,24 +691,15 @@ function handleSendto(ws, msg) {
     return;
   }
 
-  // Find target connection
-  const numericTarget = Number(targetUser);
-  let targetConn = global.connections?.get(targetUser);
-  if (!targetConn && Number.isFinite(numericTarget)) {
-    targetConn = global.connections?.get(numericTarget);
-  }
-  if (!targetConn && global.connections) {
-    const normalizedTarget = String(targetUser ?? '').trim().toLowerCase();
-    for (const conn of global.connections.values()) {
-      const username = conn?.username;
-      if (username && String(username).trim().toLowerCase() === normalizedTarget) {
-        targetConn = conn;
-        break;
-      }
-    }
+  if (MUTED_SENDTO_CODES.has(code) && moderation.isMuted(userId)) {
+    logger.debug('HANDLER', `Sendto dropped (muted)`, { userId, code });
+    return;
   }
+
+  // Find target (by id or username, on any node)
+  const targetUserId = pubsub.findOnlineUser(targetUser);
   
-  if (!targetConn || targetConn.readyState !== 1) {
+  if (targetUserId === null) {
     logger.debug('HANDLER', `Sendto target offline: ${targetUser}`, { userId });
     return;
   }
@@ -610,7 +707,6 @@ function handleSendto(ws, msg) {
   // SECURITY FIX: Check if target has blocked the sender
   // This prevents harassment by allowing players to block unwanted direct messages
   if (social && typeof social.isBlocked === 'function') {
-    const targetUserId = targetConn.userId;
     if (social.isBlocked(targetUserId, userId)) {
       logger.debug('HANDLER', `Sendto blocked by recipient`, { senderId: userId, targetUserId });
       return; // Silently drop - don't reveal block status to sender
@@ -618,7 +714,12 @@ function handleSendto(ws, msg) {
   }
 
   const message = createRecv('@', userId, code, args);
-  targetConn.send(message);
+  pubsub.sendToUser(targetUserId, message);
+
+  // BATTLE: btl/create seats only players who accepted a relayed invite
+  if (BATTLE_INVITE_CODES.has(code)) {
+    battleSync.onInviteRelayed(code, userId, ws.username, targetUserId);
+  }
   
   logger.debug('HANDLER', `Sendto: ${targetUser} ${code}`, { userId });
 }
@@ -628,25 +729,47 @@ function handleSendto(ws, msg) {
  */
 function handleReport(ws, msg) {
   const { reportedUser, reason } = msg;
-  const { userId, username } = ws;
+  const { username } = ws;
 
-  const reportId = logs.createReport(userId, reportedUser, reason);
+  // Persisted with a chat/map context snapshot for the admin panel
+  const result = moderation.createReport(ws, reportedUser, reason);
   
-  logger.info('HANDLER', `Report created`, { 
+  logger.info('HANDLER', `Report ${result.success ? 'created' : 'rejected'}`, { 
     reporter: username, 
     reported: reportedUser, 
     reason,
-    reportId 
+    reportId: result.reportId,
+    error: result.error
   });
 }
 
 // ============ Admin Handlers ============
 
+/**
+ * Staff permission check for the admin opcodes below
+ */
+function hasStaffPermission(ws, permission) {
+  return staff.roleHasPermission(staff.getGameRole(ws.userId), permission);
+}
+
+function auditAdminOpcode(ws, action, target, details) {
+  staff.audit({
+    actorType: 'game',
+    actorId: ws.userId,
+    actorName: ws.username,
+    role: staff.getGameRole(ws.userId),
+    action,
+    target,
+    details,
+    ip: ws.ip
+  });
+}
+
 /**
  * Handle ONLINE request (list online users)
  */
-function handleOnline(ws, msg, isAdmin) {
-  if (!isAdmin) {
+function handleOnline(ws, msg) {
+  if (!hasStaffPermission(ws, 'players.view')) {
     logger.security(`Non-admin ONLINE request`, { userId: ws.userId });
     ws.send(createResponse(msg.queryId, {}));
     return;
@@ -667,8 +790,8 @@ function handleOnline(ws, msg, isAdmin) {
 /**
  * Handle BANNED request (list banned users)
  */
-function handleBanned(ws, msg, isAdmin) {
-  if (!isAdmin) {
+function handleBanned(ws, msg) {
+  if (!hasStaffPermission(ws, 'players.view')) {
     logger.security(`Non-admin BANNED request`, { userId: ws.userId });
     ws.send(createResponse(msg.queryId, {}));
     return;
@@ -686,17 +809,25 @@ function handleBanned(ws, msg, isAdmin) {
 /**
  * Handle BANNING request (ban/unban user)
  */
-function handleBanning(ws, msg, isAdmin) {
+function handleBanning(ws, msg) {
   const { user, state, queryId } = msg;
   
-  if (!isAdmin) {
+  if (!hasStaffPermission(ws, 'players.ban')) {
     logger.security(`Non-admin BANNING request`, { userId: ws.userId });
     ws.send(createResponse(queryId, { success: false }));
     return;
   }
 
+  if (!staff.canActOn(staff.getGameRole(ws.userId), user)) {
+    logger.security(`BANNING request against higher-ranked staff`, { userId: ws.userId, target: user });
+    ws.send(createResponse(queryId, { success: false }));
+    return;
+  }
+
   if (state) {
     users.ban(user, 'Banned via admin protocol', ws.userId);
+    // A permanent ban supersedes any running temp-ban
+    moderation.liftActive(user, 'tempban', ws.userId);
     
     // Disconnect if online
     const targetConn = global.connections?.get(user);
@@ -705,19 +836,21 @@ function handleBanning(ws, msg, isAdmin) {
     }
   } else {
     users.unban(user, ws.userId);
+    moderation.liftActive(user, 'tempban', ws.userId);
   }
 
   ws.send(createResponse(queryId, { success: true }));
   logger.admin(`User ${state ? 'banned' : 'unbanned'}: ${user}`, { adminId: ws.userId });
+  auditAdminOpcode(ws, state ? 'opcode.ban' : 'opcode.unban', user);
 }
 
 /**
  * Handle INSPECT request (view user storage)
  */
-function handleInspect(ws, msg, isAdmin) {
+function handleInspect(ws, msg) {
   const { user, keyName, queryId } = msg;
   
-  if (!isAdmin) {
+  if (!hasStaffPermission(ws, 'players.inspect')) {
     logger.security(`Non-admin INSPECT request`, { userId: ws.userId });
     ws.send(createResponse(queryId, {}));
     return;
@@ -727,15 +860,16 @@ function handleInspect(ws, msg, isAdmin) {
   ws.send(createResponse(queryId, data || {}));
   
   logger.admin(`Inspected ${user}/${keyName}`, { adminId: ws.userId });
+  auditAdminOpcode(ws, 'opcode.inspect', user, { keyName });
 }
 
 /**
  * Handle OVERWRITE request (modify user storage)
  */
-function handleOverwrite(ws, msg, isAdmin) {
+function handleOverwrite(ws, msg) {
   const { user, keyName, queryId, fields } = msg;
   
-  if (!isAdmin) {
+  if (!hasStaffPermission(ws, 'players.edit')) {
     logger.security(`Non-admin OVERWRITE request`, { userId: ws.userId });
     ws.send(createResponse(queryId, { success: false }));
     return;
@@ -745,6 +879,7 @@ function handleOverwrite(ws, msg, isAdmin) {
   ws.send(createResponse(queryId, { success: true }));
   
   logger.admin(`Overwrote ${user}/${keyName}`, { adminId: ws.userId, fields });
+  auditAdminOpcode(ws, 'opcode.overwrite', user, { keyName, fields });
 }
 
 /**
@@ -762,14 +897,45 @@ function opcodeToAction(opcode) {
 }
 
 /**
- * Handle player disconnect - cleanup trade escrow state.
- * Called from the main server when a WebSocket connection closes.
+ * Handle player disconnect - cleanup trade escrow and battle seat.
+ * Called from the main server when a session ends (not while it is held
+ * for resume).
  */
 function handleDisconnect(ws) {
   const { userId } = ws;
   if (userId) {
     trade.onPlayerDisconnect(userId);
+    battle.onPlayerDisconnect(userId);
+  }
+}
+
+/**
+ * Handle a socket drop whose session is held for resume - the battle seat
+ * stays, but the enemy host role moves to a connected player right away.
+ */
+function handleDrop(ws) {
+  const { userId } = ws;
+  if (userId) {
+    battle.onPlayerDrop(userId);
+  }
+}
+
+/**
+ * Handle session resume - trade escrow is keyed by userId and survives as-is;
+ * the battle seat is re-announced to the resuming client only.
+ */
+function handleResume(ws) {
+  const { userId } = ws;
+  if (userId) {
+    battle.onPlayerResume(userId, ws);
   }
 }
 
-module.exports = { handleMessage, handleDisconnect };
+module.exports = {
+  handleMessage,
+  handleDisconnect,
+  handleDrop,
+  handleResume,
+  SERVER_OWNED_GLOBAL_KEYS,
+  SERVER_OWNED_PERSONAL_KEYS
+};
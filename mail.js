@@ -2,28 +2,75 @@
  * Player Mail System - Server Side
  *
  * Commands (broadcast codes):
- * - m/send [toUsername, subject, body]
- * - m/list []
+ * - m/send [toUsername, subject, body, attachment?]
+ *                             attachment: { gold, items: [[[dataClass, itemId], qty], ...], cod }
+ * - m/list []                full inbox + sent (legacy; used by the Social requests tab)
+ * - m/list [query]           one page: { box, folder?, offset?, limit?, search? }
+ *                             box: "inbox" | "sent" | "requests" | "starred" | "folder"
+ *                             search matches subject and body (case-insensitive)
  * - m/read [box, id]          box: "inbox" | "sent" (optional; defaults to "inbox")
- * - m/delete [box, id]        box: "inbox" | "sent" (optional; defaults to "inbox")
+ * - m/delete [box, id|ids[]]  box: "inbox" | "sent" (optional; defaults to "inbox")
  * - m/clear [scope]           scope: "mail" | "inbox" | "sent" (optional; defaults to "mail")
- *                             ("mail" clears inbox non-requests + all sent)
+ *                             ("mail" clears inbox non-requests + all sent; starred
+ *                             and foldered inbox mail is kept)
+ * - m/claim [id]              take an inbox parcel (pays COD first, if any)
+ * - m/return [id]             refuse an inbox parcel; it goes back to the sender
+ * - m/star [id, starred?]     star/unstar an inbox message (toggles when omitted)
+ * - m/move [ids[], folder]    move inbox messages to a folder (null/"" = back to inbox)
+ * - m/folder/create [name]
+ * - m/folder/rename [name, newName]
+ * - m/folder/delete [name]    its messages go back to the inbox
  *
  * Responses (direct RECV to requester, group "mail"):
  * - m/send/res   { success, error? }
- * - m/list/res   { inbox: MailSummary[], sent: MailSummary[] }
+ * - m/list/res   { inbox: MailSummary[], sent: MailSummary[] }                (legacy)
+ *                { box, folder, search, offset, limit, total, items: MailSummary[],
+ *                  folders: [{ name, count, unread }], unread }                  (paged)
  * - m/read/res   { success, error?, message? }
- * - m/delete/res { success, error? }
+ * - m/delete/res { success, error?, deleted, skipped }
  * - m/clear/res  { success, error?, scope }
+ * - m/claim/res  { success, error?, id, attachment?, gold?, items? }  (gold/items = your new totals)
+ * - m/return/res { success, error?, id }
+ * - m/star/res   { success, error?, id, starred }
+ * - m/move/res   { success, error?, moved, folder }
+ * - m/folder/res { success, error?, folders }   (all three folder commands)
  *
  * Push notification (direct RECV to recipient, group "mail"):
  * - mail/new     MailSummary
+ *
+ * Mailbox limits:
+ * - Inbox and sent are capped at MAX_INBOX / MAX_SENT; the oldest mail goes
+ *   first, but starred messages and unclaimed parcels are never dropped.
+ *
+ * Attachments (escrow):
+ * - Gold and items are deducted from the sender when the mail is sent and held
+ *   in the mail_attachments table until the recipient claims or returns them.
+ * - COD parcels charge the recipient on claim; the payment reaches the sender
+ *   as a parcel of its own.
+ * - A claim that would take the player over the gold or stack cap fails and
+ *   the parcel stays pending.
+ * - Unclaimed parcels expire after ATTACHMENT_EXPIRY_MS and come back to the
+ *   sender as a "Returned" parcel (returned parcels never expire).
+ *
+ * System / bulk mail (admin API POST /mail, \mailall):
+ * - sendBulkMail delivers "Server" mail to every account, one guild's members
+ *   or accounts that logged in within N days, in batches of BULK_BATCH_SIZE.
+ * - Optional reward attachment (created, not escrowed) and expiry date; expired
+ *   system mail disappears from the inbox and its reward can't be claimed.
+ * - Other server modules (auction.js) deliver their own system parcels with
+ *   deliverSystemMail inside their transaction, then call notifyNewMail.
  */
 
 const users = require('../database/users');
 const storage = require('../database/storage');
+const db = require('../database/sqlite');
 const logger = require('../utils/logger');
-const { createRecv } = require('./protocol');
+const { createRecv, withRequestId } = require('./protocol');
+const moderation = require('./moderation');
+const presence = require('./presence');
+const guild = require('./guild');
+const { LIMITS } = require('./economy');
+const { validateOffer, checkInventory, checkCapacity, deduct, grant, CLASS_TO_KEY } = require('./trade');
 
 const MAIL_KEY = 'mail';
 const SOCIAL_KEY = 'social';
@@ -31,12 +78,62 @@ const MAX_INBOX = 200;
 const MAX_SENT = 200;
 const MAX_SUBJECT = 40;
 const MAX_BODY = 1000;
+const MAX_FOLDERS = 10;
+const MAX_FOLDER_NAME = 20;
+const MAX_STARRED = 50;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_SEARCH = 40;
+const MAX_BULK_IDS = 100;
+
+const MAX_ATTACHMENT_STACKS = 8;
+const ATTACHMENT_EXPIRY_MS = 14 * 24 * 60 * 60 * 1000; // 14 days
+const ATTACHMENT_SWEEP_INTERVAL_MS = 60 * 60 * 1000;   // hourly
+const SYSTEM_SENDER = 'Server';
+const BULK_BATCH_SIZE = 200;
+const MAX_BULK_EXPIRY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS mail_attachments (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_id       TEXT,
+    from_username TEXT,
+    to_id         TEXT NOT NULL,
+    message_id    INTEGER,
+    gold          INTEGER NOT NULL DEFAULT 0,
+    items_json    TEXT NOT NULL,
+    cod           INTEGER NOT NULL DEFAULT 0,
+    status        TEXT NOT NULL DEFAULT 'pending',
+    created_at    INTEGER NOT NULL,
+    expires_at    INTEGER,
+    resolved_at   INTEGER
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_mail_attachments_pending ON mail_attachments (status, expires_at);
+`);
+
+const stmts = {
+  insertAttachment: db.prepare(`
+    INSERT INTO mail_attachments (from_id, from_username, to_id, gold, items_json, cod, created_at, expires_at)
+    VALUES (@fromId, @fromUsername, @toId, @gold, @itemsJson, @cod, @now, @expiresAt)
+  `),
+  setMessageId: db.prepare(`UPDATE mail_attachments SET message_id = ? WHERE id = ?`),
+  getAttachment: db.prepare(`SELECT * FROM mail_attachments WHERE id = ?`),
+  resolveAttachment: db.prepare(`
+    UPDATE mail_attachments SET status = ?, resolved_at = ? WHERE id = ? AND status = 'pending'
+  `),
+  expiredAttachments: db.prepare(`
+    SELECT * FROM mail_attachments WHERE status = 'pending' AND expires_at IS NOT NULL AND expires_at <= ?
+  `),
+  allUserIds: db.prepare(`SELECT id FROM users`)
+};
 
 function now() { return Date.now(); }
 
 function sendResponse(ws, code, data) {
   try {
-    ws.send(createRecv('mail', 'server', code, [data]));
+    ws.send(createRecv('mail', 'server', code, [withRequestId(ws, data)]));
   } catch (err) {
     logger.error('MAIL', 'Failed to sendResponse', { userId: ws.userId, code, error: err.message });
   }
@@ -60,9 +157,12 @@ function getMailbox(userId) {
     if (!Array.isArray(box.inbox)) box.inbox = [];
     if (!Array.isArray(box.sent)) box.sent = [];
     if (typeof box.nextId !== 'number') box.nextId = 1;
+    if (!Array.isArray(box.folders)) box.folders = [];
+    // Expired system mail drops out; the next save persists it
+    box.inbox = box.inbox.filter(m => !m || !m.expiresAt || m.expiresAt > now());
     return box;
   }
-  return { nextId: 1, inbox: [], sent: [] };
+  return { nextId: 1, inbox: [], sent: [], folders: [] };
 }
 
 function isBlockedByRecipient(toUserId, fromUserId) {
@@ -90,10 +190,22 @@ function normalizeBoxName(box) {
   return (b === 'sent') ? 'sent' : 'inbox';
 }
 
-function capArray(arr, max) {
+/**
+ * Drop the oldest messages past `max`. Starred mail and unclaimed parcels are
+ * skipped, so a box full of them may run over the cap.
+ */
+function capMailbox(arr, max) {
   if (!Array.isArray(arr)) return;
-  if (arr.length <= max) return;
-  arr.splice(0, arr.length - max);
+  let excess = arr.length - max;
+  for (let i = 0; i < arr.length && excess > 0;) {
+    const msg = arr[i];
+    if (msg && (msg.starred || hasPendingAttachment(msg))) {
+      i++;
+      continue;
+    }
+    arr.splice(i, 1);
+    excess--;
+  }
 }
 
 function isRequestType(type) {
@@ -102,6 +214,7 @@ function isRequestType(type) {
 }
 
 function makeSummary(msg) {
+  const attachment = msg.attachmentId ? describeAttachment(stmts.getAttachment.get(msg.attachmentId)) : null;
   return {
     id: msg.id,
     fromUsername: msg.fromUsername,
@@ -109,10 +222,377 @@ function makeSummary(msg) {
     subject: msg.subject,
     timestamp: msg.timestamp,
     read: !!msg.read,
-    type: msg.type || 'mail'
+    type: msg.type || 'mail',
+    starred: !!msg.starred,
+    folder: msg.folder || null,
+    expiresAt: msg.expiresAt || null,
+    attachment: attachment
+      ? { gold: attachment.gold, itemCount: attachment.items.length, cod: attachment.cod, status: attachment.status }
+      : null
+  };
+}
+
+// ============================================================================
+// ATTACHMENTS
+// ============================================================================
+
+function resolveUserId(id) {
+  const user = users.getById(id) || users.getById(Number(id));
+  return user ? user.id : null;
+}
+
+function describeAttachment(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    gold: row.gold,
+    items: JSON.parse(row.items_json),
+    cod: row.cod,
+    status: row.status,
+    expiresAt: row.expires_at
+  };
+}
+
+/**
+ * Validate a client attachment: { gold, items: [[[dataClass, itemId], qty], ...], cod }.
+ * Returns { attachment } (null when there is nothing attached) or { error }.
+ */
+function parseAttachment(raw) {
+  if (raw === undefined || raw === null) return { attachment: null };
+  if (typeof raw !== 'object') return { error: 'Invalid attachment.' };
+
+  const { valid, offer } = validateOffer({ gold: raw.gold ?? 0, items: raw.items ?? [] });
+  if (!valid) return { error: 'Invalid attachment.' };
+  if (offer.items.length > MAX_ATTACHMENT_STACKS) {
+    return { error: `You can attach at most ${MAX_ATTACHMENT_STACKS} item stacks.` };
+  }
+  if (offer.items.some(i => i.itemId > LIMITS.ITEM_MAX_ID)) return { error: 'Invalid attachment.' };
+  if (offer.gold > LIMITS.GOLD_ABSOLUTE_MAX) return { error: 'Invalid attachment.' };
+
+  const cod = raw.cod ?? 0;
+  if (!Number.isInteger(cod) || cod < 0 || cod > LIMITS.GOLD_ABSOLUTE_MAX) {
+    return { error: 'Invalid COD amount.' };
+  }
+  if (cod > 0 && offer.items.length === 0) {
+    return { error: 'Cash on delivery needs at least one attached item.' };
+  }
+  if (offer.gold === 0 && offer.items.length === 0) return { attachment: null };
+
+  // Merge duplicate stacks so the escrow row matches the deducted amounts
+  const merged = new Map();
+  for (const item of offer.items) {
+    const key = `${item.dataClass}:${item.itemId}`;
+    const prev = merged.get(key);
+    merged.set(key, prev ? { ...prev, quantity: prev.quantity + item.quantity } : { ...item });
+  }
+
+  return { attachment: { gold: offer.gold, items: [...merged.values()], cod } };
+}
+
+/**
+ * Drop system mail (returns, COD payments, bulk mail) into a mailbox. An
+ * optional parcel is created as-is, not taken from anyone. Runs inside the
+ * caller's transaction; the caller pushes the mail/new notification afterwards.
+ */
+function deliverSystemMail(toId, toUsername, { subject, body, parcel = null, expiresAt = null }) {
+  const box = getMailbox(toId);
+  const message = {
+    id: box.nextId++,
+    fromId: null,
+    fromUsername: SYSTEM_SENDER,
+    toId,
+    toUsername,
+    subject,
+    body,
+    timestamp: now(),
+    read: false
+  };
+  if (expiresAt) message.expiresAt = expiresAt;
+
+  if (parcel) {
+    const info = stmts.insertAttachment.run({
+      fromId: null,
+      fromUsername: SYSTEM_SENDER,
+      toId: String(toId),
+      gold: parcel.gold,
+      itemsJson: JSON.stringify(parcel.items),
+      cod: 0,
+      now: now(),
+      expiresAt
+    });
+    message.attachmentId = info.lastInsertRowid;
+    stmts.setMessageId.run(message.id, info.lastInsertRowid);
+  }
+
+  box.inbox.push(message);
+  capMailbox(box.inbox, MAX_INBOX);
+  saveMailbox(toId, box);
+  return message;
+}
+
+/**
+ * Close a pending parcel and send its contents back to the original sender.
+ * @returns {object|null} the "Returned" message delivered to the sender
+ */
+function returnAttachment(row, reason) {
+  const senderId = row.from_id ? resolveUserId(row.from_id) : null;
+  if (!senderId) {
+    // Nobody to send it back to: close it like an unclaimed system parcel
+    stmts.resolveAttachment.run('expired', now(), row.id);
+    return null;
+  }
+
+  if (stmts.resolveAttachment.run('returned', now(), row.id).changes === 0) return null;
+
+  const recipient = users.getById(resolveUserId(row.to_id));
+  const toName = recipient?.username || 'the recipient';
+  return deliverSystemMail(senderId, row.from_username, {
+    subject: 'Returned parcel',
+    body: `Your parcel to ${toName} was ${reason}. The attached goods have been returned.`,
+    parcel: { gold: row.gold, items: JSON.parse(row.items_json) }
+  });
+}
+
+const sendTransaction = db.transaction((fromId, fromUsername, targetId, targetUsername, subject, body, attachment) => {
+  let attachmentId = null;
+  if (attachment) {
+    if (!checkInventory(fromId, attachment).valid) {
+      return { success: false, error: 'You do not have the attached gold or items.' };
+    }
+    deduct(fromId, attachment);
+    attachmentId = stmts.insertAttachment.run({
+      fromId: String(fromId),
+      fromUsername,
+      toId: String(targetId),
+      gold: attachment.gold,
+      itemsJson: JSON.stringify(attachment.items),
+      cod: attachment.cod,
+      now: now(),
+      expiresAt: now() + ATTACHMENT_EXPIRY_MS
+    }).lastInsertRowid;
+  }
+
+  // Create message for recipient
+  const recipientBox = getMailbox(targetId);
+  const messageId = recipientBox.nextId++;
+  const message = {
+    id: messageId,
+    fromId,
+    fromUsername,
+    toId: targetId,
+    toUsername: targetUsername,
+    subject,
+    body,
+    timestamp: now(),
+    read: false
+  };
+  if (attachmentId) {
+    message.attachmentId = attachmentId;
+    stmts.setMessageId.run(messageId, attachmentId);
+  }
+
+  recipientBox.inbox.push(message);
+  capMailbox(recipientBox.inbox, MAX_INBOX);
+  saveMailbox(targetId, recipientBox);
+
+  // Store copy in sender "sent"
+  const senderBox = getMailbox(fromId);
+  const sentCopy = { ...message, read: true }; // sent is always "read"
+  senderBox.sent.push(sentCopy);
+  capMailbox(senderBox.sent, MAX_SENT);
+  saveMailbox(fromId, senderBox);
+
+  return { success: true, message };
+});
+
+const claimTransaction = db.transaction((userId, id) => {
+  const box = getMailbox(userId);
+  const msg = findMessage(box, 'inbox', id);
+  if (!msg || !msg.attachmentId) return { success: false, error: 'No parcel to claim.' };
+
+  const row = stmts.getAttachment.get(msg.attachmentId);
+  if (!row || row.status !== 'pending') return { success: false, error: 'This parcel was already collected.' };
+
+  const parcel = { gold: row.gold, items: JSON.parse(row.items_json) };
+
+  // Over the caps grant() would drop the excess: leave the parcel pending instead
+  if (!checkCapacity(userId, { gold: Math.max(0, row.gold - row.cod), items: parcel.items }).valid) {
+    return { success: false, error: 'You cannot carry everything in this parcel. Make room and try again.' };
+  }
+
+  let codMessage = null;
+  if (row.cod > 0) {
+    const payment = { gold: row.cod, items: [] };
+    if (!checkInventory(userId, payment).valid) {
+      return { success: false, error: `You need ${row.cod} gold to pay for this parcel.` };
+    }
+    deduct(userId, payment);
+
+    const senderId = row.from_id ? resolveUserId(row.from_id) : null;
+    if (senderId) {
+      codMessage = deliverSystemMail(senderId, row.from_username, {
+        subject: 'COD payment',
+        body: `${msg.toUsername} paid ${row.cod} gold for your parcel "${msg.subject}".`,
+        parcel: payment
+      });
+    }
+  }
+
+  grant(userId, parcel);
+  stmts.resolveAttachment.run('claimed', now(), row.id);
+  msg.read = true;
+  saveMailbox(userId, box);
+
+  return { success: true, row, parcel, codMessage };
+});
+
+const refuseTransaction = db.transaction((userId, id) => {
+  const box = getMailbox(userId);
+  const msg = findMessage(box, 'inbox', id);
+  if (!msg || !msg.attachmentId) return { success: false, error: 'No parcel to return.' };
+
+  const row = stmts.getAttachment.get(msg.attachmentId);
+  if (!row || row.status !== 'pending') return { success: false, error: 'This parcel was already collected.' };
+  if (!row.from_id) return { success: false, error: 'Server parcels cannot be returned.' };
+  // Checked up front so the recipient can still collect it
+  if (!resolveUserId(row.from_id)) return { success: false, error: 'The sender no longer exists.' };
+
+  const returned = returnAttachment(row, 'refused');
+  if (!returned) return { success: false, error: 'This parcel was already collected.' };
+
+  return { success: true, row, returned };
+});
+
+/**
+ * New totals for everything a parcel touched, so the client can apply them.
+ */
+function playerTotals(userId, items) {
+  const gold = (storage.getPersonal(userId, 'gold') || {}).gold ?? 0;
+  return {
+    gold,
+    items: items.map(({ dataClass, itemId }) => ({
+      dataClass,
+      itemId,
+      owned: (storage.getPersonal(userId, CLASS_TO_KEY[dataClass]) || {})[itemId] ?? 0
+    }))
   };
 }
 
+function sweepExpiredAttachments() {
+  try {
+    for (const row of stmts.expiredAttachments.all(now())) {
+      // System rewards have nobody to go back to
+      if (!row.from_id) {
+        stmts.resolveAttachment.run('expired', now(), row.id);
+        continue;
+      }
+      const returned = returnAttachment(row, 'not collected in time');
+      if (returned) sendToUser(returned.toId, 'mail/new', makeSummary(returned));
+      logger.info('MAIL', 'Parcel expired', { attachmentId: row.id, returned: !!returned });
+    }
+  } catch (err) {
+    logger.error('MAIL', 'Parcel sweep failed', { error: err.message });
+  }
+}
+
+setInterval(sweepExpiredAttachments, ATTACHMENT_SWEEP_INTERVAL_MS).unref();
+
+// ============================================================================
+// SYSTEM / BULK MAIL
+// ============================================================================
+
+/**
+ * Resolve a bulk mail target to user ids.
+ * target: { scope: 'all' } | { scope: 'guild', guild: idNameOrTag } | { scope: 'active', days }
+ * @returns {{ userIds?: Array, error?: string }}
+ */
+function resolveRecipients(target) {
+  const scope = String(target?.scope || '').toLowerCase();
+
+  if (scope === 'all') {
+    return { userIds: stmts.allUserIds.all().map(row => row.id) };
+  }
+
+  if (scope === 'guild') {
+    const found = guild.getGuild(target.guild) || guild.findGuildByNameOrTag(target.guild);
+    if (!found) return { error: `Guild not found: ${target.guild}` };
+    return { userIds: found.members.map(m => m.userId) };
+  }
+
+  if (scope === 'active') {
+    const days = Number(target.days);
+    if (!Number.isInteger(days) || days < 1) return { error: 'days must be a positive integer' };
+    return { userIds: presence.getUsersActiveSince(now() - days * DAY_MS) };
+  }
+
+  return { error: 'scope must be all, guild or active' };
+}
+
+const deliverBatch = db.transaction((batch, mail) => {
+  const delivered = [];
+  for (const userId of batch) {
+    const user = users.getById(userId) || users.getById(Number(userId));
+    if (!user) continue;
+    delivered.push(deliverSystemMail(user.id, user.username, mail));
+  }
+  return delivered;
+});
+
+/**
+ * Send system mail to a target set (see resolveRecipients).
+ * options: { subject, body, attachment?, expiresInDays?, sentBy }
+ * attachment uses the m/send format without COD: { gold, items: [[[dataClass, itemId], qty], ...] }
+ * @returns {Promise<{ success, error?, sent?, recipients? }>}
+ */
+async function sendBulkMail(target, options = {}) {
+  const subject = clampString(options.subject, MAX_SUBJECT).trim() || '(No Subject)';
+  const body = clampString(options.body, MAX_BODY).trim();
+  if (!body) return { success: false, error: 'Message body cannot be empty.' };
+
+  const { attachment, error: attachmentError } = parseAttachment(
+    options.attachment ? { ...options.attachment, cod: 0 } : null
+  );
+  if (attachmentError) return { success: false, error: attachmentError };
+
+  let expiresAt = null;
+  if (options.expiresInDays != null && options.expiresInDays !== '') {
+    const days = Number(options.expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_BULK_EXPIRY_DAYS) {
+      return { success: false, error: `expiresInDays must be 1-${MAX_BULK_EXPIRY_DAYS}` };
+    }
+    expiresAt = now() + days * DAY_MS;
+  }
+
+  const { userIds, error } = resolveRecipients(target);
+  if (error) return { success: false, error };
+
+  const mail = { subject, body, parcel: attachment, expiresAt };
+  const unique = [...new Set(userIds.map(String))];
+  let sent = 0;
+
+  for (let i = 0; i < unique.length; i += BULK_BATCH_SIZE) {
+    const delivered = deliverBatch(unique.slice(i, i + BULK_BATCH_SIZE), mail);
+    for (const message of delivered) {
+      sendToUser(message.toId, 'mail/new', makeSummary(message));
+    }
+    sent += delivered.length;
+
+    // Let the socket loop breathe between batches
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  logger.info('MAIL', 'Bulk mail sent', {
+    sentBy: options.sentBy || null,
+    scope: target?.scope,
+    recipients: unique.length,
+    sent,
+    hasAttachment: !!attachment,
+    expiresAt
+  });
+
+  return { success: true, sent, recipients: unique.length };
+}
+
 function findMessage(mailbox, boxName, id) {
   const list = (boxName === 'sent') ? mailbox.sent : mailbox.inbox;
   const numId = Number(id);
@@ -134,10 +614,23 @@ function handleSend(ws, args) {
   const fromId = ws.userId;
   const fromUsername = ws.username || String(fromId);
 
+  const mute = moderation.isMuted(fromId);
+  if (mute) {
+    const remaining = moderation.formatDuration(mute.expiresAt - Date.now());
+    sendResponse(ws, 'm/send/res', { success: false, error: `You are muted (${remaining} remaining).` });
+    return true;
+  }
+
   const toUsernameRaw = args?.[0];
   const subjectRaw = args?.[1];
   const bodyRaw = args?.[2];
 
+  const { attachment, error: attachmentError } = parseAttachment(args?.[3]);
+  if (attachmentError) {
+    sendResponse(ws, 'm/send/res', { success: false, error: attachmentError });
+    return true;
+  }
+
   const toUsername = clampString(toUsernameRaw, 24).trim();
   const subject = clampString(subjectRaw, MAX_SUBJECT).trim() || '(No Subject)';
   const body = clampString(bodyRaw, MAX_BODY).trim();
@@ -165,50 +658,304 @@ function handleSend(ws, args) {
     return true;
   }
 
-  // Create message for recipient
-  const recipientBox = getMailbox(targetId);
-  const messageId = recipientBox.nextId++;
-  const message = {
-    id: messageId,
-    fromId,
-    fromUsername,
-    toId: targetId,
-    toUsername: targetUser.username || toUsername,
-    subject,
-    body,
-    timestamp: now(),
-    read: false
-  };
-
-  recipientBox.inbox.push(message);
-  capArray(recipientBox.inbox, MAX_INBOX);
-  saveMailbox(targetId, recipientBox);
+  if (attachment && String(targetId) === String(fromId)) {
+    sendResponse(ws, 'm/send/res', { success: false, error: 'You cannot send parcels to yourself.' });
+    return true;
+  }
 
-  // Store copy in sender "sent"
-  const senderBox = getMailbox(fromId);
-  const sentCopy = { ...message, read: true }; // sent is always "read"
-  senderBox.sent.push(sentCopy);
-  capArray(senderBox.sent, MAX_SENT);
-  saveMailbox(fromId, senderBox);
+  const result = sendTransaction(fromId, fromUsername, targetId, targetUser.username || toUsername, subject, body, attachment);
+  if (!result.success) {
+    sendResponse(ws, 'm/send/res', result);
+    return true;
+  }
 
   // Notify recipient if online
-  sendToUser(targetId, 'mail/new', makeSummary(message));
+  sendToUser(targetId, 'mail/new', makeSummary(result.message));
 
-  sendResponse(ws, 'm/send/res', { success: true });
+  sendResponse(ws, 'm/send/res', attachment
+    ? { success: true, ...playerTotals(fromId, attachment.items) }
+    : { success: true });
 
-  logger.info('MAIL', 'Mail sent', { fromId, to: targetId, subjectLen: subject.length, bodyLen: body.length });
+  logger.info('MAIL', 'Mail sent', {
+    fromId, to: targetId, subjectLen: subject.length, bodyLen: body.length,
+    attachmentId: result.message.attachmentId || null
+  });
   return true;
 }
 
-function handleList(ws) {
+function handleClaim(ws, args) {
+  const userId = ws.userId;
+  const id = args?.[0];
+
+  const result = claimTransaction(userId, id);
+  if (!result.success) {
+    sendResponse(ws, 'm/claim/res', { ...result, id });
+    return true;
+  }
+
+  if (result.codMessage) {
+    sendToUser(result.codMessage.toId, 'mail/new', makeSummary(result.codMessage));
+  }
+
+  sendResponse(ws, 'm/claim/res', {
+    success: true,
+    id: Number(id),
+    attachment: describeAttachment(stmts.getAttachment.get(result.row.id)),
+    ...playerTotals(userId, result.parcel.items)
+  });
+
+  logger.info('MAIL', 'Parcel claimed', { userId, attachmentId: result.row.id, cod: result.row.cod });
+  return true;
+}
+
+function handleReturn(ws, args) {
+  const userId = ws.userId;
+  const id = args?.[0];
+
+  const result = refuseTransaction(userId, id);
+  if (!result.success) {
+    sendResponse(ws, 'm/return/res', { ...result, id });
+    return true;
+  }
+
+  sendToUser(result.returned.toId, 'mail/new', makeSummary(result.returned));
+  sendResponse(ws, 'm/return/res', { success: true, id: Number(id) });
+
+  logger.info('MAIL', 'Parcel refused', { userId, attachmentId: result.row.id });
+  return true;
+}
+
+/**
+ * Parcels still waiting in escrow can't be thrown away with their message.
+ */
+function hasPendingAttachment(msg) {
+  if (!msg?.attachmentId) return false;
+  return stmts.getAttachment.get(msg.attachmentId)?.status === 'pending';
+}
+
+function newestFirst(list) {
+  return [...list].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+}
+
+// ============================================================================
+// FOLDERS & PAGING
+// ============================================================================
+
+function normalizeFolderName(name) {
+  return clampString(name, MAX_FOLDER_NAME).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Folder lookups are case-insensitive; returns the stored spelling.
+ */
+function findFolder(mailbox, name) {
+  const key = normalizeFolderName(name).toLowerCase();
+  if (!key) return null;
+  return mailbox.folders.find(f => f.toLowerCase() === key) || null;
+}
+
+function folderSummaries(mailbox) {
+  return mailbox.folders.map((name) => {
+    const messages = mailbox.inbox.filter(m => m && m.folder === name);
+    return { name, count: messages.length, unread: messages.filter(m => !m.read).length };
+  });
+}
+
+/**
+ * The messages one m/list view covers. Plain "inbox" leaves out requests and
+ * anything filed into a folder.
+ */
+function selectView(mailbox, box, folder) {
+  const inbox = mailbox.inbox.filter(Boolean);
+  switch (box) {
+    case 'sent':
+      return mailbox.sent.filter(Boolean);
+    case 'requests':
+      return inbox.filter(m => isRequestType(m.type));
+    case 'starred':
+      return inbox.filter(m => m.starred);
+    case 'folder':
+      return inbox.filter(m => m.folder === folder);
+    default:
+      return inbox.filter(m => !isRequestType(m.type) && !m.folder);
+  }
+}
+
+function matchesSearch(msg, needle) {
+  return String(msg.subject || '').toLowerCase().includes(needle) ||
+    String(msg.body || '').toLowerCase().includes(needle);
+}
+
+function handleList(ws, args) {
   const userId = ws.userId;
   const box = getMailbox(userId);
+  const query = args?.[0];
+
+  // Legacy callers get everything, newest first
+  if (!query || typeof query !== 'object') {
+    sendResponse(ws, 'm/list/res', {
+      inbox: newestFirst(box.inbox).map(makeSummary),
+      sent: newestFirst(box.sent).map(makeSummary)
+    });
+    return true;
+  }
 
-  // Sort newest first
-  const inbox = [...box.inbox].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0)).map(makeSummary);
-  const sent = [...box.sent].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0)).map(makeSummary);
+  let view = ['sent', 'requests', 'starred', 'folder'].includes(query.box) ? query.box : 'inbox';
+  const folder = (view === 'folder' || query.folder) ? findFolder(box, query.folder) : null;
+  if (folder) view = 'folder';
+  else if (view === 'folder') view = 'inbox';
 
-  sendResponse(ws, 'm/list/res', { inbox, sent });
+  const search = clampString(query.search, MAX_SEARCH).trim();
+  const needle = search.toLowerCase();
+  let messages = selectView(box, view, folder);
+  if (needle) messages = messages.filter(m => matchesSearch(m, needle));
+
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(Number(query.limit)) || DEFAULT_PAGE_SIZE));
+  const total = messages.length;
+  let offset = Math.max(0, Math.floor(Number(query.offset)) || 0);
+  if (offset >= total) offset = Math.max(0, Math.floor((total - 1) / limit) * limit);
+
+  sendResponse(ws, 'm/list/res', {
+    box: view,
+    folder,
+    search,
+    offset,
+    limit,
+    total,
+    items: newestFirst(messages).slice(offset, offset + limit).map(makeSummary),
+    folders: folderSummaries(box),
+    unread: box.inbox.filter(m => m && !m.read && !isRequestType(m.type)).length
+  });
+  return true;
+}
+
+function handleFolderCreate(ws, args) {
+  const userId = ws.userId;
+  const box = getMailbox(userId);
+  const name = normalizeFolderName(args?.[0]);
+
+  if (!name) {
+    sendResponse(ws, 'm/folder/res', { success: false, error: 'Folder name required.' });
+    return true;
+  }
+  if (findFolder(box, name)) {
+    sendResponse(ws, 'm/folder/res', { success: false, error: 'You already have a folder with that name.' });
+    return true;
+  }
+  if (box.folders.length >= MAX_FOLDERS) {
+    sendResponse(ws, 'm/folder/res', { success: false, error: `You can have at most ${MAX_FOLDERS} folders.` });
+    return true;
+  }
+
+  box.folders.push(name);
+  saveMailbox(userId, box);
+  sendResponse(ws, 'm/folder/res', { success: true, folders: folderSummaries(box) });
+  return true;
+}
+
+function handleFolderRename(ws, args) {
+  const userId = ws.userId;
+  const box = getMailbox(userId);
+  const current = findFolder(box, args?.[0]);
+  const name = normalizeFolderName(args?.[1]);
+
+  if (!current) {
+    sendResponse(ws, 'm/folder/res', { success: false, error: 'Folder not found.' });
+    return true;
+  }
+  if (!name) {
+    sendResponse(ws, 'm/folder/res', { success: false, error: 'Folder name required.' });
+    return true;
+  }
+  const clash = findFolder(box, name);
+  if (clash && clash !== current) {
+    sendResponse(ws, 'm/folder/res', { success: false, error: 'You already have a folder with that name.' });
+    return true;
+  }
+
+  box.folders[box.folders.indexOf(current)] = name;
+  for (const msg of box.inbox) {
+    if (msg && msg.folder === current) msg.folder = name;
+  }
+  saveMailbox(userId, box);
+  sendResponse(ws, 'm/folder/res', { success: true, folders: folderSummaries(box) });
+  return true;
+}
+
+function handleFolderDelete(ws, args) {
+  const userId = ws.userId;
+  const box = getMailbox(userId);
+  const current = findFolder(box, args?.[0]);
+
+  if (!current) {
+    sendResponse(ws, 'm/folder/res', { success: false, error: 'Folder not found.' });
+    return true;
+  }
+
+  box.folders = box.folders.filter(f => f !== current);
+  for (const msg of box.inbox) {
+    if (msg && msg.folder === current) delete msg.folder;
+  }
+  saveMailbox(userId, box);
+  sendResponse(ws, 'm/folder/res', { success: true, folders: folderSummaries(box) });
+  return true;
+}
+
+function handleStar(ws, args) {
+  const userId = ws.userId;
+  const box = getMailbox(userId);
+  const msg = findMessage(box, 'inbox', args?.[0]);
+
+  if (!msg) {
+    sendResponse(ws, 'm/star/res', { success: false, error: 'Message not found.', id: args?.[0] });
+    return true;
+  }
+
+  const starred = (typeof args?.[1] === 'boolean') ? args[1] : !msg.starred;
+  if (starred && !msg.starred && box.inbox.filter(m => m && m.starred).length >= MAX_STARRED) {
+    sendResponse(ws, 'm/star/res', { success: false, error: `You can star at most ${MAX_STARRED} messages.`, id: msg.id });
+    return true;
+  }
+
+  if (starred) msg.starred = true;
+  else delete msg.starred;
+  saveMailbox(userId, box);
+  sendResponse(ws, 'm/star/res', { success: true, id: msg.id, starred });
+  return true;
+}
+
+function handleMove(ws, args) {
+  const userId = ws.userId;
+  const box = getMailbox(userId);
+  const ids = Array.isArray(args?.[0]) ? args[0].slice(0, MAX_BULK_IDS) : [args?.[0]];
+  const folderRaw = args?.[1];
+
+  let folder = null;
+  if (folderRaw !== null && folderRaw !== undefined && String(folderRaw).trim() !== '') {
+    folder = findFolder(box, folderRaw);
+    if (!folder) {
+      sendResponse(ws, 'm/move/res', { success: false, error: 'Folder not found.' });
+      return true;
+    }
+  }
+
+  let moved = 0;
+  for (const id of ids) {
+    const msg = findMessage(box, 'inbox', id);
+    // Requests stay where the Social tab can find them
+    if (!msg || isRequestType(msg.type)) continue;
+    if (folder) msg.folder = folder;
+    else delete msg.folder;
+    moved++;
+  }
+
+  if (moved === 0) {
+    sendResponse(ws, 'm/move/res', { success: false, error: 'Nothing to move.' });
+    return true;
+  }
+
+  saveMailbox(userId, box);
+  sendResponse(ws, 'm/move/res', { success: true, moved, folder });
   return true;
 }
 
@@ -238,7 +985,8 @@ function handleRead(ws, args) {
       subject: msg.subject,
       body: msg.body,
       timestamp: msg.timestamp,
-      read: !!msg.read
+      read: !!msg.read,
+      attachment: msg.attachmentId ? describeAttachment(stmts.getAttachment.get(msg.attachmentId)) : null
     }
   });
   return true;
@@ -247,17 +995,28 @@ function handleRead(ws, args) {
 function handleDelete(ws, args) {
   const userId = ws.userId;
   const boxName = normalizeBoxName(args?.[0]);
-  const id = (args?.length >= 2) ? args[1] : args?.[0]; // allow m/delete [id]
+  const target = (args?.length >= 2) ? args[1] : args?.[0]; // allow m/delete [id]
+  const ids = Array.isArray(target) ? target.slice(0, MAX_BULK_IDS) : [target];
 
   const box = getMailbox(userId);
-  const ok = deleteMessage(box, boxName, id);
-  if (!ok) {
-    sendResponse(ws, 'm/delete/res', { success: false, error: 'Message not found.' });
+  let deleted = 0;
+  let skipped = 0;
+  for (const id of ids) {
+    if (boxName === 'inbox' && hasPendingAttachment(findMessage(box, boxName, id))) {
+      skipped++;
+      continue;
+    }
+    if (deleteMessage(box, boxName, id)) deleted++;
+  }
+
+  if (deleted === 0) {
+    const error = skipped > 0 ? 'Claim or return the parcel first.' : 'Message not found.';
+    sendResponse(ws, 'm/delete/res', { success: false, error, deleted, skipped });
     return true;
   }
 
   saveMailbox(userId, box);
-  sendResponse(ws, 'm/delete/res', { success: true });
+  sendResponse(ws, 'm/delete/res', { success: true, deleted, skipped });
   return true;
 }
 
@@ -277,10 +1036,10 @@ function handleClear(ws, args) {
     }
   }
 
-  // Clear inbox (but keep request-type entries by default)
+  // Clear inbox (but keep requests, starred/foldered mail and pending parcels)
   if (scope === 'mail' || scope === 'inbox') {
     const before = box.inbox.length;
-    box.inbox = box.inbox.filter(m => m && isRequestType(m.type));
+    box.inbox = box.inbox.filter(m => m && (isRequestType(m.type) || m.starred || m.folder || hasPendingAttachment(m)));
     if (box.inbox.length !== before) changed = true;
   }
 
@@ -296,13 +1055,27 @@ function processMailCommand(ws, code, args) {
       case 'm/send':
         return handleSend(ws, args);
       case 'm/list':
-        return handleList(ws);
+        return handleList(ws, args);
       case 'm/read':
         return handleRead(ws, args);
       case 'm/delete':
         return handleDelete(ws, args);
       case 'm/clear':
         return handleClear(ws, args);
+      case 'm/claim':
+        return handleClaim(ws, args);
+      case 'm/return':
+        return handleReturn(ws, args);
+      case 'm/star':
+        return handleStar(ws, args);
+      case 'm/move':
+        return handleMove(ws, args);
+      case 'm/folder/create':
+        return handleFolderCreate(ws, args);
+      case 'm/folder/rename':
+        return handleFolderRename(ws, args);
+      case 'm/folder/delete':
+        return handleFolderDelete(ws, args);
       default:
         return false;
     }
@@ -313,4 +1086,24 @@ function processMailCommand(ws, code, args) {
   }
 }
 
-module.exports = { processMailCommand };
+/**
+ * Push mail/new for system mail another module delivered with
+ * deliverSystemMail (call after its transaction commits).
+ */
+function notifyNewMail(message) {
+  if (message) sendToUser(message.toId, 'mail/new', makeSummary(message));
+}
+
+/**
+ * Mailbox counts for the admin player view
+ */
+function getMailStats(userId) {
+  const mailbox = getMailbox(userId);
+  return {
+    inbox: mailbox.inbox.length,
+    unread: mailbox.inbox.filter(m => m && !m.read).length,
+    sent: mailbox.sent.length
+  };
+}
+
+module.exports = { processMailCommand, getMailStats, sendBulkMail, deliverSystemMail, notifyNewMail };
@@ -0,0 +1,808 @@
+/**
+ * Moderation Module (Server Side)
+ *
+ * Player reports and the sanctions that come out of them.
+ *
+ * Reports:
+ *   The REPORT opcode (9) lands in createReport(). Each report is persisted
+ *   with a context snapshot taken at report time:
+ *     - recent chat of the reporter and of the reported user (ring buffers
+ *       fed by handler.js via recordChat)
+ *     - the reporter's map channel
+ *     - whether the reported user was online, and the timestamp
+ *   Admins list / filter / assign / resolve reports through admin_api.js.
+ *   Resolving notifies the reporter with
+ *     RECV system/server "@/report" { reportId, status, actionTaken }
+ *   immediately if online, otherwise on their next login.
+ *
+ * Sanctions (resolution actions, also issued directly by \\mute / \\tempban
+ * and the admin API):
+ *   - warn    : RECV system/server "@/warned" { reason } to the reported user
+ *   - mute    : timed mute row in `sanctions`; enforced on chat, sendto and
+ *               mail (see isMuted)
+ *   - tempban : users.ban + timed row in `sanctions`; lifted by the sweep.
+ *               Refused for an account that is already permanently banned
+ *   - ban     : users.ban (permanent)
+ *   - none / dismiss : no action
+ *
+ * Durations are written like "30s", "15m", "2h", "7d" or "1w" (see
+ * parseDuration); a bare number means minutes.
+ */
+
+const db = require('../database/sqlite');
+const users = require('../database/users');
+const logs = require('../database/logs');
+const logger = require('../utils/logger');
+const pubsub = require('./pubsub');
+const { createRecv } = require('./protocol');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CHAT_HISTORY_SIZE = 20;                    // Messages kept per user
+const CHAT_HISTORY_MAX_AGE_MS = 15 * 60 * 1000;  // Older lines are not snapshotted
+const CHAT_HISTORY_SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_REASON_LENGTH = 200;
+const MAX_NOTE_LENGTH = 500;
+const REPORT_DEDUPE_MS = 10 * 60 * 1000;         // Same reporter -> same user
+const MAX_OPEN_REPORTS_PER_REPORTER = 10;
+const SANCTION_SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_SANCTION_MS = 365 * 24 * 60 * 60 * 1000;
+const SANCTION_TYPES = ['mute', 'tempban'];
+const MAX_CLOSE_REASON_BYTES = 123;              // ws throws on longer close reasons
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const REPORT_STATUS = ['open', 'assigned', 'resolved', 'dismissed'];
+const RESOLUTION_ACTIONS = ['none', 'dismiss', 'warn', 'mute', 'tempban', 'ban'];
+const TIMED_ACTIONS = new Set(['mute', 'tempban']);
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+// userId (string) -> [{ at, channel, text }]
+const chatHistory = new Map();
+
+// ============================================================================
+// DATABASE
+// ============================================================================
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS moderation_reports (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    reporter_id       TEXT NOT NULL,
+    reporter_name     TEXT,
+    reported_id       TEXT NOT NULL,
+    reported_name     TEXT,
+    reason            TEXT NOT NULL,
+    context_json      TEXT NOT NULL,
+    status            TEXT NOT NULL DEFAULT 'open',
+    assigned_to       TEXT,
+    assigned_at       INTEGER,
+    resolved_by       TEXT,
+    resolved_at       INTEGER,
+    resolution_action TEXT,
+    resolution_note   TEXT,
+    sanction_id       INTEGER,
+    reporter_notified INTEGER NOT NULL DEFAULT 0,
+    created_at        INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS sanctions (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id    TEXT NOT NULL,
+    type       TEXT NOT NULL,
+    reason     TEXT,
+    issued_by  TEXT,
+    report_id  INTEGER,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER,
+    lifted_at  INTEGER,
+    lifted_by  TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_reports_status ON moderation_reports (status, created_at);
+  CREATE INDEX IF NOT EXISTS idx_reports_reported ON moderation_reports (reported_id);
+  CREATE INDEX IF NOT EXISTS idx_reports_reporter ON moderation_reports (reporter_id, reporter_notified);
+  CREATE INDEX IF NOT EXISTS idx_sanctions_user ON sanctions (user_id, type, lifted_at);
+`);
+
+const stmts = {
+  insertReport: db.prepare(`
+    INSERT INTO moderation_reports (reporter_id, reporter_name, reported_id, reported_name, reason, context_json, created_at)
+    VALUES (@reporterId, @reporterName, @reportedId, @reportedName, @reason, @contextJson, @now)
+  `),
+  getReport: db.prepare(`SELECT * FROM moderation_reports WHERE id = ?`),
+  recentDuplicate: db.prepare(`
+    SELECT id FROM moderation_reports
+    WHERE reporter_id = ? AND reported_id = ? AND created_at > ? AND status IN ('open', 'assigned')
+    LIMIT 1
+  `),
+  countOpenByReporter: db.prepare(`
+    SELECT COUNT(*) AS n FROM moderation_reports WHERE reporter_id = ? AND status IN ('open', 'assigned')
+  `),
+  assignReport: db.prepare(`
+    UPDATE moderation_reports SET status = 'assigned', assigned_to = ?, assigned_at = ?
+    WHERE id = ? AND status IN ('open', 'assigned')
+  `),
+  resolveReport: db.prepare(`
+    UPDATE moderation_reports
+    SET status = @status, resolved_by = @resolvedBy, resolved_at = @now,
+        resolution_action = @action, resolution_note = @note, sanction_id = @sanctionId
+    WHERE id = @id
+  `),
+  pendingNotifications: db.prepare(`
+    SELECT * FROM moderation_reports
+    WHERE reporter_id = ? AND status IN ('resolved', 'dismissed') AND reporter_notified = 0
+  `),
+  markNotified: db.prepare(`UPDATE moderation_reports SET reporter_notified = 1 WHERE id = ?`),
+
+  insertSanction: db.prepare(`
+    INSERT INTO sanctions (user_id, type, reason, issued_by, report_id, created_at, expires_at)
+    VALUES (@userId, @type, @reason, @issuedBy, @reportId, @now, @expiresAt)
+  `),
+  getSanction: db.prepare(`SELECT * FROM sanctions WHERE id = ?`),
+  activeSanction: db.prepare(`
+    SELECT * FROM sanctions
+    WHERE user_id = ? AND type = ? AND lifted_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+    ORDER BY expires_at DESC LIMIT 1
+  `),
+  expiredSanctions: db.prepare(`
+    SELECT * FROM sanctions WHERE lifted_at IS NULL AND expires_at IS NOT NULL AND expires_at <= ?
+  `),
+  expiredUserSanctions: db.prepare(`
+    SELECT * FROM sanctions
+    WHERE user_id = ? AND type = ? AND lifted_at IS NULL AND expires_at IS NOT NULL AND expires_at <= ?
+  `),
+  liftSanction: db.prepare(`UPDATE sanctions SET lifted_at = ?, lifted_by = ? WHERE id = ? AND lifted_at IS NULL`),
+  liftActiveOfType: db.prepare(`
+    UPDATE sanctions SET lifted_at = ?, lifted_by = ?
+    WHERE user_id = ? AND type = ? AND lifted_at IS NULL
+  `),
+  updateSanction: db.prepare(`UPDATE sanctions SET expires_at = @expiresAt, reason = @reason WHERE id = @id`)
+};
+
+function parseJson(text, fallback) {
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function rowToReport(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    reporterId: row.reporter_id,
+    reporterName: row.reporter_name,
+    reportedId: row.reported_id,
+    reportedName: row.reported_name,
+    reason: row.reason,
+    context: parseJson(row.context_json, {}),
+    status: row.status,
+    assignedTo: row.assigned_to,
+    assignedAt: row.assigned_at,
+    resolvedBy: row.resolved_by,
+    resolvedAt: row.resolved_at,
+    resolutionAction: row.resolution_action,
+    resolutionNote: row.resolution_note,
+    sanctionId: row.sanction_id,
+    reporterNotified: !!row.reporter_notified,
+    createdAt: row.created_at
+  };
+}
+
+function rowToSanction(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    type: row.type,
+    reason: row.reason,
+    issuedBy: row.issued_by,
+    reportId: row.report_id,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    liftedAt: row.lifted_at,
+    liftedBy: row.lifted_by
+  };
+}
+
+// ============================================================================
+// CHAT CONTEXT
+// ============================================================================
+
+/**
+ * Remember a chat line for report snapshots.
+ * Called by handler.js for map chat publishes and chat broadcasts.
+ */
+function recordChat(userId, channel, text) {
+  if (userId == null || typeof text !== 'string' || !text) return;
+
+  const key = String(userId);
+  let lines = chatHistory.get(key);
+  if (!lines) {
+    lines = [];
+    chatHistory.set(key, lines);
+  }
+
+  lines.push({ at: Date.now(), channel: channel || null, text: text.substring(0, 500) });
+  if (lines.length > CHAT_HISTORY_SIZE) lines.shift();
+}
+
+function recentChat(userId) {
+  const cutoff = Date.now() - CHAT_HISTORY_MAX_AGE_MS;
+  return (chatHistory.get(String(userId)) || []).filter(l => l.at >= cutoff);
+}
+
+/**
+ * Drop lines too old to be snapshotted, and users left with none (players
+ * who logged off keep theirs until then, so they can still be reported).
+ */
+function sweepChatHistory() {
+  const cutoff = Date.now() - CHAT_HISTORY_MAX_AGE_MS;
+  for (const [key, lines] of chatHistory) {
+    while (lines.length > 0 && lines[0].at < cutoff) lines.shift();
+    if (lines.length === 0) chatHistory.delete(key);
+  }
+}
+
+setInterval(sweepChatHistory, CHAT_HISTORY_SWEEP_INTERVAL_MS).unref();
+
+function getMapChannel(ws) {
+  const connChannels = pubsub.connectionChannels.get(ws);
+  if (!connChannels) return null;
+  for (const channelKey of connChannels) {
+    const [group, channel] = channelKey.split(':');
+    if (group === 'map') return channel;
+  }
+  return null;
+}
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+/**
+ * Resolve the client-supplied reported user (user id or username).
+ */
+function resolveUser(target) {
+  if (target == null || target === '') return null;
+  return users.getById(target) || users.getById(Number(target)) || users.getByUsername(String(target)) || null;
+}
+
+/**
+ * Persist a report from a connected player.
+ * @returns {{ success: boolean, reportId?: number, error?: string }}
+ */
+function createReport(ws, reportedUser, reason) {
+  const { userId, username } = ws;
+  const reported = resolveUser(reportedUser);
+
+  if (!reported) {
+    logger.warn('MODERATION', 'Report for unknown user', { userId, reportedUser });
+    return { success: false, error: 'Unknown user' };
+  }
+
+  const reporterId = String(userId);
+  const reportedId = String(reported.id);
+  if (reporterId === reportedId) {
+    return { success: false, error: 'Cannot report yourself' };
+  }
+
+  const cleanReason = String(reason || '').trim().substring(0, MAX_REASON_LENGTH) || 'No reason given';
+  const now = Date.now();
+
+  if (stmts.recentDuplicate.get(reporterId, reportedId, now - REPORT_DEDUPE_MS)) {
+    logger.debug('MODERATION', 'Duplicate report ignored', { userId, reportedId });
+    return { success: false, error: 'Already reported' };
+  }
+
+  if (stmts.countOpenByReporter.get(reporterId).n >= MAX_OPEN_REPORTS_PER_REPORTER) {
+    logger.security('Report flood blocked', { userId });
+    return { success: false, error: 'Too many open reports' };
+  }
+
+  const context = {
+    at: now,
+    mapChannel: getMapChannel(ws),
+    reportedOnline: pubsub.isUserOnline(reported.id),
+    reporterChat: recentChat(userId),
+    reportedChat: recentChat(reported.id)
+  };
+
+  const info = stmts.insertReport.run({
+    reporterId,
+    reporterName: username || null,
+    reportedId,
+    reportedName: reported.username || null,
+    reason: cleanReason,
+    contextJson: JSON.stringify(context),
+    now
+  });
+  const reportId = Number(info.lastInsertRowid);
+
+  logs.log(userId, null, 'REPORT_CREATE', 'MODERATION', { reportId, reportedId, reason: cleanReason });
+  logger.info('MODERATION', `Report created`, { reportId, reporter: username, reported: reported.username });
+
+  return { success: true, reportId };
+}
+
+function getReport(reportId) {
+  return rowToReport(stmts.getReport.get(Number(reportId)));
+}
+
+/**
+ * List reports, newest first.
+ * @param {object} filter - { status?, reporterId?, reportedId?, assignedTo?, limit?, offset? }
+ */
+function listReports(filter = {}) {
+  const where = [];
+  const params = [];
+
+  if (filter.status) {
+    const statuses = String(filter.status).split(',').filter(s => REPORT_STATUS.includes(s));
+    if (statuses.length > 0) {
+      where.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+  }
+  if (filter.reporterId != null && filter.reporterId !== '') {
+    where.push('reporter_id = ?');
+    params.push(String(filter.reporterId));
+  }
+  if (filter.reportedId != null && filter.reportedId !== '') {
+    where.push('reported_id = ?');
+    params.push(String(filter.reportedId));
+  }
+  if (filter.assignedTo) {
+    where.push('assigned_to = ?');
+    params.push(String(filter.assignedTo));
+  }
+
+  const limit = Math.max(1, Math.min(500, Number(filter.limit) || 100));
+  const offset = Math.max(0, Number(filter.offset) || 0);
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM moderation_reports ${whereSql}`).get(...params).n;
+  const rows = db.prepare(`
+    SELECT * FROM moderation_reports ${whereSql}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  return { total, limit, offset, reports: rows.map(rowToReport) };
+}
+
+function countOpenReports() {
+  return db.prepare(`SELECT COUNT(*) AS n FROM moderation_reports WHERE status IN ('open', 'assigned')`).get().n;
+}
+
+/**
+ * Assign a report to an admin (re-assigning is allowed until resolved).
+ */
+function assignReport(reportId, assignee) {
+  const report = getReport(reportId);
+  if (!report) return { success: false, error: 'Report not found' };
+  if (report.status === 'resolved' || report.status === 'dismissed') {
+    return { success: false, error: 'Report already closed' };
+  }
+
+  stmts.assignReport.run(String(assignee), Date.now(), report.id);
+  logger.admin(`Report ${report.id} assigned to ${assignee}`, { reportId: report.id });
+  return { success: true, report: getReport(report.id) };
+}
+
+/**
+ * Resolve a report and apply the chosen action to the reported user.
+ *
+ * @param {number} reportId
+ * @param {string} adminId - admin username
+ * @param {object} options - { action, durationMs?, note? }
+ */
+function resolveReport(reportId, adminId, options = {}) {
+  const report = getReport(reportId);
+  if (!report) return { success: false, error: 'Report not found' };
+  if (report.status === 'resolved' || report.status === 'dismissed') {
+    return { success: false, error: 'Report already closed' };
+  }
+
+  const action = options.action || 'none';
+  if (!RESOLUTION_ACTIONS.includes(action)) {
+    return { success: false, error: `Invalid action (expected ${RESOLUTION_ACTIONS.join(', ')})` };
+  }
+
+  const durationMs = Number(options.durationMs);
+  if (TIMED_ACTIONS.has(action) && !(Number.isFinite(durationMs) && durationMs > 0)) {
+    return { success: false, error: 'Duration required for mute/tempban' };
+  }
+
+  const note = String(options.note || '').trim().substring(0, MAX_NOTE_LENGTH) || null;
+  const sanctionReason = note || `Report #${report.id}: ${report.reason}`;
+
+  const applied = applyAction(report.reportedId, action, {
+    reason: sanctionReason,
+    issuedBy: adminId,
+    durationMs,
+    reportId: report.id
+  });
+  if (!applied.success) return applied;
+
+  stmts.resolveReport.run({
+    id: report.id,
+    status: action === 'dismiss' ? 'dismissed' : 'resolved',
+    resolvedBy: String(adminId),
+    now: Date.now(),
+    action,
+    note,
+    sanctionId: applied.sanctionId ?? null
+  });
+
+  logs.log(report.reportedId, null, 'REPORT_RESOLVE', 'MODERATION', { reportId: report.id, action, adminId, note });
+  logger.admin(`Report ${report.id} resolved: ${action}`, { adminId, reportedId: report.reportedId });
+
+  const resolved = getReport(report.id);
+  notifyReporter(resolved);
+  return { success: true, report: resolved };
+}
+
+/**
+ * Tell the reporter their report was handled (now, or on next login).
+ */
+function notifyReporter(report) {
+  const msg = createRecv('system', 'server', '@/report', [{
+    reportId: report.id,
+    status: report.status,
+    actionTaken: !['none', 'dismiss'].includes(report.resolutionAction)
+  }]);
+
+  const reporter = resolveUser(report.reporterId);
+  if (reporter && pubsub.sendToUser(reporter.id, msg)) {
+    stmts.markNotified.run(report.id);
+  }
+}
+
+// ============================================================================
+// SANCTIONS
+// ============================================================================
+
+/**
+ * "30s" / "15m" / "2h" / "7d" / "1w" / "90" (minutes) -> ms, or null
+ */
+function parseDuration(text) {
+  const m = String(text ?? '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)([smhdw]?)$/);
+  if (!m) return null;
+  const ms = Math.round(Number(m[1]) * DURATION_UNITS[m[2] || 'm']);
+  if (!Number.isFinite(ms) || ms <= 0 || ms > MAX_SANCTION_MS) return null;
+  return ms;
+}
+
+/**
+ * ms -> "2d 3h", "15m", "40s"
+ */
+function formatDuration(ms) {
+  let rest = Math.max(0, Math.ceil(ms / 1000));
+  const parts = [];
+  for (const [unit, size] of [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]]) {
+    if (rest >= size || (unit === 's' && parts.length === 0)) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+    if (parts.length === 2) break;
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Apply a resolution action to a user.
+ * @returns {{ success: boolean, sanctionId?: number, error?: string }}
+ */
+function applyAction(userId, action, { reason, issuedBy, durationMs, reportId = null }) {
+  const target = resolveUser(userId);
+  if (!target) return { success: false, error: 'Reported user no longer exists' };
+
+  switch (action) {
+    case 'none':
+    case 'dismiss':
+      return { success: true };
+
+    case 'warn':
+      pubsub.sendToUser(target.id, createRecv('system', 'server', '@/warned', [{ reason }]));
+      logs.log(target.id, null, 'SANCTION_WARN', 'MODERATION', { reason, issuedBy, reportId });
+      return { success: true };
+
+    case 'mute':
+    case 'tempban':
+      return issueSanction(target, action, { reason, issuedBy, durationMs, reportId });
+
+    case 'ban':
+      users.ban(target.id, reason, issuedBy);
+      // A permanent ban supersedes any running temp-ban
+      liftActive(target.id, 'tempban', issuedBy);
+      pubsub.disconnectUser(target.id, 1000, 'Banned', createRecv('system', 'server', '@/banned', [reason]));
+      logs.log(target.id, null, 'SANCTION_BAN', 'MODERATION', { reason, issuedBy, reportId });
+      return { success: true };
+
+    default:
+      return { success: false, error: 'Invalid action' };
+  }
+}
+
+/**
+ * Insert a timed sanction, replacing any active one of the same type.
+ */
+const issueSanctionTransaction = db.transaction((userId, type, reason, issuedBy, reportId, now, expiresAt) => {
+  stmts.liftActiveOfType.run(now, String(issuedBy), userId, type);
+  return stmts.insertSanction.run({ userId, type, reason, issuedBy: String(issuedBy), reportId, now, expiresAt });
+});
+
+function issueSanction(target, type, { reason, issuedBy, durationMs, reportId = null }) {
+  if (!SANCTION_TYPES.includes(type)) return { success: false, error: 'Invalid sanction type' };
+  if (!(Number.isFinite(durationMs) && durationMs > 0 && durationMs <= MAX_SANCTION_MS)) {
+    return { success: false, error: 'Invalid duration' };
+  }
+
+  // A ban without a running temp-ban is permanent: lifting the temp-ban would unban it
+  if (type === 'tempban' && target.isBanned && !getActiveSanction(target.id, 'tempban')) {
+    return { success: false, error: 'User is already permanently banned' };
+  }
+
+  const now = Date.now();
+  const expiresAt = now + durationMs;
+  const info = issueSanctionTransaction(String(target.id), type, reason || null, issuedBy, reportId, now, expiresAt);
+
+  if (type === 'tempban') {
+    users.ban(target.id, reason, issuedBy);
+    const message = banMessage(reason, durationMs);
+    pubsub.disconnectUser(target.id, 1000, closeReason(message), createRecv('system', 'server', '@/banned', [reason, message]));
+  } else {
+    pubsub.sendToUser(target.id, createRecv('system', 'server', '@/muted', [{ reason, expiresAt }]));
+  }
+
+  logs.log(target.id, null, `SANCTION_${type.toUpperCase()}`, 'MODERATION', { reason, issuedBy, reportId, durationMs });
+  logger.admin(`${type} issued: ${target.username} for ${formatDuration(durationMs)}`, { issuedBy, userId: target.id });
+  return { success: true, sanctionId: Number(info.lastInsertRowid), expiresAt };
+}
+
+/**
+ * Mute a user (by id or username) for durationMs.
+ */
+function mute(user, durationMs, reason, issuedBy) {
+  const target = resolveUser(user);
+  if (!target) return { success: false, error: 'User not found' };
+  return issueSanction(target, 'mute', { reason, issuedBy, durationMs });
+}
+
+/**
+ * Temp-ban a user (by id or username) for durationMs.
+ */
+function tempBan(user, durationMs, reason, issuedBy) {
+  const target = resolveUser(user);
+  if (!target) return { success: false, error: 'User not found' };
+  return issueSanction(target, 'tempban', { reason, issuedBy, durationMs });
+}
+
+/**
+ * Lift every active sanction of a type for a user (e.g. \\unmute, \\unban).
+ * @returns {number} sanctions lifted
+ */
+function liftActive(userId, type, liftedBy) {
+  const info = stmts.liftActiveOfType.run(Date.now(), String(liftedBy), String(userId), type);
+  if (info.changes > 0) {
+    logs.log(userId, null, 'SANCTION_LIFT', 'MODERATION', { type, liftedBy, count: info.changes });
+  }
+  return info.changes;
+}
+
+/**
+ * Active mute for a user, or null. Used to gate chat, sendto and mail.
+ */
+function isMuted(userId) {
+  return getActiveSanction(userId, 'mute');
+}
+
+/**
+ * Full ban text shown to a banned player on connect/kick. The remaining time
+ * comes first so it survives closeReason() truncation.
+ */
+function banMessage(reason, remainingMs = null) {
+  const head = remainingMs == null ? 'Banned' : `Banned (${formatDuration(remainingMs)} remaining)`;
+  return `${head}: ${reason || 'No reason'}`;
+}
+
+/**
+ * Cut a message to the WebSocket close-reason limit (123 UTF-8 bytes),
+ * on a character boundary.
+ */
+function closeReason(message) {
+  if (Buffer.byteLength(message, 'utf8') <= MAX_CLOSE_REASON_BYTES) return message;
+
+  let out = '';
+  let bytes = 0;
+  for (const ch of message) {
+    const size = Buffer.byteLength(ch, 'utf8');
+    if (bytes + size > MAX_CLOSE_REASON_BYTES - 3) break;
+    out += ch;
+    bytes += size;
+  }
+  return `${out}...`;
+}
+
+/**
+ * Ban check for handleConnection. Lifts temp-bans that expired between
+ * sweeps, so a player is never locked out past their time.
+ * @returns {{ banned: boolean, closeReason?: string, reason?: string, message?: string }}
+ */
+function checkBan(user) {
+  if (!user?.isBanned) return { banned: false };
+
+  const tempban = getActiveSanction(user.id, 'tempban');
+  if (tempban) {
+    const reason = tempban.reason || user.banReason;
+    const message = banMessage(reason, tempban.expiresAt - Date.now());
+    return { banned: true, closeReason: closeReason(message), reason, message };
+  }
+
+  // Banned by an expired (not yet swept) temp-ban -> lift it now
+  const lapsed = stmts.expiredUserSanctions.all(String(user.id), 'tempban', Date.now());
+  if (lapsed.length > 0) {
+    for (const row of lapsed) liftSanction(row.id, 'system');
+    return { banned: false };
+  }
+
+  const message = banMessage(user.banReason);
+  return { banned: true, closeReason: closeReason(message), reason: user.banReason, message };
+}
+
+/**
+ * Change a sanction's expiry and/or reason (admin API).
+ * @param {object} changes - { durationMs? (from now), expiresAt?, reason? }
+ */
+function updateSanction(sanctionId, changes, updatedBy) {
+  const sanction = rowToSanction(stmts.getSanction.get(Number(sanctionId)));
+  if (!sanction) return { success: false, error: 'Sanction not found' };
+  if (sanction.liftedAt) return { success: false, error: 'Sanction already lifted' };
+
+  let expiresAt = sanction.expiresAt;
+  if (changes.durationMs != null) {
+    const ms = Number(changes.durationMs);
+    if (!(Number.isFinite(ms) && ms > 0 && ms <= MAX_SANCTION_MS)) return { success: false, error: 'Invalid duration' };
+    expiresAt = Date.now() + ms;
+  } else if (changes.expiresAt != null) {
+    expiresAt = Number(changes.expiresAt);
+    if (!Number.isFinite(expiresAt) || expiresAt <= Date.now()) return { success: false, error: 'Invalid expiresAt' };
+  }
+
+  const reason = changes.reason != null ? String(changes.reason).substring(0, MAX_NOTE_LENGTH) : sanction.reason;
+  stmts.updateSanction.run({ id: sanction.id, expiresAt, reason });
+
+  logs.log(sanction.userId, null, 'SANCTION_UPDATE', 'MODERATION', { sanctionId: sanction.id, expiresAt, reason, updatedBy });
+  logger.admin(`Sanction ${sanction.id} updated`, { updatedBy, expiresAt });
+  return { success: true, sanction: rowToSanction(stmts.getSanction.get(sanction.id)) };
+}
+
+/**
+ * List sanctions, newest first.
+ * @param {object} filter - { userId?, type?, active?, limit?, offset? }
+ */
+function listSanctions(filter = {}) {
+  const where = [];
+  const params = [];
+
+  if (filter.userId != null && filter.userId !== '') {
+    where.push('user_id = ?');
+    params.push(String(filter.userId));
+  }
+  if (filter.type && SANCTION_TYPES.includes(filter.type)) {
+    where.push('type = ?');
+    params.push(filter.type);
+  }
+  if (filter.active) {
+    where.push('lifted_at IS NULL AND (expires_at IS NULL OR expires_at > ?)');
+    params.push(Date.now());
+  }
+
+  const limit = Math.max(1, Math.min(500, Number(filter.limit) || 100));
+  const offset = Math.max(0, Number(filter.offset) || 0);
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM sanctions ${whereSql}`).get(...params).n;
+  const rows = db.prepare(`
+    SELECT * FROM sanctions ${whereSql}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  return { total, limit, offset, sanctions: rows.map(rowToSanction) };
+}
+
+/**
+ * Active (unexpired, unlifted) sanction of a type for a user, or null
+ */
+function getActiveSanction(userId, type) {
+  return rowToSanction(stmts.activeSanction.get(String(userId), type, Date.now()));
+}
+
+/**
+ * Lift a sanction early (or on expiry). Temp-bans are unbanned via users.
+ */
+function liftSanction(sanctionId, liftedBy) {
+  const sanction = rowToSanction(stmts.getSanction.get(Number(sanctionId)));
+  if (!sanction) return { success: false, error: 'Sanction not found' };
+  if (sanction.liftedAt) return { success: false, error: 'Sanction already lifted' };
+
+  stmts.liftSanction.run(Date.now(), String(liftedBy), sanction.id);
+
+  if (sanction.type === 'tempban') {
+    const target = resolveUser(sanction.userId);
+    if (target?.isBanned) users.unban(target.id, liftedBy);
+  }
+
+  logs.log(sanction.userId, null, 'SANCTION_LIFT', 'MODERATION', { sanctionId: sanction.id, type: sanction.type, liftedBy });
+  return { success: true };
+}
+
+function sweepExpiredSanctions() {
+  try {
+    for (const row of stmts.expiredSanctions.all(Date.now())) {
+      liftSanction(row.id, 'system');
+      logger.info('MODERATION', `Sanction expired: ${row.type}`, { userId: row.user_id, sanctionId: row.id });
+    }
+  } catch (err) {
+    logger.error('MODERATION', 'Sanction sweep failed', { error: err.message });
+  }
+}
+
+setInterval(sweepExpiredSanctions, SANCTION_SWEEP_INTERVAL_MS).unref();
+
+// ============================================================================
+// CONNECTION HOOKS
+// ============================================================================
+
+/**
+ * Deliver report outcomes that were resolved while the reporter was offline.
+ * Called by server.js on connect.
+ */
+function onPlayerLogin(ws) {
+  try {
+    for (const row of stmts.pendingNotifications.all(String(ws.userId))) {
+      notifyReporter(rowToReport(row));
+    }
+  } catch (err) {
+    logger.error('MODERATION', 'Failed to deliver report notifications', { userId: ws.userId, error: err.message });
+  }
+}
+
+module.exports = {
+  RESOLUTION_ACTIONS,
+  SANCTION_TYPES,
+  parseDuration,
+  formatDuration,
+  recordChat,
+  createReport,
+  getReport,
+  listReports,
+  countOpenReports,
+  assignReport,
+  resolveReport,
+  applyAction,
+  mute,
+  tempBan,
+  isMuted,
+  checkBan,
+  getActiveSanction,
+  listSanctions,
+  updateSanction,
+  liftSanction,
+  liftActive,
+  onPlayerLogin
+};
@@ -22,9 +22,11 @@ var $plugins =
 {"name":"Character_Creation","status":true,"description":"[v2.0] Character Creation system - M/F pairs for hairstyles, multi-page colors","parameters":{"classConfig":"[\"{\\\"classId\\\":\\\"1\\\",\\\"maleSprite\\\":\\\"En1_Actor1_1\\\",\\\"femaleSprite\\\":\\\"En1_Actor1_2\\\",\\\"hairstylePages\\\":\\\"4\\\",\\\"colorPages\\\":\\\"4\\\"}\",\"{\\\"classId\\\":\\\"2\\\",\\\"maleSprite\\\":\\\"En1_Actor2_1\\\",\\\"femaleSprite\\\":\\\"En1_Actor2_2\\\",\\\"hairstylePages\\\":\\\"2\\\",\\\"colorPages\\\":\\\"4\\\"}\",\"{\\\"classId\\\":\\\"3\\\",\\\"maleSprite\\\":\\\"En1_Actor1_7\\\",\\\"femaleSprite\\\":\\\"En1_Actor1_8\\\",\\\"hairstylePages\\\":\\\"1\\\",\\\"colorPages\\\":\\\"3\\\"}\",\"{\\\"classId\\\":\\\"4\\\",\\\"maleSprite\\\":\\\"En1_Actor4_1\\\",\\\"femaleSprite\\\":\\\"En1_Actor3_6\\\",\\\"hairstylePages\\\":\\\"0\\\",\\\"colorPages\\\":\\\"0\\\"}\",\"{\\\"classId\\\":\\\"5\\\",\\\"maleSprite\\\":\\\"En1_Actor1_3\\\",\\\"femaleSprite\\\":\\\"En1_Actor1_4\\\",\\\"hairstylePages\\\":\\\"0\\\",\\\"colorPages\\\":\\\"0\\\"}\",\"{\\\"classId\\\":\\\"6\\\",\\\"maleSprite\\\":\\\"En1_Actor2_7\\\",\\\"femaleSprite\\\":\\\"En1_Actor2_8\\\",\\\"hairstylePages\\\":\\\"0\\\",\\\"colorPages\\\":\\\"0\\\"}\",\"{\\\"classId\\\":\\\"7\\\",\\\"maleSprite\\\":\\\"En1_Actor3_7\\\",\\\"femaleSprite\\\":\\\"En1_Actor3_8\\\",\\\"hairstylePages\\\":\\\"0\\\",\\\"colorPages\\\":\\\"0\\\"}\",\"{\\\"classId\\\":\\\"8\\\",\\\"maleSprite\\\":\\\"En1_Actor3_1\\\",\\\"femaleSprite\\\":\\\"En1_Actor3_2\\\",\\\"hairstylePages\\\":\\\"0\\\",\\\"colorPages\\\":\\\"0\\\"}\",\"{\\\"classId\\\":\\\"9\\\",\\\"maleSprite\\\":\\\"En1_Actor2_5\\\",\\\"femaleSprite\\\":\\\"En1_Actor2_6\\\",\\\"hairstylePages\\\":\\\"0\\\",\\\"colorPages\\\":\\\"0\\\"}\",\"{\\\"classId\\\":\\\"10\\\",\\\"maleSprite\\\":\\\"En1_Actor4_7\\\",\\\"femaleSprite\\\":\\\"En1_Actor4_7f\\\",\\\"hairstylePages\\\":\\\"0\\\",\\\"colorPages\\\":\\\"0\\\"}\",\"{\\\"classId\\\":\\\"11\\\",\\\"maleSprite\\\":\\\"En1_Actor3_5_m\\\",\\\"femaleSprite\\\":\\\"En1_Actor4_2\\\",\\\"hairstylePages\\\":\\\"0\\\",\\\"colorPages\\\":\\\"0\\\"}\",\"{\\\"classId\\\":\\\"12\\\",\\\"maleSprite\\\":\\\"En1_Actor4_4\\\",\\\"femaleSprite\\\":\\\"\\\",\\\"hairstylePages\\\":\\\"0\\\",\\\"colorPages\\\":\\\"0\\\"}\",\"{\\\"classId\\\":\\\"13\\\",\\\"maleSprite\\\":\\\"\\\",\\\"femaleSprite\\\":\\\"En1_Actor4_8\\\",\\\"hairstylePages\\\":\\\"0\\\",\\\"colorPages\\\":\\\"0\\\"}\",\"{\\\"classId\\\":\\\"14\\\",\\\"maleSprite\\\":\\\"En1_Actor2_3\\\",\\\"femaleSprite\\\":\\\"En1_Actor2_4\\\",\\\"hairstylePages\\\":\\\"0\\\",\\\"colorPages\\\":\\\"0\\\"}\",\"{\\\"classId\\\":\\\"15\\\",\\\"maleSprite\\\":\\\"En1_Actor3_3\\\",\\\"femaleSprite\\\":\\\"En1_Actor3_4\\\",\\\"hairstylePages\\\":\\\"0\\\",\\\"colorPages\\\":\\\"0\\\"}\",\"{\\\"classId\\\":\\\"16\\\",\\\"maleSprite\\\":\\\"En1_Actor4_5\\\",\\\"femaleSprite\\\":\\\"En1_Actor4_6\\\",\\\"hairstylePages\\\":\\\"0\\\",\\\"colorPages\\\":\\\"0\\\"}\",\"{\\\"classId\\\":\\\"17\\\",\\\"maleSprite\\\":\\\"En1_Actor1_5\\\",\\\"femaleSprite\\\":\\\"En1_Actor1_6\\\",\\\"hairstylePages\\\":\\\"0\\\",\\\"colorPages\\\":\\\"0\\\"}\"]","previewX":"600","previewY":"400","previewScale":"1.0","classPreviewScale":"1","fallbackCharacter":"warrior_hairstyles_0","fallbackFace":"Warrior_face_colors_0"}},
 {"name":"Samborlini_AutoGuardTimeout","status":true,"description":"[Version 1.0] Auto-Guard after idle time in battle with customizable warning. Resets timer instantly on input confirm.","parameters":{"Warning Time":"50","Auto Guard Time":"60","Warning Message":"You are taking too long... Choosing Guard action for you soon!"}},
 {"name":"MMORPG_Mail","status":true,"description":"v1.0.0 Player Mail + Online Players List (server-backed)","parameters":{"mmoGlobalName":"client"}},
+{"name":"MMORPG_Auction","status":true,"description":"v1.0.0 Auction House (server-held listings, buyout and bidding)","parameters":{"mmoGlobalName":"client"}},
 {"name":"MMORPG_Social","status":true,"description":"MMORPG Social (Friends + Blocklist) - Friend requests delivered via Mail.","parameters":{}},
 {"name":"MMORPG_Guild","status":true,"description":"v1.3.0 Guild System with Map Sync - <guild> tag support for guild-only visibility","parameters":{"confirmDisband":"true","confirmLeave":"true","chatPrefix":"[Guild]","mmoGlobalName":"client"}},
 {"name":"CombatStatus_by_Geck","status":true,"description":"[v2.5] Show combat status icon above players in battle with DotMove support","parameters":{"iconIndex":"131","victoryIconIndex":"87","defeatIconIndex":"1","resultDuration":"180","iconSize":"24","iconYOffset":"-48","blinkSpeed":"0.05","debugMode":"false"}},
+{"name":"ATB_Sim","status":true,"description":"[ATB v3.0] Sim — Deterministic tick-based ATB math (shared with the server)","parameters":{}},
 {"name":"ATB_Core","status":true,"description":"[ATB] Core — Chrono Trigger-style Active Time Battle (v1.0)","parameters":{"GLOBAL_BATTLE_SPEED":"1.00","MAX_ATB_GAUGE":"10000","AGI_REFERENCE_VALUE":"20","BASE_MOVEMENT_DRAIN":"180","MOVEMENT_SOFT_CAP":"180","MOVEMENT_WALK_SPEED":"3","MAX_PROXIMITY_BONUS":"0.25","MAX_PROXIMITY_CRIT":"0.15","BATTLE_AREA_WIDTH":"700","BATTLE_AREA_HEIGHT":"400","DEFAULT_COLLISION_RAD":"24","GUARD_DAMAGE_RATE":"0.50","INTERRUPT_GAUGE_REFUND":"0.50","BATTLER_SCALE":"1.0","ATB_FILL_BASE":"400"}},
 {"name":"ATB_EnemyRuntime","status":true,"description":"[ATB] Enemy Runtime — Idle wander + AI (v3.0)","parameters":{}},
 {"name":"ATB_BattleUI","status":true,"description":"ATB Battle UI — HUD, gauges, targeting, damage numbers, telegraphs [Phase 6]","parameters":{"ATB_GAUGE_WIDTH":"120","ATB_GAUGE_HEIGHT":"10","SHOW_ENEMY_ATB":"false","DAMAGE_NUMBER_DURATION":"45","SHOW_RANGE_INDICATORS":"true","SHOW_MOVE_PREVIEW":"true"}},
@@ -3,28 +3,251 @@
  *
  * Commands (broadcast codes):
  * - u/online []
+ * - u/status [status, message?]   status: "online" | "away" | "busy" | "invisible"
+ *                                 message: custom status text (omit to keep the current one)
+ * - u/activity [{ mapName }]      client reports the map it is on
+ * - u/idle [idle]                 client reports no input for a while (auto-away)
  *
  * Response (direct RECV to requester, group "users"):
- * - u/online/res { users: [{ id, username }], count }
+ * - u/online/res { users: [{ id, username, status, message, activity }], count }
+ * - u/status/res { success, error?, presence? }
+ *
+ * Push (direct RECV to friends and online guildmates, group "users"):
+ * - u/presence   Presence, sent whenever what they would see changes
+ * - u/self       Presence, to the player themselves on login (saved status)
+ *
+ * Presence: { userId, username, online, status, message, activity }
+ * - status "offline" covers both logged-out and invisible players
+ * - activity: { mapName, inBattle, inTrade, inParty } (null while offline);
+ *   battle/trade/party come from the player's pubsub groups
+ * - An "online" player whose client reports idle shows as "away"
+ * - The chosen status and message are kept in personal storage ('presence')
+ *
+ * Login tracking:
+ * - player_logins keeps each account's last login / last seen time
+ *   (server.js calls onPlayerLogin / onPlayerLogout).
  */
 
+const db = require('../database/sqlite');
+const storage = require('../database/storage');
 const logger = require('../utils/logger');
-const { createRecv } = require('./protocol');
+const pubsub = require('./pubsub');
+const social = require('./social');
+const guild = require('./guild');
+const { createRecv, withRequestId } = require('./protocol');
+
+const PRESENCE_KEY = 'presence';
+const STATUSES = ['online', 'away', 'busy', 'invisible'];
+const MAX_STATUS_MESSAGE = 60;
+const MAX_MAP_NAME = 40;
+const PRESENCE_SWEEP_INTERVAL_MS = 15 * 1000;
+
+// userId (string) -> { username, status, message, idle, mapName, lastPushed, lastOnline }
+const presenceState = new Map();
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS player_logins (
+    user_id       TEXT PRIMARY KEY,
+    last_login_at INTEGER NOT NULL,
+    last_seen_at  INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_player_logins_login ON player_logins (last_login_at);
+`);
+
+const stmts = {
+  // last_seen_at is left alone on login so it keeps the previous session's
+  // disconnect time (0 = never disconnected yet)
+  login: db.prepare(`
+    INSERT INTO player_logins (user_id, last_login_at, last_seen_at) VALUES (@userId, @now, 0)
+    ON CONFLICT(user_id) DO UPDATE SET last_login_at = @now
+  `),
+  seen: db.prepare(`UPDATE player_logins SET last_seen_at = ? WHERE user_id = ?`),
+  lastSeen: db.prepare(`SELECT last_seen_at FROM player_logins WHERE user_id = ?`),
+  activeSince: db.prepare(`SELECT user_id FROM player_logins WHERE last_login_at >= ?`)
+};
 
 function sendResponse(ws, code, data) {
   try {
-    ws.send(createRecv('users', 'server', code, [data]));
+    ws.send(createRecv('users', 'server', code, [withRequestId(ws, data)]));
   } catch (err) {
     logger.error('PRESENCE', 'Failed to sendResponse', { userId: ws.userId, code, error: err.message });
   }
 }
 
+function getConnection(userId) {
+  const conn = global.connections?.get(userId) ?? global.connections?.get(Number(userId));
+  return (conn && conn.readyState === 1) ? conn : null;
+}
+
+function getState(userId) {
+  const key = String(userId);
+  let state = presenceState.get(key);
+  if (!state) {
+    const saved = storage.getPersonal(userId, PRESENCE_KEY) || {};
+    state = {
+      username: null,
+      status: STATUSES.includes(saved.status) ? saved.status : 'online',
+      message: typeof saved.message === 'string' ? saved.message : '',
+      idle: false,
+      mapName: null,
+      lastPushed: null
+    };
+    presenceState.set(key, state);
+  }
+  return state;
+}
+
+function getActivity(conn, state) {
+  const groups = new Set();
+  for (const channelKey of pubsub.connectionChannels.get(conn) || []) {
+    groups.add(channelKey.split(':')[0]);
+  }
+  return {
+    mapName: state.mapName,
+    inBattle: groups.has('battle'),
+    inTrade: groups.has('trade'),
+    inParty: groups.has('party')
+  };
+}
+
+/**
+ * What `viewerId` sees of `userId`. Invisible players look offline to
+ * everyone but themselves.
+ */
+function getPresence(userId, viewerId = null) {
+  const conn = getConnection(userId);
+  const state = conn ? getState(userId) : presenceState.get(String(userId));
+  const username = conn?.username || state?.username || null;
+  const self = viewerId !== null && String(viewerId) === String(userId);
+
+  if (!conn || (state.status === 'invisible' && !self)) {
+    return { userId: String(userId), username, online: false, status: 'offline', message: '', activity: null };
+  }
+
+  return {
+    userId: String(userId),
+    username,
+    online: true,
+    status: (state.status === 'online' && state.idle) ? 'away' : state.status,
+    message: state.message,
+    activity: getActivity(conn, state)
+  };
+}
+
+/**
+ * Online friends and guildmates who get this player's u/presence pushes
+ */
+function getWatchers(userId) {
+  const key = String(userId);
+  const watchers = new Map();
+
+  for (const friendId of social.getSocialSummary(userId).friends) {
+    const conn = getConnection(friendId);
+    if (conn) watchers.set(String(conn.userId), conn);
+  }
+
+  const guildId = guild.getUserGuildInfo(userId)?.guildId;
+  if (guildId) {
+    for (const conn of pubsub.getSubscribers('guild', guildId)) {
+      if (conn.readyState === 1) watchers.set(String(conn.userId), conn);
+    }
+  }
+
+  watchers.delete(key);
+  for (const watcherId of [...watchers.keys()]) {
+    if (social.isBlocked(userId, watcherId)) watchers.delete(watcherId);
+  }
+  return [...watchers.values()];
+}
+
+/**
+ * Send a u/presence delta to watchers if what they see has changed.
+ * When the player comes online or goes offline, friends who haven't muted
+ * them get the delta with `notify: true` so the client can announce it.
+ * @param {boolean} force push even when nothing changed (login/logout)
+ */
+function pushPresence(userId, force = false) {
+  const view = getPresence(userId);
+  const state = presenceState.get(String(userId));
+  const snapshot = JSON.stringify(view);
+  if (!force && state && state.lastPushed === snapshot) return;
+
+  const flipped = !!state && !!state.lastOnline !== view.online;
+  if (state) {
+    state.lastPushed = snapshot;
+    state.lastOnline = view.online;
+  }
+
+  const message = createRecv('users', 'server', 'u/presence', [view]);
+  const notice = flipped ? createRecv('users', 'server', 'u/presence', [{ ...view, notify: true }]) : message;
+  for (const conn of getWatchers(userId)) {
+    try {
+      const meta = flipped ? social.getFriendMeta(conn.userId, userId) : null;
+      conn.send(meta && !meta.muted ? notice : message);
+    } catch (err) {
+      logger.error('PRESENCE', 'Failed to push presence', { userId, to: conn.userId, error: err.message });
+    }
+  }
+}
+
+/**
+ * Re-check a player's activity (handler.js calls this after party, trade and
+ * battle subscription changes).
+ */
+function refreshPresence(userId) {
+  if (presenceState.has(String(userId))) pushPresence(userId);
+}
+
+function handleStatus(ws, args) {
+  const status = String(args?.[0] || '').toLowerCase();
+  if (!STATUSES.includes(status)) {
+    sendResponse(ws, 'u/status/res', { success: false, error: `Status must be one of: ${STATUSES.join(', ')}` });
+    return true;
+  }
+
+  const state = getState(ws.userId);
+  state.status = status;
+  if (args?.length >= 2) {
+    state.message = String(args[1] ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_STATUS_MESSAGE);
+  }
+  storage.setPersonal(ws.userId, PRESENCE_KEY, { status: state.status, message: state.message });
+
+  pushPresence(ws.userId);
+  sendResponse(ws, 'u/status/res', { success: true, presence: getPresence(ws.userId, ws.userId) });
+  return true;
+}
+
+function handleActivity(ws, args) {
+  const info = args?.[0];
+  if (!info || typeof info !== 'object') return true;
+
+  const mapName = String(info.mapName ?? '').trim().slice(0, MAX_MAP_NAME);
+  getState(ws.userId).mapName = mapName || null;
+  pushPresence(ws.userId);
+  return true;
+}
+
+function handleIdle(ws, args) {
+  getState(ws.userId).idle = !!args?.[0];
+  pushPresence(ws.userId);
+  return true;
+}
+
 function handleOnline(ws) {
   const users = [];
   if (global.connections) {
     for (const [id, conn] of global.connections) {
       if (conn && conn.readyState === 1) {
-        users.push({ id, username: conn.username || String(id) });
+        const view = getPresence(id, ws.userId);
+        if (!view.online) continue;
+        users.push({
+          id,
+          username: conn.username || String(id),
+          status: view.status,
+          message: view.message,
+          activity: view.activity
+        });
       }
     }
   }
@@ -41,6 +264,12 @@ function processPresenceCommand(ws, code, args) {
     switch (code) {
       case 'u/online':
         return handleOnline(ws);
+      case 'u/status':
+        return handleStatus(ws, args);
+      case 'u/activity':
+        return handleActivity(ws, args);
+      case 'u/idle':
+        return handleIdle(ws, args);
       default:
         return false;
     }
@@ -51,4 +280,67 @@ function processPresenceCommand(ws, code, args) {
   }
 }
 
-module.exports = { processPresenceCommand };
+function onPlayerLogin(ws) {
+  stmts.login.run({ userId: String(ws.userId), now: Date.now() });
+
+  // A resumed session keeps its state; a fresh one starts from storage
+  getState(ws.userId).username = ws.username;
+  pushPresence(ws.userId, true);
+
+  try {
+    ws.send(createRecv('users', 'server', 'u/self', [getPresence(ws.userId, ws.userId)]));
+  } catch (err) {
+    logger.error('PRESENCE', 'Failed to send own presence', { userId: ws.userId, error: err.message });
+  }
+}
+
+/**
+ * @param {number} [seenAt] disconnect time (ms epoch), recorded as last seen
+ */
+function onPlayerLogout(userId, seenAt = Date.now()) {
+  stmts.seen.run(seenAt, String(userId));
+  pushPresence(userId, true);
+  presenceState.delete(String(userId));
+}
+
+/**
+ * Catch activity changes nobody announced (battle or trade ending on a
+ * disconnect elsewhere, dropped party channels)
+ */
+function sweepPresence() {
+  for (const userId of presenceState.keys()) {
+    try {
+      pushPresence(userId);
+    } catch (err) {
+      logger.error('PRESENCE', 'Presence sweep failed', { userId, error: err.message });
+    }
+  }
+}
+
+setInterval(sweepPresence, PRESENCE_SWEEP_INTERVAL_MS).unref();
+
+/**
+ * User ids (as stored: strings) that logged in at or after `since` (ms epoch)
+ */
+function getUsersActiveSince(since) {
+  return stmts.activeSince.all(since).map(row => row.user_id);
+}
+
+/**
+ * When the player last disconnected (ms epoch), or null if never recorded.
+ * During a session this is still the previous disconnect, so an invisible
+ * player's login time is not given away.
+ */
+function getLastSeen(userId) {
+  return stmts.lastSeen.get(String(userId))?.last_seen_at || null;
+}
+
+module.exports = {
+  processPresenceCommand,
+  onPlayerLogin,
+  onPlayerLogout,
+  getUsersActiveSince,
+  getLastSeen,
+  getPresence,
+  refreshPresence
+};
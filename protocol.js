@@ -1,4 +1,5 @@
 const msgpack = require('@msgpack/msgpack');
+const { AsyncLocalStorage } = require('async_hooks');
 
 // Optional logger - try to load, fallback to console
 let logger;
@@ -11,6 +12,56 @@ try {
   };
 }
 
+/**
+ * Wire protocol versions
+ *
+ * v1: 1-byte length prefixes for strings and values (max 255 bytes).
+ *     Oversized strings are truncated and oversized values are replaced
+ *     with '[truncated]'.
+ * v2: unsigned LEB128 varint length prefixes (up to MAX_FIELD_LENGTH).
+ *     Lengths < 128 encode as a single byte, so short fields are
+ *     byte-identical to v1.
+ *
+ * The client asks for a version with ?v=2 on /api/game/start. The server
+ * answers with a RECV system/server "@/protocol" [version] before any other
+ * message (see server.js). Clients that send no v get v1.
+ *
+ * Encoders below always produce the current version; attachProtocol()
+ * downgrades outgoing frames for v1 sockets so call sites never need to know
+ * which version a connection speaks.
+ */
+const PROTOCOL_V1 = 1;
+const PROTOCOL_V2 = 2;
+const CURRENT_PROTOCOL_VERSION = PROTOCOL_V2;
+const SUPPORTED_PROTOCOL_VERSIONS = [PROTOCOL_V1, PROTOCOL_V2];
+
+const V1_MAX_LENGTH = 255;
+const MAX_FIELD_LENGTH = 16 * 1024 * 1024; // 16 MB hard cap for a single v2 field
+
+/**
+ * Pick the protocol version for a connection from the ?v= query value.
+ * Unknown/absent -> v1; newer than supported -> highest we speak.
+ */
+function negotiateVersion(requested) {
+  const v = parseInt(requested, 10);
+  if (!Number.isFinite(v) || v < PROTOCOL_V1) return PROTOCOL_V1;
+  return Math.min(v, CURRENT_PROTOCOL_VERSION);
+}
+
+/**
+ * BROADCAST flags byte (formerly just "loopback": 0/1)
+ *
+ * REQUEST_ID: a request id value follows the flags byte. The server echoes
+ * it as `requestId` on every response object it sends back to the requester
+ * while handling that command (see runWithRequestId / withRequestId).
+ */
+const BroadcastFlag = {
+  LOOPBACK: 1,
+  REQUEST_ID: 2
+};
+
+const MAX_REQUEST_ID_LENGTH = 64;
+
 /**
  * Opcodes matching MMORPG_Client.js
  */
@@ -40,12 +91,13 @@ const Opcode = {
 
 /**
  * Binary message reader matching client's Reader class
- * IMPORTANT: Client uses 1-byte length prefixes for strings and values!
+ * IMPORTANT: v1 clients use 1-byte length prefixes for strings and values!
  */
 class Reader {
-  constructor(buffer) {
+  constructor(buffer, version = PROTOCOL_V1) {
     this.buffer = Buffer.from(buffer);
     this.offset = 0;
+    this.version = version;
   }
 
   getByte() {
@@ -64,15 +116,37 @@ class Reader {
     return bytes;
   }
 
+  /**
+   * Read a length prefix: 1 byte (v1) or varint (v2).
+   */
+  getLength() {
+    if (this.version < PROTOCOL_V2) return this.getByte();
+
+    let result = 0;
+    let shift = 0;
+    for (let i = 0; i < 5; i++) {
+      const byte = this.getByte();
+      result += (byte & 0x7f) * Math.pow(2, shift);
+      if ((byte & 0x80) === 0) {
+        if (result > MAX_FIELD_LENGTH) {
+          throw new Error(`Field length ${result} exceeds limit`);
+        }
+        return result;
+      }
+      shift += 7;
+    }
+    throw new Error('Malformed varint length');
+  }
+
   getString() {
-    const len = this.getByte();
+    const len = this.getLength();
     if (len === 0) return '';
     const bytes = this.getBytes(len);
     return bytes.toString('utf8');
   }
 
   getValue() {
-    const len = this.getByte();
+    const len = this.getLength();
     if (len === 0) return undefined;
     const bytes = this.getBytes(len);
     return msgpack.decode(bytes);
@@ -94,24 +168,43 @@ class Reader {
 
 /**
  * Binary message writer matching client's Writer class
- * IMPORTANT: Client uses 1-byte length prefixes for strings and values!
+ * IMPORTANT: v1 clients use 1-byte length prefixes for strings and values!
  * 
  * FIX: Truncate oversized strings/values instead of throwing to prevent DoS
+ * (v1 only — v2 carries the full field).
  */
 class Writer {
-  constructor() {
+  constructor(version = CURRENT_PROTOCOL_VERSION) {
     this.buffer = Buffer.alloc(1024);
     this.pos = 0;
+    this.version = version;
   }
 
   ensureCapacity(needed) {
     if (this.pos + needed > this.buffer.length) {
-      const newBuf = Buffer.alloc(this.buffer.length * 2);
+      let size = this.buffer.length * 2;
+      while (this.pos + needed > size) size *= 2;
+      const newBuf = Buffer.alloc(size);
       this.buffer.copy(newBuf);
       this.buffer = newBuf;
     }
   }
 
+  /**
+   * Write a length prefix: 1 byte (v1) or varint (v2).
+   */
+  putLength(len) {
+    if (this.version < PROTOCOL_V2) {
+      return this.putByte(len);
+    }
+    let n = len;
+    while (n >= 0x80) {
+      this.putByte((n % 0x80) | 0x80);
+      n = Math.floor(n / 0x80);
+    }
+    return this.putByte(n);
+  }
+
   putByte(value) {
     this.ensureCapacity(1);
     this.buffer[this.pos++] = value;
@@ -131,7 +224,7 @@ class Writer {
   }
 
   /**
-   * FIX: Truncate strings longer than 255 bytes instead of throwing.
+   * FIX: Truncate strings longer than 255 bytes (v1) instead of throwing.
    * This prevents a malicious client from crashing message processing.
    */
   putString(str) {
@@ -140,7 +233,12 @@ class Writer {
       return this;
     }
     let encoded = Buffer.from(str, 'utf8');
-    if (encoded.length > 255) {
+    if (this.version >= PROTOCOL_V2) {
+      this.putLength(encoded.length);
+      this.putBytes(encoded);
+      return this;
+    }
+    if (encoded.length > V1_MAX_LENGTH) {
       // SECURITY FIX: Truncate instead of throw to prevent DoS
       logger.security('String truncated in protocol', { originalLength: encoded.length });
       // Truncate to 255 bytes (may split a multi-byte char, so we trim further)
@@ -159,17 +257,32 @@ class Writer {
   }
 
   /**
-   * FIX: Truncate values longer than 255 bytes instead of throwing.
+   * FIX: Truncate values longer than 255 bytes (v1) instead of throwing.
    */
   putValue(value) {
     if (value === null || value === undefined) {
       this.putByte(0);
       return this;
     }
-    let encoded = Buffer.from(msgpack.encode(value));
-    if (encoded.length > 255) {
+    return this.putEncodedValue(Buffer.from(msgpack.encode(value)), typeof value);
+  }
+
+  /**
+   * Write an already msgpack-encoded value with its length prefix.
+   */
+  putEncodedValue(encoded, type = 'encoded') {
+    if (encoded.length === 0) {
+      this.putByte(0);
+      return this;
+    }
+    if (this.version >= PROTOCOL_V2) {
+      this.putLength(encoded.length);
+      this.putBytes(encoded);
+      return this;
+    }
+    if (encoded.length > V1_MAX_LENGTH) {
       // SECURITY FIX: Log and truncate instead of throw
-      logger.security('Value truncated in protocol', { originalLength: encoded.length, type: typeof value });
+      logger.security('Value truncated in protocol', { originalLength: encoded.length, type });
       // For values, truncating msgpack is dangerous (corrupts data)
       // Instead, replace with a placeholder or empty value
       encoded = Buffer.from(msgpack.encode('[truncated]'));
@@ -193,9 +306,11 @@ class Writer {
 
 /**
  * Parse incoming message from client
+ * @param {Buffer} data
+ * @param {number} version - protocol version negotiated for the connection
  */
-function parseMessage(data) {
-  const reader = new Reader(data);
+function parseMessage(data, version = PROTOCOL_V1) {
+  const reader = new Reader(data, version);
   const opcode = reader.getByte();
 
   switch (opcode) {
@@ -240,7 +355,9 @@ function parseMessage(data) {
     }
 
     case Opcode.BROADCAST: {
-      const loopback = reader.getByte() === 1;
+      const flags = reader.getByte();
+      const loopback = (flags & BroadcastFlag.LOOPBACK) !== 0;
+      const requestId = (flags & BroadcastFlag.REQUEST_ID) ? sanitizeRequestId(reader.getValue()) : undefined;
       const code = reader.getString();
       let args = [];
       if (reader.size() > 0) {
@@ -250,7 +367,7 @@ function parseMessage(data) {
           args = [];
         }
       }
-      return { opcode, loopback, code, args };
+      return { opcode, loopback, requestId, code, args };
     }
 
     case Opcode.PUBLISH: {
@@ -378,7 +495,126 @@ function createRecv(group, fromUser, code, args) {
   return writer.toBuffer();
 }
 
+// ============================================================================
+// REQUEST CORRELATION
+// ============================================================================
+
+/**
+ * Request ids are opaque to the server: accept safe integers and short
+ * strings, drop anything else (the command still runs, just uncorrelated).
+ */
+function sanitizeRequestId(value) {
+  if (Number.isSafeInteger(value)) return value;
+  if (typeof value === 'string' && value.length > 0 && value.length <= MAX_REQUEST_ID_LENGTH) return value;
+  return undefined;
+}
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run a command handler with the requester's request id in scope.
+ * Survives awaits inside the handler.
+ */
+function runWithRequestId(ws, requestId, fn) {
+  if (requestId === undefined) return fn();
+  return requestContext.run({ ws, requestId }, fn);
+}
+
+/**
+ * Stamp the in-flight request id on a response object, but only when it is
+ * going back to the connection that made the request (notifications to other
+ * players sent during the same command are left alone).
+ */
+function withRequestId(ws, data) {
+  const ctx = requestContext.getStore();
+  if (!ctx || ctx.ws !== ws) return data;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+  return { ...data, requestId: ctx.requestId };
+}
+
+/**
+ * Re-encode a server -> client frame (produced by the encoders above) for a
+ * v1 client. Frames with no length >= 128 come back as the same bytes.
+ * Oversized fields get the v1 truncation treatment.
+ */
+function downgradeToV1(frame) {
+  const reader = new Reader(frame, PROTOCOL_V2);
+  const opcode = reader.getByte();
+  const writer = new Writer(PROTOCOL_V1).putByte(opcode);
+
+  const copyValue = () => {
+    const len = reader.getLength();
+    writer.putEncodedValue(len > 0 ? reader.getBytes(len) : Buffer.alloc(0));
+  };
+
+  switch (opcode) {
+    case Opcode.PONG:
+      copyValue();
+      break;
+
+    case Opcode.RESPONSE:
+      copyValue(); // queryId
+      while (!reader.empty()) {
+        writer.putString(reader.getString());
+        copyValue();
+      }
+      break;
+
+    case Opcode.RECV:
+      writer.putString(reader.getString()); // group
+      writer.putString(reader.getString()); // from
+      writer.putString(reader.getString()); // code
+      if (!reader.empty()) writer.putBytes(reader.bytes()); // msgpack args (no prefix)
+      break;
+
+    default:
+      return frame;
+  }
+
+  return writer.toBuffer();
+}
+
+// Frames are usually published to many sockets; downgrade each one once.
+const v1FrameCache = new WeakMap();
+
+/**
+ * Bind a negotiated protocol version to a connection.
+ * For v1 sockets, wraps ws.send so every outgoing frame is downgraded.
+ */
+function attachProtocol(ws, version) {
+  ws.protocolVersion = version;
+  if (version >= PROTOCOL_V2 || ws._protocolAttached) return ws;
+
+  const rawSend = ws.send.bind(ws);
+  ws.send = (data, ...rest) => {
+    if (!Buffer.isBuffer(data)) return rawSend(data, ...rest);
+    let v1 = v1FrameCache.get(data);
+    if (!v1) {
+      try {
+        v1 = downgradeToV1(data);
+      } catch (err) {
+        logger.warn('PROTOCOL', 'Failed to downgrade frame for v1 client', { error: err.message });
+        v1 = data;
+      }
+      v1FrameCache.set(data, v1);
+    }
+    return rawSend(v1, ...rest);
+  };
+  ws._protocolAttached = true;
+  return ws;
+}
+
 module.exports = {
+  PROTOCOL_V1,
+  PROTOCOL_V2,
+  CURRENT_PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  negotiateVersion,
+  attachProtocol,
+  downgradeToV1,
+  BroadcastFlag,
+  runWithRequestId,
+  withRequestId,
   Opcode,
   Reader,
   Writer,
@@ -1,3 +1,4 @@
+const net = require('net');
 const logger = require('../utils/logger');
 
 /**
@@ -8,6 +9,21 @@ const logger = require('../utils/logger');
  * - "party": Map of partyId -> Set of connections
  * - "guild": Map of guildId -> Set of connections
  * - Custom channels follow same pattern
+ *
+ * Backends (selected with PUBSUB_BACKEND):
+ * - "memory" (default): PubSub, single process.
+ * - "hub": HubPubSub, fans out across game server processes through
+ *   pubsub_hub.js listening on a UNIX socket (PUBSUB_SOCKET).
+ *
+ * Both implement the same interface:
+ *   subscribe / unsubscribe / unsubscribeGroup / unsubscribeAll
+ *   publish / broadcastToGroup / getSubscribers
+ *   userConnected / userDisconnected            (called by server.js)
+ *   isUserOnline / findOnlineUser / sendToUser / disconnectUser
+ *
+ * Anything that needs to reach a player by id (kick, tp, sendto) must go
+ * through the user routing methods rather than global.connections, which
+ * only holds this process's sockets.
  */
 class PubSub {
   constructor() {
@@ -32,6 +48,7 @@ class PubSub {
     // Ensure channel exists
     if (!groupChannels.has(channel)) {
       groupChannels.set(channel, new Set());
+      this.onChannelCreated(group, channel);
     }
 
     // Add connection to channel
@@ -64,6 +81,7 @@ class PubSub {
     // Cleanup empty channel
     if (channelSubs.size === 0) {
       groupChannels.delete(channel);
+      this.onChannelRemoved(group, channel);
     }
 
     // Cleanup empty group
@@ -107,6 +125,7 @@ class PubSub {
         channelSubs.delete(connection);
         if (channelSubs.size === 0) {
           groupChannels.delete(c);
+          this.onChannelRemoved(g, c);
         }
       }
       connChannels.delete(key);
@@ -143,6 +162,7 @@ class PubSub {
           
           if (channelSubs.size === 0) {
             groupChannels.delete(channel);
+            this.onChannelRemoved(group, channel);
           }
         }
         
@@ -235,6 +255,97 @@ class PubSub {
     return sent;
   }
 
+  /**
+   * Channel lifecycle hooks (first subscriber joined / last one left).
+   * No-ops in memory; HubPubSub uses them to register interest with the hub.
+   */
+  onChannelCreated(group, channel) {}
+
+  onChannelRemoved(group, channel) {}
+
+  // ==========================================================================
+  // USER ROUTING
+  // ==========================================================================
+
+  /**
+   * Open socket for a user on this process, or null
+   */
+  getLocalConnection(userId) {
+    const conn = global.connections?.get(userId);
+    return conn && conn.readyState === 1 ? conn : null;
+  }
+
+  /**
+   * Resolve a user id or username to an online user id on this process
+   */
+  findLocalUser(target) {
+    if (!global.connections) return null;
+    if (this.getLocalConnection(target)) return target;
+
+    const numericTarget = Number(target);
+    if (Number.isFinite(numericTarget) && this.getLocalConnection(numericTarget)) return numericTarget;
+
+    const normalizedTarget = String(target ?? '').trim().toLowerCase();
+    for (const conn of global.connections.values()) {
+      const username = conn?.username;
+      if (username && String(username).trim().toLowerCase() === normalizedTarget && conn.readyState === 1) {
+        return conn.userId;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve a user id or username to an online user id (any node)
+   */
+  findOnlineUser(target) {
+    return this.findLocalUser(target);
+  }
+
+  isUserOnline(userId) {
+    return !!this.getLocalConnection(userId);
+  }
+
+  /**
+   * Deliver an encoded frame to a user wherever they are connected
+   * @returns {boolean} false if the user is offline
+   */
+  sendToUser(userId, message) {
+    const conn = this.getLocalConnection(userId);
+    if (!conn) return false;
+    try {
+      conn.send(message);
+      return true;
+    } catch (err) {
+      logger.error('PUBSUB', 'Failed to send to user', { userId, error: err.message });
+      return false;
+    }
+  }
+
+  /**
+   * Close a user's connection wherever they are connected,
+   * optionally sending a final frame first (e.g. @/kicked)
+   * @returns {boolean} false if the user is offline
+   */
+  disconnectUser(userId, closeCode = 1000, reason = '', message = null) {
+    const conn = this.getLocalConnection(userId);
+    if (!conn) return false;
+    try {
+      if (message) conn.send(message);
+      conn.close(closeCode, reason);
+    } catch (err) {
+      logger.error('PUBSUB', 'Failed to disconnect user', { userId, error: err.message });
+    }
+    return true;
+  }
+
+  /**
+   * Connection lifecycle (called by server.js)
+   */
+  userConnected(ws) {}
+
+  userDisconnected(ws) {}
+
   /**
    * Get stats for monitoring
    */
@@ -273,7 +384,259 @@ class PubSub {
   }
 }
 
+// ============================================================================
+// HUB BACKEND
+// ============================================================================
+
+const HUB_RECONNECT_MS = 2000;
+const HUB_MAX_LINE = 4 * 1024 * 1024;
+
+/**
+ * Cross-process backend.
+ *
+ * Local delivery is inherited from PubSub. In addition, every publish and
+ * group broadcast is forwarded to the hub, which relays it to the other nodes
+ * that have local subscribers on that channel. Nodes also announce which
+ * users they hold so kick / tp / sendto can be routed to the right process.
+ *
+ * Hub wire format: newline-delimited JSON; frames are base64 encoded
+ * (see pubsub_hub.js). If the hub is down the node keeps working locally and
+ * reconnects in the background.
+ */
+class HubPubSub extends PubSub {
+  constructor({ socketPath, nodeId }) {
+    super();
+    this.socketPath = socketPath;
+    this.nodeId = nodeId;
+    this.socket = null;
+    this.buffer = '';
+
+    // userId (string) -> { userId, username, nodeId } for users on other nodes
+    this.remoteUsers = new Map();
+
+    this.connectHub();
+  }
+
+  connectHub() {
+    const sock = net.createConnection(this.socketPath);
+    sock.setEncoding('utf8');
+
+    sock.on('connect', () => {
+      this.socket = sock;
+      this.buffer = '';
+      this.sendHub({ t: 'hello', node: this.nodeId });
+
+      // Re-announce state held before (re)connecting
+      for (const [group, groupChannels] of this.subscriptions) {
+        for (const channel of groupChannels.keys()) {
+          this.sendHub({ t: 'sub', group, channel });
+        }
+      }
+      if (global.connections) {
+        for (const conn of global.connections.values()) this.userConnected(conn);
+      }
+
+      logger.info('PUBSUB', 'Connected to pubsub hub', { socketPath: this.socketPath, nodeId: this.nodeId });
+    });
+
+    sock.on('data', (chunk) => this.onHubData(chunk));
+
+    sock.on('error', (err) => {
+      logger.warn('PUBSUB', 'Pubsub hub connection error', { error: err.message });
+    });
+
+    sock.on('close', () => {
+      if (this.socket === sock) {
+        logger.warn('PUBSUB', 'Disconnected from pubsub hub, running local-only');
+      }
+      this.socket = null;
+      this.remoteUsers.clear();
+      setTimeout(() => this.connectHub(), HUB_RECONNECT_MS).unref();
+    });
+  }
+
+  sendHub(msg) {
+    if (!this.socket) return false;
+    try {
+      this.socket.write(JSON.stringify(msg) + '\n');
+      return true;
+    } catch (err) {
+      logger.error('PUBSUB', 'Failed to write to pubsub hub', { error: err.message });
+      return false;
+    }
+  }
+
+  onHubData(chunk) {
+    this.buffer += chunk;
+    if (this.buffer.length > HUB_MAX_LINE) {
+      logger.error('PUBSUB', 'Pubsub hub line too long, dropping buffer');
+      this.buffer = '';
+      return;
+    }
+
+    let idx;
+    while ((idx = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, idx);
+      this.buffer = this.buffer.slice(idx + 1);
+      if (!line) continue;
+      try {
+        this.onHubMessage(JSON.parse(line));
+      } catch (err) {
+        logger.error('PUBSUB', 'Bad message from pubsub hub', { error: err.message });
+      }
+    }
+  }
+
+  onHubMessage(msg) {
+    switch (msg.t) {
+      case 'pub':
+        super.publish(msg.group, msg.channel, Buffer.from(msg.frame, 'base64'));
+        break;
+
+      case 'group':
+        super.broadcastToGroup(msg.group, Buffer.from(msg.frame, 'base64'));
+        break;
+
+      case 'user':
+        super.sendToUser(msg.userId, Buffer.from(msg.frame, 'base64'));
+        break;
+
+      case 'kick':
+        super.disconnectUser(msg.userId, msg.code, msg.reason, msg.frame ? Buffer.from(msg.frame, 'base64') : null);
+        break;
+
+      case 'online':
+        if (msg.node !== this.nodeId) {
+          this.remoteUsers.set(String(msg.userId), { userId: msg.userId, username: msg.username, nodeId: msg.node });
+        }
+        break;
+
+      case 'offline': {
+        const entry = this.remoteUsers.get(String(msg.userId));
+        if (entry && entry.nodeId === msg.node) this.remoteUsers.delete(String(msg.userId));
+        break;
+      }
+
+      case 'snapshot':
+        this.remoteUsers.clear();
+        for (const u of msg.users || []) {
+          if (u.node !== this.nodeId) {
+            this.remoteUsers.set(String(u.userId), { userId: u.userId, username: u.username, nodeId: u.node });
+          }
+        }
+        break;
+
+      default:
+        logger.warn('PUBSUB', `Unknown pubsub hub message: ${msg.t}`);
+    }
+  }
+
+  onChannelCreated(group, channel) {
+    this.sendHub({ t: 'sub', group, channel });
+  }
+
+  onChannelRemoved(group, channel) {
+    this.sendHub({ t: 'unsub', group, channel });
+  }
+
+  publish(group, channel, message, exclude = null) {
+    const sent = super.publish(group, channel, message, exclude);
+    this.sendHub({ t: 'pub', group, channel, frame: Buffer.from(message).toString('base64') });
+    return sent;
+  }
+
+  broadcastToGroup(group, message, exclude = null) {
+    const sent = super.broadcastToGroup(group, message, exclude);
+    this.sendHub({ t: 'group', group, frame: Buffer.from(message).toString('base64') });
+    return sent;
+  }
+
+  getRemoteUser(userId) {
+    return this.remoteUsers.get(String(userId)) || null;
+  }
+
+  findOnlineUser(target) {
+    const local = this.findLocalUser(target);
+    if (local !== null) return local;
+
+    const byId = this.getRemoteUser(target);
+    if (byId) return byId.userId;
+
+    const normalizedTarget = String(target ?? '').trim().toLowerCase();
+    for (const entry of this.remoteUsers.values()) {
+      if (entry.username && String(entry.username).trim().toLowerCase() === normalizedTarget) {
+        return entry.userId;
+      }
+    }
+    return null;
+  }
+
+  isUserOnline(userId) {
+    return super.isUserOnline(userId) || !!this.getRemoteUser(userId);
+  }
+
+  sendToUser(userId, message) {
+    if (super.sendToUser(userId, message)) return true;
+    if (!this.getRemoteUser(userId)) return false;
+    return this.sendHub({ t: 'user', userId, frame: Buffer.from(message).toString('base64') });
+  }
+
+  disconnectUser(userId, closeCode = 1000, reason = '', message = null) {
+    if (super.disconnectUser(userId, closeCode, reason, message)) return true;
+    if (!this.getRemoteUser(userId)) return false;
+    return this.sendHub({
+      t: 'kick',
+      userId,
+      code: closeCode,
+      reason,
+      frame: message ? Buffer.from(message).toString('base64') : null
+    });
+  }
+
+  userConnected(ws) {
+    // The hub kicks any older session for this user held by another node
+    this.remoteUsers.delete(String(ws.userId));
+    this.sendHub({ t: 'online', userId: ws.userId, username: ws.username });
+  }
+
+  userDisconnected(ws) {
+    this.sendHub({ t: 'offline', userId: ws.userId });
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      backend: 'hub',
+      nodeId: this.nodeId,
+      hubConnected: !!this.socket,
+      remoteUsers: this.remoteUsers.size
+    };
+  }
+}
+
+// ============================================================================
+// BACKEND SELECTION
+// ============================================================================
+
+const DEFAULT_HUB_SOCKET = '/tmp/mmorpg-pubsub.sock';
+
+function createPubSub() {
+  const backend = (process.env.PUBSUB_BACKEND || 'memory').toLowerCase();
+
+  if (backend === 'hub') {
+    const socketPath = process.env.PUBSUB_SOCKET || DEFAULT_HUB_SOCKET;
+    const nodeId = process.env.NODE_ID || `node-${process.pid}`;
+    logger.info('PUBSUB', 'Using hub pubsub backend', { socketPath, nodeId });
+    return new HubPubSub({ socketPath, nodeId });
+  }
+
+  if (backend !== 'memory') {
+    logger.warn('PUBSUB', `Unknown PUBSUB_BACKEND "${backend}", using memory`);
+  }
+  return new PubSub();
+}
+
 // Singleton instance
-const pubsub = new PubSub();
+const pubsub = createPubSub();
 
 module.exports = pubsub;
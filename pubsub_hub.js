@@ -0,0 +1,216 @@
+/**
+ * Pub/Sub Hub (standalone process)
+ *
+ * Local broker that lets several game server processes share channels and
+ * route messages to players connected to another process. Each game server
+ * started with PUBSUB_BACKEND=hub connects here (see HubPubSub in pubsub.js).
+ *
+ * Usage:
+ *   node pubsub_hub.js [socketPath]
+ *   PUBSUB_SOCKET=/tmp/mmorpg-pubsub.sock node pubsub_hub.js
+ *
+ * Wire format: one JSON object per line. Frames are already-encoded protocol
+ * buffers in base64; the hub never decodes them.
+ *
+ * Node -> hub:
+ *   { t: 'hello', node }
+ *   { t: 'sub' | 'unsub', group, channel }     first/last local subscriber
+ *   { t: 'pub', group, channel, frame }        relayed to interested nodes
+ *   { t: 'group', group, frame }               relayed to nodes with any channel in group
+ *   { t: 'online', userId, username }          user connected on this node
+ *   { t: 'offline', userId }
+ *   { t: 'user', userId, frame }               routed to the node holding userId
+ *   { t: 'kick', userId, code, reason, frame }
+ *
+ * Hub -> node:
+ *   pub / group / user / kick (as above)
+ *   { t: 'online' | 'offline', userId, username?, node }
+ *   { t: 'snapshot', users: [{ userId, username, node }] }   after hello
+ */
+
+const fs = require('fs');
+const net = require('net');
+const logger = require('../utils/logger');
+
+const DEFAULT_SOCKET = '/tmp/mmorpg-pubsub.sock';
+const MAX_LINE = 4 * 1024 * 1024;
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+// socket -> { nodeId, interests: Set<"group:channel">, buffer }
+const nodes = new Map();
+
+// userId (string) -> { userId, username, socket }
+const users = new Map();
+
+function write(socket, msg) {
+  try {
+    socket.write(JSON.stringify(msg) + '\n');
+  } catch (err) {
+    logger.error('HUB', 'Failed to write to node', { nodeId: nodes.get(socket)?.nodeId, error: err.message });
+  }
+}
+
+function forEachOtherNode(from, fn) {
+  for (const [socket, node] of nodes) {
+    if (socket !== from) fn(socket, node);
+  }
+}
+
+// ============================================================================
+// MESSAGE HANDLING
+// ============================================================================
+
+function handleMessage(socket, msg) {
+  const node = nodes.get(socket);
+  if (!node) return;
+
+  switch (msg.t) {
+    case 'hello':
+      node.nodeId = String(msg.node || 'unknown');
+      write(socket, {
+        t: 'snapshot',
+        users: [...users.values()].map(u => ({ userId: u.userId, username: u.username, node: nodes.get(u.socket)?.nodeId }))
+      });
+      logger.info('HUB', `Node registered: ${node.nodeId}`, { nodes: nodes.size });
+      break;
+
+    case 'sub':
+      node.interests.add(`${msg.group}:${msg.channel}`);
+      break;
+
+    case 'unsub':
+      node.interests.delete(`${msg.group}:${msg.channel}`);
+      break;
+
+    case 'pub': {
+      const key = `${msg.group}:${msg.channel}`;
+      forEachOtherNode(socket, (other, otherNode) => {
+        if (otherNode.interests.has(key)) write(other, msg);
+      });
+      break;
+    }
+
+    case 'group': {
+      const prefix = `${msg.group}:`;
+      forEachOtherNode(socket, (other, otherNode) => {
+        for (const key of otherNode.interests) {
+          if (key.startsWith(prefix)) {
+            write(other, msg);
+            break;
+          }
+        }
+      });
+      break;
+    }
+
+    case 'online': {
+      const key = String(msg.userId);
+      const existing = users.get(key);
+      if (existing && existing.socket !== socket) {
+        // Same account logged in on another node: drop the old session
+        write(existing.socket, { t: 'kick', userId: existing.userId, code: 1000, reason: 'Replaced by new connection' });
+      }
+      users.set(key, { userId: msg.userId, username: msg.username, socket });
+      forEachOtherNode(socket, (other) => {
+        write(other, { t: 'online', userId: msg.userId, username: msg.username, node: node.nodeId });
+      });
+      break;
+    }
+
+    case 'offline': {
+      const key = String(msg.userId);
+      const existing = users.get(key);
+      if (!existing || existing.socket !== socket) break;
+      users.delete(key);
+      forEachOtherNode(socket, (other) => {
+        write(other, { t: 'offline', userId: msg.userId, node: node.nodeId });
+      });
+      break;
+    }
+
+    case 'user':
+    case 'kick': {
+      const target = users.get(String(msg.userId));
+      if (target) write(target.socket, msg);
+      break;
+    }
+
+    default:
+      logger.warn('HUB', `Unknown message type: ${msg.t}`, { nodeId: node.nodeId });
+  }
+}
+
+function handleClose(socket) {
+  const node = nodes.get(socket);
+  nodes.delete(socket);
+  if (!node) return;
+
+  for (const [key, u] of users) {
+    if (u.socket !== socket) continue;
+    users.delete(key);
+    forEachOtherNode(socket, (other) => {
+      write(other, { t: 'offline', userId: u.userId, node: node.nodeId });
+    });
+  }
+
+  logger.info('HUB', `Node disconnected: ${node.nodeId}`, { nodes: nodes.size });
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+function startHub(socketPath = process.env.PUBSUB_SOCKET || DEFAULT_SOCKET) {
+  // Remove a stale socket file left by a previous run
+  try {
+    fs.unlinkSync(socketPath);
+  } catch (_) {}
+
+  const server = net.createServer((socket) => {
+    nodes.set(socket, { nodeId: null, interests: new Set(), buffer: '' });
+    socket.setEncoding('utf8');
+
+    socket.on('data', (chunk) => {
+      const node = nodes.get(socket);
+      if (!node) return;
+      node.buffer += chunk;
+      if (node.buffer.length > MAX_LINE) {
+        logger.error('HUB', 'Line too long, closing node', { nodeId: node.nodeId });
+        socket.destroy();
+        return;
+      }
+
+      let idx;
+      while ((idx = node.buffer.indexOf('\n')) !== -1) {
+        const line = node.buffer.slice(0, idx);
+        node.buffer = node.buffer.slice(idx + 1);
+        if (!line) continue;
+        try {
+          handleMessage(socket, JSON.parse(line));
+        } catch (err) {
+          logger.error('HUB', 'Bad message from node', { nodeId: node.nodeId, error: err.message });
+        }
+      }
+    });
+
+    socket.on('close', () => handleClose(socket));
+    socket.on('error', (err) => {
+      logger.warn('HUB', 'Node socket error', { nodeId: nodes.get(socket)?.nodeId, error: err.message });
+    });
+  });
+
+  server.listen(socketPath, () => {
+    logger.info('HUB', `Pubsub hub listening on ${socketPath}`);
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  startHub(process.argv[2]);
+}
+
+module.exports = { startHub };
@@ -0,0 +1,157 @@
+/**
+ * Session Resume (Server Side)
+ *
+ * Problem: any socket drop (2s Wi-Fi blip, phone switching networks) ran the
+ * full logout path: "-" leave messages on every channel, unsubscribe from
+ * party/guild/trade/battle, trade escrow cancelled, battle seat marked dc.
+ *
+ * Solution: every connection gets an opaque resume token (sent as
+ * RECV system/server "@/session" { resumeToken, graceMs, resumed }). When a
+ * socket drops without a clean close, server.js parks the session here for
+ * RESUME_GRACE_MS instead of tearing it down. A client that reconnects with
+ * ?resume=<token> inside the window takes over the old socket's state and
+ * nobody else is told anything happened. When the window lapses, the normal
+ * disconnect path runs.
+ *
+ * Tokens are single-use: each successful (re)connect issues a fresh one.
+ *
+ * With the hub pubsub backend, a resume must land on the node that parked the
+ * session (sticky load balancing); otherwise the client falls back to a fresh
+ * login.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const RESUME_GRACE_MS = 30 * 1000;
+
+// Close codes that mean "the player is gone on purpose" - no grace window.
+// 1000 = normal (kick/ban/replace/logout), 1001 = going away (tab closed)
+const FINAL_CLOSE_CODES = new Set([1000, 1001]);
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+/**
+ * token -> { userId, ws, timer, expiresAt }
+ * timer/expiresAt are null while the socket is live.
+ */
+const sessions = new Map();
+
+// ============================================================================
+// API
+// ============================================================================
+
+/**
+ * Issue a fresh resume token for a connection (revokes its previous one).
+ */
+function issueToken(ws) {
+  if (ws.resumeToken) sessions.delete(ws.resumeToken);
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  sessions.set(token, { userId: ws.userId, ws, timer: null, expiresAt: null });
+  ws.resumeToken = token;
+  return token;
+}
+
+/**
+ * Whether a closed socket should get a grace window.
+ */
+function shouldHold(ws, code) {
+  if (!ws.resumeToken || ws.noResume) return false;
+  return !FINAL_CLOSE_CODES.has(code);
+}
+
+/**
+ * Park a dropped connection. onExpire runs if nobody resumes it in time.
+ * @returns {boolean} false if the connection has no live token
+ */
+function hold(ws, onExpire) {
+  const token = ws.resumeToken;
+  const entry = token && sessions.get(token);
+  if (!entry || entry.ws !== ws) return false;
+
+  entry.expiresAt = Date.now() + RESUME_GRACE_MS;
+  entry.timer = setTimeout(() => {
+    if (sessions.get(token) !== entry) return;
+    sessions.delete(token);
+    logger.info('RESUME', 'Resume window expired', { userId: entry.userId });
+    onExpire();
+  }, RESUME_GRACE_MS);
+
+  logger.info('RESUME', 'Session held for resume', { userId: entry.userId, graceMs: RESUME_GRACE_MS });
+  return true;
+}
+
+/**
+ * Claim a session by token. The token must belong to the authenticated user.
+ * Works for parked sessions and for live sockets that have not noticed the
+ * drop yet (half-open).
+ * @returns {WebSocket|null} the previous socket
+ */
+function claim(token, userId) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const entry = sessions.get(token);
+  if (!entry) return null;
+
+  if (entry.userId !== userId) {
+    logger.security('Resume token used by another user', { userId, ownerId: entry.userId });
+    return null;
+  }
+
+  clearTimeout(entry.timer);
+  sessions.delete(token);
+  return entry.ws;
+}
+
+/**
+ * Drop a connection's token (final disconnect).
+ */
+function release(ws) {
+  const entry = ws.resumeToken && sessions.get(ws.resumeToken);
+  if (entry && entry.ws === ws) {
+    clearTimeout(entry.timer);
+    sessions.delete(ws.resumeToken);
+  }
+}
+
+/**
+ * Parked connection for a user, if any
+ */
+function findHeld(userId) {
+  for (const entry of sessions.values()) {
+    if (entry.userId === userId && entry.timer) return entry.ws;
+  }
+  return null;
+}
+
+function isHeld(ws) {
+  const entry = ws.resumeToken && sessions.get(ws.resumeToken);
+  return !!(entry && entry.ws === ws && entry.timer);
+}
+
+function getStats() {
+  let held = 0;
+  for (const entry of sessions.values()) {
+    if (entry.timer) held++;
+  }
+  return { tokens: sessions.size, held };
+}
+
+module.exports = {
+  RESUME_GRACE_MS,
+  issueToken,
+  shouldHold,
+  hold,
+  claim,
+  release,
+  findHeld,
+  isHeld,
+  getStats
+};
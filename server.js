@@ -6,11 +6,15 @@ const jwtAuth = require('../auth/jwt');
 const users = require('../database/users');
 const db = require('../database/sqlite');
 const pubsub = require('./pubsub');
-const { handleMessage } = require('./handler');
+const { handleMessage, handleDisconnect: handlePlayerDisconnect, handleDrop, handleResume } = require('./handler');
 const { setConnectionsMap } = require('./commands');
 const guild = require('./guild');
 const rateLimiter = require('../utils/ratelimit');
+const resume = require('./resume');
+const moderation = require('./moderation');
+const presence = require('./presence');
 const { startHeartbeat, attachHeartbeat } = require('./heartbeat.safe');
+const { attachProtocol, negotiateVersion, createRecv, PROTOCOL_V2 } = require('./protocol');
 
 // Global map of userId -> WebSocket connection
 const connections = new Map();
@@ -33,7 +37,10 @@ function createGameServer(httpServer) {
   // ✅ Attach heartbeat PER CONNECTION
   wss.on('connection', (ws, req) => {
     attachHeartbeat(ws);        // <-- CORRECT PLACE
-    handleConnection(ws, req); // keep your existing logic
+    handleConnection(ws, req).catch(err => {
+      logger.error('GAME', 'Connection setup failed', { error: err.message, stack: err.stack });
+      try { ws.close(1011, 'Server error'); } catch (closeErr) { /* already closed */ }
+    });
   });
 
   // ✅ Start heartbeat ONCE for the server
@@ -75,19 +82,43 @@ async function handleConnection(ws, req) {
     return;
   }
 
-  if (user.isBanned) {
+  // Wire protocol version (?v=2 opts into varint length prefixes).
+  // Must be attached before anything is sent on this socket.
+  attachProtocol(ws, negotiateVersion(parsedUrl.query.v));
+  if (ws.protocolVersion >= PROTOCOL_V2) {
+    // Confirm first so the client switches before any other frame arrives
+    ws.send(createRecv('system', 'server', '@/protocol', [ws.protocolVersion]));
+  }
+
+  // Temp-bans that ran out since the last sweep are lifted here
+  const ban = moderation.checkBan(user);
+  if (ban.banned) {
     logger.warn('GAME', 'Banned user attempted connection', { userId: user.id });
-    ws.close(1008, `Banned: ${user.banReason || 'No reason'}`);
+    // Full text in the message; the close reason is capped at 123 bytes
+    ws.send(createRecv('system', 'server', '@/banned', [ban.reason, ban.message]));
+    ws.close(1008, ban.closeReason);
     return;
   }
 
+  // Resume a dropped (or half-open) session if the client still has its token
+  const previous = resume.claim(parsedUrl.query.resume, user.id);
+
   // Check for existing connection (kick old one)
   const existing = connections.get(user.id);
-  if (existing) {
+  if (existing && existing !== previous) {
     logger.info('GAME', 'Replacing existing connection', { userId: user.id });
     existing.close(1000, 'Replaced by new connection');
   }
 
+  // A fresh login ends any session still parked for this user
+  if (!previous) {
+    const held = resume.findHeld(user.id);
+    if (held) {
+      resume.release(held);
+      finalizeDisconnect(held, 1000, 'Replaced by new connection');
+    }
+  }
+
   // Setup connection properties
   ws.userId = user.id;
   ws.username = user.username;
@@ -98,22 +129,34 @@ async function handleConnection(ws, req) {
   // Store connection
   connections.set(user.id, ws);
 
+  // Announce to other nodes (hub backend) so kick/tp/sendto can find us
+  pubsub.userConnected(ws);
+
+  // Take over the previous socket's channels, trade and battle seat silently
+  if (previous) {
+    resumeSession(previous, ws);
+  }
+
   // Track session in database
   const sessionStmt = db.prepare(`
     INSERT OR REPLACE INTO sessions (user_id, connected_at, ip_address)
     VALUES (?, datetime('now'), ?)
   `);
   sessionStmt.run(user.id, ws.ip);
+  presence.onPlayerLogin(ws);
 
   logger.info('GAME', `Player connected: ${user.username}`, { 
     userId: user.id, 
     ip: ws.ip,
     isAdmin: user.isAdmin,
+    protocol: ws.protocolVersion,
+    resumed: !!previous,
     online: connections.size
   });
 
   // Auto-subscribe player to their guild channel if in a guild
-  const guildData = guild.onPlayerLogin(ws);
+  // (a resumed session already carried its guild subscription over)
+  const guildData = previous ? null : guild.onPlayerLogin(ws);
   if (guildData) {
     logger.info('GAME', `Player auto-subscribed to guild`, { 
       userId: user.id, 
@@ -122,6 +165,16 @@ async function handleConnection(ws, req) {
     });
   }
 
+  // Report outcomes resolved while this player was offline
+  moderation.onPlayerLogin(ws);
+
+  // Hand the client its (single-use) resume token
+  ws.send(createRecv('system', 'server', '@/session', [{
+    resumeToken: resume.issueToken(ws),
+    graceMs: resume.RESUME_GRACE_MS,
+    resumed: !!previous
+  }]));
+
   // Setup event handlers
   ws.on('message', (data) => handleMessage(ws, data));
   
@@ -139,14 +192,75 @@ async function handleConnection(ws, req) {
   ws.on('pong', () => { ws.isAlive = true; });
 }
 
+/**
+ * Move a previous socket's session onto a new one without telling anybody.
+ */
+function resumeSession(previous, ws) {
+  previous.resumedBy = ws;
+
+  // Subscribe the new socket first so no channel ever goes empty
+  const channelKeys = [...(pubsub.connectionChannels.get(previous) || [])];
+  for (const channelKey of channelKeys) {
+    const [group, channel] = channelKey.split(':');
+    pubsub.subscribe(ws, group, channel);
+  }
+  pubsub.unsubscribeAll(previous);
+
+  // Half-open socket the client already gave up on
+  if (previous.readyState === 1) {
+    previous.terminate();
+  }
+
+  handleResume(ws);
+
+  logger.info('GAME', `Session resumed: ${ws.username}`, { userId: ws.userId, channels: channelKeys.length });
+}
+
 /**
  * Handle connection close
+ *
+ * Unclean drops are parked for resume.RESUME_GRACE_MS; everything else
+ * (and expired holds) goes through finalizeDisconnect.
  */
 function handleDisconnect(ws, code, reason) {
   const { userId, username } = ws;
 
+  // Session already moved to a resumed connection
+  if (ws.resumedBy) {
+    logger.debug('GAME', 'Superseded socket closed', { userId });
+    return;
+  }
+
+  // The drop time is what friends see as "last seen", even if the held
+  // session only expires later
+  ws.lastSeenAt = Date.now();
+
+  if (connections.get(userId) === ws && resume.shouldHold(ws, code)) {
+    if (resume.hold(ws, () => finalizeDisconnect(ws, code, reason))) {
+      connections.delete(userId);
+      pubsub.userDisconnected(ws);
+      handleDrop(ws);
+      logger.info('GAME', `Player dropped, holding session: ${username}`, { 
+        userId, 
+        code,
+        online: connections.size
+      });
+      return;
+    }
+  }
+
+  finalizeDisconnect(ws, code, reason);
+}
+
+/**
+ * Tear down a session: leave messages, guild logout, trade/battle cleanup
+ */
+function finalizeDisconnect(ws, code, reason) {
+  const { userId, username } = ws;
+
+  resume.release(ws);
+
   // Send "player left" notifications to all channels BEFORE unsubscribing
-  const { createRecv } = require('./protocol');
   const connChannels = pubsub.connectionChannels.get(ws);
   
   if (connChannels) {
@@ -159,8 +273,12 @@ function handleDisconnect(ws, code, reason) {
     logger.debug('GAME', `Sent disconnect notifications to ${connChannels.size} channels`, { userId });
   }
 
-  // Remove from connections
-  connections.delete(userId);
+  // Remove from connections (unless a newer session already replaced us)
+  const replaced = connections.has(userId) && connections.get(userId) !== ws;
+  if (connections.get(userId) === ws) {
+    connections.delete(userId);
+    pubsub.userDisconnected(ws);
+  }
 
   // Notify guild of logout before unsubscribing
   guild.onPlayerLogout(ws);
@@ -168,12 +286,18 @@ function handleDisconnect(ws, code, reason) {
   // Unsubscribe from all channels
   pubsub.unsubscribeAll(ws);
 
-  // Clear rate limits
-  rateLimiter.clearUser(userId);
+  // Trade escrow / battle seat
+  handlePlayerDisconnect(ws);
 
-  // Remove session from database
-  const sessionStmt = db.prepare(`DELETE FROM sessions WHERE user_id = ?`);
-  sessionStmt.run(userId);
+  if (!replaced) {
+    // Clear rate limits
+    rateLimiter.clearUser(userId);
+
+    // Remove session from database
+    const sessionStmt = db.prepare(`DELETE FROM sessions WHERE user_id = ?`);
+    sessionStmt.run(userId);
+    presence.onPlayerLogout(userId, ws.lastSeenAt);
+  }
 
   logger.info('GAME', `Player disconnected: ${username}`, { 
     userId, 
@@ -197,6 +321,7 @@ function handleDisconnect(ws, code, reason) {
 function getStats() {
   return {
     online: connections.size,
+    resume: resume.getStats(),
     pubsub: pubsub.getStats()
   };
 }
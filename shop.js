@@ -0,0 +1,385 @@
+/**
+ * Shop Module (Server Side)
+ *
+ * Server-authoritative shop purchases and sell-back.
+ *
+ * Problem: A purchase used to be a client save("gold") + save("item") pair
+ * that economy.js only checked against Lane 1 delta caps. A modified client
+ * could "buy" anything under the caps without paying.
+ *
+ * Solution: Shops are registered server-side with their goods and prices.
+ * The client only says what it wants; the server looks up the price, checks
+ * the player's gold/inventory, and debits + grants in one transaction using
+ * the same custody helpers as trade.js.
+ *
+ * Registration (server startup, like economy.registerReward):
+ *   shop.registerShop('weapon_shop_1', [
+ *     { dataClass: 'weapon', id: 1, price: 50 },
+ *     { dataClass: 'item',   id: 1, price: 10 },
+ *     { dataClass: 'item',   id: 7, price: 0, buy: false, sellPrice: 25 } // sell-only
+ *   ], { sellRate: 0.5, mapId: 3, requireMap: true });
+ *
+ *   Shop IDs default to "<mapId>:<eventId>" of the shop event on the client;
+ *   an event note tag <shop:ID> overrides that.
+ *
+ *   Shop Processing commands placed on maps are registered from the game
+ *   data (gamedata.js) the first time a shop is looked up, with the same
+ *   IDs, goods and prices the client shows. Like the stock shop scene they
+ *   buy back any priced item at sellRate unless set to "Purchase Only".
+ *   Shops registered by hand take precedence over the data.
+ *
+ * Commands (broadcast codes):
+ *   - shop/list [shopId]
+ *   - shop/buy  [shopId, dataClass, itemId, quantity, mapId?]
+ *   - shop/sell [shopId, dataClass, itemId, quantity, mapId?]
+ *
+ * Response (direct RECV to requester, group "shop"):
+ *   - shop/res { action: 'list'|'buy'|'sell', success, error?, shopId,
+ *                goods?, dataClass?, itemId?, quantity?, total?, gold?, owned? }
+ *     gold / owned are the player's authoritative totals after the action.
+ */
+
+const storage = require('../database/storage');
+const db = require('../database/sqlite');
+const logger = require('../utils/logger');
+const { createRecv, withRequestId } = require('./protocol');
+const gamedata = require('./gamedata');
+const { LIMITS } = require('./economy');
+const { checkInventory, deduct, grant, CLASS_TO_KEY } = require('./trade');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_SELL_RATE = 0.5;   // RPG Maker default: sell for half the price
+const MAX_QTY_PER_ACTION = 99;   // Matches Window_ShopNumber max
+
+// Shop Processing (302) goods type -> dataClass
+const SHOP_TYPE_TO_CLASS = ['item', 'weapon', 'armor'];
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+/**
+ * Shop registry: shopId -> ShopDefinition
+ *
+ * ShopDefinition: {
+ *   goods: Map<"dataClass:id", { dataClass, id, price, buy, sellPrice }>,
+ *   sellRate, mapId, requireMap,
+ *   sellAny   // Buys back any priced item, not just its goods (map shops)
+ * }
+ */
+const shopRegistry = new Map();
+let dataShopsLoaded = false;
+
+function goodsKey(dataClass, id) {
+  return `${dataClass}:${id}`;
+}
+
+// ============================================================================
+// REGISTRATION
+// ============================================================================
+
+/**
+ * Register (or replace) a shop.
+ *
+ * @param {string} shopId
+ * @param {Array<{dataClass, id, price, buy?, sellPrice?}>} goods
+ * @param {object} options - { sellRate?: number, mapId?: number, requireMap?: boolean, sellAny?: boolean }
+ */
+function registerShop(shopId, goods, options = {}) {
+  if (!shopId || typeof shopId !== 'string') {
+    throw new TypeError('registerShop: shopId must be a string');
+  }
+
+  const sellRate = Number.isFinite(options.sellRate) ? Math.max(0, Math.min(1, options.sellRate)) : DEFAULT_SELL_RATE;
+  const map = new Map();
+
+  for (const entry of goods || []) {
+    const { dataClass, id } = entry || {};
+    const price = Math.floor(Number(entry?.price) || 0);
+    if (!CLASS_TO_KEY[dataClass] || !Number.isInteger(id) || id < 1 || price < 0) {
+      logger.warn('SHOP', `Skipping invalid goods entry in ${shopId}`, { entry });
+      continue;
+    }
+    map.set(goodsKey(dataClass, id), {
+      dataClass,
+      id,
+      price,
+      buy: entry.buy !== false,
+      sellPrice: Number.isFinite(entry.sellPrice) ? Math.floor(entry.sellPrice) : Math.floor(price * sellRate)
+    });
+  }
+
+  shopRegistry.set(shopId, {
+    goods: map,
+    sellRate,
+    mapId: options.mapId ?? null,
+    requireMap: options.requireMap ?? false,
+    sellAny: options.sellAny ?? false
+  });
+
+  logger.info('SHOP', `Shop registered: ${shopId}`, { goods: map.size, sellRate });
+}
+
+function unregisterShop(shopId) {
+  return shopRegistry.delete(shopId);
+}
+
+function getShop(shopId) {
+  if (!shopRegistry.has(shopId) && !dataShopsLoaded) registerShopsFromData();
+  return shopRegistry.get(shopId) || null;
+}
+
+// ============================================================================
+// MAP SHOPS (game data)
+// ============================================================================
+
+function databaseEntry(dataClass, id) {
+  switch (dataClass) {
+    case 'item': return gamedata.getItem(id);
+    case 'weapon': return gamedata.getWeapon(id);
+    case 'armor': return gamedata.getArmor(id);
+    default: return null;
+  }
+}
+
+/**
+ * Goods from one Shop Processing command (302) and its goods lines (605),
+ * in Game_Interpreter.command302's format: [type, id, priceType, price].
+ * A "Purchase Only" shop doesn't buy its goods back (sellPrice 0).
+ */
+function readShopCommand(list, index, goods) {
+  const purchaseOnly = !!list[index].parameters[4];
+  const rows = [list[index].parameters];
+  for (let i = index + 1; list[i] && list[i].code === 605; i++) rows.push(list[i].parameters);
+
+  for (const [type, id, priceType, price] of rows) {
+    const dataClass = SHOP_TYPE_TO_CLASS[type];
+    const entry = dataClass && databaseEntry(dataClass, id);
+    if (!entry) continue;
+    const goodsEntry = { dataClass, id, price: priceType === 0 ? entry.price : price };
+    if (purchaseOnly) goodsEntry.sellPrice = 0;
+    goods.push(goodsEntry);
+  }
+  return purchaseOnly;
+}
+
+/**
+ * Register every shop event on every map. Safe to call again after the
+ * game data is redeployed (gamedata.reload()).
+ */
+function registerShopsFromData() {
+  dataShopsLoaded = true;
+  const infos = gamedata.getMapInfos();
+  if (!infos) return 0;
+
+  let count = 0;
+  for (const info of infos) {
+    if (!info) continue;
+    const map = gamedata.getMap(info.id);
+    for (const event of (map && map.events) || []) {
+      if (!event) continue;
+      const goods = [];
+      let sellAny = false;
+      for (const page of event.pages || []) {
+        const list = page.list || [];
+        for (let i = 0; i < list.length; i++) {
+          if (list[i].code === 302) sellAny = !readShopCommand(list, i, goods) || sellAny;
+        }
+      }
+      if (goods.length === 0) continue;
+
+      const tag = typeof event.note === 'string' ? /<shop:\s*([^>]+)>/i.exec(event.note) : null;
+      const shopId = tag ? tag[1].trim() : `${info.id}:${event.id}`;
+      if (shopRegistry.has(shopId)) continue;
+
+      registerShop(shopId, goods, { mapId: info.id, requireMap: true, sellAny });
+      count++;
+    }
+  }
+  logger.info('SHOP', `Registered ${count} shops from map data`);
+  return count;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function checkShopAccess(ws, shop, mapId) {
+  if (shop.requireMap && shop.mapId != null && mapId !== shop.mapId) {
+    logger.security('Shop access rejected (wrong map)', { userId: ws.userId, expectedMap: shop.mapId, actualMap: mapId });
+    return false;
+  }
+  return true;
+}
+
+function parseQuantity(raw) {
+  const qty = Number(raw);
+  if (!Number.isInteger(qty) || qty < 1 || qty > MAX_QTY_PER_ACTION) return null;
+  return qty;
+}
+
+function getTotals(userId, dataClass, itemId) {
+  const gold = (storage.getPersonal(userId, 'gold') || {}).gold ?? 0;
+  const owned = (storage.getPersonal(userId, CLASS_TO_KEY[dataClass]) || {})[itemId] ?? 0;
+  return { gold, owned };
+}
+
+// ============================================================================
+// BUY / SELL
+// ============================================================================
+
+const buyTransaction = db.transaction((userId, cost, goods, quantity) => {
+  const payment = { gold: cost, items: [] };
+  const check = checkInventory(userId, payment);
+  if (!check.valid) return { success: false, error: 'Not enough gold' };
+
+  const { owned } = getTotals(userId, goods.dataClass, goods.id);
+  const maxStack = goods.dataClass === 'item' ? LIMITS.ITEM_MAX_STACK : LIMITS.EQUIP_MAX_STACK;
+  if (owned + quantity > maxStack) return { success: false, error: 'You cannot carry any more' };
+
+  deduct(userId, payment);
+  grant(userId, { gold: 0, items: [{ dataClass: goods.dataClass, itemId: goods.id, quantity }] });
+  return { success: true };
+});
+
+const sellTransaction = db.transaction((userId, proceeds, goods, quantity) => {
+  const sold = { gold: 0, items: [{ dataClass: goods.dataClass, itemId: goods.id, quantity }] };
+  const check = checkInventory(userId, sold);
+  if (!check.valid) return { success: false, error: 'You do not have enough to sell' };
+
+  deduct(userId, sold);
+  grant(userId, { gold: proceeds, items: [] });
+  return { success: true };
+});
+
+function buy(ws, shopId, dataClass, itemId, rawQty, mapId) {
+  const { userId } = ws;
+  const shop = getShop(shopId);
+  if (!shop) return { success: false, error: 'Unknown shop' };
+  if (!checkShopAccess(ws, shop, mapId)) return { success: false, error: 'Not available here' };
+
+  const goods = shop.goods.get(goodsKey(dataClass, itemId));
+  if (!goods || !goods.buy) {
+    logger.security('Shop buy rejected (item not sold here)', { userId, shopId, dataClass, itemId });
+    return { success: false, error: 'Item not sold here' };
+  }
+
+  const quantity = parseQuantity(rawQty);
+  if (!quantity) return { success: false, error: 'Invalid quantity' };
+
+  const cost = goods.price * quantity;
+  const result = buyTransaction(userId, cost, goods, quantity);
+  if (!result.success) return result;
+
+  logger.info('SHOP', `Purchase: ${shopId}`, { userId, dataClass, itemId, quantity, cost });
+  return { success: true, dataClass, itemId, quantity, total: cost, ...getTotals(userId, dataClass, itemId) };
+}
+
+function sell(ws, shopId, dataClass, itemId, rawQty, mapId) {
+  const { userId } = ws;
+  const shop = getShop(shopId);
+  if (!shop) return { success: false, error: 'Unknown shop' };
+  if (!checkShopAccess(ws, shop, mapId)) return { success: false, error: 'Not available here' };
+
+  let goods = shop.goods.get(goodsKey(dataClass, itemId));
+  if (!goods && shop.sellAny) {
+    const entry = CLASS_TO_KEY[dataClass] && databaseEntry(dataClass, itemId);
+    if (entry) goods = { dataClass, id: itemId, sellPrice: Math.floor((entry.price || 0) * shop.sellRate) };
+  }
+  if (!goods || goods.sellPrice <= 0) {
+    return { success: false, error: 'This shop will not buy that' };
+  }
+
+  const quantity = parseQuantity(rawQty);
+  if (!quantity) return { success: false, error: 'Invalid quantity' };
+
+  const proceeds = goods.sellPrice * quantity;
+  const { gold } = getTotals(userId, dataClass, itemId);
+  if (gold + proceeds > LIMITS.GOLD_ABSOLUTE_MAX) {
+    return { success: false, error: 'You cannot carry any more gold' };
+  }
+
+  const result = sellTransaction(userId, proceeds, goods, quantity);
+  if (!result.success) return result;
+
+  logger.info('SHOP', `Sale: ${shopId}`, { userId, dataClass, itemId, quantity, proceeds });
+  return { success: true, dataClass, itemId, quantity, total: proceeds, ...getTotals(userId, dataClass, itemId) };
+}
+
+function listGoods(shopId) {
+  const shop = getShop(shopId);
+  if (!shop) return { success: false, error: 'Unknown shop' };
+  const goods = [...shop.goods.values()].map(g => ({
+    dataClass: g.dataClass,
+    id: g.id,
+    price: g.price,
+    buy: g.buy,
+    sellPrice: g.sellPrice
+  }));
+  return { success: true, goods };
+}
+
+// ============================================================================
+// BROADCAST HANDLER INTEGRATION
+// ============================================================================
+
+function sendResponse(ws, data) {
+  try {
+    ws.send(createRecv('shop', 'server', 'shop/res', [withRequestId(ws, data)]));
+  } catch (err) {
+    logger.error('SHOP', 'Failed to sendResponse', { userId: ws.userId, error: err.message });
+  }
+}
+
+/**
+ * Process shop/ broadcast commands.
+ * Plug into handler.js handleBroadcast.
+ * @returns {boolean} true if command was handled
+ */
+function processShopCommand(ws, code, args) {
+  const action = code.slice('shop/'.length);
+  const shopId = args?.[0];
+
+  try {
+    if (typeof shopId !== 'string' || !shopId) {
+      if (action === 'list' || action === 'buy' || action === 'sell') {
+        sendResponse(ws, { action, success: false, error: 'Invalid shop' });
+        return true;
+      }
+      return false;
+    }
+
+    let result;
+    switch (action) {
+      case 'list':
+        result = listGoods(shopId);
+        break;
+      case 'buy':
+        result = buy(ws, shopId, args[1], Number(args[2]), args[3], args[4]);
+        break;
+      case 'sell':
+        result = sell(ws, shopId, args[1], Number(args[2]), args[3], args[4]);
+        break;
+      default:
+        return false;
+    }
+
+    sendResponse(ws, { action, shopId, ...result });
+    return true;
+  } catch (err) {
+    logger.error('SHOP', 'processShopCommand error', { userId: ws.userId, code, error: err.message, stack: err.stack });
+    sendResponse(ws, { action, shopId, success: false, error: 'Server error.' });
+    return true;
+  }
+}
+
+module.exports = {
+  registerShop,
+  unregisterShop,
+  getShop,
+  registerShopsFromData,
+  processShopCommand
+};
@@ -2,7 +2,21 @@
 // Friends + Blocklist (server authoritative)
 //
 // Storage key: 'social' (server-owned personal key)
-// Structure: { friends: [userIdString], blocks: [userIdString] }
+// Structure: { friends: [userIdString], blocks: [userIdString],
+//              friendMeta: { [friendId]: { note?, favorite?, group?, muted? } } }
+// (friendMeta is optional; entries saved before it existed load unchanged)
+//
+// Friend entries in s/list/res and social/update carry presence
+// (status, message, activity) from presence.js plus note/favorite/group/muted
+// and lastSeen (ms, from the last disconnect). Favorites sort first.
+// Live changes arrive as u/presence; `notify` is set on online/offline flips
+// for friends who have not muted that player.
+//
+// Friend options (each answers f/<name>/res { success, error?, message? }):
+// - f/note [username, note]           private note ("" clears)
+// - f/favorite [username, favorite?]  pin to the top (toggles when omitted)
+// - f/group [username, group]         e.g. "Raid team" ("" clears)
+// - f/mute [username, muted?]         no online/offline notices (toggles when omitted)
 //
 // FIXES APPLIED:
 // - Added bidirectional friend request check (prevents duplicate cross-requests)
@@ -31,10 +45,13 @@ try {
   }
 }
 
-const { createRecv } = require('./protocol');
+const { createRecv, withRequestId } = require('./protocol');
 
 const SOCIAL_KEY = 'social';
 const MAIL_KEY = 'mail';
+const MAX_NOTE = 120;
+const MAX_GROUP_NAME = 20;
+const MAX_GROUPS = 10;
 
 // Cache to avoid repeated storage reads on hot paths (chat filtering)
 const socialCache = new Map(); // userIdKey -> { friends:Set<string>, blocks:Set<string>, ts:number }
@@ -48,10 +65,28 @@ function now() {
   return Date.now();
 }
 
+function normalizeGroupName(name) {
+  return String(name ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_GROUP_NAME);
+}
+
+// Returns null when nothing is set, so plain friends don't get empty entries.
+function normalizeFriendMeta(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const out = {};
+  const note = String(raw.note ?? '').trim().slice(0, MAX_NOTE);
+  if (note) out.note = note;
+  if (raw.favorite) out.favorite = true;
+  const group = normalizeGroupName(raw.group);
+  if (group) out.group = group;
+  if (raw.muted) out.muted = true;
+  return Object.keys(out).length > 0 ? out : null;
+}
+
 function normalizeSocial(raw) {
   const out = {
     friends: [],
     blocks: [],
+    friendMeta: {},
   };
 
   if (raw && typeof raw === 'object') {
@@ -65,6 +100,13 @@ function normalizeSocial(raw) {
   out.friends = Array.from(new Set(out.friends.filter((x) => x)));
   out.blocks = Array.from(new Set(out.blocks.filter((x) => x)));
 
+  // Options only survive for current friends
+  const rawMeta = (raw && typeof raw.friendMeta === 'object' && raw.friendMeta) || {};
+  for (const fid of out.friends) {
+    const meta = normalizeFriendMeta(rawMeta[fid]);
+    if (meta) out.friendMeta[fid] = meta;
+  }
+
   return out;
 }
 
@@ -80,6 +122,7 @@ function getSocial(userId) {
   const entry = {
     friends: new Set(norm.friends),
     blocks: new Set(norm.blocks),
+    meta: new Map(Object.entries(norm.friendMeta)),
     ts: t,
   };
   socialCache.set(key, entry);
@@ -91,13 +134,15 @@ function saveSocial(userId, socialEntry) {
 
   const friends = Array.from(socialEntry.friends || []).map(idKey).filter((x) => x);
   const blocks = Array.from(socialEntry.blocks || []).map(idKey).filter((x) => x);
+  const friendMeta = Object.fromEntries(socialEntry.meta || []);
 
-  const norm = normalizeSocial({ friends, blocks });
+  const norm = normalizeSocial({ friends, blocks, friendMeta });
   storage.setPersonal(userId, SOCIAL_KEY, norm);
 
   socialCache.set(key, {
     friends: new Set(norm.friends),
     blocks: new Set(norm.blocks),
+    meta: new Map(Object.entries(norm.friendMeta)),
     ts: now(),
   });
 }
@@ -122,15 +167,6 @@ function resolveUserFlexible(arg) {
   return null;
 }
 
-function isOnline(userIdKeyStr) {
-  const conns = global.connections;
-  if (!conns) return false;
-  if (conns.has(userIdKeyStr)) return true;
-  const n = Number(userIdKeyStr);
-  if (!Number.isNaN(n) && conns.has(n)) return true;
-  return false;
-}
-
 function getMailbox(userId) {
   const raw = storage.getPersonal(userId, MAIL_KEY);
   if (raw && typeof raw === 'object' && Array.isArray(raw.inbox) && Array.isArray(raw.sent)) {
@@ -171,7 +207,7 @@ function hasPendingFriendRequest(toUserId, fromUserId) {
 
 function sendSocial(ws, code, payload) {
   try {
-    ws.send(createRecv('social', 'server', code, [payload]));
+    ws.send(createRecv('social', 'server', code, [withRequestId(ws, payload)]));
   } catch (e) {
     logger.warn('Failed to send social message', { code, err: String(e) });
   }
@@ -198,6 +234,8 @@ function pushSocialUpdateTo(userId) {
 
 function buildListPayload(userId) {
   const social = getSocial(userId);
+  // Required lazily: presence.js requires this module at load time
+  const { getPresence, getLastSeen } = require('./presence');
 
   const friends = [];
   for (const fid of social.friends) {
@@ -208,10 +246,21 @@ function buildListPayload(userId) {
         return !Number.isNaN(n) ? users.getById(n) : null;
       })();
     if (!u) continue;
+    // Invisible friends come back as offline
+    const presence = getPresence(u.id, userId);
+    const meta = social.meta.get(idKey(u.id)) || {};
     friends.push({
       userId: idKey(u.id),
       username: u.username,
-      online: isOnline(idKey(u.id)),
+      online: presence.online,
+      status: presence.status,
+      message: presence.message,
+      activity: presence.activity,
+      lastSeen: presence.online ? null : getLastSeen(u.id),
+      note: meta.note || '',
+      favorite: !!meta.favorite,
+      group: meta.group || null,
+      muted: !!meta.muted,
     });
   }
 
@@ -230,10 +279,12 @@ function buildListPayload(userId) {
     });
   }
 
-  friends.sort((a, b) => String(a.username).localeCompare(String(b.username)));
+  friends.sort((a, b) => (b.favorite - a.favorite) || String(a.username).localeCompare(String(b.username)));
   blocks.sort((a, b) => String(a.username).localeCompare(String(b.username)));
 
-  return { success: true, friends, blocks };
+  const groups = [...new Set(friends.map((f) => f.group).filter(Boolean))].sort();
+
+  return { success: true, friends, blocks, groups };
 }
 
 // Public API used by chat filtering
@@ -243,6 +294,16 @@ function isBlocked(blockerUserId, candidateUserId) {
   return blocker.blocks.has(candKey);
 }
 
+/**
+ * The options `userId` keeps on friend `friendId`, or null if they aren't friends
+ */
+function getFriendMeta(userId, friendId) {
+  const social = getSocial(userId);
+  const key = idKey(friendId);
+  if (!social.friends.has(key)) return null;
+  return social.meta.get(key) || {};
+}
+
 // ---------------------------------------------------------------------------
 // Commands
 // ---------------------------------------------------------------------------
@@ -541,6 +602,69 @@ function handleUnblock(ws, args) {
   sendSocial(ws, 'b/unblock/res', { success: true, message: 'Player unblocked.' });
 }
 
+/**
+ * Shared path for the per-friend options. `apply(meta, value)` edits a copy
+ * of the friend's options and returns { error } or { message }.
+ */
+function updateFriendMeta(ws, code, args, apply) {
+  const targetArg = String(args?.[0] ?? '').trim();
+  if (!targetArg) return sendSocial(ws, `${code}/res`, { success: false, error: 'Username required.' });
+
+  const target = resolveUserFlexible(targetArg);
+  if (!target) return sendSocial(ws, `${code}/res`, { success: false, error: 'Player not found.' });
+
+  const otherKey = idKey(target.id);
+  const meSocial = getSocial(ws.userId);
+  if (!meSocial.friends.has(otherKey)) {
+    return sendSocial(ws, `${code}/res`, { success: false, error: `${target.username} is not on your friends list.` });
+  }
+
+  const meta = { ...(meSocial.meta.get(otherKey) || {}) };
+  const result = apply(meta, args?.[1], meSocial, target);
+  if (result.error) return sendSocial(ws, `${code}/res`, { success: false, error: result.error });
+
+  meSocial.meta.set(otherKey, meta);
+  saveSocial(ws.userId, meSocial);
+  pushSocialUpdateTo(ws.userId);
+
+  sendSocial(ws, `${code}/res`, { success: true, message: result.message });
+}
+
+function handleFriendNote(ws, args) {
+  return updateFriendMeta(ws, 'f/note', args, (meta, value, _social, target) => {
+    meta.note = String(value ?? '').trim().slice(0, MAX_NOTE);
+    return { message: meta.note ? `Note saved for ${target.username}.` : `Note cleared for ${target.username}.` };
+  });
+}
+
+function handleFriendFavorite(ws, args) {
+  return updateFriendMeta(ws, 'f/favorite', args, (meta, value, _social, target) => {
+    meta.favorite = (typeof value === 'boolean') ? value : !meta.favorite;
+    return { message: meta.favorite ? `${target.username} pinned to favorites.` : `${target.username} unpinned.` };
+  });
+}
+
+function handleFriendGroup(ws, args) {
+  return updateFriendMeta(ws, 'f/group', args, (meta, value, social, target) => {
+    const group = normalizeGroupName(value);
+    if (group) {
+      const groups = new Set([...social.meta.values()].map((m) => m.group).filter(Boolean));
+      if (!groups.has(group) && groups.size >= MAX_GROUPS) {
+        return { error: `You can have at most ${MAX_GROUPS} friend groups.` };
+      }
+    }
+    meta.group = group;
+    return { message: group ? `${target.username} moved to ${group}.` : `${target.username} removed from their group.` };
+  });
+}
+
+function handleFriendMute(ws, args) {
+  return updateFriendMeta(ws, 'f/mute', args, (meta, value, _social, target) => {
+    meta.muted = (typeof value === 'boolean') ? value : !meta.muted;
+    return { message: meta.muted ? `Muted notices from ${target.username}.` : `Unmuted notices from ${target.username}.` };
+  });
+}
+
 function processSocialCommand(ws, code, args) {
   try {
     switch (code) {
@@ -549,6 +673,10 @@ function processSocialCommand(ws, code, args) {
       case 'f/accept': return handleFriendAccept(ws, args);
       case 'f/decline': return handleFriendDecline(ws, args);
       case 'f/remove': return handleFriendRemove(ws, args);
+      case 'f/note': return handleFriendNote(ws, args);
+      case 'f/favorite': return handleFriendFavorite(ws, args);
+      case 'f/group': return handleFriendGroup(ws, args);
+      case 'f/mute': return handleFriendMute(ws, args);
       case 'b/block': return handleBlock(ws, args);
       case 'b/unblock': return handleUnblock(ws, args);
       default:
@@ -562,7 +690,20 @@ function processSocialCommand(ws, code, args) {
   }
 }
 
+/**
+ * Friends/blocks (user ids) for the admin player view
+ */
+function getSocialSummary(userId) {
+  const social = getSocial(userId);
+  return {
+    friends: Array.from(social.friends),
+    blocks: Array.from(social.blocks),
+  };
+}
+
 module.exports = {
   processSocialCommand,
   isBlocked,
+  getFriendMeta,
+  getSocialSummary,
 };
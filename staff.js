@@ -0,0 +1,477 @@
+/**
+ * Staff Module (Server Side)
+ *
+ * Roles and permissions for everyone who can do more than play:
+ *
+ * Panel accounts (`staff_accounts`):
+ *   Username + scrypt-hashed password + role, used by admin_api.js. On first
+ *   start with an empty table, ADMIN_USER / ADMIN_PASS from env seed one
+ *   "admin" account so existing deployments keep working.
+ *
+ * In-game roles (`staff_roles`):
+ *   Game user id -> role, checked by commands.js (chat commands) and
+ *   handler.js (admin opcodes). A user with the legacy `isAdmin` flag and no
+ *   row counts as "admin".
+ *
+ * Roles (each includes the one before it):
+ *   - moderator  : reports, mutes, kicks, temp-bans, logs
+ *   - gamemaster : + permanent bans, teleport, inspect, give, announce,
+ *                  bulk mail, reward ledger, storage read
+ *   - admin      : everything, including staff management and storage edits
+ *
+ * Audit log (`audit_log`):
+ *   Every privileged action, from the panel or in game, is appended with the
+ *   actor, role, target and details. The table is append-only: triggers
+ *   reject UPDATE and DELETE.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const db = require('../database/sqlite');
+const users = require('../database/users');
+const logger = require('../utils/logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const ROLES = ['moderator', 'gamemaster', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  moderator: [
+    'players.view',
+    'players.kick',
+    'players.mute',
+    'players.tempban',
+    'reports.manage',
+    'logs.view'
+  ],
+  gamemaster: [
+    'players.ban',
+    'players.teleport',
+    'players.inspect',
+    'players.give',
+    'announce',
+    'mail.bulk',
+    'rewards.manage',
+    'storage.view'
+  ],
+  admin: [
+    'players.edit',
+    'storage.edit',
+    'staff.manage',
+    'audit.view',
+    'server.manage'
+  ]
+};
+
+const PERMISSIONS = Object.values(ROLE_PERMISSIONS).flat();
+
+const MIN_PASSWORD_LENGTH = 10;
+const SCRYPT_KEYLEN = 64;
+const MAX_DETAILS_LENGTH = 4000;
+
+// ============================================================================
+// DATABASE
+// ============================================================================
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS staff_accounts (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    username      TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    role          TEXT NOT NULL,
+    disabled      INTEGER NOT NULL DEFAULT 0,
+    created_by    TEXT,
+    created_at    INTEGER NOT NULL,
+    updated_at    INTEGER NOT NULL,
+    last_login_at INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS staff_roles (
+    user_id    TEXT PRIMARY KEY,
+    role       TEXT NOT NULL,
+    granted_by TEXT,
+    granted_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at INTEGER NOT NULL,
+    actor_type TEXT NOT NULL,
+    actor_id   TEXT,
+    actor_name TEXT,
+    role       TEXT,
+    action     TEXT NOT NULL,
+    target     TEXT,
+    details    TEXT,
+    ip         TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log (created_at);
+  CREATE INDEX IF NOT EXISTS idx_audit_actor ON audit_log (actor_type, actor_id);
+  CREATE INDEX IF NOT EXISTS idx_audit_action ON audit_log (action);
+
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+  BEGIN
+    SELECT RAISE(ABORT, 'audit_log is append-only');
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+  BEGIN
+    SELECT RAISE(ABORT, 'audit_log is append-only');
+  END;
+`);
+
+const stmts = {
+  countAccounts: db.prepare(`SELECT COUNT(*) AS n FROM staff_accounts`),
+  getAccount: db.prepare(`SELECT * FROM staff_accounts WHERE id = ?`),
+  getAccountByName: db.prepare(`SELECT * FROM staff_accounts WHERE username = ?`),
+  listAccounts: db.prepare(`SELECT * FROM staff_accounts ORDER BY username COLLATE NOCASE`),
+  insertAccount: db.prepare(`
+    INSERT INTO staff_accounts (username, password_hash, role, created_by, created_at, updated_at)
+    VALUES (@username, @passwordHash, @role, @createdBy, @now, @now)
+  `),
+  updateAccount: db.prepare(`
+    UPDATE staff_accounts SET password_hash = @passwordHash, role = @role, disabled = @disabled, updated_at = @now
+    WHERE id = @id
+  `),
+  touchLogin: db.prepare(`UPDATE staff_accounts SET last_login_at = ? WHERE id = ?`),
+
+  getRole: db.prepare(`SELECT role FROM staff_roles WHERE user_id = ?`),
+  listRoles: db.prepare(`SELECT * FROM staff_roles ORDER BY granted_at`),
+  upsertRole: db.prepare(`
+    INSERT INTO staff_roles (user_id, role, granted_by, granted_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET role = excluded.role, granted_by = excluded.granted_by, granted_at = excluded.granted_at
+  `),
+  deleteRole: db.prepare(`DELETE FROM staff_roles WHERE user_id = ?`),
+
+  insertAudit: db.prepare(`
+    INSERT INTO audit_log (created_at, actor_type, actor_id, actor_name, role, action, target, details, ip)
+    VALUES (@now, @actorType, @actorId, @actorName, @role, @action, @target, @details, @ip)
+  `)
+};
+
+function rowToAccount(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    disabled: !!row.disabled,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastLoginAt: row.last_login_at
+  };
+}
+
+function rowToAudit(row) {
+  let details = null;
+  try {
+    details = row.details ? JSON.parse(row.details) : null;
+  } catch (_) {
+    details = row.details;
+  }
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    actorType: row.actor_type,
+    actorId: row.actor_id,
+    actorName: row.actor_name,
+    role: row.role,
+    action: row.action,
+    target: row.target,
+    details,
+    ip: row.ip
+  };
+}
+
+// ============================================================================
+// PERMISSIONS
+// ============================================================================
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Permissions granted to a role (its own plus every lower role's)
+ */
+function getRolePermissions(role) {
+  const rank = ROLES.indexOf(role);
+  if (rank < 0) return [];
+  return ROLES.slice(0, rank + 1).flatMap(r => ROLE_PERMISSIONS[r]);
+}
+
+function roleHasPermission(role, permission) {
+  return getRolePermissions(role).includes(permission);
+}
+
+/**
+ * In-game role for a user, or null for regular players. Always read from the
+ * database (never a connection's cached isAdmin), so a demotion applies to
+ * staff who are online at the time.
+ */
+function getGameRole(userId) {
+  const row = stmts.getRole.get(String(userId));
+  if (row && isValidRole(row.role)) return row.role;
+
+  return users.getById(userId)?.isAdmin ? 'admin' : null;
+}
+
+/**
+ * Whether staff with `actorRole` may kick, mute or ban `targetUserId`: they
+ * must outrank the target's in-game role. Admins may act on anyone.
+ */
+function canActOn(actorRole, targetUserId) {
+  if (actorRole === 'admin') return true;
+  return ROLES.indexOf(actorRole) > ROLES.indexOf(getGameRole(targetUserId));
+}
+
+/**
+ * Grant (or with role = null, revoke) an in-game role.
+ * Keeps the legacy isAdmin flag in step so older checks agree.
+ */
+function setGameRole(userId, role, grantedBy) {
+  if (role !== null && !isValidRole(role)) {
+    return { success: false, error: `Invalid role (${ROLES.join(', ')})` };
+  }
+
+  if (role === null) {
+    stmts.deleteRole.run(String(userId));
+  } else {
+    stmts.upsertRole.run(String(userId), role, String(grantedBy), Date.now());
+  }
+  users.setAdmin(userId, role === 'admin', grantedBy);
+
+  // Keep a live connection's legacy flag in step too
+  const conn = global.connections?.get(userId);
+  if (conn) conn.isAdmin = role === 'admin';
+
+  logger.admin(`Game role ${role ? `set to ${role}` : 'revoked'}`, { userId, grantedBy });
+  return { success: true, role };
+}
+
+function listGameRoles() {
+  return stmts.listRoles.all().map(row => ({
+    userId: row.user_id,
+    username: users.getById(row.user_id)?.username || null,
+    role: row.role,
+    grantedBy: row.granted_by,
+    grantedAt: row.granted_at
+  }));
+}
+
+// ============================================================================
+// PANEL ACCOUNTS
+// ============================================================================
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltB64, hashB64] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltB64 || !hashB64) return false;
+
+  const expected = Buffer.from(hashB64, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(saltB64, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+async function createAccount({ username, password, role }, createdBy, { allowWeakPassword = false } = {}) {
+  const name = String(username || '').trim();
+  if (!/^[A-Za-z0-9_.-]{3,32}$/.test(name)) return { success: false, error: 'Invalid username' };
+  if (!isValidRole(role)) return { success: false, error: `Invalid role (${ROLES.join(', ')})` };
+
+  const passwordError = validatePassword(password);
+  if (passwordError && !(allowWeakPassword && password)) return { success: false, error: passwordError };
+
+  if (stmts.getAccountByName.get(name)) return { success: false, error: 'Username already taken' };
+
+  const info = stmts.insertAccount.run({
+    username: name,
+    passwordHash: await hashPassword(password),
+    role,
+    createdBy: createdBy ? String(createdBy) : null,
+    now: Date.now()
+  });
+
+  return { success: true, account: getAccount(Number(info.lastInsertRowid)) };
+}
+
+/**
+ * Change role / password / disabled flag.
+ * @param {object} changes - { role?, password?, disabled? }
+ */
+async function updateAccount(accountId, changes = {}) {
+  const row = stmts.getAccount.get(Number(accountId));
+  if (!row) return { success: false, error: 'Account not found' };
+
+  let passwordHash = row.password_hash;
+  if (changes.password != null) {
+    const passwordError = validatePassword(changes.password);
+    if (passwordError) return { success: false, error: passwordError };
+    passwordHash = await hashPassword(changes.password);
+  }
+
+  const role = changes.role ?? row.role;
+  if (!isValidRole(role)) return { success: false, error: `Invalid role (${ROLES.join(', ')})` };
+
+  const disabled = changes.disabled != null ? (changes.disabled ? 1 : 0) : row.disabled;
+
+  stmts.updateAccount.run({ id: row.id, passwordHash, role, disabled, now: Date.now() });
+  return { success: true, account: getAccount(row.id) };
+}
+
+/**
+ * Check a login. Disabled accounts fail the same way as bad passwords.
+ * @returns {object|null} the account
+ */
+async function verifyLogin(username, password) {
+  const row = stmts.getAccountByName.get(String(username || ''));
+
+  // Hash even for unknown users so timing doesn't reveal which names exist
+  const ok = await verifyPassword(password, row?.password_hash || `scrypt$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(SCRYPT_KEYLEN).toString('base64')}`);
+  if (!row || !ok || row.disabled) return null;
+
+  stmts.touchLogin.run(Date.now(), row.id);
+  return rowToAccount(row);
+}
+
+function getAccount(accountId) {
+  return rowToAccount(stmts.getAccount.get(Number(accountId)));
+}
+
+function listAccounts() {
+  return stmts.listAccounts.all().map(rowToAccount);
+}
+
+/**
+ * Seed the first admin account from env (ADMIN_USER / ADMIN_PASS) when the
+ * table is empty. No-op afterwards.
+ */
+async function bootstrapAccount(username, password) {
+  if (stmts.countAccounts.get().n > 0) return false;
+  if (!username || !password) {
+    logger.warn('STAFF', 'No staff accounts and ADMIN_PASS is empty. Admin panel login is disabled.');
+    return false;
+  }
+
+  // An existing deployment's ADMIN_PASS may predate the length rule: warn, don't lock it out
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    logger.warn('STAFF', `ADMIN_PASS is too weak (${passwordError}). Change it from the admin panel.`);
+  }
+
+  const result = await createAccount({ username, password, role: 'admin' }, 'bootstrap', { allowWeakPassword: true });
+  if (!result.success) {
+    logger.error('STAFF', 'Failed to create bootstrap admin account', { error: result.error });
+    return false;
+  }
+
+  logger.info('STAFF', `Created admin account "${username}" from ADMIN_USER/ADMIN_PASS`);
+  return true;
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+/**
+ * Append an audit entry. Never throws: a failed audit write is logged, the
+ * action itself has already happened.
+ * @param {object} entry - { actorType: 'panel'|'game'|'system', actorId, actorName, role, action, target?, details?, ip? }
+ */
+function audit(entry) {
+  try {
+    let details = entry.details == null ? null : JSON.stringify(entry.details);
+    if (details && details.length > MAX_DETAILS_LENGTH) details = details.substring(0, MAX_DETAILS_LENGTH);
+
+    stmts.insertAudit.run({
+      now: Date.now(),
+      actorType: entry.actorType,
+      actorId: entry.actorId == null ? null : String(entry.actorId),
+      actorName: entry.actorName ?? null,
+      role: entry.role ?? null,
+      action: entry.action,
+      target: entry.target == null ? null : String(entry.target),
+      details,
+      ip: entry.ip ?? null
+    });
+  } catch (err) {
+    logger.error('STAFF', 'Failed to write audit entry', { action: entry.action, error: err.message });
+  }
+}
+
+/**
+ * Query the audit log, newest first.
+ * @param {object} filter - { actorType?, actorId?, actorName?, action? (prefix), target?, since?, until?, limit?, offset? }
+ */
+function listAudit(filter = {}) {
+  const where = [];
+  const params = [];
+
+  for (const [key, column] of [['actorType', 'actor_type'], ['actorId', 'actor_id'], ['actorName', 'actor_name'], ['target', 'target']]) {
+    if (filter[key] == null || filter[key] === '') continue;
+    where.push(`${column} = ?`);
+    params.push(String(filter[key]));
+  }
+  if (filter.action) {
+    where.push(`action LIKE ?`);
+    params.push(`${String(filter.action).replace(/[%_]/g, '')}%`);
+  }
+  if (Number(filter.since) > 0) {
+    where.push('created_at >= ?');
+    params.push(Number(filter.since));
+  }
+  if (Number(filter.until) > 0) {
+    where.push('created_at <= ?');
+    params.push(Number(filter.until));
+  }
+
+  const limit = Math.max(1, Math.min(500, Number(filter.limit) || 100));
+  const offset = Math.max(0, Number(filter.offset) || 0);
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM audit_log ${whereSql}`).get(...params).n;
+  const rows = db.prepare(`
+    SELECT * FROM audit_log ${whereSql}
+    ORDER BY id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  return { total, limit, offset, items: rows.map(rowToAudit) };
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  isValidRole,
+  getRolePermissions,
+  roleHasPermission,
+  getGameRole,
+  canActOn,
+  setGameRole,
+  listGameRoles,
+  createAccount,
+  updateAccount,
+  verifyLogin,
+  getAccount,
+  listAccounts,
+  bootstrapAccount,
+  audit,
+  listAudit
+};
@@ -34,7 +34,7 @@
 
 const storage = require('../database/storage');
 const logger = require('../utils/logger');
-const { createRecv } = require('./protocol');
+const { createRecv, withRequestId } = require('./protocol');
 
 // ============================================================================
 // CONFIGURATION
@@ -387,6 +387,35 @@ function checkInventory(userId, offer) {
   return { valid: true };
 }
 
+/**
+ * Check that a player can receive all offered gold + items without going
+ * over MAX_TRADE_GOLD / MAX_ITEM_QTY (grant clamps, losing the excess).
+ */
+function checkCapacity(userId, offer) {
+  if (offer.gold > 0) {
+    const d = storage.getPersonal(userId, 'gold') || {};
+    if ((d.gold ?? 0) + offer.gold > MAX_TRADE_GOLD) {
+      return { valid: false, reason: `Too much gold (has ${d.gold ?? 0}, max ${MAX_TRADE_GOLD})` };
+    }
+  }
+
+  const incoming = new Map();
+  for (const { dataClass, itemId, quantity } of offer.items) {
+    const k = `${dataClass}:${itemId}`;
+    incoming.set(k, (incoming.get(k) || 0) + quantity);
+  }
+  for (const [k, quantity] of incoming) {
+    const [dataClass, itemId] = k.split(':');
+    const d = storage.getPersonal(userId, CLASS_TO_KEY[dataClass]) || {};
+    const has = d[itemId] ?? 0;
+    if (has + quantity > MAX_ITEM_QTY) {
+      return { valid: false, reason: `Too many ${dataClass}#${itemId} (has ${has}, max ${MAX_ITEM_QTY})` };
+    }
+  }
+
+  return { valid: true };
+}
+
 /**
  * Deduct gold and items from a player.
  */
@@ -482,7 +511,7 @@ function sendToPlayer(conns, userId, code, payload) {
   const ws = conns.get(userId);
   if (!ws || ws.readyState !== 1) return;
   try {
-    ws.send(createRecv('trade', 'server', code, [payload]));
+    ws.send(createRecv('trade', 'server', code, [withRequestId(ws, payload)]));
   } catch (e) {
     logger.error('TRADE', `Failed to send ${code}`, { userId, error: e.message });
   }
@@ -528,4 +557,13 @@ module.exports = {
   processTradePublish,
   getActiveTrades: () => activeTrades,
   cancelTrade,
+
+  // Inventory custody helpers (shared with other server-side economy modules)
+  validateOffer,
+  checkInventory,
+  checkCapacity,
+  deduct,
+  grant,
+  CLASS_TO_KEY,
+  MAX_ITEM_QTY,
 };